@@ -5,6 +5,8 @@
  * Features:
  *  - Input validation (min 30, max 3000 characters)
  *  - IP-based rate limiting (5 requests per minute per IP)
+ *  - Prompt-injection screening of the vision, answers and tool prompts
+ *  - PII and secret redaction before Groq calls and caching (values restored in the response)
  *  - Response caching via md5 hash (10-minute TTL)
  *  - Structured logging to /logs/requests.log
  *  - Retry logic if JSON parsing or schema validation fails
@@ -75,9 +77,65 @@ define('RATE_LIMIT_FILE', CACHE_DIR . '/rate_limit.json');
 /** Required JSON schema keys returned by the model. */
 define('SCHEMA_KEYS', ['summary', 'main_themes', 'key_entities', 'emotional_tone', 'core_conflict', 'suggested_action', 'confidence_score', 'clarification_questions', 'platform_prompts']);
 
+/** Trace thresholds for the PHP TF cosine engine (lower scale than the Node TF-IDF engine). */
+define('DEFAULT_TRACE_THRESHOLDS', ['TFIDF_TRACEABLE' => 0.10, 'TFIDF_SPECULATIVE' => 0.05]);
+
+/** Threshold sets compared by mode=simulate when the request does not supply its own. */
+define('SIMULATION_THRESHOLD_SETS', [
+    ['TFIDF_TRACEABLE' => 0.10],
+    ['TFIDF_TRACEABLE' => 0.08],
+    ['TFIDF_TRACEABLE' => 0.06]
+]);
+
 /** Keys that must be arrays in the schema. */
 define('ARRAY_KEYS', ['main_themes', 'key_entities', 'clarification_questions']);
 
+// ── Prompt-Injection Guard ────────────────────────────────────────────────────
+
+/** Score at which screened input passes with a warning, and at which it is rejected. */
+define('PROMPT_GUARD_WARN_SCORE', 0.4);
+define('PROMPT_GUARD_BLOCK_SCORE', 0.8);
+
+/** Weighted heuristics run over the normalised text: [id, category, weight, pattern]. */
+define('PROMPT_GUARD_RULES', [
+    ['ignore_instructions', 'role_override', 0.7, '/\b(ignore|disregard|forget|override|bypass)\b.{0,40}?\b(previous|prior|above|earlier|preceding|all|your|system|safety)\b.{0,25}?\b(instructions?|prompts?|rules|directives|guidelines|guardrails)\b/u'],
+    ['new_identity', 'role_override', 0.35, '/\b(you are now|you\'re now|from now on,? (you|act|respond|answer)|pretend (to be|you are|that you)|stop being an? )/u'],
+    ['jailbreak_persona', 'role_override', 0.6, '/\b(do anything now|dan mode|as dan\b|developer mode|jailbr(eak|oken)|god mode|unfiltered mode|without (any )?(restrictions|limitations|filters|censorship))/u'],
+    ['fake_role_marker', 'role_override', 0.5, '/(^|\n)[ \t]*(system|assistant|developer)[ \t]*:|<\|(im_start|im_end|system|endoftext)\|>|\[\/?(inst|sys)\]|<<\/?sys>>|<\/?system>/u'],
+    ['reveal_system_prompt', 'exfiltration', 0.7, '/\b(reveal|show|print|repeat|output|display|leak|dump|tell me|give me|what (is|are|was|were))\b.{0,30}?\b(system|initial|hidden|original|secret|developer|previous)[ \t]+(prompt|instructions?|message|rules)\b/u'],
+    ['repeat_above', 'exfiltration', 0.5, '/\b(repeat|print|output|copy|translate)\b.{0,25}?\b(everything|all|the text|the words|verbatim)\b.{0,25}?\b(above|before this|so far)\b/u'],
+    ['secret_request', 'exfiltration', 0.3, '/\b(reveal|print|send|leak|dump|output)\b.{0,40}?\b(api[ _-]?keys?|credentials|passwords?|environment variables|\.env)\b/u'],
+    ['code_execution', 'code_execution', 0.3, '/child_process|\b(exec|eval|system)[ \t]*\(|\brm[ \t]+-rf[ \t]+\/|__proto__|constructor[ \t]*\[/u'],
+]);
+
+/** Cyrillic and Greek letters that render like Latin ones. */
+define('PROMPT_GUARD_HOMOGLYPHS', [
+    'а' => 'a', 'в' => 'b', 'е' => 'e', 'ё' => 'e', 'к' => 'k', 'м' => 'm', 'н' => 'h', 'о' => 'o', 'р' => 'p', 'с' => 'c', 'т' => 't',
+    'у' => 'y', 'х' => 'x', 'і' => 'i', 'ї' => 'i', 'ј' => 'j', 'ѕ' => 's', 'ԁ' => 'd', 'ɡ' => 'g', 'һ' => 'h', 'ӏ' => 'l', 'ԛ' => 'q', 'ԝ' => 'w',
+    'α' => 'a', 'β' => 'b', 'ε' => 'e', 'η' => 'n', 'ι' => 'i', 'κ' => 'k', 'ν' => 'v', 'ο' => 'o', 'ρ' => 'p', 'τ' => 't', 'υ' => 'u', 'χ' => 'x'
+]);
+
+define('PROMPT_GUARD_INVISIBLE', '/[\x{00AD}\x{180E}\x{200B}-\x{200F}\x{202A}-\x{202E}\x{2060}-\x{2064}\x{2066}-\x{2069}\x{FEFF}]/u');
+
+// ── PII Redaction ─────────────────────────────────────────────────────────────
+
+/** Emails, phones, cards, secrets, IPs, internal hosts and REDACT_TERMS are replaced before text reaches Groq. */
+define('REDACTION_ENABLED', ($_ENV_CACHE['REDACTION'] ?? 'on') !== 'off');
+
+/** Comma-separated names (customers, internal hosts) redacted as [TERM_n]. */
+define('REDACT_TERMS', array_values(array_filter(array_map('trim', explode(',', $_ENV_CACHE['REDACT_TERMS'] ?? '')))));
+
+/** Detectors in the order they run: [type, label, pattern, capture group]. Ported from redaction.mjs. */
+define('REDACTION_DETECTORS', [
+    ['secret', 'SECRET', '/\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gsk_[A-Za-z0-9]{20,}|rp_[a-f0-9]{12}_[A-Za-z0-9_-]{32}|whsec_[A-Za-z0-9_-]{24,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/', 0],
+    ['secret', 'SECRET', '/\b(?:api[_-]?key|secret|token|password|passwd)\b["\']?\s*[:=]\s*["\']?([^\s"\',;]{8,})/i', 1],
+    ['email', 'EMAIL', '/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/', 0],
+    ['card', 'CARD', '/\b\d(?:[ -]?\d){12,18}\b/', 0],
+    ['phone', 'PHONE', '/(?<![\w+])(?<!\d\.)(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]\d{3,4}(?:[ .-]\d{2,4})?(?!\w|\.\d)/', 0],
+    ['ip', 'IP', '/\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/i', 0],
+    ['hostname', 'HOST', '/\b(?:[a-z0-9-]+\.)+(?:internal|local|corp|lan|intranet|private)\b/i', 0],
+]);
+
 // ── Bootstrap ─────────────────────────────────────────────────────────────────
 
 // Set response headers: JSON only, CORS for same-origin requests.
@@ -139,22 +197,47 @@ ensureDirectory(LOG_DIR);
 
 if ($mode === 'simulate') {
     $data = $parsedBody['data'] ?? [];
-    $results = [];
-    $thresholds = [0.70, 0.55, 0.45];
-    $originalDc = $data['validation_logic']['domain_consistency_computed'] ?? 100;
-    $originalScore = $data['confidence_breakdown']['final_score'] ?? 100;
+    if (!is_array($data) || empty($data)) jsonError('Provide the synthesis result as "data".', 400);
+    $sets = $parsedBody['thresholds'] ?? SIMULATION_THRESHOLD_SETS;
+    if (!is_array($sets) || empty($sets) || count($sets) > 10) jsonError('thresholds must be a list of 1-10 threshold sets.', 400);
 
-    foreach ($thresholds as $t) {
-        $simulatedDc = round($originalDc * ($t / 0.6) * 10) / 10;
-        $simulatedScore = min(100, max(0, $originalScore + ($simulatedDc - $originalDc) * 0.3));
+    $baseline = [];
+    foreach ($data['core_functional_components'] ?? [] as $feat) {
+        $baseline[$feat['name'] ?? ''] = $feat['trace_status'] ?? null;
+    }
+    $originalScore = $data['confidence_breakdown']['final_score'] ?? 0;
+
+    $results = [];
+    foreach ($sets as $set) {
+        $traceable = $set['TFIDF_TRACEABLE'] ?? null;
+        $speculative = $set['TFIDF_SPECULATIVE'] ?? DEFAULT_TRACE_THRESHOLDS['TFIDF_SPECULATIVE'];
+        if (!is_numeric($traceable) || !is_numeric($speculative) || $traceable < 0 || $traceable > 1 || $speculative < 0 || $speculative > $traceable) {
+            jsonError('Each threshold set needs TFIDF_TRACEABLE in [0,1] and TFIDF_SPECULATIVE between 0 and it.', 400);
+        }
+        $thresholds = ['TFIDF_TRACEABLE' => (float)$traceable, 'TFIDF_SPECULATIVE' => (float)$speculative];
+
+        // Re-score against the original vision; no LLM calls are made here
+        $validation = detectDomainDrift($data, $input, $thresholds);
+        $confidence = recomputeConfidence($data, $validation);
+        $flips = [];
+        foreach ($validation['features'] as $feat) {
+            $from = $baseline[$feat['name']] ?? null;
+            if ($from !== null && $from !== $feat['trace_status']) {
+                $flips[] = ['name' => $feat['name'], 'from' => $from, 'to' => $feat['trace_status']];
+            }
+        }
         $results[] = [
-            'threshold' => $t,
-            'domain_consistency' => $simulatedDc,
-            'confidence_delta' => $simulatedScore - $originalScore,
-            'final_score' => $simulatedScore
+            'thresholds' => $thresholds,
+            'threshold' => $thresholds['TFIDF_TRACEABLE'],
+            'domain_consistency' => $validation['domain_consistency_computed'],
+            'confidence_delta' => round($confidence['final_score'] - $originalScore, 2),
+            'final_score' => $confidence['final_score'],
+            'features' => $validation['features'],
+            'flips' => $flips,
+            'judge_unavailable' => 0
         ];
     }
-    logRequest(getClientIp(), 0, 'SUCCESS_SIMULATE');
+    logRequest(getClientIp(), strlen($input), 'SUCCESS_SIMULATE');
     echo json_encode($results);
     exit;
 }
@@ -174,13 +257,20 @@ if ($mode === 'execute-tool') {
     if (!in_array($tool, $toolAllowlist)) {
         jsonError('Unsupported tool.', 400);
     }
+    if (!is_string($prompt) || trim($prompt) === '') {
+        jsonError('Missing prompt.', 400);
+    }
+    $guard = screenPrompt($prompt);
+    if ($guard['verdict'] === 'block') rejectPrompt($guard, strlen($prompt));
+    $redactionMap = [];
+    $redactedPrompt = redactPii($prompt, $redactionMap);
 
     $systemMsg = $toolSystemPrompts[$tool] ?? 'You are a senior technical advisor.';
     $payload = json_encode([
         'model' => 'llama-3.3-70b-versatile',
         'messages' => [
             ['role' => 'system', 'content' => $systemMsg],
-            ['role' => 'user', 'content' => $prompt]
+            ['role' => 'user', 'content' => $redactedPrompt]
         ],
         'temperature' => 0
     ]);
@@ -201,10 +291,10 @@ if ($mode === 'execute-tool') {
 
     if ($httpCode !== 200) jsonError('Groq API Error during tool execution.', 500);
     $env = json_decode($response, true);
-    $toolResponse = $env['choices'][0]['message']['content'] ?? 'No response from model.';
+    $toolResponse = restorePii($env['choices'][0]['message']['content'] ?? 'No response from model.', $redactionMap);
     
     logRequest(getClientIp(), strlen($prompt), 'SUCCESS_TOOL');
-    echo json_encode(['ok' => true, 'tool' => $tool, 'toolResponse' => $toolResponse]);
+    echo json_encode(['ok' => true, 'tool' => $tool, 'toolResponse' => $toolResponse, 'prompt_guard' => $guard, 'redaction' => redactionReport($redactionMap)]);
     exit;
 }
 
@@ -226,6 +316,23 @@ if (strlen($cleanInput) > MAX_INPUT_LENGTH) {
 $ip = getClientIp();
 checkRateLimit($ip);
 
+// Screen the vision and any answers before they reach the model.
+$screened = [$input];
+foreach (is_array($answers) ? $answers : [] as $question => $answer) {
+    $screened[] = (string)$question;
+    $screened[] = is_scalar($answer) ? (string)$answer : json_encode($answer);
+}
+$guard = screenPrompt(implode("\n", $screened));
+if ($guard['verdict'] === 'block') rejectPrompt($guard, strlen($input));
+
+// Only redacted text goes to Groq or into /cache; values are put back in the response.
+$redactionMap = [];
+$redactedInput = redactPii($input, $redactionMap);
+$redactedAnswers = [];
+foreach (is_array($answers) ? $answers : [] as $question => $answer) {
+    $redactedAnswers[redactPii((string)$question, $redactionMap)] = is_scalar($answer) ? redactPii((string)$answer, $redactionMap) : $answer;
+}
+
 // 5. Mode-aware Cache Check
 // For 'generate', we hash input, answers, and intentMode.
 $cacheKey = md5($input . ($mode === 'generate' ? serialize($answers) . $intentMode : ''));
@@ -233,7 +340,7 @@ $cached = getCached($cacheKey);
 if ($cached !== null) {
     logRequest($ip, strlen($input), 'CACHE_HIT');
     header('X-Cache: HIT');
-    echo json_encode($cached);
+    echo json_encode(restoreRedacted($cached, $redactionMap)); // Same input, so the same placeholders
     exit;
 }
 
@@ -242,7 +349,7 @@ $result = null;
 $lastError = null;
 
 for ($attempt = 1; $attempt <= 2; $attempt++) {
-    $rawResponse = callGroq($input, $mode, $answers, $intentMode);
+    $rawResponse = callGroq($redactedInput, $mode, $redactedAnswers, $intentMode);
     
     if ($rawResponse === null) {
         $lastError = 'API_FAILURE';
@@ -268,12 +375,14 @@ for ($attempt = 1; $attempt <= 2; $attempt++) {
             }
 
             // --- v3.3 ADVANCED VALIDATION SUITE ---
-            $validation = detectDomainDrift($parsed, $input);
+            $validation = detectDomainDrift($parsed, $redactedInput);
             $confidence = recomputeConfidence($parsed, $validation);
             
             $parsed['validation_logic'] = $validation;
             $parsed['confidence_breakdown'] = $confidence;
         }
+        $parsed['prompt_guard'] = $guard;
+        $parsed['redaction'] = redactionReport($redactionMap);
         $result = $parsed;
         break;
     } else {
@@ -290,7 +399,7 @@ if ($result === null) {
 // 6. Cache and return successful result.
 saveCache($cacheKey, $result);
 logRequest($ip, strlen($input), 'SUCCESS');
-echo json_encode($result);
+echo json_encode(restoreRedacted($result, $redactionMap));
 exit;
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -596,7 +705,7 @@ function calculateCosineSimilarity(array $vecA, array $vecB): float {
     return $dot / (sqrt($normA) * sqrt($normB));
 }
 
-function detectDomainDrift(array $data, string $userInput): array {
+function detectDomainDrift(array $data, string $userInput, array $thresholds = DEFAULT_TRACE_THRESHOLDS): array {
     $features = $data['core_features'] ?? $data['core_functional_components'] ?? [];
     $inputTokens = tokenize($userInput);
     $inputVector = buildTfIdfVector($inputTokens);
@@ -604,6 +713,7 @@ function detectDomainDrift(array $data, string $userInput): array {
     $traceableCount = 0;
     $driftInstances = [];
     $speculativeFeatures = [];
+    $scored = [];
 
     foreach ($features as &$feat) {
         $desc = $feat['description'] ?? $feat['name'] ?? '';
@@ -611,11 +721,12 @@ function detectDomainDrift(array $data, string $userInput): array {
         $featVector = buildTfIdfVector($featTokens);
         
         $score = calculateCosineSimilarity($inputVector, $featVector);
-        // Using a more lenient threshold for PHP similarity engine to avoid false positives on Speculative
-        $status = $score >= 0.1 ? 'traceable' : ($score >= 0.05 ? 'assumption' : 'speculative');
+        // Lenient default thresholds for the PHP similarity engine to avoid false positives on Speculative
+        $status = $score >= $thresholds['TFIDF_TRACEABLE'] ? 'traceable' : ($score >= $thresholds['TFIDF_SPECULATIVE'] ? 'assumption' : 'speculative');
         
         $feat['trace_score'] = $score;
         $feat['trace_status'] = $status;
+        $scored[] = ['name' => $feat['name'] ?? 'Feature', 'tfidf_score' => round($score, 4), 'trace_status' => $status];
         
         if ($status === 'traceable') $traceableCount++;
         else if ($status === 'speculative') {
@@ -633,7 +744,8 @@ function detectDomainDrift(array $data, string $userInput): array {
         'internal_consistency_check' => empty($driftInstances) ? 'PASS' : 'PARTIAL',
         'domain_consistency_computed' => $consistency,
         'llm_judge_calls' => 0, 
-        'engine' => 'tfidf-php-v1'
+        'engine' => 'tfidf-php-v1',
+        'features' => $scored
     ];
 }
 
@@ -674,3 +786,157 @@ function recomputeConfidence(array $data, array $validation): array {
         'server_computed' => true
     ];
 }
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Prompt-Injection Guard (Ported from prompt-guard.mjs; keep the rule tables in step)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * NFKC-folds (when intl is available), drops invisible characters, maps homoglyphs and
+ * leetspeak inside words, joins spaced-out letters and lower-cases.
+ * Returns [normalised text, whether any obfuscation was found].
+ */
+function normalizeForScreening(string $text): array {
+    if (class_exists('Normalizer')) $text = Normalizer::normalize($text, Normalizer::FORM_KC) ?: $text;
+    $text = preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/', '', $text);
+    $stripped = preg_replace(PROMPT_GUARD_INVISIBLE, '', $text);
+    $obfuscated = $stripped !== $text;
+    $text = mb_strtolower($stripped, 'UTF-8');
+
+    $text = preg_replace_callback('/[\p{L}\p{N}@$]+/u', function ($m) use (&$obfuscated) {
+        $mapped = strtr($m[0], PROMPT_GUARD_HOMOGLYPHS);
+        if ($mapped !== $m[0] && preg_match('/[a-z]/', $m[0])) $obfuscated = true;
+        if (!preg_match('/[a-z]/', $mapped)) return $mapped;
+        return strtr($mapped, ['0' => 'o', '1' => 'i', '3' => 'e', '4' => 'a', '5' => 's', '7' => 't', '@' => 'a', '$' => 's']);
+    }, $text);
+
+    $text = preg_replace_callback('/\b(?:[a-z][ .\-_]){3,}[a-z]\b/', function ($m) use (&$obfuscated) {
+        $obfuscated = true;
+        return preg_replace('/[ .\-_]/', '', $m[0]);
+    }, $text);
+
+    return [preg_replace('/[ \t]+/', ' ', $text), $obfuscated];
+}
+
+/**
+ * Screens user text before it is forwarded to the model.
+ * Returns ['verdict' => allow|warn|block, 'score' => 0-1, 'reasons' => [...], 'classifier' => null].
+ */
+function screenPrompt(string $text): array {
+    [$normalized, $obfuscated] = normalizeForScreening($text);
+    $reasons = [];
+    foreach (PROMPT_GUARD_RULES as [$id, $category, $weight, $pattern]) {
+        if (preg_match($pattern, $normalized, $m)) {
+            $reasons[] = ['rule' => $id, 'category' => $category, 'weight' => $weight, 'match' => mb_substr(trim($m[0]), 0, 80)];
+        }
+    }
+    if ($obfuscated) $reasons[] = ['rule' => 'obfuscation', 'category' => 'obfuscation', 'weight' => 0.35, 'match' => null];
+
+    // Independent signals: 1 - Π(1 - w)
+    $rest = 1.0;
+    foreach ($reasons as $reason) $rest *= 1 - $reason['weight'];
+    $score = round(1 - $rest, 3);
+    $verdict = $score >= PROMPT_GUARD_BLOCK_SCORE ? 'block' : ($score >= PROMPT_GUARD_WARN_SCORE ? 'warn' : 'allow');
+    return ['verdict' => $verdict, 'score' => $score, 'reasons' => $reasons, 'classifier' => null];
+}
+
+/**
+ * Rejects a blocked prompt with the screening result, so the client can see why.
+ */
+function rejectPrompt(array $guard, int $inputLen): void {
+    logRequest(getClientIp(), $inputLen, 'PROMPT_BLOCKED');
+    http_response_code(400);
+    $rules = implode(', ', array_column($guard['reasons'], 'rule'));
+    echo json_encode(['error' => "Input failed prompt-injection screening ({$rules}).", 'prompt_guard' => $guard]);
+    exit;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PII Redaction (Ported from redaction.mjs; keep the detectors in step)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Luhn checksum, so order numbers and timestamps are not taken for card numbers.
+ */
+function luhnValid(string $digits): bool {
+    $sum = 0;
+    for ($i = 0, $n = strlen($digits); $i < $n; $i++) {
+        $d = (int)$digits[$n - 1 - $i];
+        if ($i % 2 === 1) { $d *= 2; if ($d > 9) $d -= 9; }
+        $sum += $d;
+    }
+    return strlen($digits) >= 13 && $sum % 10 === 0;
+}
+
+/**
+ * Replaces detected values in $text with placeholders like [EMAIL_1], recording them in
+ * $map (placeholder => ['type', 'value']). A value keeps its placeholder across calls
+ * sharing the same $map.
+ */
+function redactPii(string $text, array &$map): string {
+    if (!REDACTION_ENABLED || $text === '') return $text;
+    $detectors = REDACTION_DETECTORS;
+    if (REDACT_TERMS) {
+        $terms = REDACT_TERMS;
+        usort($terms, function ($a, $b) { return strlen($b) - strlen($a); });
+        $quoted = array_map(function ($t) { return preg_quote($t, '/'); }, $terms);
+        array_unshift($detectors, ['custom', 'TERM', '/(?<!\w)(?:' . implode('|', $quoted) . ')(?!\w)/i', 0]);
+    }
+
+    foreach ($detectors as [$type, $label, $pattern, $group]) {
+        $text = preg_replace_callback($pattern, function ($m) use ($type, $label, $group, &$map) {
+            $digits = preg_replace('/\D/', '', $m[0]);
+            if ($type === 'card' && !luhnValid($digits)) return $m[0];
+            if ($type === 'phone' && (strlen($digits) < 9 || strlen($digits) > 15 || preg_match('/^\d{4}-\d{2}-\d{2}/', $m[0]))) return $m[0];
+            $value = $m[$group] ?? '';
+            if ($value === '') return $m[0];
+
+            $placeholder = null;
+            $count = 0;
+            foreach ($map as $existing => $entry) {
+                if (strpos($existing, "[{$label}_") === 0) $count++;
+                $same = $type === 'custom' ? strcasecmp($entry['value'], $value) === 0 : $entry['value'] === $value;
+                if ($same && $entry['type'] === $type) $placeholder = $existing;
+            }
+            if ($placeholder === null) {
+                $placeholder = '[' . $label . '_' . ($count + 1) . ']';
+                $map[$placeholder] = ['type' => $type, 'value' => $value];
+            }
+            return str_replace($value, $placeholder, $m[0]);
+        }, $text);
+    }
+    return $text;
+}
+
+/**
+ * Puts the values recorded in $map back into $text. With $json, values are escaped for
+ * use inside a JSON string.
+ */
+function restorePii(string $text, array $map, bool $json = false): string {
+    if (!$map) return $text;
+    return preg_replace_callback('/\[(SECRET|EMAIL|CARD|PHONE|IP|HOST|TERM)_\d+\]/', function ($m) use ($map, $json) {
+        if (!isset($map[$m[0]])) return $m[0];
+        $value = $map[$m[0]]['value'];
+        return $json ? substr(json_encode($value), 1, -1) : $value;
+    }, $text);
+}
+
+/**
+ * A decoded result with the values in $map put back into every string.
+ */
+function restoreRedacted(array $result, array $map): array {
+    return $map ? json_decode(restorePii(json_encode($result), $map, true), true) : $result;
+}
+
+/**
+ * What was redacted, without the values: ['total', 'by_type', 'items' => [['placeholder', 'type']]].
+ */
+function redactionReport(array $map): array {
+    $items = [];
+    $byType = [];
+    foreach ($map as $placeholder => $entry) {
+        $items[] = ['placeholder' => $placeholder, 'type' => $entry['type']];
+        $byType[$entry['type']] = ($byType[$entry['type']] ?? 0) + 1;
+    }
+    return ['total' => count($items), 'by_type' => (object)$byType, 'items' => $items];
+}
@@ -0,0 +1,88 @@
+// ── Re-Prompt v3.3 API Key CLI ───────────────────────────────────────────────
+// npm run keys -- create --name ci --scope validate --scope execute-tool [--quota execute=20] [--budget 5]
+// npm run keys -- list
+// npm run keys -- revoke <id>
+
+import { parseArgs } from 'util';
+import { initDb, isPersistent } from './db.mjs';
+import { createApiKey, listApiKeys, revokeApiKey, DEFAULT_QUOTAS } from './auth.mjs';
+import { API_SCOPES } from './config.mjs';
+
+const USAGE = `Usage:
+  npm run keys -- create --name <name> [--scope <scope>]... [--quota <class>=<per minute>]... [--budget <usd>]
+  npm run keys -- list
+  npm run keys -- revoke <id>
+
+Scopes: ${API_SCOPES.join(', ')} (default: validate; admin implies all)
+Quota classes: ${Object.entries(DEFAULT_QUOTAS).map(([c, n]) => `${c} (default ${n})`).join(', ')}`;
+
+function fail(message) {
+    console.error(`\x1b[31m[KEYS]\x1b[0m ${message}`);
+    process.exit(1);
+}
+
+function parseQuotas(pairs) {
+    return Object.fromEntries(pairs.map(pair => {
+        const [routeClass, perMinute] = pair.split('=');
+        if (!routeClass || perMinute === undefined || !/^\d+$/.test(perMinute)) fail(`Invalid --quota '${pair}'. Expected <class>=<requests per minute>.`);
+        return [routeClass, Number(perMinute)];
+    }));
+}
+
+function printKey(key) {
+    const quotas = Object.entries(key.quotas).map(([c, n]) => `${c}=${n}/min`).join(' ') || 'defaults';
+    const state = key.revoked_at ? `revoked ${key.revoked_at}` : `last used ${key.last_used_at || 'never'}`;
+    console.log(`${key.id}  ${key.name}  [${key.scopes.join(', ')}]  quotas: ${quotas}  budget: ${key.budget_usd ?? 'default'}  created ${key.created_at}  ${state}`);
+}
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        name: { type: 'string' },
+        scope: { type: 'string', multiple: true },
+        quota: { type: 'string', multiple: true },
+        budget: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    }
+});
+const [command, id] = positionals;
+
+if (values.help || !command) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+}
+
+initDb();
+if (!isPersistent()) fail('API keys need SQLite (npm install better-sqlite3); keys created now would be lost when this command exits.');
+
+try {
+    switch (command) {
+        case 'create': {
+            const key = createApiKey({
+                name: values.name,
+                scopes: values.scope || ['validate'],
+                quotas: parseQuotas(values.quota || []),
+                budget_usd: values.budget === undefined ? null : Number(values.budget)
+            });
+            printKey(key);
+            console.log(`\nKey (shown once, store it now):\n${key.key}`);
+            break;
+        }
+        case 'list': {
+            const keys = listApiKeys();
+            if (keys.length === 0) console.log('No API keys.');
+            keys.forEach(printKey);
+            break;
+        }
+        case 'revoke':
+            if (!id) fail('revoke needs a key id (see `npm run keys -- list`).');
+            if (!revokeApiKey(id)) fail(`No active key '${id}'.`);
+            console.log(`Revoked ${id}.`);
+            break;
+        default:
+            fail(`Unknown command '${command}'.\n\n${USAGE}`);
+    }
+} catch (err) {
+    if (err instanceof RangeError) fail(err.message);
+    throw err;
+}
@@ -0,0 +1,182 @@
+// ── Re-Prompt v3.3 Audit Log Queries & Retention ─────────────────────────────
+// Turns /api/logs query strings into db.mjs filters, pages through the matches with an
+// opaque cursor and renders them as CSV or NDJSON for export. Retention deletes entries
+// older than AUDIT.RETENTION_DAYS, archiving them first when asked to. Everything reads
+// through the active audit store (audit-store.mjs) unless given another.
+
+import { AUDIT } from './config.mjs';
+import { sqliteTime } from './db.mjs';
+import { getAuditStore } from './audit-store.mjs';
+import { inc } from './metrics.mjs';
+import { structuredLog } from './utils.mjs';
+
+export const AUDIT_FIELDS = ['id', 'correlation_id', 'tool', 'prompt_hash', 'duration_ms', 'status', 'engine_version', 'engine_build_hash', 'created_at', 'trace_data'];
+export const DEFAULT_AUDIT_FIELDS = ['id', 'correlation_id', 'tool', 'status', 'duration_ms', 'engine_version', 'created_at'];
+
+export const AUDIT_EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const EXPORT_PAGE = 500;
+
+/**
+ * |value| as a stored timestamp. A bare date is the start of that day, or its last second
+ * with |endOfDay|, so ?to=2026-03-15 includes the whole day.
+ */
+function parseTime(value, name, endOfDay = false) {
+    const dateOnly = DATE_ONLY.test(value);
+    const ms = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(ms)) throw new RangeError(`Invalid ${name} '${value}'. Use YYYY-MM-DD or an ISO 8601 timestamp.`);
+    return sqliteTime(new Date(dateOnly && endOfDay ? ms + 86399000 : ms));
+}
+
+export function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify([entry.created_at, entry.id])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+    try {
+        const [created_at, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof created_at === 'string' && typeof id === 'string') return { created_at, id };
+    } catch (_) { }
+    throw new RangeError('Invalid cursor.');
+}
+
+/**
+ * Parses /api/logs query parameters into { filters, fields, limit, cursor }: tool, status,
+ * engine_version and correlation_id match exactly; from and to take YYYY-MM-DD or ISO
+ * timestamps; min_score and max_score bound trace_data.final_score; fields is a
+ * comma-separated subset of AUDIT_FIELDS. Throws RangeError on bad input.
+ */
+export function parseAuditQuery(params = {}) {
+    const filters = {};
+    for (const name of ['tool', 'engine_version', 'correlation_id']) {
+        if (params[name]) filters[name] = String(params[name]);
+    }
+    if (params.status) {
+        filters.status = Number(params.status);
+        if (!Number.isInteger(filters.status)) throw new RangeError(`Invalid status '${params.status}'. Expected an HTTP status code.`);
+    }
+    if (params.from) filters.from = parseTime(params.from, 'from');
+    if (params.to) filters.to = parseTime(params.to, 'to', true);
+    if (filters.from && filters.to && filters.from > filters.to) throw new RangeError('"from" must not be after "to".');
+    for (const name of ['min_score', 'max_score']) {
+        if (params[name] === undefined || params[name] === '') continue;
+        filters[name] = Number(params[name]);
+        if (!Number.isFinite(filters[name])) throw new RangeError(`Invalid ${name} '${params[name]}'. Expected a number.`);
+    }
+
+    const fields = params.fields ? String(params.fields).split(',').map(f => f.trim()).filter(Boolean) : DEFAULT_AUDIT_FIELDS;
+    const unknown = fields.filter(f => !AUDIT_FIELDS.includes(f));
+    if (unknown.length || fields.length === 0) throw new RangeError(`Unknown fields '${unknown.join(', ')}'. Expected ${AUDIT_FIELDS.join(', ')}.`);
+
+    const limit = params.limit ? Number(params.limit) : AUDIT.PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT.MAX_PAGE_SIZE) throw new RangeError(`limit must be an integer from 1 to ${AUDIT.MAX_PAGE_SIZE}.`);
+
+    return { filters, fields, limit, cursor: params.cursor ? decodeCursor(String(params.cursor)) : null };
+}
+
+const pick = (entry, fields) => Object.fromEntries(fields.map(f => [f, entry[f] ?? null]));
+
+/**
+ * One page for GET /api/logs: { count, recent, next_cursor }. |count| is every match, not
+ * just this page; |next_cursor| is null on the last page.
+ */
+export async function queryAuditPage(params, store = getAuditStore()) {
+    const { filters, fields, limit, cursor } = parseAuditQuery(params);
+    const rows = await store.query({ ...filters, after: cursor }, limit + 1);
+    const page = rows.slice(0, limit);
+    return {
+        count: await store.count(filters),
+        recent: page.map(entry => pick(entry, fields)),
+        next_cursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+/**
+ * A CSV cell. Objects are JSON; cells that a spreadsheet would run as a formula are
+ * prefixed with a quote.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Prepares GET /api/logs/export: every entry matching |params| (limit and cursor are
+ * ignored) as |params.format| csv or ndjson, newest first, up to AUDIT.EXPORT_MAX_ROWS.
+ * Validates eagerly, then |chunks()| yields the body a page at a time.
+ */
+export function createAuditExport(params = {}, store = getAuditStore()) {
+    const format = params.format || 'ndjson';
+    if (!AUDIT_EXPORT_FORMATS[format]) throw new RangeError(`Unsupported format '${format}'. Expected ${Object.keys(AUDIT_EXPORT_FORMATS).join(' or ')}.`);
+    const { filters, fields } = parseAuditQuery({ ...params, limit: undefined, cursor: undefined });
+
+    async function* chunks() {
+        if (format === 'csv') yield `${fields.join(',')}\r\n`;
+        let after = null;
+        for (let sent = 0; sent < AUDIT.EXPORT_MAX_ROWS;) {
+            const rows = await store.query({ ...filters, after }, Math.min(EXPORT_PAGE, AUDIT.EXPORT_MAX_ROWS - sent));
+            if (rows.length === 0) return;
+            yield rows.map(entry => format === 'csv'
+                ? `${fields.map(f => csvCell(entry[f])).join(',')}\r\n`
+                : `${JSON.stringify(pick(entry, fields))}\n`).join('');
+            sent += rows.length;
+            after = { created_at: rows[rows.length - 1].created_at, id: rows[rows.length - 1].id };
+        }
+    }
+
+    return {
+        contentType: AUDIT_EXPORT_FORMATS[format].contentType,
+        filename: `audit-logs-${new Date().toISOString().slice(0, 10)}.${AUDIT_EXPORT_FORMATS[format].extension}`,
+        chunks
+    };
+}
+
+/**
+ * Applies the retention policy once. Entries created more than |days| ago are deleted;
+ * with |mode| 'archive' they are first copied to |archiveDir| (NDJSON, or the store's own
+ * files for jsonl), so a failed write leaves them in place. Resolves to the number of
+ * entries removed.
+ */
+export async function applyAuditRetention({
+    days = AUDIT.RETENTION_DAYS,
+    mode = AUDIT.RETENTION_MODE,
+    archiveDir = AUDIT.ARCHIVE_DIR,
+    now = new Date(),
+    store = getAuditStore()
+} = {}) {
+    if (!(days > 0)) return 0;
+    const before = sqliteTime(new Date(now.getTime() - days * 86400000));
+    const removed = await store.retire(before, { mode, archiveDir, now });
+    if (removed > 0) inc('audit_entries_retired', { mode }, removed);
+    return removed;
+}
+
+/**
+ * Runs applyAuditRetention() every |intervalMs|. sweep() runs it now; failures are
+ * logged and retried on the next run.
+ */
+export function createAuditRetention({ intervalMs = AUDIT.SWEEP_INTERVAL_MS, ...options } = {}) {
+    const retention = {
+        async sweep() {
+            try {
+                const removed = await applyAuditRetention(options);
+                if (removed > 0) structuredLog('INFO', 'Applied audit log retention', { removed, mode: options.mode || AUDIT.RETENTION_MODE });
+                return removed;
+            } catch (err) {
+                structuredLog('ERROR', 'Audit log retention failed', { error: err.message });
+                return 0;
+            }
+        },
+
+        close: () => clearInterval(timer)
+    };
+    const timer = intervalMs > 0 ? setInterval(() => retention.sweep(), intervalMs) : null;
+    timer?.unref(); // Never keeps the process alive
+    return retention;
+}
@@ -0,0 +1,529 @@
+// ── Re-Prompt v3.3 Audit Storage ─────────────────────────────────────────────
+// Audit entries live in one backend picked by AUDIT.STORE: sqlite (the db.mjs database),
+// jsonl (append-only files, one per day, rotated by size) or postgres. Every adapter has
+// the same async interface and the query semantics of db.mjs, including cursor order, and
+// also keeps the full spec of each synthesis entry for /api/export/:id.
+// With FEATURES.PERSIST_AUDIT on, a backend that cannot persist is an error at startup,
+// and a write that fails is an error for the request, rather than a silent fall back to memory.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { AUDIT, FEATURES } from './config.mjs';
+import {
+    isPersistent, insertAuditLog, mergeAuditTrace, getAuditLog, queryAuditLogs, countAuditLogs,
+    listAuditLogsBefore, deleteAuditLogs, pruneAuditLogs, insertSynthesis, getSynthesis, auditMatches, newestFirst, sqliteTime
+} from './db.mjs';
+import { structuredLog } from './utils.mjs';
+
+const RETIRE_BATCH = 500;
+
+/**
+ * Archives entries created before a cutoff in batches: |list(limit)| returns the oldest,
+ * which are appended to |archiveDir|/audit-YYYY-MM-DD.ndjson (the day of the run) and only
+ * then passed to |remove(ids)|. Returns the number removed.
+ */
+async function archiveInBatches({ archiveDir, now }, list, remove) {
+    const file = path.join(archiveDir, `audit-${now.toISOString().slice(0, 10)}.ndjson`);
+    let removed = 0;
+    for (let rows; (rows = await list(RETIRE_BATCH)).length > 0;) {
+        fs.mkdirSync(archiveDir, { recursive: true });
+        fs.appendFileSync(file, rows.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        const deleted = await remove(rows.map(entry => entry.id));
+        if (deleted === 0) throw new Error('Archived audit entries could not be deleted.');
+        removed += deleted;
+    }
+    return removed;
+}
+
+/**
+ * The db.mjs audit table: SQLite when better-sqlite3 is installed, otherwise its
+ * in-memory window (|persistent| false). With |strict|, a failed SQLite write rejects
+ * instead of landing in that window.
+ */
+export function createDbAuditStore({ strict = FEATURES.PERSIST_AUDIT } = {}) {
+    return {
+        name: isPersistent() ? 'sqlite' : 'memory',
+        persistent: isPersistent(),
+        insert: async (entry) => insertAuditLog(entry, { strict }),
+        mergeTrace: async (id, patch) => mergeAuditTrace(id, patch, { strict }),
+        get: async (id) => getAuditLog(id),
+        query: async (filters, limit) => queryAuditLogs(filters, limit),
+        count: async (filters) => countAuditLogs(filters),
+        insertSynthesis: async (id, spec) => insertSynthesis(id, spec, { strict }),
+        getSynthesis: async (id) => getSynthesis(id),
+        async retire(before, { mode, archiveDir, now }) {
+            if (mode !== 'archive') return pruneAuditLogs(before);
+            return archiveInBatches({ archiveDir, now }, async (limit) => listAuditLogsBefore(before, limit), async (ids) => deleteAuditLogs(ids));
+        },
+        close: async () => { }
+    };
+}
+
+// ── JSONL ─────────────────────────────────────────────────────────────────────
+// Entries are appended to audit-YYYY-MM-DD.jsonl for the day they were created, with
+// trace updates as { "merge": id, "trace_data": patch } lines and stored specs as
+// { "synthesis": id, "spec": … } lines next to them. A file past |maxBytes| continues in
+// audit-YYYY-MM-DD.1.jsonl, .2 and so on, and retention removes whole days.
+// Nothing but the tail of each day and the days of recent ids is held in memory: a query
+// reads days newest first, one at a time, and stops once it has |limit| entries, so its
+// memory is bounded by the busiest day it reads. Counts are memoised per day and filter
+// until that day is written to again. Lookups by id (get, merges, specs) find the day in
+// ids/, an id → day index split into 256 buckets by hash, and then read that day only.
+
+const JSONL_FILE = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const RECENT_IDS = 1000; // ids whose day is remembered, so trace merges need no search
+const COUNTS_PER_DAY = 32; // memoised filter counts per day
+const SYNTHESIS_PREFIX = '{"synthesis":';
+const INDEX_DIR = 'ids';
+
+/** The index bucket for |id|, picked by hash so ids of any format spread evenly. */
+const indexBucket = (id) => `${crypto.createHash('sha1').update(String(id)).digest('hex').slice(0, 2)}.idx`;
+
+function jsonlSegments(dir) {
+    return fs.readdirSync(dir)
+        .map(name => name.match(JSONL_FILE))
+        .filter(Boolean)
+        .map(([name, day, part]) => ({ name, day, part: Number(part || 0) }))
+        .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+}
+
+/**
+ * The segments in |dir| grouped by day, newest day first: [[day, segments], …].
+ */
+function jsonlDays(dir) {
+    const days = new Map();
+    for (const segment of jsonlSegments(dir)) days.set(segment.day, [...(days.get(segment.day) || []), segment]);
+    return [...days].reverse();
+}
+
+/**
+ * False when no entry of |day| can match |filters| (from, to and the cursor).
+ */
+function dayInRange(day, { from, to, after }) {
+    if (from && day < from.slice(0, 10)) return false;
+    if (to && day > to.slice(0, 10)) return false;
+    return !after || day <= after.created_at.slice(0, 10);
+}
+
+/**
+ * Builds the id → day index for a store written before it had one, one segment at a time.
+ * It is assembled beside |indexDir| and renamed into place, so a crash leaves no half index.
+ */
+function buildJsonlIndex(dir, indexDir) {
+    const building = `${indexDir}.building`;
+    fs.rmSync(building, { recursive: true, force: true });
+    fs.mkdirSync(building);
+    for (const segment of jsonlSegments(dir)) {
+        const buckets = new Map();
+        for (const line of fs.readFileSync(path.join(dir, segment.name), 'utf8').split('\n')) {
+            if (!line.trim() || line.startsWith(SYNTHESIS_PREFIX)) continue;
+            let record;
+            try { record = JSON.parse(line); } catch (_) { continue; }
+            if (!record.id) continue;
+            const bucket = indexBucket(record.id);
+            buckets.set(bucket, `${buckets.get(bucket) || ''}${segment.day} ${record.id}\n`);
+        }
+        for (const [bucket, lines] of buckets) fs.appendFileSync(path.join(building, bucket), lines);
+    }
+    fs.renameSync(building, indexDir);
+}
+
+function moveFile(from, to) {
+    try {
+        fs.renameSync(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        fs.copyFileSync(from, to);
+        fs.unlinkSync(from);
+    }
+}
+
+/**
+ * Opens (creating if needed) the JSONL store in |dir|. Throws when the directory is not
+ * writable. Unreadable lines, such as one cut short by a crash, are skipped with a warning.
+ */
+export function createJsonlAuditStore({ dir = AUDIT.JSONL_DIR, maxBytes = AUDIT.JSONL_MAX_BYTES } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+
+    const tails = new Map(); // day → { name, part, bytes } of the segment being appended to
+    for (const segment of jsonlSegments(dir)) tails.set(segment.day, { ...segment, bytes: fs.statSync(path.join(dir, segment.name)).size });
+    const indexDir = path.join(dir, INDEX_DIR);
+    if (!fs.existsSync(indexDir)) buildJsonlIndex(dir, indexDir);
+    const recent = new Map(); // id → day, for the last RECENT_IDS entries inserted
+    const counts = new Map(); // day → Map(filter key → count)
+    const writes = new Map(); // day → appends so far, so a count read during one is not memoised
+    const warned = new Set(); // segments already reported for unreadable lines
+
+    function append(day, record) {
+        const line = `${JSON.stringify(record)}\n`;
+        let tail = tails.get(day) || { name: `audit-${day}.jsonl`, day, part: 0, bytes: 0 };
+        if (tail.bytes > 0 && tail.bytes + Buffer.byteLength(line) > maxBytes) {
+            const part = tail.part + 1;
+            tail = { name: `audit-${day}.${part}.jsonl`, day, part, bytes: 0 };
+        }
+        fs.appendFileSync(path.join(dir, tail.name), line);
+        tail.bytes += Buffer.byteLength(line);
+        tails.set(day, tail);
+        counts.delete(day);
+        writes.set(day, (writes.get(day) || 0) + 1);
+    }
+
+    function remember(id, day) {
+        recent.delete(id);
+        recent.set(id, day);
+        if (recent.size > RECENT_IDS) recent.delete(recent.keys().next().value);
+    }
+
+    /** Yields the records of one segment, line by line; spec lines only when |specs|. */
+    async function* readSegment(segment, specs) {
+        const lines = readline.createInterface({ input: fs.createReadStream(path.join(dir, segment.name)), crlfDelay: Infinity });
+        let skipped = 0;
+        for await (const line of lines) {
+            if (!line.trim() || (!specs && line.startsWith(SYNTHESIS_PREFIX))) continue;
+            try { yield JSON.parse(line); } catch (_) { skipped++; }
+        }
+        if (skipped > 0 && !warned.has(segment.name)) {
+            warned.add(segment.name);
+            structuredLog('WARN', 'Skipped unreadable audit JSONL lines', { dir, file: segment.name, skipped });
+        }
+    }
+
+    /**
+     * The entries of one day accepted by |keep|, with trace updates applied. |keep| may
+     * only look at fields updates cannot change, i.e. not trace_data.
+     */
+    async function readDay(segments, keep) {
+        const entries = new Map();
+        for (const segment of segments) {
+            for await (const record of readSegment(segment, false)) {
+                if (record.merge) {
+                    const entry = entries.get(record.merge);
+                    if (entry) entry.trace_data = { ...entry.trace_data, ...record.trace_data };
+                } else if (record.id) {
+                    if (keep(record)) entries.set(record.id, record);
+                    else entries.delete(record.id);
+                }
+            }
+        }
+        return [...entries.values()];
+    }
+
+    /** Entries of one day matching |filters|, newest first. */
+    async function matchingDay(segments, filters) {
+        const { min_score, max_score, ...fixed } = filters;
+        const entries = await readDay(segments, entry => auditMatches(entry, fixed));
+        return entries.filter(entry => auditMatches(entry, filters)).sort(newestFirst);
+    }
+
+    /**
+     * The day holding |id|: remembered for recent inserts, else read from its index bucket
+     * (the last line for the id wins, and days since retired do not count).
+     */
+    async function dayOf(id) {
+        const known = recent.get(id);
+        if (known) return known;
+        let text;
+        try {
+            text = await fs.promises.readFile(path.join(indexDir, indexBucket(id)), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+        let day = null;
+        for (const line of text.split('\n')) if (line.slice(11) === String(id)) day = line.slice(0, 10);
+        return day && tails.has(day) ? day : null;
+    }
+
+    async function getEntry(id) {
+        const day = await dayOf(id);
+        if (!day) return null;
+        const segments = jsonlSegments(dir).filter(segment => segment.day === day);
+        return (await readDay(segments, entry => entry.id === id))[0] || null;
+    }
+
+    return {
+        name: 'jsonl',
+        persistent: true,
+
+        async insert(entry) {
+            const stored = { ...entry, created_at: entry.created_at || sqliteTime() };
+            const day = stored.created_at.slice(0, 10);
+            // Indexed first: a crash in between leaves an index line that finds nothing, not a lost entry
+            fs.appendFileSync(path.join(indexDir, indexBucket(stored.id)), `${day} ${stored.id}\n`);
+            append(day, stored);
+            remember(stored.id, day);
+        },
+
+        async mergeTrace(id, patch) {
+            const day = await dayOf(id);
+            if (!day) return false;
+            append(day, { merge: id, trace_data: patch });
+            return true;
+        },
+
+        get: getEntry,
+
+        async query(filters = {}, limit = AUDIT.PAGE_SIZE) {
+            const rows = [];
+            for (const [day, segments] of jsonlDays(dir)) {
+                if (rows.length >= limit) break;
+                if (!dayInRange(day, filters)) continue;
+                rows.push(...(await matchingDay(segments, filters)).slice(0, limit - rows.length));
+            }
+            return rows;
+        },
+
+        async count(filters = {}) {
+            const { after, ...rest } = filters;
+            const key = JSON.stringify(rest);
+            let total = 0;
+            for (const [day, segments] of jsonlDays(dir)) {
+                if (!dayInRange(day, rest)) continue;
+                let n = counts.get(day)?.get(key);
+                if (n === undefined) {
+                    const before = writes.get(day);
+                    n = (await matchingDay(segments, rest)).length;
+                    if (writes.get(day) === before) {
+                        const memo = counts.get(day) || new Map();
+                        if (memo.size >= COUNTS_PER_DAY) memo.delete(memo.keys().next().value);
+                        counts.set(day, memo.set(key, n));
+                    }
+                }
+                total += n;
+            }
+            return total;
+        },
+
+        async insertSynthesis(id, spec) {
+            const day = await dayOf(id);
+            if (!day) throw new Error(`No audit entry '${id}' to store a synthesis for.`);
+            append(day, { synthesis: id, spec });
+        },
+
+        async getSynthesis(id) {
+            const day = await dayOf(id);
+            if (!day) return null;
+            let spec = null;
+            for (const segment of jsonlSegments(dir).filter(s => s.day === day)) {
+                for await (const record of readSegment(segment, true)) {
+                    if (record.synthesis === id) spec = record.spec;
+                }
+            }
+            return spec;
+        },
+
+        /**
+         * Removes the files of days wholly before |before|'s day (moved to |archiveDir| in
+         * archive mode); entries from earlier that same day stay until the next run after it.
+         */
+        async retire(before, { mode, archiveDir }) {
+            const cutoffDay = before.slice(0, 10);
+            if (mode === 'archive') fs.mkdirSync(archiveDir, { recursive: true });
+            let removed = 0;
+            for (const [day, segments] of jsonlDays(dir)) {
+                if (day >= cutoffDay) continue;
+                removed += (await readDay(segments, () => true)).length;
+                for (const segment of segments) {
+                    const file = path.join(dir, segment.name);
+                    if (mode === 'archive') moveFile(file, path.join(archiveDir, segment.name));
+                    else fs.unlinkSync(file);
+                }
+                tails.delete(day);
+                counts.delete(day);
+            }
+            for (const [id, day] of recent) if (day < cutoffDay) recent.delete(id);
+            // Synchronous, so no insert can append to a bucket between its read and rewrite
+            if (removed > 0) for (const name of fs.readdirSync(indexDir)) {
+                const file = path.join(indexDir, name);
+                const kept = fs.readFileSync(file, 'utf8').split('\n').filter(line => line && line.slice(0, 10) >= cutoffDay);
+                fs.writeFileSync(file, kept.map(line => `${line}\n`).join(''));
+            }
+            return removed;
+        },
+
+        close: async () => { }
+    };
+}
+
+// ── PostgreSQL ────────────────────────────────────────────────────────────────
+// Uses the optional `pg` package. created_at is stored to the second and read back in
+// db.mjs's UTC text format; ids compare bytewise (COLLATE "C") so cursors match the other
+// stores. Specs go to audit_syntheses and are deleted with their entry. The tables are
+// created on open if they do not exist.
+
+const PG_COLUMNS = `id, correlation_id, tool, prompt_hash, duration_ms, status, engine_version, engine_build_hash, trace_data,
+    to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS') AS created_at`;
+
+const PG_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS audit_logs (
+        id TEXT PRIMARY KEY,
+        correlation_id TEXT,
+        tool TEXT,
+        prompt_hash TEXT,
+        duration_ms INTEGER,
+        status INTEGER,
+        engine_version TEXT,
+        engine_build_hash TEXT,
+        trace_data JSONB,
+        created_at TIMESTAMPTZ(0) NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_logs (created_at DESC, id COLLATE "C" DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_correlation ON audit_logs (correlation_id);
+    CREATE TABLE IF NOT EXISTS audit_syntheses (
+        log_id TEXT PRIMARY KEY REFERENCES audit_logs (id) ON DELETE CASCADE,
+        spec JSONB NOT NULL
+    );
+`;
+
+function pgWhere(filters) {
+    const clauses = [];
+    const params = [];
+    const param = (value) => { params.push(value); return `$${params.length}`; };
+    const time = (value) => `(${param(value)}::timestamp AT TIME ZONE 'UTC')`;
+    for (const field of ['tool', 'status', 'engine_version', 'correlation_id']) {
+        if (filters[field] !== undefined) clauses.push(`${field} = ${param(filters[field])}`);
+    }
+    if (filters.from) clauses.push(`created_at >= ${time(filters.from)}`);
+    if (filters.to) clauses.push(`created_at <= ${time(filters.to)}`);
+    if (filters.min_score !== undefined) clauses.push(`(trace_data->>'final_score')::float8 >= ${param(filters.min_score)}`);
+    if (filters.max_score !== undefined) clauses.push(`(trace_data->>'final_score')::float8 <= ${param(filters.max_score)}`);
+    if (filters.after) {
+        const at = time(filters.after.created_at);
+        clauses.push(`(created_at < ${at} OR (created_at = ${at} AND id COLLATE "C" < ${param(filters.after.id)}))`);
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params, param };
+}
+
+/**
+ * Connects to |url| and ensures the table exists. Throws when `pg` is missing or the
+ * server cannot be reached. |Pool| replaces pg.Pool.
+ */
+export async function createPostgresAuditStore({ url = AUDIT.POSTGRES_URL, Pool = null } = {}) {
+    if (!url) throw new Error('AUDIT_STORE=postgres needs AUDIT_POSTGRES_URL (or DATABASE_URL).');
+    if (!Pool) {
+        try {
+            const pg = await import('pg');
+            Pool = (pg.default || pg).Pool;
+        } catch (_) {
+            throw new Error('AUDIT_STORE=postgres needs the pg package (npm install pg).');
+        }
+    }
+    const pool = new Pool({ connectionString: url, max: 5 });
+    try {
+        await pool.query(PG_SCHEMA);
+    } catch (err) {
+        await pool.end().catch(() => { });
+        throw new Error(`Cannot open the Postgres audit store: ${err.message}`);
+    }
+
+    const list = async (filters, limit) => {
+        const { where, params, param } = pgWhere(filters);
+        const { rows } = await pool.query(`SELECT ${PG_COLUMNS} FROM audit_logs ${where} ORDER BY created_at DESC, id COLLATE "C" DESC LIMIT ${param(limit)}`, params);
+        return rows;
+    };
+
+    return {
+        name: 'postgres',
+        persistent: true,
+
+        async insert(entry) {
+            await pool.query(`
+                INSERT INTO audit_logs (id, correlation_id, tool, prompt_hash, duration_ms, status, engine_version, engine_build_hash, trace_data, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::timestamp AT TIME ZONE 'UTC', now()))
+                ON CONFLICT (id) DO UPDATE SET correlation_id = EXCLUDED.correlation_id, tool = EXCLUDED.tool, prompt_hash = EXCLUDED.prompt_hash,
+                    duration_ms = EXCLUDED.duration_ms, status = EXCLUDED.status, engine_version = EXCLUDED.engine_version,
+                    engine_build_hash = EXCLUDED.engine_build_hash, trace_data = EXCLUDED.trace_data
+            `, [
+                entry.id, entry.correlation_id || '', entry.tool || 'synthesis', entry.prompt_hash || '', entry.duration_ms || 0,
+                entry.status || 200, entry.engine_version || '', entry.engine_build_hash || '', JSON.stringify(entry.trace_data || {}),
+                entry.created_at || null
+            ]);
+        },
+
+        async mergeTrace(id, patch) {
+            const { rowCount } = await pool.query("UPDATE audit_logs SET trace_data = COALESCE(trace_data, '{}'::jsonb) || $2::jsonb WHERE id = $1", [id, JSON.stringify(patch)]);
+            return rowCount > 0;
+        },
+
+        async get(id) {
+            const { rows } = await pool.query(`SELECT ${PG_COLUMNS} FROM audit_logs WHERE id = $1`, [id]);
+            return rows[0] || null;
+        },
+
+        query: (filters = {}, limit = AUDIT.PAGE_SIZE) => list(filters, limit),
+
+        async count(filters = {}) {
+            const { where, params } = pgWhere({ ...filters, after: undefined });
+            const { rows } = await pool.query(`SELECT COUNT(*)::int AS n FROM audit_logs ${where}`, params);
+            return rows[0].n;
+        },
+
+        async insertSynthesis(id, spec) {
+            await pool.query(`
+                INSERT INTO audit_syntheses (log_id, spec) VALUES ($1, $2)
+                ON CONFLICT (log_id) DO UPDATE SET spec = EXCLUDED.spec
+            `, [id, JSON.stringify(spec)]);
+        },
+
+        async getSynthesis(id) {
+            const { rows } = await pool.query('SELECT spec FROM audit_syntheses WHERE log_id = $1', [id]);
+            return rows[0]?.spec ?? null;
+        },
+
+        async retire(before, { mode, archiveDir, now }) {
+            const cutoff = "($1::timestamp AT TIME ZONE 'UTC')";
+            if (mode !== 'archive') return (await pool.query(`DELETE FROM audit_logs WHERE created_at < ${cutoff}`, [before])).rowCount;
+            return archiveInBatches({ archiveDir, now },
+                async (limit) => (await pool.query(`SELECT ${PG_COLUMNS} FROM audit_logs WHERE created_at < ${cutoff} ORDER BY created_at, id COLLATE "C" LIMIT $2`, [before, limit])).rows,
+                async (ids) => (await pool.query('DELETE FROM audit_logs WHERE id = ANY($1)', [ids])).rowCount);
+        },
+
+        close: () => pool.end()
+    };
+}
+
+// ── Active Store ──────────────────────────────────────────────────────────────
+
+let active = null;
+
+/**
+ * Opens |backend| and makes it the store getAuditStore() returns. With |persist|, a
+ * backend that cannot persist (including sqlite without better-sqlite3) throws; without
+ * it, a failure is logged and the db.mjs store is used instead. An unknown backend always
+ * throws.
+ */
+export async function openAuditStore({ backend = AUDIT.STORE, persist = FEATURES.PERSIST_AUDIT } = {}) {
+    if (!['sqlite', 'jsonl', 'postgres'].includes(backend)) throw new Error(`Unknown AUDIT_STORE '${backend}'. Expected sqlite, jsonl or postgres.`);
+    let store;
+    try {
+        switch (backend) {
+            case 'sqlite':
+                store = createDbAuditStore({ strict: persist });
+                if (!store.persistent) throw new Error('AUDIT_STORE=sqlite needs better-sqlite3 (npm install better-sqlite3), or a working re-prompt.db.');
+                break;
+            case 'jsonl':
+                store = createJsonlAuditStore();
+                break;
+            case 'postgres':
+                store = await createPostgresAuditStore();
+                break;
+        }
+    } catch (err) {
+        if (persist) throw err;
+        console.warn(`\x1b[33m[AUDIT]\x1b[0m ${err.message} Audit entries are kept in ${isPersistent() ? 'SQLite' : 'memory'} instead (PERSIST_AUDIT=off).`);
+        store = createDbAuditStore({ strict: false });
+    }
+    await active?.close();
+    active = store;
+    return store;
+}
+
+/**
+ * The store opened by openAuditStore(), or the db.mjs store before that.
+ */
+export function getAuditStore() {
+    return active || (active = createDbAuditStore());
+}
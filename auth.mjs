@@ -0,0 +1,145 @@
+// ── Re-Prompt v3.3 API Keys ──────────────────────────────────────────────────
+// Callers authenticate with `Authorization: Bearer rp_<id>_<secret>` (or X-API-Key).
+// Only a SHA-256 of each key is stored: the id half finds the row and the hashes are
+// compared in constant time. Keys carry scopes and per-minute quotas by route class.
+
+import crypto from 'crypto';
+import { AUTH, API_SCOPES, RATE_LIMITS } from './config.mjs';
+import {
+    insertApiKey, getApiKey, listApiKeys as listApiKeyRows, revokeApiKey as revokeApiKeyRow, touchApiKey
+} from './db.mjs';
+
+const KEY_PATTERN = /^rp_([a-f0-9]{12})_[A-Za-z0-9_-]{32}$/;
+
+// Requests per minute by route class, for anonymous callers and keys without their own quota
+export const DEFAULT_QUOTAS = {
+    analyze: RATE_LIMITS.ANALYZE_MIN,
+    validate: RATE_LIMITS.VALIDATE_MIN,
+    session: RATE_LIMITS.VALIDATE_MIN,
+    simulate: RATE_LIMITS.VALIDATE_MIN,
+    execute: RATE_LIMITS.EXECUTE_MIN,
+    read: RATE_LIMITS.READ_MIN
+};
+
+export function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function hashesEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function validateScopes(scopes) {
+    const list = [...new Set(scopes)];
+    const unknown = list.filter(s => !API_SCOPES.includes(s));
+    if (unknown.length) throw new RangeError(`Unknown scope '${unknown.join(', ')}'. Expected ${API_SCOPES.join(', ')}.`);
+    if (list.length === 0) throw new RangeError('A key needs at least one scope.');
+    return list;
+}
+
+function validateQuotas(quotas) {
+    for (const [routeClass, perMinute] of Object.entries(quotas)) {
+        if (!(routeClass in DEFAULT_QUOTAS)) throw new RangeError(`Unknown quota '${routeClass}'. Expected ${Object.keys(DEFAULT_QUOTAS).join(', ')}.`);
+        if (!Number.isInteger(perMinute) || perMinute < 0) throw new RangeError(`Quota '${routeClass}' must be a whole number of requests per minute.`);
+    }
+    return { ...quotas };
+}
+
+/**
+ * Creates a key and returns its record with the plaintext |key|, which is not
+ * stored and cannot be shown again. Invalid scopes or quotas throw RangeError.
+ */
+export function createApiKey({ name, scopes = ['validate'], quotas = {}, budget_usd = null } = {}, now = new Date()) {
+    if (typeof name !== 'string' || !name.trim()) throw new RangeError('A key needs a name.');
+    if (budget_usd !== null && !(Number.isFinite(budget_usd) && budget_usd >= 0)) throw new RangeError('Budget must be a non-negative amount in USD.');
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `rp_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const row = {
+        id,
+        name: name.trim(),
+        key_hash: hashKey(key),
+        scopes: validateScopes(scopes),
+        quotas: validateQuotas(quotas),
+        budget_usd,
+        created_at: now.toISOString(),
+        last_used_at: null,
+        revoked_at: null
+    };
+    insertApiKey(row);
+    const { key_hash, ...record } = row;
+    return { ...record, key };
+}
+
+export function listApiKeys() {
+    return listApiKeyRows();
+}
+
+/**
+ * Returns false when |id| is unknown or already revoked.
+ */
+export function revokeApiKey(id, now = new Date()) {
+    return revokeApiKeyRow(id, now.toISOString());
+}
+
+function credentialFrom(headers) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(String(headers.authorization || ''));
+    return bearer ? bearer[1] : (headers['x-api-key'] || null);
+}
+
+const unauthorized = (detail) => ({ status: 401, title: 'Invalid API Key', detail });
+
+/**
+ * Resolves the caller of a request from its headers. Returns { identity } for a
+ * valid key, the REPROMPT_ADMIN_KEY bootstrap key or an anonymous caller (keyed
+ * by |ip|), or a 401 problem { status, title, detail } for a bad key.
+ */
+export function authenticate(headers, ip, now = new Date()) {
+    const key = credentialFrom(headers);
+    if (!key) return { identity: { id: ip, name: 'anonymous', scopes: AUTH.ANONYMOUS_SCOPES, quotas: {}, budget_usd: null, anonymous: true } };
+
+    const hash = hashKey(key);
+    if (AUTH.BOOTSTRAP_KEY && hashesEqual(hash, hashKey(AUTH.BOOTSTRAP_KEY))) {
+        return { identity: { id: 'key:bootstrap', key_id: 'bootstrap', name: 'bootstrap', scopes: ['admin'], quotas: {}, budget_usd: null, anonymous: false } };
+    }
+
+    const match = KEY_PATTERN.exec(key);
+    const row = match && getApiKey(match[1]);
+    if (!row || !hashesEqual(hash, row.key_hash)) return unauthorized('Unknown API key.');
+    if (row.revoked_at) return unauthorized(`API key '${row.id}' was revoked ${row.revoked_at}.`);
+
+    if (!row.last_used_at || now - Date.parse(row.last_used_at) >= AUTH.TOUCH_INTERVAL_MS) touchApiKey(row.id, now.toISOString());
+    return {
+        identity: {
+            id: `key:${row.id}`, // Usage, budgets and rate limits are tracked under this id
+            key_id: row.id,
+            name: row.name,
+            scopes: row.scopes,
+            quotas: row.quotas,
+            budget_usd: row.budget_usd ?? null,
+            anonymous: false
+        }
+    };
+}
+
+export function hasScope(identity, scope) {
+    return identity.scopes.includes('admin') || identity.scopes.includes(scope);
+}
+
+/**
+ * Null when |identity| may use a route needing |scope|; otherwise a 401 problem
+ * for anonymous callers or a 403 for keys without the scope.
+ */
+export function authorize(identity, scope) {
+    if (!scope || hasScope(identity, scope)) return null;
+    return identity.anonymous
+        ? { status: 401, title: 'Authentication Required', detail: `This endpoint needs an API key with the '${scope}' scope (Authorization: Bearer <key>).` }
+        : { status: 403, title: 'Insufficient Scope', detail: `API key '${identity.name}' lacks the '${scope}' scope.` };
+}
+
+/**
+ * Requests per minute allowed to |identity| on |routeClass|.
+ */
+export function quotaFor(identity, routeClass) {
+    return identity.quotas?.[routeClass] ?? DEFAULT_QUOTAS[routeClass];
+}
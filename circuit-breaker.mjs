@@ -0,0 +1,152 @@
+// ── Re-Prompt v3.3 Circuit Breakers ──────────────────────────────────────────
+// A breaker per dependency stops calling a model that keeps failing. Closed, it records
+// call outcomes over a rolling window and opens when the failure rate crosses the
+// threshold; open, it refuses calls; half-open, a few probe calls decide whether to close.
+
+import { CIRCUIT_BREAKERS } from './config.mjs';
+import { inc } from './metrics.mjs';
+import { structuredLog } from './utils.mjs';
+
+export const BREAKER_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+// Gauge values for circuit_breaker_state
+export const BREAKER_STATE_VALUE = { closed: 0, open: 1, half_open: 2 };
+
+/**
+ * The error thrown by run() for a refused call; |retry_after_s| says when to try again.
+ */
+export function circuitOpenError(breaker, retry_after_s) {
+    return Object.assign(new Error(`Circuit '${breaker}' is open; retry in ${retry_after_s}s.`), { code: 'CIRCUIT_OPEN', breaker, retry_after_s });
+}
+
+export function isCircuitOpen(err) {
+    return err?.code === 'CIRCUIT_OPEN';
+}
+
+/**
+ * Creates the breaker for dependency |name|. |now| is injectable for tests.
+ */
+export function createCircuitBreaker(name, {
+    windowMs = CIRCUIT_BREAKERS.WINDOW_MS,
+    minRequests = CIRCUIT_BREAKERS.MIN_REQUESTS,
+    failureRate = CIRCUIT_BREAKERS.FAILURE_RATE,
+    openMs = CIRCUIT_BREAKERS.OPEN_MS,
+    halfOpenProbes = CIRCUIT_BREAKERS.HALF_OPEN_PROBES,
+    now = () => Date.now()
+} = {}) {
+    let state = BREAKER_STATE.CLOSED;
+    let generation = 0;  // Bumped on every transition; outcomes of calls started earlier are ignored
+    let openedAt = 0;
+    let outcomes = [];   // { at, ok } within the window, oldest first (closed state only)
+    let probes = 0;      // Probe calls admitted in this half-open period
+    let probeSuccesses = 0;
+
+    function transition(next, t) {
+        state = next;
+        generation++;
+        outcomes = [];
+        probes = 0;
+        probeSuccesses = 0;
+        if (next === BREAKER_STATE.OPEN) openedAt = t;
+        inc('circuit_breaker_transitions', { breaker: name, state: next });
+        structuredLog(next === BREAKER_STATE.OPEN ? 'ERROR' : 'INFO', `Circuit breaker ${name} ${next}`);
+    }
+
+    function currentState(t) {
+        if (state === BREAKER_STATE.OPEN && t - openedAt >= openMs) transition(BREAKER_STATE.HALF_OPEN, t);
+        return state;
+    }
+
+    function retryAfter(t) {
+        // A half-open breaker with every probe slot taken answers as soon as a probe does
+        return state === BREAKER_STATE.OPEN ? Math.max(1, Math.ceil((openedAt + openMs - t) / 1000)) : 1;
+    }
+
+    /**
+     * Admits a call, returning a ticket for record() or release(), or null when the call is refused.
+     */
+    function acquire() {
+        const t = now();
+        const current = currentState(t);
+        if (current === BREAKER_STATE.OPEN || (current === BREAKER_STATE.HALF_OPEN && probes >= halfOpenProbes)) {
+            inc('circuit_breaker_rejections', { breaker: name });
+            return null;
+        }
+        if (current === BREAKER_STATE.HALF_OPEN) probes++;
+        return { generation, probe: current === BREAKER_STATE.HALF_OPEN };
+    }
+
+    function record(ticket, ok) {
+        if (ticket.generation !== generation) return;
+        const t = now();
+        if (ticket.probe) {
+            if (!ok) return transition(BREAKER_STATE.OPEN, t);
+            if (++probeSuccesses >= halfOpenProbes) transition(BREAKER_STATE.CLOSED, t);
+            return;
+        }
+        outcomes.push({ at: t, ok });
+        while (outcomes.length > 0 && t - outcomes[0].at > windowMs) outcomes.shift();
+        const failures = outcomes.filter(o => !o.ok).length;
+        if (outcomes.length >= minRequests && failures / outcomes.length >= failureRate) transition(BREAKER_STATE.OPEN, t);
+    }
+
+    /**
+     * Forgets an admitted call without an outcome (its caller gave up), freeing its probe slot.
+     */
+    function release(ticket) {
+        if (ticket.probe && ticket.generation === generation) probes--;
+    }
+
+    return {
+        name,
+
+        state: () => currentState(now()),
+
+        /**
+         * Null when a call would be admitted right now, otherwise { breaker, retry_after_s }.
+         * Takes no probe slot, so routes can refuse early without starving the probes.
+         */
+        check() {
+            const t = now();
+            const current = currentState(t);
+            const refused = current === BREAKER_STATE.OPEN || (current === BREAKER_STATE.HALF_OPEN && probes >= halfOpenProbes);
+            return refused ? { breaker: name, retry_after_s: retryAfter(t) } : null;
+        },
+
+        /**
+         * Runs |fn| through the breaker. A refused call throws circuitOpenError() without
+         * calling |fn|; a throw from |fn| counts as a failure and is rethrown, unless the
+         * caller's |signal| aborted it, which says nothing about the model.
+         */
+        async run(fn, { signal } = {}) {
+            const ticket = acquire();
+            if (!ticket) throw circuitOpenError(name, retryAfter(now()));
+            try {
+                const result = await fn();
+                record(ticket, true);
+                return result;
+            } catch (err) {
+                if (signal?.aborted) release(ticket);
+                else record(ticket, false);
+                throw err;
+            }
+        },
+
+        stats() {
+            const t = now();
+            const current = currentState(t);
+            const recent = outcomes.filter(o => t - o.at <= windowMs);
+            return {
+                breaker: name,
+                state: current,
+                calls: recent.length,
+                failure_rate: recent.length ? Number((recent.filter(o => !o.ok).length / recent.length).toFixed(3)) : 0,
+                retry_after_s: current === BREAKER_STATE.CLOSED ? 0 : retryAfter(t)
+            };
+        }
+    };
+}
@@ -0,0 +1,47 @@
+// ── Re-Prompt v3.3 Confidence Recomputation ──────────────────────────────────
+// Server-side confidence formula shared by the live pipeline and threshold simulation.
+
+import { VERSION } from './config.mjs';
+import { recordConfidence } from './metrics.mjs';
+
+/**
+ * Hardened confidence recomputation from the spec and its drift analysis.
+ * Pass { record: false } for what-if runs that must not skew confidence metrics.
+ */
+export function recomputeConfidence(data, validationLogic, { record = true } = {}) {
+    const cb = data.confidence_breakdown || {};
+    const assumptions = Array.isArray(data.assumptions_made) ? data.assumptions_made : [];
+    const nfrs = Array.isArray(data.non_functional_requirements) ? data.non_functional_requirements : [];
+
+    const IC = Math.min(100, Math.max(0, cb.input_clarity?.score ?? 60));
+    const DC = Math.min(100, Math.max(0, validationLogic.domain_consistency_computed ?? 50));
+    const expected = ['security', 'performance', 'scalability', 'reliability', 'usability'];
+    const covered = expected.filter(cat => nfrs.some(n => (n.category || '').toLowerCase().includes(cat)));
+    const RC = Math.min(100, Math.max(0, (covered.length / expected.length) * 100));
+
+    const LC_base = Math.min(100, Math.max(0, cb.logical_coherence?.score ?? 100));
+    let LC = LC_base;
+    if (validationLogic.internal_consistency_check !== 'PASS') LC = Math.max(0, LC - 15);
+    if (DC < 75) LC = Math.max(0, LC - 10);
+
+    const penalty = Math.min(25, assumptions.length * 2.5);
+    const raw = (0.3 * IC) + (0.3 * DC) + (0.2 * RC) + (0.2 * LC) - penalty;
+    const final = Math.max(0, Math.min(100, Math.round(raw * 100) / 100));
+
+    if (record) recordConfidence(final);
+
+    return {
+        input_clarity: { score: Math.round(IC), justification: cb.input_clarity?.justification || 'Analyzed requirements' },
+        domain_consistency: { score: Math.round(DC), justification: `Semantic trace (${validationLogic.llm_judge_calls} calls)` },
+        requirement_completeness: { score: Math.round(RC), justification: `${covered.length}/${expected.length} NFRs` },
+        logical_coherence: {
+            score: Math.round(LC),
+            base_score: Math.round(LC_base), // before coupling penalties; lets simulation re-apply them
+            justification: validationLogic.internal_consistency_check === 'PASS' ? 'Consistent' : 'Penalty applied'
+        },
+        assumption_penalty: -Math.round(penalty * 10) / 10,
+        final_score: final,
+        server_computed: true,
+        version: VERSION.CONFIDENCE
+    };
+}
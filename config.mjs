@@ -1,8 +1,46 @@
 // ── Re-Prompt v3.2 Configuration ─────────────────────────────────────────────
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ── Load Environment Variables ────────────────────────────────────────────────
+// Loaded here rather than in dev-server.mjs so the constants below see .env values.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+if (fs.existsSync(path.join(__dirname, '.env'))) {
+    const env = fs.readFileSync(path.join(__dirname, '.env'), 'utf8');
+    env.split('\n').forEach(line => {
+        const [key, ...value] = line.split('=');
+        if (key && value.length && !key.trim().startsWith('#')) {
+            process.env[key.trim()] = value.join('=').trim().replace(/^["']|["']$/g, '');
+        }
+    });
+    console.log('\x1b[32m[ENV]\x1b[0m Loaded .env file');
+}
+
+// ── Similarity Backend ───────────────────────────────────────────────────────
+// Lexical TF-IDF, dense sentence embeddings, or a weighted blend of both.
+export const SIMILARITY = {
+    BACKEND: process.env.SIMILARITY_BACKEND || 'tfidf',           // tfidf | embedding | hybrid
+    EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'openai', // openai | transformers | fixture
+    EMBEDDING_BASE_URL: process.env.EMBEDDING_BASE_URL || process.env.LLM_BASE_URL || '',
+    EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || (process.env.EMBEDDING_PROVIDER === 'transformers' ? 'Xenova/all-MiniLM-L6-v2' : 'text-embedding-3-small'),
+    LEXICAL_WEIGHT: Number(process.env.SIMILARITY_LEXICAL_WEIGHT ?? 0.4),   // hybrid only; weights are normalised
+    SEMANTIC_WEIGHT: Number(process.env.SIMILARITY_SEMANTIC_WEIGHT ?? 0.6),
+    EMBEDDING_CACHE_MAX: 2000,        // Cached text → vector entries
+};
+
+function similarityVersion() {
+    const embedder = `embedding-${SIMILARITY.EMBEDDING_PROVIDER}:${SIMILARITY.EMBEDDING_MODEL}`;
+    if (SIMILARITY.BACKEND === 'embedding') return `${embedder}-llm-v3`;
+    if (SIMILARITY.BACKEND === 'hybrid') return `hybrid-tfidf+${embedder}-llm-v3`;
+    return 'hybrid-tfidf-llm-v2';
+}
+
 export const VERSION = {
     ENGINE: '3.2.0',
-    SIMILARITY: 'hybrid-tfidf-llm-v2',
+    SIMILARITY: similarityVersion(), // Records the configured similarity backend
     CONFIDENCE: '2.0',
     BUILD: process.env.BUILD_HASH || 'dev'
 };
@@ -12,31 +50,339 @@ export const LIMITS = {
     MAX_JUDGE_CALLS_PER_REQ: 8,       // LLM judge calls per synthesis
     ABORT_TIMEOUT_MS: 4000,           // Fetch abort timeout for judge calls
     AUDIT_LOG_MAX: 500,               // Rolling window for in-memory log
+    SCHEMA_REPAIR_ATTEMPTS: 2,        // Targeted re-prompts when output fails its JSON Schema
 };
 
 export const THRESHOLDS = {
-    TFIDF_TRACEABLE: 0.70,
+    TFIDF_TRACEABLE: 0.70,            // TFIDF_* apply to the blended score when SIMILARITY.BACKEND ≠ tfidf
     TFIDF_SPECULATIVE: 0.25,
-    LLM_TRACEABLE: 0.60,
+    LLM_TRACEABLE: 0.70,              // Judge score that makes a gray-zone feature traceable
     LLM_ASSUMPTION: 0.40,
     CONFIDENCE_MIN: 10,               // Reject responses below this score
 };
 
 export const FEATURES = {
     USE_LLM_JUDGE: true,              // Enable Groq-backed LLM judge
-    PERSIST_AUDIT: true,              // Write audit logs to SQLite
+    PERSIST_AUDIT: process.env.PERSIST_AUDIT !== 'off', // Refuse to start unless AUDIT.STORE can persist
+};
+
+// ── Database ─────────────────────────────────────────────────────────────────
+// The SQLite schema is versioned (migrations.mjs). With AUTO_MIGRATE off, the server
+// refuses a database with pending migrations; apply them with `npm run migrate -- up`.
+export const DATABASE = {
+    SQLITE_PATH: process.env.SQLITE_PATH || './re-prompt.db',
+    AUTO_MIGRATE: process.env.DB_AUTO_MIGRATE !== 'off',
+};
+
+export const LLM = {
+    PROVIDER: process.env.LLM_PROVIDER || 'groq',         // groq | openai | local | fixture
+    BASE_URL: process.env.LLM_BASE_URL || '',              // Required for 'openai', optional for 'local'
+    SYNTHESIS_MODEL: process.env.LLM_SYNTHESIS_MODEL || 'llama-3.3-70b-versatile',
+    JUDGE_MODEL: process.env.LLM_JUDGE_MODEL || 'llama-3.1-8b-instant',
+    FIXTURE_MODE: process.env.LLM_FIXTURE_MODE || 'off',  // off | record | replay
+    FIXTURE_DIR: process.env.LLM_FIXTURE_DIR || path.join(__dirname, 'tests', 'fixtures', 'llm'),
+};
+
+// ── LLM Call Policy ──────────────────────────────────────────────────────────
+// Synthesis, tool and judge calls go through llm-policy.mjs: a timeout per attempt,
+// jittered exponential backoff on 429, 5xx, timeouts and network errors, then the next
+// model in the chain. LLM_FALLBACK_CHAIN lists the models tried after the primary one,
+// as model or model@provider, e.g. "llama-3.1-8b-instant,llama3.1:8b@local".
+function parseChain(value) {
+    return String(value).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const at = entry.lastIndexOf('@');
+        return at > 0 ? { model: entry.slice(0, at), provider: entry.slice(at + 1) } : { model: entry, provider: null };
+    });
+}
+
+export const LLM_POLICY = {
+    TIMEOUT_MS: Number(process.env.LLM_TIMEOUT_MS || 60000),   // Per attempt, including a streamed answer
+    MAX_RETRIES: Number(process.env.LLM_MAX_RETRIES ?? 2),     // Per model in the chain
+    BASE_DELAY_MS: 500,               // Wait before retry n is random in [0, BASE_DELAY_MS * 2^(n-1)]
+    MAX_DELAY_MS: 10000,              // Longest wait, retry-after included; a longer retry-after moves to the next model
+    FALLBACK_CHAIN: parseChain(process.env.LLM_FALLBACK_CHAIN ?? 'llama-3.1-8b-instant'), // provider null = LLM.PROVIDER
+};
+
+// ── Prompt-Injection Guard ───────────────────────────────────────────────────
+// User text is screened before any model sees it (prompt-guard.mjs): normalised against
+// homoglyph and invisible-character tricks, scored by heuristic rules and, optionally,
+// by an LLM classifier. Scores at WARN_SCORE pass with a warning; BLOCK_SCORE rejects.
+export const PROMPT_GUARD = {
+    WARN_SCORE: Number(process.env.PROMPT_GUARD_WARN_SCORE || 0.4),   // 0–1
+    BLOCK_SCORE: Number(process.env.PROMPT_GUARD_BLOCK_SCORE || 0.8), // 0–1
+    CLASSIFIER: process.env.PROMPT_GUARD_CLASSIFIER || 'off',         // off | llm
+    CLASSIFIER_MODEL: process.env.PROMPT_GUARD_MODEL || LLM.JUDGE_MODEL,
+    MAX_CHARS: 50000,                 // Longer input is blocked outright
+};
+
+// ── PII Redaction ────────────────────────────────────────────────────────────
+// Personal data and secrets in user text are swapped for stable placeholders such as
+// [EMAIL_1] before any LLM call, and restored in what the model sends back
+// (redaction.mjs). REDACT_TERMS and REDACT_TERMS_FILE add customer names, internal
+// hostnames and other terms, comma-separated or one per line.
+function readTerms(list, file) {
+    const terms = String(list || '').split(',');
+    if (file && fs.existsSync(file)) terms.push(...fs.readFileSync(file, 'utf8').split('\n'));
+    return [...new Set(terms.map(t => t.trim()).filter(t => t && !t.startsWith('#')))];
+}
+
+export const REDACTION = {
+    ENABLED: process.env.REDACTION !== 'off',
+    DETECTORS: (process.env.REDACT_TYPES || 'email,phone,card,secret,ip,hostname,custom').split(',').map(s => s.trim()).filter(Boolean),
+    TERMS: readTerms(process.env.REDACT_TERMS, process.env.REDACT_TERMS_FILE),
+};
+
+export const SESSIONS = {
+    MIN_ROUNDS: 1,                    // Always ask at least one clarification round
+    MAX_ROUNDS: 3,                    // Hard stop; generation proceeds with what is known
+    AMBIGUITY_TARGET: 0.35,           // Stop clarifying once ambiguity drops to this (0–1)
+    QUESTIONS_PER_ROUND: 4,
+    TTL_HOURS: 72,                    // Sessions untouched for longer are no longer resumable
+    MAX_IN_MEMORY: 500,               // Cap for the in-memory fallback store
+};
+
+// ── Circuit Breakers ─────────────────────────────────────────────────────────
+// One breaker per LLM dependency (synthesis, judge, tool). It opens once at least
+// MIN_REQUESTS calls fell in the rolling window and FAILURE_RATE of them failed, refuses
+// calls for OPEN_MS, then lets HALF_OPEN_PROBES trial calls decide whether to close.
+export const CIRCUIT_BREAKERS = {
+    WINDOW_MS: 60000,                 // Rolling window for the failure rate
+    MIN_REQUESTS: 5,                  // Fewer calls in the window never open the breaker
+    FAILURE_RATE: Number(process.env.CIRCUIT_FAILURE_RATE || 0.5), // 0–1
+    OPEN_MS: Number(process.env.CIRCUIT_OPEN_MS || 30000),          // Time refused before probing
+    HALF_OPEN_PROBES: 2,              // Trial calls let through at once; all must succeed to close
+};
+
+// ── Judge Cache ──────────────────────────────────────────────────────────────
+// LLM judge scores by (provider, model, prompt version, feature, vision). A bounded LRU
+// in memory; with STORE=sqlite scores are also written through to the database and
+// survive restarts. Entries expire TTL_MS after they were scored.
+export const JUDGE_CACHE = {
+    MAX_ENTRIES: Number(process.env.JUDGE_CACHE_MAX || 5000),             // In-memory entries; least recently used go first
+    TTL_MS: Number(process.env.JUDGE_CACHE_TTL_MS || 7 * 24 * 3600000),   // 7 days
+    STORE: process.env.JUDGE_CACHE_STORE || 'memory', // memory | sqlite
+    PERSIST_MAX: 100000,              // Rows kept in SQLite; the oldest are pruned first
+    SWEEP_INTERVAL_MS: 600000,        // How often expired entries are dropped
+};
+
+// ── Jobs ─────────────────────────────────────────────────────────────────────
+// Queued syntheses (POST /api/jobs), run by a pool of in-process workers.
+export const JOBS = {
+    CONCURRENCY: Number(process.env.JOB_CONCURRENCY || 2),       // Pipelines running at once
+    TIMEOUT_MS: Number(process.env.JOB_TIMEOUT_MS || 180000),    // Default per-job limit; a job may ask for less or more
+    MAX_TIMEOUT_MS: 600000,           // Cap on a job's own timeout_ms
+    MAX_QUEUED: 100,                  // Submissions beyond this get 503
+    MAX_ATTEMPTS: 2,                  // Runs interrupted by a restart are retried this many times in total
+    RETENTION_HOURS: 24,              // Finished jobs are pruned after this
+    PROGRESS_SAVE_MS: 1000,           // Progress is persisted at most this often per job
+    MAX_IN_MEMORY: 500,               // Cap for the in-memory fallback store
+};
+
+// ── Webhooks ─────────────────────────────────────────────────────────────────
+// Signed POSTs to subscribed URLs (managed under /api/webhooks) when an audit entry is
+// written. Failed deliveries are retried after BASE_DELAY_MS, doubling each time.
+export const WEBHOOK_EVENTS = ['synthesis.completed', 'synthesis.rejected', 'tool.executed'];
+
+export const WEBHOOKS = {
+    MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),         // Including the first; redelivery starts over
+    BASE_DELAY_MS: Number(process.env.WEBHOOK_RETRY_BASE_MS || 10000),   // 10s, 20s, 40s, …
+    MAX_DELAY_MS: 3600000,            // Cap on the wait between two attempts
+    TIMEOUT_MS: 10000,                // Per attempt; a slow receiver counts as a failure
+    SIGNATURE_TOLERANCE_S: 300,       // Suggested max age of a signed timestamp for receivers
+    RETENTION_DAYS: 7,                // Deliveries are pruned after this
+    MAX_IN_MEMORY: 1000,              // Cap for the in-memory fallback store
+    ALLOWED_HOSTS: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean), // Exempt from the private-address check
+};
+
+// ── Audit Log ────────────────────────────────────────────────────────────────
+// /api/logs pages through entries newest first with an opaque cursor; /api/logs/export
+// streams every match as CSV or NDJSON. Entries older than RETENTION_DAYS are deleted, or
+// with RETENTION_MODE=archive appended to a daily NDJSON file in ARCHIVE_DIR first.
+// STORE picks the backend (audit-store.mjs): sqlite (the db.mjs database), jsonl
+// (append-only daily files in JSONL_DIR, rotated past JSONL_MAX_BYTES) or postgres
+// (POSTGRES_URL; needs `npm install pg`). Audit files default to a directory outside
+// the one dev-server.mjs serves statically.
+const AUDIT_DATA_DIR = path.join(os.homedir(), '.re-prompt');
+
+export const AUDIT = {
+    STORE: process.env.AUDIT_STORE || 'sqlite', // sqlite | jsonl | postgres
+    JSONL_DIR: process.env.AUDIT_JSONL_DIR || path.join(AUDIT_DATA_DIR, 'audit-logs'),
+    JSONL_MAX_BYTES: Number(process.env.AUDIT_JSONL_MAX_BYTES || 50 * 1024 * 1024), // A day's file continues in .1, .2… past this
+    POSTGRES_URL: process.env.AUDIT_POSTGRES_URL || process.env.DATABASE_URL || '',
+    PAGE_SIZE: 20,                    // Default ?limit
+    MAX_PAGE_SIZE: 200,               // Cap on ?limit
+    EXPORT_MAX_ROWS: 100000,          // An export stops after this many entries
+    RETENTION_DAYS: Number(process.env.AUDIT_RETENTION_DAYS ?? 90),      // 0 keeps entries forever
+    RETENTION_MODE: process.env.AUDIT_RETENTION_MODE || 'prune',         // prune | archive
+    ARCHIVE_DIR: process.env.AUDIT_ARCHIVE_DIR || path.join(AUDIT_DATA_DIR, 'audit-archive'),
+    SWEEP_INTERVAL_MS: 3600000,       // Retention runs hourly, and once at startup
+};
+
+// ── Metrics ──────────────────────────────────────────────────────────────────
+// Histogram bucket upper bounds (Prometheus "le"); override with comma-separated lists.
+function buckets(env, fallback) {
+    const parsed = String(env || '').split(',').map(Number).filter(n => Number.isFinite(n) && n > 0);
+    return parsed.length > 0 ? [...new Set(parsed)].sort((a, b) => a - b) : fallback;
+}
+
+export const METRICS = {
+    LATENCY_BUCKETS: buckets(process.env.METRICS_LATENCY_BUCKETS, [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]), // seconds
+    CONFIDENCE_BUCKETS: buckets(process.env.METRICS_CONFIDENCE_BUCKETS, [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]),
+    SAMPLE_WINDOW: 1000,              // Rolling samples behind the JSON avg/p95 summaries
+};
+
+// ── Tracing ──────────────────────────────────────────────────────────────────
+// Pipeline spans go to an OTLP/HTTP collector when one is configured (standard
+// OTEL_* variables), otherwise they are appended to a local JSONL file.
+const OTLP_BASE = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || '').replace(/\/+$/, '');
+
+export const TRACING = {
+    EXPORTER: process.env.TRACING_EXPORTER || (OTLP_BASE || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ? 'otlp' : 'file'), // otlp | file | none
+    OTLP_ENDPOINT: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || (OTLP_BASE ? `${OTLP_BASE}/v1/traces` : ''),
+    OTLP_HEADERS: process.env.OTEL_EXPORTER_OTLP_HEADERS || '',   // key=value,key2=value2
+    FILE: process.env.TRACING_FILE || path.join(__dirname, 'logs', 'traces.jsonl'),
+    SERVICE_NAME: process.env.OTEL_SERVICE_NAME || 're-prompt',
+    SAMPLE_RATIO: Number(process.env.TRACING_SAMPLE_RATIO ?? 1),  // New traces only; incoming traceparent flags win
+    EXPORT_TIMEOUT_MS: 5000,
+};
+
+// ── Usage & Cost ─────────────────────────────────────────────────────────────
+// USD per 1M tokens. LLM_RATES (JSON) adds or overrides models, e.g.
+// LLM_RATES='{"gpt-4o-mini":{"input":0.15,"output":0.6}}'. Unlisted models are
+// recorded with their token counts but no cost.
+function jsonEnv(name) {
+    try {
+        return JSON.parse(process.env[name] || '{}');
+    } catch (_) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m ${name} is not valid JSON; ignoring it.`);
+        return {};
+    }
+}
+
+export const USAGE = {
+    RATES: {
+        'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+        'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+        'gpt-4o': { input: 2.50, output: 10.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        ...jsonEnv('LLM_RATES')
+    },
+    BUDGET_PERIOD: process.env.BUDGET_PERIOD || 'month',     // day | month (UTC)
+    DEFAULT_BUDGET_USD: process.env.DEFAULT_BUDGET_USD ? Number(process.env.DEFAULT_BUDGET_USD) : null, // null = unlimited
+    CLIENT_BUDGETS: jsonEnv('CLIENT_BUDGETS'),                // { "<client id>": usd }; overrides the default
+    MAX_IN_MEMORY_BUCKETS: 10000,     // Aggregate rows kept by the in-memory fallback
+};
+
+// ── API Keys ─────────────────────────────────────────────────────────────────
+// Keys are created with `npm run keys -- create` and stored hashed. Callers without a
+// key get ANONYMOUS_SCOPES, so the bundled UIs keep working out of the box; set
+// AUTH_ANONYMOUS_SCOPES= (empty) to require a key on every API route.
+export const API_SCOPES = ['validate', 'execute-tool', 'logs', 'metrics', 'webhooks', 'admin']; // admin implies all
+
+export const AUTH = {
+    ANONYMOUS_SCOPES: (process.env.AUTH_ANONYMOUS_SCOPES ?? 'validate').split(',').map(s => s.trim()).filter(Boolean),
+    BOOTSTRAP_KEY: process.env.REPROMPT_ADMIN_KEY || '',  // Admin key accepted without the database (first setup, CI)
+    TOUCH_INTERVAL_MS: 60000,         // last_used_at is written at most this often per key
 };
 
+// Token buckets per client and route class, refilled at the per-minute rate below (also
+// the burst size). An API key's own quotas override these; anonymous callers are limited per IP.
 export const RATE_LIMITS = {
-    ANALYZE_MIN: 30,                  // /analyze.php per IP per minute
-    VALIDATE_MIN: 30,                 // /api/validate per IP per minute
-    EXECUTE_MIN: 10,                  // /api/execute-tool per IP per minute
+    ANALYZE_MIN: 30,                  // /analyze.php
+    VALIDATE_MIN: 30,                 // /api/validate, /api/validate/stream, sessions, simulate
+    EXECUTE_MIN: 10,                  // /api/execute-tool
+    READ_MIN: 300,                    // Every other API route: reads, /metrics, webhook and job bookkeeping
+    STORE: process.env.RATE_LIMIT_STORE || 'memory', // memory | sqlite (shared by every process on the same database)
+    SWEEP_INTERVAL_MS: 30000,         // How often idle buckets are evicted
 };
 
 /**
  * Validate required environment configuration and warn on startup.
  */
 export function validateConfig() {
+    if (!['tfidf', 'embedding', 'hybrid'].includes(SIMILARITY.BACKEND)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown SIMILARITY_BACKEND '${SIMILARITY.BACKEND}'. Expected tfidf, embedding or hybrid.`);
+    } else if (SIMILARITY.BACKEND !== 'tfidf') {
+        if (SIMILARITY.EMBEDDING_PROVIDER === 'openai' && !SIMILARITY.EMBEDDING_BASE_URL) {
+            console.warn('\x1b[31m[CRITICAL]\x1b[0m EMBEDDING_PROVIDER=openai requires EMBEDDING_BASE_URL; similarity falls back to TF-IDF.');
+        }
+        console.log(`\x1b[32m[CONFIG]\x1b[0m Similarity backend: ${VERSION.SIMILARITY}`);
+    }
+    if (!['day', 'month'].includes(USAGE.BUDGET_PERIOD)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown BUDGET_PERIOD '${USAGE.BUDGET_PERIOD}'. Expected day or month.`);
+    }
+    if (!['memory', 'sqlite'].includes(RATE_LIMITS.STORE)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown RATE_LIMIT_STORE '${RATE_LIMITS.STORE}'. Expected memory or sqlite.`);
+    }
+    if (!(JOBS.CONCURRENCY >= 1) || !(JOBS.TIMEOUT_MS > 0)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m JOB_CONCURRENCY must be at least 1 and JOB_TIMEOUT_MS positive (got ${JOBS.CONCURRENCY}, ${JOBS.TIMEOUT_MS}).`);
+    }
+    if (!(LLM_POLICY.TIMEOUT_MS > 0) || !(LLM_POLICY.MAX_RETRIES >= 0)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m LLM_TIMEOUT_MS must be positive and LLM_MAX_RETRIES at least 0 (got ${LLM_POLICY.TIMEOUT_MS}, ${LLM_POLICY.MAX_RETRIES}).`);
+    }
+    if (!(CIRCUIT_BREAKERS.FAILURE_RATE > 0 && CIRCUIT_BREAKERS.FAILURE_RATE <= 1) || !(CIRCUIT_BREAKERS.OPEN_MS > 0)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m CIRCUIT_FAILURE_RATE must be in (0, 1] and CIRCUIT_OPEN_MS positive (got ${CIRCUIT_BREAKERS.FAILURE_RATE}, ${CIRCUIT_BREAKERS.OPEN_MS}).`);
+    }
+    if (!['sqlite', 'jsonl', 'postgres'].includes(AUDIT.STORE) || !(AUDIT.JSONL_MAX_BYTES > 0)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m AUDIT_STORE must be sqlite, jsonl or postgres and AUDIT_JSONL_MAX_BYTES positive (got '${AUDIT.STORE}', ${AUDIT.JSONL_MAX_BYTES}).`);
+    }
+    if (!FEATURES.PERSIST_AUDIT) {
+        console.warn('\x1b[33m[CONFIG]\x1b[0m PERSIST_AUDIT=off: audit entries fall back to memory when the audit store is unavailable.');
+    }
+    if (!(AUDIT.RETENTION_DAYS >= 0) || !['prune', 'archive'].includes(AUDIT.RETENTION_MODE)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m AUDIT_RETENTION_DAYS must be >= 0 and AUDIT_RETENTION_MODE prune or archive (got ${AUDIT.RETENTION_DAYS}, '${AUDIT.RETENTION_MODE}').`);
+    }
+    const unknownDetectors = REDACTION.DETECTORS.filter(d => !['email', 'phone', 'card', 'secret', 'ip', 'hostname', 'custom'].includes(d));
+    if (unknownDetectors.length) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown REDACT_TYPES '${unknownDetectors.join(', ')}'. Expected email, phone, card, secret, ip, hostname or custom.`);
+    }
+    if (!REDACTION.ENABLED) {
+        console.warn('\x1b[33m[CONFIG]\x1b[0m REDACTION=off: user text reaches the LLM provider unredacted.');
+    }
+    if (!(PROMPT_GUARD.WARN_SCORE > 0 && PROMPT_GUARD.WARN_SCORE <= PROMPT_GUARD.BLOCK_SCORE && PROMPT_GUARD.BLOCK_SCORE <= 1)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m PROMPT_GUARD_WARN_SCORE and PROMPT_GUARD_BLOCK_SCORE must satisfy 0 < warn <= block <= 1 (got ${PROMPT_GUARD.WARN_SCORE}, ${PROMPT_GUARD.BLOCK_SCORE}).`);
+    }
+    if (!['off', 'llm'].includes(PROMPT_GUARD.CLASSIFIER)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown PROMPT_GUARD_CLASSIFIER '${PROMPT_GUARD.CLASSIFIER}'. Expected off or llm.`);
+    }
+    if (!(JUDGE_CACHE.MAX_ENTRIES >= 1) || !(JUDGE_CACHE.TTL_MS > 0)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m JUDGE_CACHE_MAX must be at least 1 and JUDGE_CACHE_TTL_MS positive (got ${JUDGE_CACHE.MAX_ENTRIES}, ${JUDGE_CACHE.TTL_MS}).`);
+    }
+    if (!['memory', 'sqlite'].includes(JUDGE_CACHE.STORE)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown JUDGE_CACHE_STORE '${JUDGE_CACHE.STORE}'. Expected memory or sqlite.`);
+    }
+    if (!(WEBHOOKS.MAX_ATTEMPTS >= 1) || !(WEBHOOKS.BASE_DELAY_MS > 0)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m WEBHOOK_MAX_ATTEMPTS must be at least 1 and WEBHOOK_RETRY_BASE_MS positive (got ${WEBHOOKS.MAX_ATTEMPTS}, ${WEBHOOKS.BASE_DELAY_MS}).`);
+    }
+    const unknownScopes = AUTH.ANONYMOUS_SCOPES.filter(scope => !API_SCOPES.includes(scope));
+    if (unknownScopes.length) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown AUTH_ANONYMOUS_SCOPES '${unknownScopes.join(', ')}'. Expected ${API_SCOPES.join(', ')}.`);
+    }
+    if (AUTH.ANONYMOUS_SCOPES.includes('admin')) {
+        console.warn('\x1b[31m[CRITICAL]\x1b[0m AUTH_ANONYMOUS_SCOPES grants admin: every caller can read logs, metrics and usage.');
+    }
+    if (AUTH.BOOTSTRAP_KEY && AUTH.BOOTSTRAP_KEY.length < 24) {
+        console.warn('\x1b[31m[CRITICAL]\x1b[0m REPROMPT_ADMIN_KEY is shorter than 24 characters; use a long random value.');
+    }
+    if (!['otlp', 'file', 'none'].includes(TRACING.EXPORTER)) {
+        console.warn(`\x1b[31m[CRITICAL]\x1b[0m Unknown TRACING_EXPORTER '${TRACING.EXPORTER}'. Expected otlp, file or none.`);
+    } else if (TRACING.EXPORTER === 'otlp' && !TRACING.OTLP_ENDPOINT) {
+        console.warn('\x1b[31m[CRITICAL]\x1b[0m TRACING_EXPORTER=otlp requires OTEL_EXPORTER_OTLP_ENDPOINT; spans are not exported.');
+    } else if (TRACING.EXPORTER !== 'none') {
+        console.log(`\x1b[32m[CONFIG]\x1b[0m Trace export: ${TRACING.EXPORTER === 'otlp' ? TRACING.OTLP_ENDPOINT : TRACING.FILE}`);
+    }
+    if (LLM.FIXTURE_MODE !== 'off') {
+        console.log(`\x1b[36m[CONFIG]\x1b[0m LLM fixture mode: ${LLM.FIXTURE_MODE} (${LLM.FIXTURE_DIR})`);
+        if (LLM.FIXTURE_MODE === 'replay') return; // No network, no key needed
+    }
+    if (LLM.PROVIDER !== 'groq') {
+        if (LLM.PROVIDER === 'openai' && !LLM.BASE_URL) {
+            console.warn('\x1b[31m[CRITICAL]\x1b[0m LLM_PROVIDER=openai requires LLM_BASE_URL.');
+        } else {
+            console.log(`\x1b[32m[CONFIG]\x1b[0m LLM provider: ${LLM.PROVIDER}${LLM.BASE_URL ? ` (${LLM.BASE_URL})` : ''}`);
+        }
+        return;
+    }
     const key = process.env.GROQ_API_KEY;
     if (!key || key.includes('YOUR_GROQ')) {
         console.warn('\x1b[31m[CRITICAL]\x1b[0m GROQ_API_KEY is missing or placeholder. Set via environment variable.');
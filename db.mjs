@@ -1,10 +1,21 @@
 // ── Re-Prompt v3.2 SQLite Persistence Layer ───────────────────────────────────
 // Uses better-sqlite3 if available, otherwise degrades gracefully to in-memory.
 
-import { LIMITS } from './config.mjs';
+import { LIMITS, SESSIONS, USAGE, JOBS, WEBHOOKS, AUDIT, DATABASE } from './config.mjs';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from './migrations.mjs';
 
 let db = null;
-const fallbackLog = []; // in-memory fallback if SQLite unavailable
+// In-memory fallback if SQLite unavailable, built by the same migrations
+const memory = createMemoryStore();
+const fallbackLog = memory.audit_logs;
+const fallbackSessions = memory.sessions;
+const fallbackVersions = memory.spec_versions;
+const fallbackSyntheses = memory.syntheses;
+const fallbackUsage = memory.usage_records;
+const fallbackApiKeys = memory.api_keys;
+const fallbackJobs = memory.jobs;
+const fallbackWebhooks = memory.webhooks;
+const fallbackDeliveries = memory.webhook_deliveries;
 
 // ── Try to import better-sqlite3 ─────────────────────────────────────────────
 let Database = null;
@@ -15,39 +26,139 @@ try {
     // better-sqlite3 not installed — run in memory-only mode
 }
 
+function openSqlite() {
+    const conn = new Database(DATABASE.SQLITE_PATH);
+    // WAL mode for concurrent reads
+    conn.pragma('journal_mode = WAL');
+    conn.pragma('synchronous = NORMAL');
+    return conn;
+}
+
 export function initDb() {
     if (!Database) {
         console.warn('\x1b[33m[DB]\x1b[0m better-sqlite3 not found. Running in-memory audit log mode.');
         return;
     }
+    let conn = null;
     try {
-        db = new Database('./re-prompt.db');
-        // WAL mode for concurrent reads
-        db.pragma('journal_mode = WAL');
-        db.pragma('synchronous = NORMAL');
-        db.exec(`
-            CREATE TABLE IF NOT EXISTS audit_logs (
-                id TEXT PRIMARY KEY,
-                correlation_id TEXT,
-                tool TEXT,
-                prompt_hash TEXT,
-                duration_ms INTEGER,
-                status INTEGER,
-                engine_version TEXT,
-                engine_build_hash TEXT,
-                trace_data TEXT,
-                created_at TEXT DEFAULT (datetime('now'))
-            );
-            CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_logs(created_at DESC);
-        `);
-        console.log('\x1b[32m[DB]\x1b[0m SQLite initialized (WAL mode).');
+        conn = openSqlite();
+        const status = migrationStatus(conn);
+        if (status.current > status.latest) {
+            throw new Error(`Database schema v${status.current} is newer than this build (v${status.latest}).`);
+        }
+        if (status.pending.length > 0) {
+            if (!DATABASE.AUTO_MIGRATE) throw new Error(`${status.pending.length} pending migration(s); run \`npm run migrate -- up\` or set DB_AUTO_MIGRATE=on.`);
+            const applied = applyMigrations(conn);
+            console.log(`\x1b[32m[DB]\x1b[0m Applied schema migrations ${applied.join(', ')}.`);
+        }
+        db = conn;
+        console.log(`\x1b[32m[DB]\x1b[0m SQLite initialized (WAL mode, schema v${LATEST_SCHEMA_VERSION}).`);
     } catch (e) {
         console.warn('\x1b[33m[DB]\x1b[0m SQLite init failed, falling back to in-memory:', e.message);
+        conn?.close();
         db = null;
     }
 }
 
-export function insertAuditLog(entry) {
+/**
+ * Opens SQLite for the migrate CLI without applying anything. Null when better-sqlite3
+ * is not installed.
+ */
+export function openDatabase() {
+    return Database ? openSqlite() : null;
+}
+
+// ── Schema Migrations ─────────────────────────────────────────────────────────
+// Each migration runs in its own transaction together with its schema_version row, so a
+// failure leaves the database at the previous version. Works on any connection with
+// exec() and prepare().
+
+function appliedMigrations(conn) {
+    conn.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        );
+    `);
+    return conn.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+}
+
+/**
+ * { current, latest, applied: [{ version, name, applied_at }], pending: [{ version, name }] }
+ * for |conn|.
+ */
+export function migrationStatus(conn, migrations = MIGRATIONS) {
+    const applied = appliedMigrations(conn);
+    const current = applied.length ? applied[applied.length - 1].version : 0;
+    return {
+        current,
+        latest: migrations[migrations.length - 1].version,
+        applied,
+        pending: migrations.filter(m => m.version > current).map(({ version, name }) => ({ version, name }))
+    };
+}
+
+/**
+ * Applies the migrations above |conn|'s version, up to and including |to|, in order.
+ * Returns the versions applied; throws (after rolling back that migration) on failure.
+ */
+export function applyMigrations(conn, { to = Infinity, migrations = MIGRATIONS, now = () => new Date() } = {}) {
+    const { current } = migrationStatus(conn, migrations);
+    const applied = [];
+    for (const migration of migrations.filter(m => m.version > current && m.version <= to)) {
+        conn.exec('BEGIN');
+        try {
+            conn.exec(migration.sql);
+            conn.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(migration.version, migration.name, now().toISOString());
+            conn.exec('COMMIT');
+        } catch (e) {
+            conn.exec('ROLLBACK');
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+        }
+        applied.push(migration.version);
+    }
+    return applied;
+}
+
+/**
+ * The in-memory store, built by each migration's |memory| step, with the same
+ * schema_version rows SQLite would have.
+ */
+export function createMemoryStore(migrations = MIGRATIONS, now = () => new Date()) {
+    const store = { schema_version: [] };
+    for (const migration of migrations) {
+        migration.memory?.(store);
+        store.schema_version.push({ version: migration.version, name: migration.name, applied_at: now().toISOString() });
+    }
+    return store;
+}
+
+/**
+ * The schema version of the active store: SQLite's, or the in-memory store's.
+ */
+export function schemaVersion() {
+    if (db) {
+        try {
+            return migrationStatus(db).current;
+        } catch (_) { }
+    }
+    return memory.schema_version[memory.schema_version.length - 1].version;
+}
+
+/**
+ * True when writes reach SQLite rather than the in-memory fallback.
+ */
+export function isPersistent() {
+    return db !== null;
+}
+
+/**
+ * Writes |entry|. A failed SQLite write falls back to memory with a warning, unless
+ * |strict| (persistence required), when the error is thrown to the caller instead.
+ */
+export function insertAuditLog(entry, { strict = false } = {}) {
     if (db) {
         try {
             const stmt = db.prepare(`
@@ -68,14 +179,40 @@ export function insertAuditLog(entry) {
             );
             return;
         } catch (e) {
+            if (strict) throw e;
             console.warn('[DB] Insert failed, using fallback:', e.message);
         }
     }
-    // Fallback: in-memory rolling window
-    fallbackLog.push(entry);
+    // Fallback: in-memory rolling window, timestamped like the SQLite column default
+    fallbackLog.push({ ...entry, created_at: entry.created_at || sqliteTime() });
     if (fallbackLog.length > LIMITS.AUDIT_LOG_MAX) fallbackLog.shift();
 }
 
+/**
+ * Merges |patch| into an entry's trace_data (e.g. the request's spans, which are
+ * only complete after the entry is written). |strict| as for insertAuditLog().
+ */
+export function mergeAuditTrace(id, patch, { strict = false } = {}) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT trace_data FROM audit_logs WHERE id = ?').get(id);
+            if (row) {
+                let current = {};
+                try { current = JSON.parse(row.trace_data) || {}; } catch (_) { }
+                db.prepare('UPDATE audit_logs SET trace_data = ? WHERE id = ?').run(JSON.stringify({ ...current, ...patch }), id);
+                return true;
+            }
+        } catch (e) {
+            if (strict) throw e;
+            console.warn('[DB] Trace update failed, using fallback:', e.message);
+        }
+    }
+    const entry = fallbackLog.find(e => e.id === id);
+    if (!entry) return false;
+    entry.trace_data = { ...entry.trace_data, ...patch };
+    return true;
+}
+
 export function getAuditLog(id) {
     if (db) {
         try {
@@ -89,16 +226,697 @@ export function getAuditLog(id) {
     return fallbackLog.find(e => e.id === id) || null;
 }
 
-export function getRecentLogs(limit = 20) {
+// ── Audit Log Queries ─────────────────────────────────────────────────────────
+// SQLite and the in-memory fallback apply the same filters and order (newest first, id
+// breaking ties), so cursors work the same on both. Times are UTC 'YYYY-MM-DD HH:MM:SS',
+// the format of SQLite's datetime('now').
+
+export function sqliteTime(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+const AUDIT_EQUALITY_FILTERS = ['tool', 'status', 'engine_version', 'correlation_id'];
+
+function auditWhere(filters) {
+    const clauses = [];
+    const params = [];
+    for (const field of AUDIT_EQUALITY_FILTERS) {
+        if (filters[field] !== undefined) { clauses.push(`${field} = ?`); params.push(filters[field]); }
+    }
+    if (filters.from) { clauses.push('created_at >= ?'); params.push(filters.from); }
+    if (filters.to) { clauses.push('created_at <= ?'); params.push(filters.to); }
+    if (filters.min_score !== undefined) { clauses.push("json_extract(trace_data, '$.final_score') >= ?"); params.push(filters.min_score); }
+    if (filters.max_score !== undefined) { clauses.push("json_extract(trace_data, '$.final_score') <= ?"); params.push(filters.max_score); }
+    if (filters.after) {
+        clauses.push('(created_at < ? OR (created_at = ? AND id < ?))');
+        params.push(filters.after.created_at, filters.after.created_at, filters.after.id);
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Whether |entry| passes |filters| (as for queryAuditLogs); the reference semantics for
+ * audit stores that filter in JavaScript.
+ */
+export function auditMatches(entry, filters) {
+    if (AUDIT_EQUALITY_FILTERS.some(field => filters[field] !== undefined && entry[field] !== filters[field])) return false;
+    if (filters.from && entry.created_at < filters.from) return false;
+    if (filters.to && entry.created_at > filters.to) return false;
+    const score = entry.trace_data?.final_score;
+    if (filters.min_score !== undefined && !(typeof score === 'number' && score >= filters.min_score)) return false;
+    if (filters.max_score !== undefined && !(typeof score === 'number' && score <= filters.max_score)) return false;
+    const { after } = filters;
+    return !after || entry.created_at < after.created_at || (entry.created_at === after.created_at && entry.id < after.id);
+}
+
+export const newestFirst = (a, b) => (b.created_at > a.created_at) - (b.created_at < a.created_at) || (b.id > a.id) - (b.id < a.id);
+
+function auditFromRow(row) {
+    try { row.trace_data = JSON.parse(row.trace_data); } catch (_) { }
+    return row;
+}
+
+/**
+ * Up to |limit| entries matching |filters|, newest first. Filters (all optional): tool,
+ * status, engine_version, correlation_id, from and to (inclusive), min_score and max_score
+ * (trace_data.final_score), and |after| { created_at, id } to continue past that entry.
+ */
+export function queryAuditLogs(filters = {}, limit = AUDIT.PAGE_SIZE) {
+    if (db) {
+        try {
+            const { where, params } = auditWhere(filters);
+            return db.prepare(`SELECT * FROM audit_logs ${where} ORDER BY created_at DESC, id DESC LIMIT ?`).all(...params, limit).map(auditFromRow);
+        } catch (e) {
+            console.warn('[DB] Audit query failed, using fallback:', e.message);
+        }
+    }
+    return fallbackLog.filter(e => auditMatches(e, filters)).sort(newestFirst).slice(0, limit);
+}
+
+/**
+ * Number of entries matching |filters| (as for queryAuditLogs, without |after|).
+ */
+export function countAuditLogs(filters = {}) {
+    const rest = { ...filters, after: undefined };
     if (db) {
         try {
-            return db.prepare('SELECT id, tool, status, created_at FROM audit_logs ORDER BY created_at DESC LIMIT ?').all(limit);
+            const { where, params } = auditWhere(rest);
+            return db.prepare(`SELECT COUNT(*) AS n FROM audit_logs ${where}`).get(...params).n;
         } catch (_) { }
     }
-    return fallbackLog.slice(-limit).reverse().map(e => ({
-        id: e.id,
-        tool: e.tool || 'synthesis',
-        status: e.status || 200,
-        created_at: e.timestamp || new Date().toISOString()
-    }));
+    return fallbackLog.filter(e => auditMatches(e, rest)).length;
+}
+
+/**
+ * Up to |limit| entries created before |before|, oldest first; retention archives these.
+ */
+export function listAuditLogsBefore(before, limit) {
+    if (db) {
+        try {
+            return db.prepare('SELECT * FROM audit_logs WHERE created_at < ? ORDER BY created_at, id LIMIT ?').all(before, limit).map(auditFromRow);
+        } catch (e) {
+            console.warn('[DB] Audit query failed, using fallback:', e.message);
+        }
+    }
+    return fallbackLog.filter(e => e.created_at < before).sort((a, b) => newestFirst(b, a)).slice(0, limit);
+}
+
+/**
+ * Deletes the entries with |ids|. Returns the number removed.
+ */
+export function deleteAuditLogs(ids) {
+    if (db) {
+        try {
+            const remove = db.prepare('DELETE FROM audit_logs WHERE id = ?');
+            return db.transaction(() => ids.reduce((n, id) => n + remove.run(id).changes, 0))();
+        } catch (e) {
+            console.warn('[DB] Audit delete failed:', e.message);
+        }
+    }
+    return removeFallbackLogs(e => ids.includes(e.id));
+}
+
+/**
+ * Deletes entries created before |before|. Returns the number removed.
+ */
+export function pruneAuditLogs(before) {
+    if (db) {
+        try {
+            return db.prepare('DELETE FROM audit_logs WHERE created_at < ?').run(before).changes;
+        } catch (e) {
+            console.warn('[DB] Audit prune failed:', e.message);
+        }
+    }
+    return removeFallbackLogs(e => e.created_at < before);
+}
+
+function removeFallbackLogs(predicate) {
+    let removed = 0;
+    for (let i = fallbackLog.length - 1; i >= 0; i--) {
+        if (predicate(fallbackLog[i])) { fallbackLog.splice(i, 1); removed++; }
+    }
+    return removed;
+}
+
+// ── Stored Syntheses ──────────────────────────────────────────────────────────
+// Full spec per synthesis audit entry, so exports can re-render it by log id.
+
+/**
+ * Stores the spec of synthesis entry |logId|. |strict| as for insertAuditLog().
+ */
+export function insertSynthesis(logId, spec, { strict = false } = {}) {
+    if (db) {
+        try {
+            db.prepare('INSERT OR REPLACE INTO syntheses (log_id, spec) VALUES (?, ?)').run(logId, JSON.stringify(spec));
+            return;
+        } catch (e) {
+            if (strict) throw e;
+            console.warn('[DB] Synthesis insert failed, using fallback:', e.message);
+        }
+    }
+    fallbackSyntheses.set(logId, spec);
+    if (fallbackSyntheses.size > LIMITS.AUDIT_LOG_MAX) fallbackSyntheses.delete(fallbackSyntheses.keys().next().value);
+}
+
+export function getSynthesis(logId) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT spec FROM syntheses WHERE log_id = ?').get(logId);
+            if (row) return JSON.parse(row.spec);
+        } catch (_) { }
+    }
+    return fallbackSyntheses.get(logId) || null;
+}
+
+// ── Clarification Sessions ────────────────────────────────────────────────────
+// Stored whole as JSON; status/round are duplicated into columns for inspection.
+
+function isExpired(session) {
+    return Date.now() - Date.parse(session.updated_at) > SESSIONS.TTL_HOURS * 3600 * 1000;
+}
+
+export function saveSession(session) {
+    if (db) {
+        try {
+            db.prepare(`
+                INSERT OR REPLACE INTO sessions (id, status, round, data, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(session.id, session.status, session.round, JSON.stringify(session), session.created_at, session.updated_at);
+            return;
+        } catch (e) {
+            console.warn('[DB] Session save failed, using fallback:', e.message);
+        }
+    }
+    fallbackSessions.delete(session.id);
+    fallbackSessions.set(session.id, session);
+    if (fallbackSessions.size > SESSIONS.MAX_IN_MEMORY) fallbackSessions.delete(fallbackSessions.keys().next().value);
+}
+
+/**
+ * Returns the session or null when unknown or past SESSIONS.TTL_HOURS.
+ */
+export function getSession(id) {
+    let session = null;
+    if (db) {
+        try {
+            const row = db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+            if (row) session = JSON.parse(row.data);
+        } catch (_) { }
+    }
+    if (!session) session = fallbackSessions.get(id) || null;
+    return session && !isExpired(session) ? session : null;
+}
+
+// ── Spec Versions ─────────────────────────────────────────────────────────────
+// One row per synthesis of a session, numbered from 1.
+
+/**
+ * Stores |spec| as the session's next version and returns the version number.
+ */
+export function insertSpecVersion(sessionId, spec, logId) {
+    const row = {
+        session_id: sessionId,
+        log_id: logId || null,
+        final_score: spec.confidence_breakdown?.final_score ?? null,
+        feature_count: (spec.core_functional_components || []).length,
+        created_at: new Date().toISOString()
+    };
+    if (db) {
+        try {
+            return db.transaction(() => {
+                const { n } = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS n FROM spec_versions WHERE session_id = ?').get(sessionId);
+                db.prepare(`
+                    INSERT INTO spec_versions (session_id, version, log_id, final_score, feature_count, spec, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `).run(sessionId, n, row.log_id, row.final_score, row.feature_count, JSON.stringify(spec), row.created_at);
+                return n;
+            })();
+        } catch (e) {
+            console.warn('[DB] Version insert failed, using fallback:', e.message);
+        }
+    }
+    const versions = fallbackVersions.get(sessionId) || [];
+    const version = (versions.at(-1)?.version || 0) + 1;
+    versions.push({ ...row, version, spec });
+    fallbackVersions.set(sessionId, versions);
+    return version;
+}
+
+/**
+ * Version summaries (no spec bodies), oldest first.
+ */
+export function listSpecVersions(sessionId) {
+    if (db) {
+        try {
+            return db.prepare(`
+                SELECT version, log_id, final_score, feature_count, created_at
+                FROM spec_versions WHERE session_id = ? ORDER BY version
+            `).all(sessionId);
+        } catch (_) { }
+    }
+    return (fallbackVersions.get(sessionId) || []).map(({ spec, session_id, ...summary }) => summary);
+}
+
+export function getSpecVersion(sessionId, version) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT * FROM spec_versions WHERE session_id = ? AND version = ?').get(sessionId, version);
+            if (row) {
+                row.spec = JSON.parse(row.spec);
+                return row;
+            }
+        } catch (_) { }
+    }
+    return (fallbackVersions.get(sessionId) || []).find(v => v.version === version) || null;
+}
+
+// ── Usage Records ─────────────────────────────────────────────────────────────
+// One row per request that called an LLM. The in-memory fallback keeps summed rows
+// per (day, client, intent_mode, tool) instead, which answers the same queries.
+
+export const USAGE_DIMENSIONS = ['day', 'client', 'intent_mode', 'tool'];
+
+export function insertUsage(row) {
+    if (db) {
+        try {
+            db.prepare(`
+                INSERT INTO usage_records (log_id, day, client, intent_mode, tool, calls, prompt_tokens, completion_tokens, cost_usd)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(row.log_id || null, row.day, row.client, row.intent_mode, row.tool, row.calls, row.prompt_tokens, row.completion_tokens, row.cost_usd);
+            return;
+        } catch (e) {
+            console.warn('[DB] Usage insert failed, using fallback:', e.message);
+        }
+    }
+    const key = USAGE_DIMENSIONS.map(d => row[d]).join('|');
+    const bucket = fallbackUsage.get(key) || {
+        ...Object.fromEntries(USAGE_DIMENSIONS.map(d => [d, row[d]])),
+        requests: 0, calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0
+    };
+    bucket.requests++;
+    bucket.calls += row.calls;
+    bucket.prompt_tokens += row.prompt_tokens;
+    bucket.completion_tokens += row.completion_tokens;
+    bucket.cost_usd += row.cost_usd;
+    fallbackUsage.set(key, bucket);
+    if (fallbackUsage.size > USAGE.MAX_IN_MEMORY_BUCKETS) fallbackUsage.delete(fallbackUsage.keys().next().value);
+}
+
+/**
+ * Sums usage between |from| and |to| (inclusive YYYY-MM-DD), grouped by any of
+ * USAGE_DIMENSIONS and optionally limited to one |client|. Rows are ordered by group.
+ */
+export function aggregateUsage({ from, to, groupBy = [], client = null }) {
+    const dims = groupBy.filter(d => USAGE_DIMENSIONS.includes(d));
+    if (db) {
+        try {
+            const select = dims.length ? `${dims.join(', ')}, ` : '';
+            const group = dims.length ? `GROUP BY ${dims.join(', ')} ORDER BY ${dims.join(', ')}` : '';
+            const rows = db.prepare(`
+                SELECT ${select}COUNT(*) AS requests, SUM(calls) AS calls, SUM(prompt_tokens) AS prompt_tokens,
+                       SUM(completion_tokens) AS completion_tokens, SUM(cost_usd) AS cost_usd
+                FROM usage_records
+                WHERE day >= ? AND day <= ? ${client !== null ? 'AND client = ?' : ''}
+                ${group}
+            `).all(...[from, to, client].filter(v => v !== null));
+            return rows.filter(r => r.requests > 0);
+        } catch (e) {
+            console.warn('[DB] Usage query failed, using fallback:', e.message);
+        }
+    }
+    const groups = new Map();
+    for (const bucket of fallbackUsage.values()) {
+        if (bucket.day < from || bucket.day > to || (client !== null && bucket.client !== client)) continue;
+        const key = dims.map(d => bucket[d]).join('|');
+        const row = groups.get(key) || {
+            ...Object.fromEntries(dims.map(d => [d, bucket[d]])),
+            requests: 0, calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0
+        };
+        for (const field of ['requests', 'calls', 'prompt_tokens', 'completion_tokens', 'cost_usd']) row[field] += bucket[field];
+        groups.set(key, row);
+    }
+    const order = (a, b) => {
+        for (const d of dims) if (a[d] !== b[d]) return a[d] < b[d] ? -1 : 1;
+        return 0;
+    };
+    return [...groups.values()].sort(order);
+}
+
+// ── API Keys ──────────────────────────────────────────────────────────────────
+// Only the SHA-256 of each key is stored; scopes and quotas are JSON columns.
+
+function apiKeyFromRow(row) {
+    return { ...row, scopes: JSON.parse(row.scopes || '[]'), quotas: JSON.parse(row.quotas || '{}') };
+}
+
+export function insertApiKey(row) {
+    if (db) {
+        try {
+            db.prepare(`
+                INSERT INTO api_keys (id, name, key_hash, scopes, quotas, budget_usd, created_at, last_used_at, revoked_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(row.id, row.name, row.key_hash, JSON.stringify(row.scopes), JSON.stringify(row.quotas),
+                row.budget_usd ?? null, row.created_at, row.last_used_at || null, row.revoked_at || null);
+            return;
+        } catch (e) {
+            console.warn('[DB] API key insert failed, using fallback:', e.message);
+        }
+    }
+    fallbackApiKeys.set(row.id, { ...row });
+}
+
+/**
+ * The key row including |key_hash|, or null when unknown.
+ */
+export function getApiKey(id) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+            if (row) return apiKeyFromRow(row);
+        } catch (_) { }
+    }
+    const row = fallbackApiKeys.get(id);
+    return row ? { ...row } : null;
+}
+
+/**
+ * All keys, oldest first, without their hashes.
+ */
+export function listApiKeys() {
+    let rows = null;
+    if (db) {
+        try {
+            rows = db.prepare('SELECT * FROM api_keys ORDER BY created_at, id').all().map(apiKeyFromRow);
+        } catch (_) { }
+    }
+    rows ||= [...fallbackApiKeys.values()];
+    return rows.map(({ key_hash, ...key }) => key);
+}
+
+/**
+ * Marks a key revoked. Returns false when it is unknown or already revoked.
+ */
+export function revokeApiKey(id, at) {
+    if (db) {
+        try {
+            return db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(at, id).changes > 0;
+        } catch (e) {
+            console.warn('[DB] API key revoke failed, using fallback:', e.message);
+        }
+    }
+    const row = fallbackApiKeys.get(id);
+    if (!row || row.revoked_at) return false;
+    row.revoked_at = at;
+    return true;
+}
+
+export function touchApiKey(id, at) {
+    if (db) {
+        try {
+            db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(at, id);
+            return;
+        } catch (_) { }
+    }
+    const row = fallbackApiKeys.get(id);
+    if (row) row.last_used_at = at;
+}
+
+// ── Rate-Limit Buckets ────────────────────────────────────────────────────────
+// Token buckets shared through SQLite (RATE_LIMITS.STORE=sqlite). There is no in-memory
+// fallback here; rate-limit.mjs keeps its own. Each take is one IMMEDIATE transaction,
+// so concurrent processes never spend the same token twice.
+
+/**
+ * Runs |update(bucket | null)| → { bucket, result } on the stored bucket for |key|
+ * atomically, saves the new bucket and returns |result|. Throws without SQLite.
+ */
+export function updateRateLimitBucket(key, update) {
+    return db.transaction(() => {
+        const row = db.prepare('SELECT tokens, updated_at FROM rate_limit_buckets WHERE key = ?').get(key);
+        const { bucket, result } = update(row || null);
+        db.prepare(`
+            INSERT INTO rate_limit_buckets (key, tokens, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at
+        `).run(key, bucket.tokens, bucket.updated_at);
+        return result;
+    }).immediate();
+}
+
+/**
+ * Deletes buckets untouched since |before| (epoch ms). Returns the number removed.
+ */
+export function pruneRateLimitBuckets(before) {
+    return db.prepare('DELETE FROM rate_limit_buckets WHERE updated_at < ?').run(before).changes;
+}
+
+export function countRateLimitBuckets() {
+    return db.prepare('SELECT COUNT(*) AS n FROM rate_limit_buckets').get().n;
+}
+
+// ── Judge Cache ───────────────────────────────────────────────────────────────
+// The persistent tier of judge-cache.mjs (JUDGE_CACHE.STORE=sqlite). Like the rate-limit
+// buckets there is no in-memory fallback here; the cache keeps its own LRU.
+
+/**
+ * The unexpired score stored under |key| as { score, expires_at }, or null. Throws without SQLite.
+ */
+export function getJudgeScore(key, now) {
+    return db.prepare('SELECT score, expires_at FROM judge_cache WHERE key = ? AND expires_at > ?').get(key, now) || null;
+}
+
+export function saveJudgeScore(key, score, createdAt, expiresAt) {
+    db.prepare('INSERT OR REPLACE INTO judge_cache (key, score, created_at, expires_at) VALUES (?, ?, ?, ?)').run(key, score, createdAt, expiresAt);
+}
+
+/**
+ * Deletes scores expired at |now| (epoch ms), then the oldest beyond |keep| rows.
+ * Returns the number removed.
+ */
+export function pruneJudgeScores(now, keep) {
+    return db.transaction(() => {
+        const expired = db.prepare('DELETE FROM judge_cache WHERE expires_at <= ?').run(now).changes;
+        const overflow = db.prepare(`
+            DELETE FROM judge_cache WHERE key IN (
+                SELECT key FROM judge_cache ORDER BY created_at DESC LIMIT -1 OFFSET ?
+            )
+        `).run(keep).changes;
+        return expired + overflow;
+    })();
+}
+
+export function countJudgeScores() {
+    return db.prepare('SELECT COUNT(*) AS n FROM judge_cache').get().n;
+}
+
+// ── Jobs ──────────────────────────────────────────────────────────────────────
+// Stored whole as JSON like sessions; status is duplicated into a column so queued
+// and interrupted jobs can be found again after a restart.
+
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled', 'timed_out'];
+
+export function saveJob(job) {
+    if (db) {
+        try {
+            db.prepare(`
+                INSERT OR REPLACE INTO jobs (id, status, client, data, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(job.id, job.status, job.client || null, JSON.stringify(job), job.created_at, job.updated_at);
+            return;
+        } catch (e) {
+            console.warn('[DB] Job save failed, using fallback:', e.message);
+        }
+    }
+    fallbackJobs.delete(job.id);
+    fallbackJobs.set(job.id, job);
+    if (fallbackJobs.size > JOBS.MAX_IN_MEMORY) {
+        // Evict the oldest finished job; queued and running ones must not disappear
+        for (const [id, stored] of fallbackJobs) {
+            if (FINISHED_JOB_STATUSES.includes(stored.status)) { fallbackJobs.delete(id); break; }
+        }
+    }
+}
+
+export function getJob(id) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+            if (row) return JSON.parse(row.data);
+        } catch (_) { }
+    }
+    return fallbackJobs.get(id) || null;
+}
+
+/**
+ * Jobs in any of |statuses|, oldest first.
+ */
+export function listJobsByStatus(statuses) {
+    if (db) {
+        try {
+            return db.prepare(`SELECT data FROM jobs WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY created_at`)
+                .all(...statuses).map(row => JSON.parse(row.data));
+        } catch (_) { }
+    }
+    return [...fallbackJobs.values()].filter(job => statuses.includes(job.status));
+}
+
+/**
+ * Deletes finished jobs last updated before |before| (ISO). Returns the number removed.
+ */
+export function pruneJobs(before) {
+    if (db) {
+        try {
+            return db.prepare(`DELETE FROM jobs WHERE updated_at < ? AND status IN (${FINISHED_JOB_STATUSES.map(() => '?').join(', ')})`)
+                .run(before, ...FINISHED_JOB_STATUSES).changes;
+        } catch (e) {
+            console.warn('[DB] Job prune failed:', e.message);
+        }
+    }
+    let removed = 0;
+    for (const [id, job] of fallbackJobs) {
+        if (job.updated_at < before && FINISHED_JOB_STATUSES.includes(job.status)) { fallbackJobs.delete(id); removed++; }
+    }
+    return removed;
+}
+
+// ── Webhooks ──────────────────────────────────────────────────────────────────
+// Subscriptions keep their signing secret in clear: it is needed to sign every payload.
+// Deliveries are stored whole as JSON, with status in a column so pending retries can
+// be found again after a restart.
+
+function webhookFromRow(row) {
+    return { ...row, events: JSON.parse(row.events || '[]') };
+}
+
+export function insertWebhook(row) {
+    if (db) {
+        try {
+            db.prepare(`
+                INSERT INTO webhooks (id, url, events, secret, description, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(row.id, row.url, JSON.stringify(row.events), row.secret, row.description || null, row.created_at);
+            return;
+        } catch (e) {
+            console.warn('[DB] Webhook insert failed, using fallback:', e.message);
+        }
+    }
+    fallbackWebhooks.set(row.id, { ...row });
+}
+
+/**
+ * The webhook including its |secret|, or null when unknown.
+ */
+export function getWebhook(id) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+            if (row) return webhookFromRow(row);
+        } catch (_) { }
+    }
+    const row = fallbackWebhooks.get(id);
+    return row ? { ...row } : null;
+}
+
+/**
+ * All webhooks, oldest first, including their secrets.
+ */
+export function listWebhooks() {
+    if (db) {
+        try {
+            return db.prepare('SELECT * FROM webhooks ORDER BY created_at, id').all().map(webhookFromRow);
+        } catch (_) { }
+    }
+    return [...fallbackWebhooks.values()].map(row => ({ ...row }));
+}
+
+/**
+ * Deletes a webhook and its deliveries. Returns false when it is unknown.
+ */
+export function deleteWebhook(id) {
+    if (db) {
+        try {
+            return db.transaction(() => {
+                db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+                return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+            })();
+        } catch (e) {
+            console.warn('[DB] Webhook delete failed, using fallback:', e.message);
+        }
+    }
+    for (const [deliveryId, delivery] of fallbackDeliveries) {
+        if (delivery.webhook_id === id) fallbackDeliveries.delete(deliveryId);
+    }
+    return fallbackWebhooks.delete(id);
+}
+
+export function saveWebhookDelivery(delivery) {
+    if (db) {
+        try {
+            db.prepare(`
+                INSERT OR REPLACE INTO webhook_deliveries (id, webhook_id, status, data, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(delivery.id, delivery.webhook_id, delivery.status, JSON.stringify(delivery), delivery.created_at, delivery.updated_at);
+            return;
+        } catch (e) {
+            console.warn('[DB] Webhook delivery save failed, using fallback:', e.message);
+        }
+    }
+    fallbackDeliveries.delete(delivery.id);
+    fallbackDeliveries.set(delivery.id, delivery);
+    if (fallbackDeliveries.size > WEBHOOKS.MAX_IN_MEMORY) {
+        // Evict the oldest settled delivery; pending ones still have retries scheduled
+        for (const [id, stored] of fallbackDeliveries) {
+            if (stored.status !== 'pending') { fallbackDeliveries.delete(id); break; }
+        }
+    }
+}
+
+export function getWebhookDelivery(id) {
+    if (db) {
+        try {
+            const row = db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?').get(id);
+            if (row) return JSON.parse(row.data);
+        } catch (_) { }
+    }
+    return fallbackDeliveries.get(id) || null;
+}
+
+/**
+ * Deliveries of |webhookId|, newest first.
+ */
+export function listWebhookDeliveries(webhookId, limit = 50) {
+    if (db) {
+        try {
+            return db.prepare('SELECT data FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?')
+                .all(webhookId, limit).map(row => JSON.parse(row.data));
+        } catch (_) { }
+    }
+    return [...fallbackDeliveries.values()].filter(d => d.webhook_id === webhookId).reverse().slice(0, limit);
+}
+
+export function listPendingWebhookDeliveries() {
+    if (db) {
+        try {
+            return db.prepare("SELECT data FROM webhook_deliveries WHERE status = 'pending' ORDER BY created_at")
+                .all().map(row => JSON.parse(row.data));
+        } catch (_) { }
+    }
+    return [...fallbackDeliveries.values()].filter(d => d.status === 'pending');
+}
+
+/**
+ * Deletes settled deliveries last updated before |before| (ISO). Returns the number removed.
+ */
+export function pruneWebhookDeliveries(before) {
+    if (db) {
+        try {
+            return db.prepare("DELETE FROM webhook_deliveries WHERE updated_at < ? AND status != 'pending'").run(before).changes;
+        } catch (e) {
+            console.warn('[DB] Webhook delivery prune failed:', e.message);
+        }
+    }
+    let removed = 0;
+    for (const [id, delivery] of fallbackDeliveries) {
+        if (delivery.updated_at < before && delivery.status !== 'pending') { fallbackDeliveries.delete(id); removed++; }
+    }
+    return removed;
 }
@@ -1,154 +1,157 @@
 import http from 'http';
-import https from 'https';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 
 // --- v3.2 PRODUCTION MODULES ---
-import { VERSION, LIMITS, THRESHOLDS, FEATURES, RATE_LIMITS, validateConfig } from './config.mjs';
+import { VERSION, LIMITS, THRESHOLDS, FEATURES, LLM, JOBS, AUDIT, validateConfig } from './config.mjs';
 import { sendError, structuredLog } from './utils.mjs';
-import { initDb, insertAuditLog, getRecentLogs, getAuditLog } from './db.mjs';
-import { analyzeSimilarity, getVector } from './similarity-engine.mjs';
-import { recordLatency, incCounter, recordConfidence, getMetricsReport } from './metrics.mjs';
+import {
+    initDb, saveSession, getSession,
+    insertSpecVersion, listSpecVersions, getSpecVersion,
+    getWebhookDelivery, listWebhookDeliveries, isPersistent, schemaVersion
+} from './db.mjs';
+import { scoreSimilarity, classifyTrace, buildCorpus } from './similarity-engine.mjs';
+import { recordLatency, incCounter, inc, observe, registerGauge, getMetricsReport, renderOpenMetrics, OPENMETRICS_CONTENT_TYPE } from './metrics.mjs';
+import { recomputeConfidence } from './confidence.mjs';
+import { simulateThresholds } from './simulation.mjs';
+import { diffSpecs } from './spec-diff.mjs';
+import { exportSpec } from './spec-export.mjs';
+import { getProvider } from './llm-provider.mjs';
+import { callWithPolicy, buildChain } from './llm-policy.mjs';
+import { startSpan, runInSpan, withSpan, currentSpan, onTraceEnd, formatTraceparent, SPAN_KIND, SPAN_STATUS } from './tracing.mjs';
+import { createLedger, runWithLedger, currentLedger, tagUsage, summarizeLedger, flushLedger, usageReport, checkBudget, budgetFor } from './usage.mjs';
+import { authenticate, authorize, quotaFor } from './auth.mjs';
+import { createRateLimiter } from './rate-limit.mjs';
+import { createJudgeCache, judgeCacheKey } from './judge-cache.mjs';
+import { createJobQueue, jobView, isFinished } from './jobs.mjs';
+import { createCircuitBreaker, isCircuitOpen, BREAKER_STATE_VALUE } from './circuit-breaker.mjs';
+import { createPromptGuard, promptBlockedError, isPromptBlocked, VERDICT } from './prompt-guard.mjs';
+import { createRedactionContext, runWithRedaction, currentRedaction } from './redaction.mjs';
+import { queryAuditPage, createAuditExport, createAuditRetention } from './audit-log.mjs';
+import { openAuditStore, getAuditStore } from './audit-store.mjs';
+import { createWebhook, listWebhooks, getWebhookView, deleteWebhook, createWebhookDispatcher } from './webhooks.mjs';
+import { SCHEMAS, getSchema, parseAndValidate, buildRepairPrompt } from './schemas.mjs';
+import {
+    createSession, openRound, recordAnswers, reviseAnswers, markReady, completeSession, pickQuestions,
+    needsAnotherRound, collectAnswers, sessionView
+} from './sessions.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ── Load Environment Variables ────────────────────────────────────────────────
-if (fs.existsSync(path.join(__dirname, '.env'))) {
-    const env = fs.readFileSync(path.join(__dirname, '.env'), 'utf8');
-    env.split('\n').forEach(line => {
-        const [key, ...value] = line.split('=');
-        if (key && value.length) {
-            process.env[key.trim()] = value.join('=').trim().replace(/^["']|["']$/g, '');
-        }
-    });
-    console.log('\x1b[32m[ENV]\x1b[0m Loaded .env file');
-}
-
 // Initialize persistence
 initDb();
+try {
+    await openAuditStore();
+} catch (err) {
+    console.error(`\x1b[31m[AUDIT]\x1b[0m ${err.message}\n        Audit logging is required (PERSIST_AUDIT); fix the store or set PERSIST_AUDIT=off.`);
+    process.exit(1);
+}
 
 // Validate configuration
 validateConfig();
 
 const PORT = process.env.PORT || 3000;
 
-// ── Rate Limiting State ───────────────────────────────────────────────────────
-const rateLimitMap = new Map(); // ip → {count, resetAt}
+// ── Rate Limiting ─────────────────────────────────────────────────────────────
+const rateLimiter = createRateLimiter();
 
 /**
- * Enhanced Rate Limiter with metrics integration.
+ * Takes a token from the caller's bucket for |routeClass| and sets RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset (plus Retry-After once empty). Keys are
+ * limited by their own quotas, anonymous callers per IP. Returns null, or the 429
+ * problem when the bucket is empty.
  */
-function checkRateLimit(ip, limit) {
-    const now = Date.now();
-    const windowMs = 60000;
-    const record = rateLimitMap.get(ip) || { count: 0, resetAt: now + windowMs };
-
-    if (now > record.resetAt) {
-        record.count = 0;
-        record.resetAt = now + windowMs;
-    }
-
-    if (record.count >= limit) {
-        incCounter('requests', 'rate_limit_hits');
-        return false;
-    }
-
-    record.count++;
-    rateLimitMap.set(ip, record);
-    return true;
+function checkRateLimit(res, identity, routeClass) {
+    const result = rateLimiter.take(`${identity.id}|${routeClass}`, quotaFor(identity, routeClass));
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.reset_s));
+    if (result.allowed) return null;
+
+    res.setHeader('Retry-After', String(result.retry_after_s));
+    incCounter('requests', 'rate_limit_hits');
+    return {
+        status: 429,
+        title: 'Rate Limit Exceeded',
+        detail: `Limit is ${result.limit} ${routeClass} requests per minute; retry in ${result.retry_after_s}s.`
+    };
 }
 
-// ── Global Judge Circuit Breaker ──────────────────────────────────────────────
-const circuitBreaker = {
-    failures: 0,
-    lastFailure: 0,
-    tripped: false,
-    resetTime: 60000 // 60s
+// ── Circuit Breakers ──────────────────────────────────────────────────────────
+// One per model dependency: an open judge breaker falls back to TF-IDF scoring, an open
+// synthesis or tool breaker answers 503 with Retry-After.
+const breakers = {
+    synthesis: createCircuitBreaker('synthesis'),
+    judge: createCircuitBreaker('judge'),
+    tool: createCircuitBreaker('tool')
 };
 
-function checkCircuitBreaker() {
-    if (circuitBreaker.tripped) {
-        if (Date.now() - circuitBreaker.lastFailure > circuitBreaker.resetTime) {
-            circuitBreaker.tripped = false;
-            circuitBreaker.failures = 0;
-            structuredLog('INFO', 'Circuit breaker reset');
-            return true;
-        }
-        return false;
-    }
-    return true;
+/**
+ * The 503 problem for a call refused by a breaker ({ breaker, retry_after_s }, as from
+ * check() or a circuitOpenError).
+ */
+function circuitOpenProblem({ breaker, retry_after_s }) {
+    incCounter('requests', 'circuit_open');
+    return {
+        status: 503,
+        title: 'Service Unavailable',
+        detail: `The ${breaker} model is failing, so calls to it are paused; retry in ${retry_after_s}s.`,
+        retry_after_s
+    };
 }
 
-function tripBreaker() {
-    circuitBreaker.failures++;
-    circuitBreaker.lastFailure = Date.now();
-    if (circuitBreaker.failures >= 5) {
-        circuitBreaker.tripped = true;
-        structuredLog('ERROR', 'Circuit breaker TRIPPED! Global fallback active.');
-    }
+function sendCircuitOpen(res, refused, correlation_id) {
+    res.setHeader('Retry-After', String(refused.retry_after_s));
+    return sendError(res, { ...circuitOpenProblem(refused), correlation_id });
 }
 
 // ── Deterministic LLM-as-Judge ────────────────────────────────────────────────
-const judgeCache = new Map(); // prompt_hash → score
+const judgeCache = createJudgeCache();
+const JUDGE_PROMPT_VERSION = 'v1'; // Part of the cache key: bump it whenever the judge messages below change
 
-async function llmJudgeSimilarity(featureText, userInput, correlation_id) {
-    if (!checkCircuitBreaker()) {
-        structuredLog('WARN', 'Circuit breaker active: skipping judge call', { correlation_id });
-        return { score: null, source: 'circuit-breaker' };
-    }
-
-    const cacheKey = crypto.createHash('md5')
-        .update(featureText + '|||' + userInput)
-        .digest('hex');
-
-    if (judgeCache.has(cacheKey)) {
-        return { score: judgeCache.get(cacheKey), source: 'cache' };
-    }
+registerGauge('rate_limit_entries', 'Tracked (client, route class) rate-limit buckets.', () => rateLimiter.size());
+registerGauge('circuit_breaker_state', 'Circuit breaker state: 0 closed, 1 open, 2 half-open (probe calls decide).', () =>
+    Object.values(breakers).map(breaker => ({ labels: { breaker: breaker.name }, value: BREAKER_STATE_VALUE[breaker.state()] })));
+registerGauge('judge_cache_entries', 'LLM judge scores held in the in-memory cache tier.', () => judgeCache.size());
 
-    const payload = JSON.stringify({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-            { role: 'system', content: 'You are a semantic similarity evaluator. Return ONLY valid JSON: {"score": <number 0.0-1.0>}' },
-            { role: 'user', content: `A: "${featureText.slice(0, 400)}"\nB: "${userInput.slice(0, 400)}"\nScore similarity (1.0=same, 0.0=none).` }
-        ],
-        temperature: 0,
-        max_tokens: 10,
-        response_format: { type: 'json_object' }
-    });
+function judgeKey(featureText, userInput) {
+    return judgeCacheKey({ provider: LLM.PROVIDER, model: LLM.JUDGE_MODEL, promptVersion: JUDGE_PROMPT_VERSION, featureText, userInput });
+}
 
-    const ac = new AbortController();
-    const timeout = setTimeout(() => ac.abort(), LIMITS.ABORT_TIMEOUT_MS);
+async function llmJudgeSimilarity(featureText, userInput, correlation_id) {
+    const cacheKey = judgeKey(featureText, userInput);
+    const cached = judgeCache.get(cacheKey);
+    if (cached !== undefined) return { score: cached, source: 'cache' };
 
     try {
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            signal: ac.signal,
-            headers: {
-                'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: payload
+        const { score, served_by } = await breakers.judge.run(async () => {
+            // One short attempt: a slow judge costs the whole request, and TF-IDF is the fallback
+            const completion = await callWithPolicy({
+                messages: [
+                    { role: 'system', content: 'You are a semantic similarity evaluator. Return ONLY valid JSON: {"score": <number 0.0-1.0>}' },
+                    { role: 'user', content: `A: "${featureText.slice(0, 400)}"\nB: "${userInput.slice(0, 400)}"\nScore similarity (1.0=same, 0.0=none).` }
+                ],
+                temperature: 0,
+                max_tokens: 10,
+                jsonMode: true,
+                task: 'judge'
+            }, { chain: buildChain(LLM.JUDGE_MODEL, []), maxRetries: 0, timeoutMs: LIMITS.ABORT_TIMEOUT_MS });
+            const parsed = Number(JSON.parse(completion.content).score);
+            if (isNaN(parsed)) throw new Error('Invalid score from judge');
+            return { score: parsed, served_by: completion.served_by };
         });
 
-        clearTimeout(timeout);
-        const json = await response.json();
-
-        if (json.error) throw new Error(json.error.message);
-
-        const content = JSON.parse(json.choices[0].message.content);
-        const score = Number(content.score);
-
-        if (isNaN(score)) throw new Error('Invalid score from judge');
-
         judgeCache.set(cacheKey, score);
         structuredLog('DEBUG', 'Judge successful', { correlation_id, score, feature: featureText.slice(0, 30) });
-        return { score, source: 'groq' };
+        return { score, source: served_by.provider };
     } catch (err) {
-        clearTimeout(timeout);
-        tripBreaker();
+        if (isCircuitOpen(err)) {
+            structuredLog('WARN', 'Judge circuit open: skipping judge call', { correlation_id });
+            return { score: null, source: 'circuit-breaker' };
+        }
         structuredLog('ERROR', 'Judge failure', { correlation_id, error: err.message });
         return { score: null, source: 'error' };
     }
@@ -156,39 +159,60 @@ async function llmJudgeSimilarity(featureText, userInput, correlation_id) {
 
 // ── Hybrid Semantic Domain Drift Detection ─────────────────────────────────────
 
-async function detectDomainDrift(data, userInputText, correlation_id) {
+/**
+ * |onFeature| (optional) is called with each feature's trace result as soon as it is scored.
+ */
+async function detectDomainDrift(data, userInputText, correlation_id, onFeature = () => { }) {
     const features = data.core_functional_components || [];
-    const corpusVectors = [{ vector: getVector(userInputText) }];
+    const corpusVectors = buildCorpus(userInputText);
 
     let traceableCount = 0;
     let llmJudgeCalls = 0;
+    let similarityFallback = null;
     const driftInstances = [];
     const speculativeFlagged = [];
     const assumptionAdditions = [];
 
-    for (const feat of features) {
+    for (const [index, feat] of features.entries()) {
         if (llmJudgeCalls >= LIMITS.MAX_JUDGE_CALLS_PER_REQ) break;
 
         const description = feat.description || feat.name || '';
-        const analysis = analyzeSimilarity(description, corpusVectors);
+        const analysis = await scoreSimilarity(description, userInputText, corpusVectors);
+        if (analysis.fallback && !similarityFallback) {
+            similarityFallback = analysis.fallback;
+            incCounter('similarity', 'embedding_fallbacks');
+            structuredLog('WARN', 'Embedding similarity unavailable, using TF-IDF', { correlation_id, error: analysis.fallback });
+        }
 
         let finalScore = analysis.score;
-        let simSource = 'tfidf';
+        let judgeScore = null;
+        let simSource = analysis.backend;
         let traceStatus = analysis.status;
 
         if (traceStatus === 'assumption' && FEATURES.USE_LLM_JUDGE) {
             llmJudgeCalls++;
-            const judge = await llmJudgeSimilarity(description, userInputText, correlation_id);
+            const judge = await withSpan('llm.judge', async (span) => {
+                const result = await llmJudgeSimilarity(description, userInputText, correlation_id);
+                span.setAttributes({ 'feature.index': index, 'judge.source': result.source, 'judge.cache_hit': result.source === 'cache', 'judge.score': result.score });
+                return result;
+            });
             if (judge.score !== null) {
-                finalScore = judge.score;
+                finalScore = judgeScore = judge.score;
                 simSource = `llm-judge-${judge.source}`;
-                traceStatus = finalScore >= 0.7 ? 'traceable' : (finalScore >= 0.4 ? 'assumption' : 'speculative');
+                traceStatus = classifyTrace(analysis.score, judgeScore);
             }
         }
 
+        // Raw component scores are kept so /api/simulate can re-classify without new LLM calls
+        feat.tfidf_score = analysis.lexical;
+        feat.semantic_score = analysis.semantic;
+        feat.similarity_score = analysis.score;
+        feat.judge_score = judgeScore;
         feat.trace_score = finalScore;
         feat.trace_status = traceStatus;
         feat.similarity_source = simSource;
+        feat.trace_evidence = analysis.evidence; // Best-matching span of the vision, with offsets and shared terms
+        inc('trace_features', { similarity_source: simSource, trace_status: traceStatus });
 
         if (traceStatus === 'traceable') {
             traceableCount++;
@@ -202,6 +226,15 @@ async function detectDomainDrift(data, userInputText, correlation_id) {
             speculativeFlagged.push(feat.name);
             driftInstances.push(`[SPECULATIVE:${simSource}] ${feat.name} (score=${finalScore.toFixed(3)})`);
         }
+
+        onFeature({
+            index,
+            total: features.length,
+            name: feat.name,
+            trace_status: traceStatus,
+            trace_score: finalScore,
+            similarity_source: simSource
+        });
     }
 
     const domainConsistency = features.length > 0
@@ -214,47 +247,13 @@ async function detectDomainDrift(data, userInputText, correlation_id) {
         assumption_count: (data.assumptions_made || []).length,
         internal_consistency_check: driftInstances.length === 0 ? 'PASS' : 'PARTIAL',
         domain_consistency_computed: domainConsistency,
-        similarity_engine: VERSION.SIMILARITY,
+        similarity_engine: similarityFallback ? `${VERSION.SIMILARITY} (tfidf fallback)` : VERSION.SIMILARITY,
+        similarity_fallback: similarityFallback,
         engine_version: VERSION.ENGINE,
         llm_judge_calls: llmJudgeCalls
     };
 }
 
-// ── Hardened Confidence Recomputation ─────────────────────────────────────────
-
-function recomputeConfidence(data, validationLogic) {
-    const cb = data.confidence_breakdown || {};
-    const assumptions = Array.isArray(data.assumptions_made) ? data.assumptions_made : [];
-    const nfrs = Array.isArray(data.non_functional_requirements) ? data.non_functional_requirements : [];
-
-    const IC = Math.min(100, Math.max(0, cb.input_clarity?.score ?? 60));
-    const DC = Math.min(100, Math.max(0, validationLogic.domain_consistency_computed ?? 50));
-    const expected = ['security', 'performance', 'scalability', 'reliability', 'usability'];
-    const covered = expected.filter(cat => nfrs.some(n => (n.category || '').toLowerCase().includes(cat)));
-    const RC = Math.min(100, Math.max(0, (covered.length / expected.length) * 100));
-
-    let LC = Math.min(100, Math.max(0, cb.logical_coherence?.score ?? 100));
-    if (validationLogic.internal_consistency_check !== 'PASS') LC = Math.max(0, LC - 15);
-    if (DC < 75) LC = Math.max(0, LC - 10);
-
-    const penalty = Math.min(25, assumptions.length * 2.5);
-    const raw = (0.3 * IC) + (0.3 * DC) + (0.2 * RC) + (0.2 * LC) - penalty;
-    const final = Math.max(0, Math.min(100, Math.round(raw * 100) / 100));
-
-    recordConfidence(final);
-
-    return {
-        input_clarity: { score: Math.round(IC), justification: cb.input_clarity?.justification || 'Analyzed requirements' },
-        domain_consistency: { score: Math.round(DC), justification: `Semantic trace (${validationLogic.llm_judge_calls} calls)` },
-        requirement_completeness: { score: Math.round(RC), justification: `${covered.length}/${expected.length} NFRs` },
-        logical_coherence: { score: Math.round(LC), justification: validationLogic.internal_consistency_check === 'PASS' ? 'Consistent' : 'Penalty applied' },
-        assumption_penalty: -Math.round(penalty * 10) / 10,
-        final_score: final,
-        server_computed: true,
-        version: VERSION.CONFIDENCE
-    };
-}
-
 // ── Consistency Enforcement ───────────────────────────────────────────────────
 
 function enforceConsistency(data, validationLogic) {
@@ -275,31 +274,229 @@ function harvestArray(input, itemMapper) {
 
 // ── Persistence & Logging ─────────────────────────────────────────────────────
 
-async function logAudit(result, validationLogic, correlation_id, duration) {
+const webhooks = createWebhookDispatcher();
+const recoveredDeliveries = webhooks.recover();
+if (recoveredDeliveries > 0) structuredLog('INFO', 'Rescheduled pending webhook deliveries', { count: recoveredDeliveries });
+const auditRetention = createAuditRetention();
+auditRetention.sweep();
+const AUDIT_FILE_DIRS = [AUDIT.ARCHIVE_DIR, AUDIT.JSONL_DIR].map(dir => path.resolve(dir)); // Never served statically
+
+/**
+ * Persists the audit entry and sends it to webhooks subscribed to |event|
+ * (synthesis.completed, synthesis.rejected or tool.executed; null for none).
+ * |result.stage| marks entries for steps short of a spec: 'clarify' or 'session'.
+ */
+async function logAudit(result, validationLogic, correlation_id, duration, event, status = 200) {
+    // validationLogic is null for tool executions
     const entry = {
         id: crypto.randomUUID(),
         correlation_id,
         tool: result.tool_execution?.tool || 'synthesis',
         prompt_hash: crypto.createHash('sha256').update(JSON.stringify(result)).digest('hex'),
         duration_ms: duration,
-        status: 200,
+        status,
         engine_version: VERSION.ENGINE,
         engine_build_hash: VERSION.BUILD,
         trace_data: {
             final_score: result.confidence_breakdown?.final_score,
-            drift_count: validationLogic.domain_drift_instances.length,
-            feature_count: (result.core_functional_components || []).length
+            drift_count: validationLogic?.domain_drift_instances.length ?? 0,
+            feature_count: (result.core_functional_components || []).length,
+            schema_violations: (result.schema_violations || []).length,
+            model_used: result.model_used || result.tool_execution?.model_used,
+            stage: result.stage,
+            session_id: result.session_id,
+            prompt_guard: result.prompt_guard,
+            redaction: currentRedaction()?.report(),
+            trace_id: currentSpan()?.traceId,
+            client: currentLedger()?.tags.client,
+            usage: currentLedger() ? summarizeLedger(currentLedger()) : undefined
         }
     };
 
-    insertAuditLog(entry);
+    const store = getAuditStore();
+    try {
+        await store.insert(entry);
+        if (validationLogic) await store.insertSynthesis(entry.id, result); // Kept for /api/export/:id
+    } catch (err) {
+        // With PERSIST_AUDIT on the store does not fall back to memory; the request fails instead
+        structuredLog('ERROR', 'Audit log write failed', { correlation_id, error: err.message });
+        throw err;
+    }
+    tagUsage({ log_id: entry.id });
+    // The request's spans are only complete once its trace ends
+    onTraceEnd(({ trace_id, spans }) => store.mergeTrace(entry.id, { trace_id, spans })
+        .catch(err => structuredLog('WARN', 'Audit trace update failed', { correlation_id, error: err.message })));
+    if (event) webhooks.dispatch(event, entry);
     structuredLog('INFO', 'Audit log persisted', { correlation_id, score: entry.trace_data.final_score });
+    return entry.id;
+}
+
+// ── Spec Export ───────────────────────────────────────────────────────────────
+
+/**
+ * Renders the synthesis stored under audit log |id|. ?format=md|html|docx|pdf (default md).
+ * Only |client|, the identity the entry was recorded for, may export it; to anyone else
+ * it is missing.
+ */
+async function exportSynthesis(id, searchParams, client) {
+    const store = getAuditStore();
+    const entry = await store.get(id);
+    const spec = entry?.trace_data?.client === client ? await store.getSynthesis(id) : null;
+    if (!spec) return { status: 404, title: 'Synthesis Not Found', detail: 'No stored synthesis for this audit log id.' };
+    try {
+        const file = exportSpec(spec, searchParams.get('format') || 'md', {
+            id,
+            created_at: entry?.created_at || entry?.timestamp,
+            engine_version: entry?.engine_version
+        });
+        incCounter('exports', searchParams.get('format') || 'md');
+        return { status: 200, file };
+    } catch (err) {
+        if (err instanceof RangeError) return { status: 400, title: 'Invalid Format', detail: err.message };
+        throw err;
+    }
+}
+
+// ── Threshold Simulation ──────────────────────────────────────────────────────
+
+/**
+ * Shared by /api/simulate and /analyze.php?mode=simulate.
+ * Body: { data: <synthesis result>, text: <original vision>, thresholds?: [{ TFIDF_TRACEABLE, ... }] }
+ */
+function runSimulation(payload) {
+    if (!payload.data || typeof payload.data !== 'object') return { status: 400, title: 'Missing Data', detail: 'Provide the synthesis result as "data".' };
+    try {
+        const body = simulateThresholds(payload.data, typeof payload.text === 'string' ? payload.text : '', payload.thresholds, {
+            judgeLookup: (featureText, userInput) => judgeCache.peek(judgeKey(featureText, userInput))
+        });
+        incCounter('requests', 'simulations');
+        return { status: 200, body };
+    } catch (err) {
+        if (err instanceof RangeError) return { status: 400, title: 'Invalid Thresholds', detail: err.message };
+        throw err;
+    }
+}
+
+// ── Clarification Sessions ────────────────────────────────────────────────────
+
+/**
+ * Asks the model for the next round's questions, steering later rounds toward
+ * the facets still missing. Falls back to the built-in questions if the call fails.
+ */
+async function nextQuestions(session, correlation_id) {
+    tagUsage({ intent_mode: intentLabel(session.intent_mode) });
+    let proposed = [];
+    let clarify_context;
+    if (session.rounds.length > 0) {
+        const history = session.rounds
+            .map(r => r.questions.map(q => `Q: ${q}\nA: ${r.answers?.[q] || '(no answer)'}`).join('\n'))
+            .join('\n');
+        clarify_context = `PREVIOUS ROUNDS:\n${history}\n\nFOCUS: ${session.ambiguity.missing.join(', ') || 'remaining gaps'}\nAsk only about what is still unclear.`;
+    }
+    try {
+        const parsed = await callGroq({ mode: 'clarify', text: session.text, intent_mode: session.intent_mode, clarify_context });
+        proposed = parsed.questions || parsed.clarification_questions || [];
+    } catch (err) {
+        structuredLog('WARN', 'Clarify call failed, using built-in questions', { correlation_id, session_id: session.id, error: err.message });
+    }
+    return pickQuestions(session, proposed);
+}
+
+/**
+ * Opens the next round, or marks the session ready when there is nothing left to ask.
+ */
+async function advanceSession(session, correlation_id) {
+    if (session.status === 'clarifying' && needsAnotherRound(session, session.ambiguity)) {
+        const questions = await nextQuestions(session, correlation_id);
+        if (questions.length > 0) openRound(session, questions);
+        else markReady(session);
+    }
+    saveSession(session);
+    incCounter('sessions', session.status === 'clarifying' ? `round_${session.round}` : 'ready');
+    return sessionView(session);
+}
+
+/**
+ * The session |id| when |client| (an identity id) created it. Another client's session
+ * reads as missing, as jobs do, so ids cannot be probed.
+ */
+function getOwnSession(id, client) {
+    const session = getSession(id);
+    return session && session.client === client ? session : null;
+}
+
+/** The problem for a JSON body whose root is not an object (null, an array, a string…). */
+const NOT_AN_OBJECT = { status: 400, title: 'Invalid Payload', detail: 'The request body must be a JSON object.' };
+const isJsonObject = (payload) => payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+
+/**
+ * Swaps in the session's vision and accumulated answers when |payload.session_id| is set
+ * and the session belongs to |client|. |payload.answers|, if given, revises earlier
+ * answers on a copy of the session: it is only saved once the generation succeeds, so
+ * answers that are blocked or fail leave the stored session as it was.
+ */
+function resolveSessionPayload(payload, client) {
+    if (!payload.session_id) return { payload, session: null };
+    let session = getOwnSession(String(payload.session_id), client);
+    if (!session) return { status: 404, title: 'Session Not Found', detail: 'Unknown or expired session.' };
+    if (payload.answers && typeof payload.answers === 'object' && Object.keys(payload.answers).length > 0) {
+        session = reviseAnswers(structuredClone(session), payload.answers);
+    }
+    const answers = collectAnswers(session);
+    if (Object.keys(answers).length === 0) {
+        return { status: 409, title: 'Session Not Ready', detail: 'Answer at least one clarification round before generating.' };
+    }
+    return {
+        session,
+        payload: { ...payload, mode: 'generate', text: session.text, answers, intent_mode: payload.intent_mode || session.intent_mode }
+    };
+}
+
+/**
+ * Audits a session step (the vision, or one round of answers) with its screening verdict.
+ * Returns the verdict with the entry's id as |audit_log_id|, as a block would carry it.
+ */
+async function auditSessionStep(session, prompt_guard, correlation_id, duration) {
+    const audit_log_id = await logAudit({ stage: 'session', session_id: session.id, prompt_guard }, null, correlation_id, duration, null);
+    return { ...prompt_guard, audit_log_id };
+}
+
+/**
+ * Closes out a session generation: stores the spec as the session's next version
+ * and tags the response with it.
+ */
+function finishSession(session, result) {
+    const version = insertSpecVersion(session.id, result.response, result.logId);
+    result.response.spec_version = version;
+    saveSession(completeSession(session, result.response, result.logId));
+    incCounter('sessions', 'versions');
+}
+
+/**
+ * Diff between two stored versions; defaults to the latest against its predecessor,
+ * which is a 404 while there is only one.
+ */
+function diffVersions(sessionId, searchParams) {
+    const versions = listSpecVersions(sessionId);
+    if (versions.length === 0) return { status: 404, title: 'No Versions', detail: 'This session has not generated a spec yet.' };
+    const latest = versions.at(-1).version;
+    if (latest === 1 && !searchParams.has('from') && !searchParams.has('to')) {
+        return { status: 404, title: 'Only One Version', detail: 'Regenerate the spec to have a second version to diff against.' };
+    }
+    const to = Number(searchParams.get('to') || latest);
+    const from = Number(searchParams.get('from') || to - 1);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from === to) {
+        return { status: 400, title: 'Invalid Versions', detail: 'Provide two different version numbers, e.g. ?from=1&to=2.' };
+    }
+    const a = getSpecVersion(sessionId, from);
+    const b = getSpecVersion(sessionId, to);
+    if (!a || !b) return { status: 404, title: 'Version Not Found', detail: `Known versions: ${versions.map(v => v.version).join(', ')}.` };
+    return { status: 200, body: { session_id: sessionId, from, to, ...diffSpecs(a.spec, b.spec) } };
 }
 
 // ── Tool Execution Security ───────────────────────────────────────────────────
 
 const TOOL_ALLOWLIST = new Set(['chatgpt', 'copilot', 'plan', 'test-scaffold', 'claude']);
-const PROMPT_DENYLIST = ['exec(', 'eval(', 'child_process', 'rm -rf', 'drop table', 'delete from', '__proto__', 'constructor['];
 const TOOL_SYSTEM_PROMPTS = {
     chatgpt: 'You are an expert software architect. Analyze the spec and provide architectural guidance.',
     copilot: 'You are a senior engineer. Generate production-ready code scaffolding.',
@@ -308,70 +505,116 @@ const TOOL_SYSTEM_PROMPTS = {
     'test-scaffold': 'You are a QA engineer. Generate comprehensive unit test scaffolding.'
 };
 
-function sanitizePrompt(prompt) {
-    if (typeof prompt !== 'string' || prompt.length > 50000) return null;
-    const cleaned = prompt.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    const lower = cleaned.toLowerCase();
-    for (const denied of PROMPT_DENYLIST) { if (lower.includes(denied.toLowerCase())) return null; }
-    return cleaned;
+// ── Prompt-Injection Guard ────────────────────────────────────────────────────
+// Every route that forwards user text to a model screens it first (prompt-guard.mjs).
+// The verdict is returned to the client and kept in the audit log, clarify rounds and
+// session steps included; blocked input is audited with status 400 and never reaches a model.
+const promptGuard = createPromptGuard();
+
+const guardView = ({ cleaned, ...guard }) => guard;
+
+function promptBlockedProblem(prompt_guard) {
+    return {
+        status: 400,
+        title: 'Prompt Rejected',
+        detail: `Input failed prompt-injection screening (${prompt_guard.reasons.map(r => r.rule).join(', ')}).`,
+        prompt_guard
+    };
 }
 
-// ── Groq API Helper ────────────────────────────────────────────────────────────
+/**
+ * Screens |texts| (the vision, answers or tool prompt of one request) as one document.
+ * A block is written to the audit log, attributed to |tool| or 'synthesis' and tagged
+ * with |context| (stage, session_id), and the entry's id is returned as |audit_log_id|.
+ */
+async function screenInput(texts, correlation_id, tool = null, context = {}) {
+    const guard = await promptGuard.screen(texts.filter(t => typeof t === 'string' && t).join('\n'), { correlation_id });
+    inc('prompt_guard_verdicts', { verdict: guard.verdict });
+    if (guard.verdict !== VERDICT.ALLOW) {
+        structuredLog('WARN', `Prompt screening: ${guard.verdict}`, { correlation_id, score: guard.score, rules: guard.reasons.map(r => r.rule) });
+    }
+    if (guard.verdict === VERDICT.BLOCK) {
+        guard.audit_log_id = await logAudit({ ...context, tool_execution: tool ? { tool } : undefined, prompt_guard: guardView(guard) }, null, correlation_id, 0, null, 400);
+    }
+    return guard;
+}
 
-function groqRequest(messages, opts = {}) {
-    const payload = JSON.stringify({
-        model: opts.model || 'llama-3.3-70b-versatile',
-        messages,
-        temperature: opts.temperature ?? 0,
-        max_tokens: opts.max_tokens,
-        response_format: opts.jsonMode ? { type: 'json_object' } : undefined
-    });
+/**
+ * Shared by /api/execute-tool and /analyze.php?mode=execute-tool.
+ * Returns { status, body } so each route only has to write the response.
+ */
+async function executeTool(payload, correlation_id) {
+    const { tool, prompt } = payload;
+    if (!TOOL_ALLOWLIST.has(tool)) return { status: 400, title: 'Unsupported Tool' };
+    if (typeof prompt !== 'string' || !prompt.trim()) return { status: 400, title: 'Missing Prompt' };
+    const guard = await screenInput([prompt], correlation_id, tool);
+    if (guard.verdict === VERDICT.BLOCK) {
+        inc('tool_executions', { tool, status: 'rejected' });
+        return promptBlockedProblem(guardView(guard));
+    }
 
-    return new Promise((resolve, reject) => {
-        const req = https.request({
-            hostname: 'api.groq.com',
-            path: '/openai/v1/chat/completions',
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(payload)
-            }
-        }, (res) => {
-            let data = '';
-            res.on('data', c => { data += c; });
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(data);
-                    if (json.error) {
-                        console.error("[GROQ ERROR]", JSON.stringify(json.error, null, 2));
-                        reject(new Error(`Groq: ${json.error.message}`));
-                        return;
-                    }
-                    resolve(json.choices[0].message.content);
-                } catch (e) {
-                    console.error("[PARSE ERROR]", data.slice(0, 500));
-                    reject(new Error(`Groq parse error: ${data.slice(0, 300)}`));
-                }
-            });
-        });
-        req.on('error', reject);
-        req.write(payload);
-        req.end();
-    });
+    const start = Date.now();
+    incCounter('tools', tool);
+    tagUsage({ tool });
+    let completion;
+    try {
+        completion = await groqRequest(
+            [{ role: 'system', content: TOOL_SYSTEM_PROMPTS[tool] }, { role: 'user', content: guard.cleaned }],
+            { task: 'tool' }
+        );
+    } catch (err) {
+        inc('tool_executions', { tool, status: 'error' });
+        throw err;
+    }
+    inc('tool_executions', { tool, status: 'ok' });
+    const duration = Date.now() - start;
+    const model_used = completion.served_by;
+    const prompt_guard = guardView(guard);
+    const logId = await logAudit({ tool_execution: { tool, model_used }, prompt_guard }, null, correlation_id, duration, 'tool.executed');
+    return { status: 200, body: { ok: true, tool, toolResponse: completion.content, model_used, prompt_guard, redaction: currentRedaction()?.report(), logId, duration_ms: duration, usage: summarizeLedger(currentLedger()) } };
+}
+
+// ── LLM Request Helper ────────────────────────────────────────────────────────
+
+/**
+ * Chat completion through the configured provider (see llm-provider.mjs), with the
+ * retries and model fallback of llm-policy.mjs. Returns { content, served_by }.
+ * |opts.task| tells the fixture provider which kind of answer to synthesize.
+ * |opts.onToken| streams content deltas as they arrive. |opts.signal| aborts the call
+ * (a cancelled job); an aborted call does not count against the breaker.
+ */
+async function groqRequest(messages, opts = {}) {
+    const breaker = opts.task === 'tool' ? breakers.tool : breakers.synthesis;
+    try {
+        const completion = await breaker.run(() => callWithPolicy({
+            messages,
+            temperature: opts.temperature ?? 0,
+            max_tokens: opts.max_tokens,
+            jsonMode: opts.jsonMode,
+            task: opts.task,
+            onToken: opts.onToken,
+            signal: opts.signal
+        }, { chain: buildChain(opts.model || LLM.SYNTHESIS_MODEL) }), { signal: opts.signal });
+        return { content: completion.content, served_by: completion.served_by };
+    } catch (err) {
+        console.error('[LLM ERROR]', err.message);
+        throw err;
+    }
 }
 
 // ── V3 Generation Prompt ───────────────────────────────────────────────────────
 
-async function callGroq(payload) {
+async function callGroq(payload, { onToken, signal } = {}) {
     const { mode, text, answers } = payload;
     let sysPrompt, userPrompt;
 
     const intentMode = payload.intent_mode || 'auto';
 
-    if (mode === 'clarify' || !answers || Object.keys(answers).length === 0) {
+    const isClarify = mode === 'clarify' || !answers || Object.keys(answers).length === 0;
+    if (isClarify) {
         sysPrompt = `You are Re-Prompt v3.3 Clarification Engine. Analyze user vision. return ONLY JSON: { "clarification_required": true, "questions": ["string"] }.`;
         userPrompt = `VISION: ${text}\n\nINTENT_HINT: ${intentMode}`;
+        if (payload.clarify_context) userPrompt += `\n\n${payload.clarify_context}`;
     } else {
         let answerContext = '';
         for (const [q, a] of Object.entries(answers)) answerContext += `Q: ${q}\nA: ${a}\n\n`;
@@ -428,29 +671,94 @@ async function callGroq(payload) {
         userPrompt = `VISION: ${text}\n\nANSWERS:\n${answerContext}\n\nINTENT_TARGET: ${intentMode}`;
     }
 
-    const content = await groqRequest(
-        [{ role: 'system', content: sysPrompt }, { role: 'user', content: userPrompt }],
-        { jsonMode: true }
-    );
-    const parsed = JSON.parse(content);
+    // Validate against the mode's JSON Schema; re-prompt with the failing paths until clean or out of budget
+    const schema = getSchema(isClarify ? 'clarify' : 'generate', intentMode);
+    const messages = [{ role: 'system', content: sysPrompt }, { role: 'user', content: userPrompt }];
+    const requestOpts = { jsonMode: true, task: isClarify ? 'clarify' : 'synthesis', onToken, signal };
+
+    let { content, served_by } = await groqRequest(messages, requestOpts);
+    let best = { ...parseAndValidate(content, schema), served_by };
+    let attempts = 0;
+
+    while (best.violations.length > 0 && attempts < LIMITS.SCHEMA_REPAIR_ATTEMPTS) {
+        attempts++;
+        incCounter('schema', 'repair_attempts');
+        structuredLog('WARN', 'Schema violations, requesting repair', { attempt: attempts, paths: best.violations.map(v => v.path).slice(0, 10) });
+        ({ content, served_by } = await groqRequest([
+            ...messages,
+            { role: 'assistant', content },
+            { role: 'user', content: buildRepairPrompt(best.violations) }
+        ], requestOpts));
+        const candidate = { ...parseAndValidate(content, schema), served_by };
+        if (candidate.data && (!best.data || candidate.violations.length <= best.violations.length)) best = candidate;
+    }
+
+    if (!best.data) throw new Error('Model returned invalid JSON after schema repair attempts');
+    if (best.violations.length > 0) incCounter('schema', 'unrepaired');
+    const parsed = best.data;
+    parsed.schema_violations = best.violations;
+    parsed.schema_repair_attempts = attempts;
+    parsed.model_used = best.served_by; // Which model in the fallback chain produced this answer
 
     // Inject intent data if not present (v3.3 sync)
     parsed.intent_mode = (intentMode === 'auto') ? 'PRODUCT_PLANNING' : intentMode;
     parsed.classification_source = (intentMode === 'auto') ? 'engine' : 'manual';
-    parsed.mode_confidence = Math.random() * (0.99 - 0.85) + 0.85;
+    parsed.mode_confidence = 0.95; // Fixed (parity with analyze.php) so replayed runs are reproducible
 
     return parsed;
 }
 
 // ── Main Validation Pipeline ───────────────────────────────────────────────────
 
-async function runValidationPipeline(payload, correlation_id) {
+/**
+ * Intent label for metrics and usage records. 'auto' resolves as in callGroq; free-form
+ * client values collapse to 'other' so label cardinality stays bounded.
+ */
+function intentLabel(mode) {
+    const resolved = (!mode || mode === 'auto') ? 'PRODUCT_PLANNING' : mode;
+    return (resolved !== 'clarify' && SCHEMAS[resolved]) ? resolved : 'other';
+}
+
+/**
+ * |onEvent(name, data)| receives phase events for streaming clients:
+ * llm.progress, schema.normalized, trace.feature, confidence. Ignored by default.
+ * Schema violations left after repair are returned under |schema_violations|.
+ * Input the prompt guard blocks throws promptBlockedError() before any model call.
+ * |signal| aborts the synthesis call in flight (a cancelled or timed-out job).
+ */
+async function runValidationPipeline(payload, correlation_id, onEvent = () => { }, { signal } = {}) {
     const start = Date.now();
     incCounter('requests', 'total');
+    tagUsage({ intent_mode: intentLabel(payload.intent_mode) });
+
+    const isClarify = payload.mode === 'clarify' || !payload.answers || Object.keys(payload.answers).length === 0;
+    const texts = [payload.text, ...Object.entries(payload.answers || {}).flat().map(String)];
+    const guard = await screenInput(texts, correlation_id, null, isClarify ? { stage: 'clarify' } : {});
+    if (guard.verdict === VERDICT.BLOCK) throw promptBlockedError(guardView(guard));
+    const prompt_guard = guardView(guard);
+
+    // Throttle token progress to one event per ~512 chars
+    let received = 0, reported = 0;
+    const onToken = (delta) => {
+        received += delta.length;
+        if (received - reported >= 512) {
+            reported = received;
+            onEvent('llm.progress', { chars: received });
+        }
+    };
 
-    const rawResponse = await callGroq(payload);
-    if (payload.mode === 'clarify' || !payload.answers || Object.keys(payload.answers).length === 0) {
-        return { response: rawResponse, isClarify: true };
+    const rawResponse = await withSpan('pipeline.llm', { attributes: { 'pipeline.intent_mode': payload.intent_mode || 'auto' } }, async (span) => {
+        const parsed = await callGroq(payload, { onToken, signal });
+        span.setAttributes({ 'schema.repair_attempts': parsed.schema_repair_attempts, 'schema.violations': parsed.schema_violations?.length });
+        return parsed;
+    });
+    onEvent('llm.progress', { chars: received, done: true });
+    if (isClarify) {
+        // No spec to export, but the round is audited so its screening verdict can be traced
+        const response = { ...rawResponse, prompt_guard, redaction: currentRedaction()?.report() };
+        const logId = await withSpan('audit.log', () => logAudit({ ...response, stage: 'clarify' }, null, correlation_id, Date.now() - start, null));
+        response.prompt_guard = { ...prompt_guard, audit_log_id: logId };
+        return { response, isClarify: true, logId };
     }
 
     rawResponse.core_functional_components = harvestArray(
@@ -472,8 +780,29 @@ async function runValidationPipeline(payload, correlation_id) {
         }
     );
 
-    const validationLogic = await detectDomainDrift(rawResponse, String(payload.text || ''), correlation_id);
-    const confidence = recomputeConfidence(rawResponse, validationLogic);
+    onEvent('schema.normalized', {
+        feature_count: rawResponse.core_functional_components.length,
+        assumption_count: rawResponse.assumptions_made.length,
+        violation_count: rawResponse.schema_violations.length,
+        repair_attempts: rawResponse.schema_repair_attempts
+    });
+
+    const validationLogic = await withSpan('pipeline.trace', async (span) => {
+        const logic = await detectDomainDrift(rawResponse, String(payload.text || ''), correlation_id,
+            (trace) => onEvent('trace.feature', trace));
+        span.setAttributes({
+            'trace.features': rawResponse.core_functional_components.length,
+            'trace.judge_calls': logic.llm_judge_calls,
+            'similarity.engine': logic.similarity_engine
+        });
+        return logic;
+    });
+    const confidence = await withSpan('pipeline.confidence', async (span) => {
+        const computed = recomputeConfidence(rawResponse, validationLogic);
+        span.setAttributes({ 'confidence.final_score': computed.final_score });
+        return computed;
+    });
+    onEvent('confidence', confidence);
     const inconsistencies = enforceConsistency(rawResponse, validationLogic);
 
     const finalResponse = {
@@ -481,33 +810,205 @@ async function runValidationPipeline(payload, correlation_id) {
         validation_logic: validationLogic,
         confidence_breakdown: confidence,
         inconsistencies_found: inconsistencies,
+        prompt_guard,
+        redaction: currentRedaction()?.report(), // Every model call is done, so the report is complete
         // v3.3 schema aliases
         refined_domain_specification: rawResponse.refined_domain_specification || rawResponse.refined_problem_statement || rawResponse.refined_idea,
         refined_idea: rawResponse.refined_idea || rawResponse.refined_problem_statement || rawResponse.refined_domain_specification
     };
 
     const duration = Date.now() - start;
-    recordLatency(duration);
-    await logAudit(finalResponse, validationLogic, correlation_id, duration);
+    const isBlocking = confidence.final_score < THRESHOLDS.CONFIDENCE_MIN;
+    const intent_mode = intentLabel(finalResponse.intent_mode);
+    recordLatency(duration, { intent_mode });
+    inc('syntheses', { intent_mode, outcome: isBlocking ? 'rejected' : 'accepted' });
+    if (currentLedger()) finalResponse.usage = summarizeLedger(currentLedger()); // Every LLM call of this synthesis is done by now
+    const event = isBlocking ? 'synthesis.rejected' : 'synthesis.completed';
+    const logId = await withSpan('audit.log', () => logAudit(finalResponse, validationLogic, correlation_id, duration, event));
+    finalResponse.audit_log_id = logId; // Key for GET /api/export/:id
 
     return {
         response: finalResponse,
+        logId,
         duration,
-        isBlocking: confidence.final_score < THRESHOLDS.CONFIDENCE_MIN
+        isBlocking
+    };
+}
+
+// ── Jobs ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Overall progress (0–100) for a pipeline event, for clients that only poll.
+ */
+function jobPercent(event, data) {
+    if (event === 'llm.progress') return data.done ? 60 : Math.min(58, Math.round(data.chars / 12000 * 60));
+    if (event === 'schema.normalized') return 65;
+    if (event === 'trace.feature') return Math.round(65 + 25 * (data.index + 1) / data.total);
+    if (event === 'confidence') return 95;
+    return null;
+}
+
+/**
+ * Runs a queued /api/jobs payload through the same pipeline as /api/validate, in its
+ * own trace, usage ledger and redaction context, so the work is attributed to the client
+ * that queued it.
+ */
+async function runSynthesisJob(job, { signal, progress }) {
+    const ledger = createLedger({ client: job.client });
+    const span = startSpan('job.synthesis', { root: true, attributes: { 'job.id': job.id, 'job.attempt': job.attempts, 'enduser.id': job.client } });
+    try {
+        return await runWithLedger(ledger, () => runWithRedaction(createRedactionContext(), () => runInSpan(span, async () => {
+            const resolved = resolveSessionPayload(job.payload, job.client);
+            if (!resolved.payload) return resolved;
+            const result = await runValidationPipeline(resolved.payload, job.correlation_id, progress, { signal });
+            if (result.isBlocking) {
+                incCounter('requests', 'errors_422');
+                return { status: 422, title: 'Confidence Floor Violation', detail: `Rejected score ${result.response.confidence_breakdown.final_score}` };
+            }
+            if (resolved.session && !result.isClarify) finishSession(resolved.session, result);
+            return { status: 200, body: result.response };
+        })));
+    } catch (err) {
+        span.recordException(err);
+        if (isCircuitOpen(err)) return circuitOpenProblem(err);
+        if (isPromptBlocked(err)) return promptBlockedProblem(err.prompt_guard);
+        throw err;
+    } finally {
+        flushLedger(ledger, job.client);
+        span.end();
+    }
+}
+
+const jobQueue = createJobQueue(runSynthesisJob, { percentOf: jobPercent });
+const recoveredJobs = jobQueue.recover();
+if (recoveredJobs > 0) structuredLog('INFO', 'Requeued unfinished jobs', { count: recoveredJobs });
+
+registerGauge('jobs_in_flight', 'Jobs waiting for or holding a worker.', () => {
+    const { queued, running } = jobQueue.stats();
+    return [{ labels: { status: 'queued' }, value: queued }, { labels: { status: 'running' }, value: running }];
+});
+
+/**
+ * Validates and queues a POST /api/jobs body. Session payloads are resolved now so a
+ * bad session fails the submission rather than the job.
+ */
+function submitJob(payload, identity, correlation_id) {
+    if (!isJsonObject(payload)) return NOT_AN_OBJECT;
+    const resolved = resolveSessionPayload(payload, identity.id);
+    if (!resolved.payload) return resolved;
+    if (typeof resolved.payload.text !== 'string' || !resolved.payload.text.trim()) {
+        return { status: 400, title: 'Missing Input', detail: 'A non-empty "text" field is required.' };
+    }
+    if (jobQueue.stats().queued >= JOBS.MAX_QUEUED) {
+        return { status: 503, title: 'Job Queue Full', detail: `${JOBS.MAX_QUEUED} jobs are already waiting; retry shortly.` };
+    }
+    const { timeout_ms, ...jobPayload } = payload;
+    try {
+        const job = jobQueue.submit(jobPayload, { client: identity.id, correlation_id, timeout_ms });
+        incCounter('jobs', 'submitted');
+        return { status: 202, body: jobView(job) };
+    } catch (err) {
+        if (err instanceof RangeError) return { status: 400, title: 'Invalid Job', detail: err.message };
+        throw err;
+    }
+}
+
+/**
+ * GET /api/jobs/:id/events: the job's pipeline events as SSE, ending with 'done'.
+ */
+function streamJob(job, req, res, setBaseHeaders) {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    setBaseHeaders(200, 'text/event-stream');
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     };
+    send('status', jobView(job));
+    if (isFinished(job)) {
+        send('done', jobView(job));
+        return res.end();
+    }
+    // Comment lines keep proxies from closing a connection that is quiet between stages
+    const keepAlive = setInterval(() => { if (!res.writableEnded) res.write(': keep-alive\n\n'); }, 15000);
+    const unsubscribe = jobQueue.subscribe(job.id, (event, data) => {
+        send(event, data);
+        if (event === 'done') res.end();
+    });
+    res.on('close', () => { clearInterval(keepAlive); unsubscribe(); });
+}
+
+// Route templates for metric labels; anything else under /api is 'other', the rest 'static'
+const METRIC_ROUTES = new Set([
+    '/analyze.php', '/metrics', '/api/metrics', '/api/validate', '/api/validate/stream', '/api/simulate', '/api/execute-tool',
+    '/api/sessions', '/api/sessions/:id', '/api/sessions/:id/answers', '/api/sessions/:id/versions',
+    '/api/sessions/:id/versions/diff', '/api/sessions/:id/versions/:n', '/api/export/:id', '/api/logs', '/api/logs/export', '/api/logs/:id', '/api/usage',
+    '/api/jobs', '/api/jobs/:id', '/api/jobs/:id/events', '/api/jobs/:id/cancel',
+    '/api/webhooks', '/api/webhooks/:id', '/api/webhooks/:id/deliveries', '/api/webhooks/:id/deliveries/:id/redeliver'
+]);
+
+// POST routes that call the LLM and are therefore subject to client budgets
+const BUDGETED_ROUTES = new Set(['/analyze.php', '/api/validate', '/api/validate/stream', '/api/sessions', '/api/sessions/:id/answers', '/api/execute-tool', '/api/jobs']);
+
+// Scope each route needs; other /api routes need 'validate', static files none. Routes that
+// act across clients need 'admin' itself (keys are managed with `npm run keys`, on the host)
+const ROUTE_SCOPES = {
+    '/metrics': 'metrics', '/api/metrics': 'metrics', '/api/usage': 'metrics',
+    '/api/logs': 'logs', '/api/logs/export': 'logs', '/api/logs/:id': 'logs',
+    '/api/execute-tool': 'execute-tool',
+    '/api/webhooks': 'webhooks', '/api/webhooks/:id': 'webhooks', '/api/webhooks/:id/deliveries': 'webhooks',
+    '/api/webhooks/:id/deliveries/:id/redeliver': 'admin'
+};
+
+// Rate-limit class of the POST routes that run the pipeline or a model; every other API
+// route, whatever its method, draws on the caller's 'read' bucket
+const POST_ROUTE_CLASSES = {
+    '/api/validate': 'validate', '/api/validate/stream': 'validate', '/api/jobs': 'validate',
+    '/api/sessions': 'session', '/api/sessions/:id/answers': 'session',
+    '/api/execute-tool': 'execute', '/api/simulate': 'simulate'
+};
+
+function rateLimitClass(route, method, searchParams) {
+    if (route === 'static') return null;
+    if (method !== 'POST') return 'read';
+    if (route === '/analyze.php') return searchParams.get('mode') === 'execute-tool' ? 'execute' : 'analyze';
+    return POST_ROUTE_CLASSES[route] || 'read';
+}
+
+function requiredScope(route, searchParams) {
+    if (route === '/analyze.php' && searchParams.get('mode') === 'execute-tool') return 'execute-tool';
+    return ROUTE_SCOPES[route] || (route === 'static' ? null : 'validate');
+}
+
+/**
+ * The breaker guarding the model a POST route calls, or null when it calls none.
+ */
+function breakerFor(route, searchParams) {
+    const mode = route === '/analyze.php' ? searchParams.get('mode') : null;
+    if (route === '/api/execute-tool' || mode === 'execute-tool') return breakers.tool;
+    if (mode === 'simulate' || !BUDGETED_ROUTES.has(route)) return null;
+    return breakers.synthesis;
+}
+
+function routeLabel(pathname) {
+    const template = pathname
+        .replace(/\/[a-f0-9-]{36}(?=\/|$)/g, '/:id')
+        .replace(/\/\d+(?=\/|$)/g, '/:n');
+    if (METRIC_ROUTES.has(template)) return template;
+    return pathname.startsWith('/api/') ? 'other' : 'static';
 }
 
 const ALLOWED_ORIGINS = new Set((process.env.ALLOWED_ORIGINS || 'http://localhost:3000').split(','));
 
-const server = http.createServer((req, res) => {
-    const clientIp = req.socket.remoteAddress || '127.0.0.1';
+function handleRequest(req, res) {
     const correlation_id = req.headers['x-correlation-id'] || crypto.randomUUID();
     const origin = req.headers.origin || '';
+    currentSpan()?.setAttributes({ correlation_id });
 
     const setBaseHeaders = (status = 200, contentType = 'application/json') => {
         if (ALLOWED_ORIGINS.has(origin)) { res.setHeader('Access-Control-Allow-Origin', origin); res.setHeader('Vary', 'Origin'); }
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Correlation-ID');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Correlation-ID, traceparent');
+        res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, X-Correlation-ID');
         res.setHeader('X-Correlation-ID', correlation_id);
         res.setHeader('X-Content-Type-Options', 'nosniff');
         res.setHeader('X-Frame-Options', 'DENY');
@@ -529,17 +1030,72 @@ const server = http.createServer((req, res) => {
     const pathname = urlObj.pathname;
     const searchParams = urlObj.searchParams;
 
+    const requestStart = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = routeLabel(pathname);
+        inc('http_requests', { route, method: req.method, status: res.statusCode });
+        observe('http_request_duration_seconds', Number(process.hrtime.bigint() - requestStart) / 1e9, { route });
+    });
+
     if (req.method === 'OPTIONS') { setBaseHeaders(204); return res.end(); }
 
-    if (pathname === '/api/metrics' && req.method === 'GET') { setBaseHeaders(200); return res.end(JSON.stringify(getMetricsReport())); }
+    const scope = requiredScope(routeLabel(pathname), searchParams);
+    const auth = scope ? authenticate(req.headers, req.socket.remoteAddress || '127.0.0.1') : { identity: null };
+    const denied = auth.status ? auth : authorize(auth.identity, scope);
+    if (denied) {
+        incCounter('requests', denied.status === 401 ? 'auth_failures' : 'scope_denials');
+        if (denied.status === 401) res.setHeader('WWW-Authenticate', 'Bearer realm="re-prompt"');
+        return sendError(res, { ...denied, correlation_id });
+    }
+    const identity = auth.identity;
+    if (identity) {
+        tagUsage({ client: identity.id });
+        currentSpan()?.setAttributes({ 'enduser.id': identity.id });
+    }
+
+    const routeClass = rateLimitClass(routeLabel(pathname), req.method, searchParams);
+    const limited = routeClass && checkRateLimit(res, identity, routeClass);
+    if (limited) return sendError(res, { ...limited, correlation_id });
+
+    if (pathname === '/api/metrics' && req.method === 'GET') {
+        setBaseHeaders(200);
+        return res.end(JSON.stringify({ ...getMetricsReport(), circuit_breakers: Object.values(breakers).map(breaker => breaker.stats()), judge_cache: judgeCache.stats(), database: { persistent: isPersistent(), schema_version: schemaVersion() }, audit_store: { backend: getAuditStore().name, persistent: getAuditStore().persistent } }));
+    }
+    if (pathname === '/metrics' && req.method === 'GET') { setBaseHeaders(200, OPENMETRICS_CONTENT_TYPE); return res.end(renderOpenMetrics()); }
+
+    if (pathname === '/api/usage' && req.method === 'GET') {
+        try {
+            const report = usageReport(Object.fromEntries(searchParams));
+            if (report.client !== null) report.budget = checkBudget(report.client);
+            setBaseHeaders(200); return res.end(JSON.stringify(report));
+        } catch (err) {
+            const status = err instanceof RangeError ? 400 : 500;
+            return sendError(res, { status, title: status === 400 ? 'Invalid Usage Query' : 'Usage Error', detail: err.message, correlation_id });
+        }
+    }
+
+    if (req.method === 'POST' && BUDGETED_ROUTES.has(routeLabel(pathname))) {
+        const budget = checkBudget(identity.id, new Date(), { budget: identity.budget_usd ?? budgetFor(identity.id) });
+        if (!budget.ok) {
+            incCounter('requests', 'budget_rejections');
+            res.setHeader('Retry-After', String(budget.retry_after_s));
+            return sendError(res, {
+                status: 429,
+                title: 'Budget Exhausted',
+                detail: `Spent $${budget.spent} of the ${budget.period === 'day' ? 'daily' : 'monthly'} $${budget.budget} budget; resets ${budget.resets_at}.`,
+                correlation_id
+            });
+        }
+    }
+
+    const breaker = req.method === 'POST' ? breakerFor(routeLabel(pathname), searchParams) : null;
+    const refused = breaker?.check();
+    if (refused) return sendCircuitOpen(res, refused, correlation_id);
 
     const isAnalyzePhp = pathname === '/analyze.php';
     const modeParam = searchParams.get('mode');
 
     if ((isAnalyzePhp || pathname === '/api/validate') && req.method === 'POST') {
-        const limitType = isAnalyzePhp ? RATE_LIMITS.ANALYZE_MIN : RATE_LIMITS.VALIDATE_MIN;
-        if (!checkRateLimit(clientIp, limitType)) return sendError(res, { status: 429, title: 'Rate Limit Exceeded', correlation_id });
-
         // Handle Specialized PHP Modes locally
         if (isAnalyzePhp && modeParam === 'simulate') {
             // Forward to simulate logic
@@ -551,36 +1107,37 @@ const server = http.createServer((req, res) => {
         readBody().then(async (body) => {
             try {
                 const payload = JSON.parse(body);
+                if (!isJsonObject(payload)) return sendError(res, { ...NOT_AN_OBJECT, correlation_id });
 
                 // Internal Routing for /analyze.php?mode=...
                 if (isAnalyzePhp && modeParam === 'execute-tool') {
-                    const { tool, prompt } = payload;
-                    if (!TOOL_ALLOWLIST.has(tool)) return sendError(res, { status: 400, title: 'Unsupported Tool', correlation_id });
-                    const toolResponse = await groqRequest([{ role: 'system', content: TOOL_SYSTEM_PROMPTS[tool] }, { role: 'user', content: prompt }]);
-                    setBaseHeaders(200); return res.end(JSON.stringify({ ok: true, tool, toolResponse }));
+                    const result = await executeTool(payload, correlation_id);
+                    if (result.status !== 200) return sendError(res, { ...result, correlation_id });
+                    setBaseHeaders(200); return res.end(JSON.stringify(result.body));
                 }
 
                 if (isAnalyzePhp && modeParam === 'simulate') {
-                    const data = payload.data || {};
-                    const results = [];
-                    const thresholds = [0.70, 0.55, 0.45];
-                    const originalDc = data.validation_logic?.domain_consistency_computed ?? 100;
-                    const originalScore = data.confidence_breakdown?.final_score ?? 100;
-                    for (const t of thresholds) {
-                        const simulatedDc = Math.round(originalDc * (t / 0.6) * 10) / 10;
-                        const simulatedScore = Math.min(100, Math.max(0, originalScore + (simulatedDc - originalDc) * 0.3));
-                        results.push({ threshold: t, domain_consistency: simulatedDc, confidence_delta: simulatedScore - originalScore, final_score: simulatedScore });
-                    }
-                    setBaseHeaders(200); return res.end(JSON.stringify(results));
+                    const result = runSimulation(payload);
+                    if (result.status !== 200) return sendError(res, { ...result, correlation_id });
+                    setBaseHeaders(200); return res.end(JSON.stringify(result.body));
+                }
+
+                const resolved = resolveSessionPayload(payload, identity.id);
+                if (!resolved.payload) return sendError(res, { ...resolved, correlation_id });
+                if (typeof resolved.payload.text !== 'string' || !resolved.payload.text.trim()) {
+                    return sendError(res, { status: 400, title: 'Missing Input', detail: 'A non-empty "text" field is required.', correlation_id });
                 }
 
-                const result = await runValidationPipeline(payload, correlation_id);
+                const result = await runValidationPipeline(resolved.payload, correlation_id);
                 if (result.isBlocking) {
                     incCounter('requests', 'errors_422');
                     return sendError(res, { status: 422, title: 'Confidence Floor Violation', detail: `Rejected score ${result.response.confidence_breakdown.final_score}`, correlation_id });
                 }
+                if (resolved.session && !result.isClarify) finishSession(resolved.session, result);
                 setBaseHeaders(200); res.end(JSON.stringify(result.response));
             } catch (err) {
+                if (isCircuitOpen(err)) return sendCircuitOpen(res, err, correlation_id);
+                if (isPromptBlocked(err)) return sendError(res, { ...promptBlockedProblem(err.prompt_guard), correlation_id });
                 console.error('[SERVER ERROR]', err);
                 const isProd = process.env.NODE_ENV === 'production';
                 sendError(res, {
@@ -594,64 +1151,260 @@ const server = http.createServer((req, res) => {
         return;
     }
 
-    if (pathname === '/api/execute-tool' && req.method === 'POST') {
-        if (!checkRateLimit(clientIp, RATE_LIMITS.EXECUTE_MIN)) return sendError(res, { status: 429, title: 'Rate Limit Exceeded', correlation_id });
+    if (pathname === '/api/validate/stream' && req.method === 'POST') {
         readBody().then(async (body) => {
+            let payload;
+            try { payload = JSON.parse(body); } catch (_) { return sendError(res, { status: 400, title: 'Invalid JSON', correlation_id }); }
+            if (!isJsonObject(payload)) return sendError(res, { ...NOT_AN_OBJECT, correlation_id });
+            const resolved = resolveSessionPayload(payload, identity.id);
+            if (!resolved.payload) return sendError(res, { ...resolved, correlation_id });
+            payload = resolved.payload;
+            if (typeof payload.text !== 'string' || !payload.text.trim()) {
+                return sendError(res, { status: 400, title: 'Missing Input', detail: 'A non-empty "text" field is required.', correlation_id });
+            }
+
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            setBaseHeaders(200, 'text/event-stream');
+            let closed = false;
+            req.on('close', () => { closed = true; });
+            const send = (event, data) => {
+                if (closed || res.writableEnded) return;
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
             try {
-                const { tool, prompt } = JSON.parse(body);
-                if (!TOOL_ALLOWLIST.has(tool)) return sendError(res, { status: 400, title: 'Unsupported Tool', correlation_id });
-                const toolResponse = await groqRequest([{ role: 'system', content: TOOL_SYSTEM_PROMPTS[tool] }, { role: 'user', content: prompt }]);
-                setBaseHeaders(200); res.end(JSON.stringify({ ok: true, tool, toolResponse }));
-            } catch (err) { sendError(res, { status: 500, title: 'Tool Error', detail: err.message, correlation_id }); }
+                const result = await runValidationPipeline(payload, correlation_id, send);
+                if (result.isBlocking) {
+                    incCounter('requests', 'errors_422');
+                    send('error', { status: 422, title: 'Confidence Floor Violation', detail: `Rejected score ${result.response.confidence_breakdown.final_score}`, correlation_id });
+                } else {
+                    if (resolved.session && !result.isClarify) finishSession(resolved.session, result);
+                    send('result', result.response);
+                }
+            } catch (err) {
+                if (isCircuitOpen(err) || isPromptBlocked(err)) {
+                    send('error', { ...(isCircuitOpen(err) ? circuitOpenProblem(err) : promptBlockedProblem(err.prompt_guard)), correlation_id });
+                    return res.end();
+                }
+                console.error('[SERVER ERROR]', err);
+                const isProd = process.env.NODE_ENV === 'production';
+                send('error', { status: 500, title: 'Internal Server Error', detail: isProd ? 'Analysis failed due to an internal error. Diagnostic ID logged.' : err.message, correlation_id });
+            }
+            res.end();
         }).catch(err => sendError(res, { status: 413, title: 'Payload Error', detail: err.message, correlation_id }));
         return;
     }
 
-    if (req.url === '/api/simulate' && req.method === 'POST') {
-        if (!checkRateLimit(clientIp, RATE_LIMITS.VALIDATE_MIN)) return sendError(res, { status: 429, title: 'Rate Limit Exceeded', correlation_id });
+    if (pathname.startsWith('/api/sessions')) {
+        const versionMatch = pathname.match(/^\/api\/sessions\/([a-f0-9-]{36})\/versions(?:\/(diff|\d+))?$/);
+        if (versionMatch && req.method === 'GET') {
+            const [, id, sub] = versionMatch;
+            if (!getOwnSession(id, identity.id)) return sendError(res, { status: 404, title: 'Session Not Found', detail: 'Unknown or expired session.', correlation_id });
+            if (sub === 'diff') {
+                const result = diffVersions(id, searchParams);
+                if (result.status !== 200) return sendError(res, { ...result, correlation_id });
+                setBaseHeaders(200); return res.end(JSON.stringify(result.body));
+            }
+            if (sub) {
+                const version = getSpecVersion(id, Number(sub));
+                if (!version) return sendError(res, { status: 404, title: 'Version Not Found', correlation_id });
+                setBaseHeaders(200); return res.end(JSON.stringify(version));
+            }
+            setBaseHeaders(200); return res.end(JSON.stringify({ session_id: id, versions: listSpecVersions(id) }));
+        }
+
+        const sessionMatch = pathname.match(/^\/api\/sessions(?:\/([a-f0-9-]{36}))?(\/answers)?$/);
+        if (!sessionMatch) return sendError(res, { status: 404, title: 'Not Found', correlation_id });
+        const [, sessionId, isAnswers] = sessionMatch;
+
+        if (sessionId && !isAnswers && req.method === 'GET') {
+            const session = getOwnSession(sessionId, identity.id);
+            if (!session) return sendError(res, { status: 404, title: 'Session Not Found', detail: 'Unknown or expired session.', correlation_id });
+            setBaseHeaders(200); return res.end(JSON.stringify(sessionView(session)));
+        }
+        if (req.method !== 'POST' || (sessionId && !isAnswers) || (!sessionId && isAnswers)) {
+            return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+        }
+
         readBody().then(async (body) => {
+            const started = Date.now();
             try {
-                const { data } = JSON.parse(body);
-                const results = [];
-                const thresholds = [0.70, 0.55, 0.45];
-
-                const originalDc = data.validation_logic?.domain_consistency_computed ?? 100;
-                const originalScore = data.confidence_breakdown?.final_score ?? 100;
-
-                for (const t of thresholds) {
-                    // Mock recalculation based on different thresholds
-                    // In a full implementation, we'd re-run detectDomainDrift with the new threshold
-                    // For now, we simulate the effect on DC and final score
-                    const simulatedDc = Math.round(originalDc * (t / 0.6) * 10) / 10; // 0.6 is roughly the original balance
-                    const simulatedScore = Math.min(100, Math.max(0, originalScore + (simulatedDc - originalDc) * 0.3));
-                    results.push({
-                        threshold: t,
-                        domain_consistency: simulatedDc,
-                        confidence_delta: simulatedScore - originalScore,
-                        final_score: simulatedScore
-                    });
+                const payload = JSON.parse(body || '{}');
+                if (!sessionId) {
+                    if (typeof payload.text !== 'string' || !payload.text.trim()) {
+                        return sendError(res, { status: 400, title: 'Missing Input', detail: 'A non-empty "text" field is required.', correlation_id });
+                    }
+                    const guard = await screenInput([payload.text], correlation_id, null, { stage: 'session' });
+                    if (guard.verdict === VERDICT.BLOCK) return sendError(res, { ...promptBlockedProblem(guardView(guard)), correlation_id });
+                    const session = createSession(payload.text.trim(), payload.intent_mode || 'auto', identity.id);
+                    const view = await advanceSession(session, correlation_id);
+                    const prompt_guard = await auditSessionStep(session, guardView(guard), correlation_id, Date.now() - started);
+                    setBaseHeaders(201); return res.end(JSON.stringify({ ...view, prompt_guard }));
                 }
-                setBaseHeaders(200); res.end(JSON.stringify(results));
-            } catch (err) { sendError(res, { status: 500, title: 'Simulation Error', detail: err.message, correlation_id }); }
+
+                const session = getOwnSession(sessionId, identity.id);
+                if (!session) return sendError(res, { status: 404, title: 'Session Not Found', detail: 'Unknown or expired session.', correlation_id });
+                if (session.status !== 'clarifying' || session.rounds.at(-1)?.answers) {
+                    return sendError(res, { status: 409, title: 'No Open Round', detail: `Session is ${session.status}.`, correlation_id });
+                }
+                if (!payload.answers || typeof payload.answers !== 'object' || Array.isArray(payload.answers)) {
+                    return sendError(res, { status: 400, title: 'Missing Answers', detail: 'Provide "answers" as { question: answer }.', correlation_id });
+                }
+                const guard = await screenInput(Object.values(payload.answers).map(String), correlation_id, null, { stage: 'session', session_id: session.id });
+                if (guard.verdict === VERDICT.BLOCK) return sendError(res, { ...promptBlockedProblem(guardView(guard)), correlation_id });
+                const view = await advanceSession(recordAnswers(session, payload.answers), correlation_id);
+                const prompt_guard = await auditSessionStep(session, guardView(guard), correlation_id, Date.now() - started);
+                setBaseHeaders(200); res.end(JSON.stringify({ ...view, prompt_guard }));
+            } catch (err) {
+                if (isCircuitOpen(err)) return sendCircuitOpen(res, err, correlation_id);
+                console.error('[SERVER ERROR]', err);
+                sendError(res, { status: 500, title: 'Session Error', detail: err.message, correlation_id });
+            }
+        }).catch(err => sendError(res, { status: 413, title: 'Payload Error', detail: err.message, correlation_id }));
+        return;
+    }
+
+    if (pathname === '/api/execute-tool' && req.method === 'POST') {
+        readBody().then(async (body) => {
+            try {
+                const result = await executeTool(JSON.parse(body), correlation_id);
+                if (result.status !== 200) return sendError(res, { ...result, correlation_id });
+                setBaseHeaders(200); res.end(JSON.stringify(result.body));
+            } catch (err) {
+                if (isCircuitOpen(err)) return sendCircuitOpen(res, err, correlation_id);
+                sendError(res, { status: 500, title: 'Tool Error', detail: err.message, correlation_id });
+            }
         }).catch(err => sendError(res, { status: 413, title: 'Payload Error', detail: err.message, correlation_id }));
         return;
     }
 
-    if (req.url.startsWith('/api/logs') && req.method === 'GET') {
-        const idMatch = req.url.match(/\/api\/logs\/([a-z0-9-]+)$/);
-        if (idMatch) {
-            const entry = getAuditLog(idMatch[1]);
-            if (!entry) return sendError(res, { status: 404, title: 'Log Not Found', correlation_id });
-            setBaseHeaders(200); return res.end(JSON.stringify(entry));
+    if (pathname === '/api/jobs' && req.method === 'POST') {
+        readBody().then((body) => {
+            let payload;
+            try { payload = JSON.parse(body); } catch (_) { return sendError(res, { status: 400, title: 'Invalid JSON', correlation_id }); }
+            const result = submitJob(payload, identity, correlation_id);
+            if (result.status !== 202) return sendError(res, { ...result, correlation_id });
+            res.setHeader('Location', `/api/jobs/${result.body.id}`);
+            setBaseHeaders(202); res.end(JSON.stringify(result.body));
+        }).catch(err => sendError(res, { status: 413, title: 'Payload Error', detail: err.message, correlation_id }));
+        return;
+    }
+
+    const jobMatch = pathname.match(/^\/api\/jobs\/([a-f0-9-]{36})(?:\/(events|cancel))?$/);
+    if (jobMatch) {
+        const [, jobId, sub] = jobMatch;
+        const job = jobQueue.get(jobId);
+        // Another client's job is answered as missing, so ids cannot be probed
+        if (!job || job.client !== identity.id) return sendError(res, { status: 404, title: 'Job Not Found', correlation_id });
+        if (sub === 'cancel') {
+            if (req.method !== 'POST') return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+            if (!jobQueue.cancel(jobId)) return sendError(res, { status: 409, title: 'Job Already Finished', detail: `Job is ${job.status}.`, correlation_id });
+            setBaseHeaders(200); return res.end(JSON.stringify(jobView(jobQueue.get(jobId))));
         }
-        setBaseHeaders(200); return res.end(JSON.stringify({ recent: getRecentLogs(20) }));
+        if (req.method !== 'GET') return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+        if (sub === 'events') return streamJob(job, req, res, setBaseHeaders);
+        setBaseHeaders(200); return res.end(JSON.stringify(jobView(job)));
+    }
+
+    if (pathname.startsWith('/api/webhooks')) {
+        const redeliverMatch = pathname.match(/^\/api\/webhooks\/([a-f0-9-]{36})\/deliveries\/([a-f0-9-]{36})\/redeliver$/);
+        const deliveriesMatch = pathname.match(/^\/api\/webhooks\/([a-f0-9-]{36})\/deliveries$/);
+        const webhookMatch = pathname.match(/^\/api\/webhooks(?:\/([a-f0-9-]{36}))?$/);
+        const webhookId = (redeliverMatch || deliveriesMatch || webhookMatch)?.[1];
+        if (!redeliverMatch && !deliveriesMatch && !webhookMatch) return sendError(res, { status: 404, title: 'Not Found', correlation_id });
+        if (webhookId && !getWebhookView(webhookId)) return sendError(res, { status: 404, title: 'Webhook Not Found', correlation_id });
+
+        if (redeliverMatch) {
+            if (req.method !== 'POST') return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+            const delivery = getWebhookDelivery(redeliverMatch[2]);
+            if (delivery?.webhook_id !== webhookId) return sendError(res, { status: 404, title: 'Delivery Not Found', correlation_id });
+            setBaseHeaders(202); return res.end(JSON.stringify(webhooks.redeliver(delivery.id)));
+        }
+        if (deliveriesMatch) {
+            if (req.method !== 'GET') return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+            setBaseHeaders(200); return res.end(JSON.stringify({ webhook_id: webhookId, deliveries: listWebhookDeliveries(webhookId) }));
+        }
+        if (webhookId) {
+            if (req.method === 'GET') { setBaseHeaders(200); return res.end(JSON.stringify(getWebhookView(webhookId))); }
+            if (req.method !== 'DELETE') return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+            deleteWebhook(webhookId);
+            setBaseHeaders(204); return res.end();
+        }
+        if (req.method === 'GET') { setBaseHeaders(200); return res.end(JSON.stringify({ webhooks: listWebhooks() })); }
+        if (req.method !== 'POST') return sendError(res, { status: 405, title: 'Method Not Allowed', correlation_id });
+        readBody().then(async (body) => {
+            let payload;
+            try { payload = JSON.parse(body); } catch (_) { return sendError(res, { status: 400, title: 'Invalid JSON', correlation_id }); }
+            try {
+                const webhook = await createWebhook(payload || {});
+                res.setHeader('Location', `/api/webhooks/${webhook.id}`);
+                setBaseHeaders(201); res.end(JSON.stringify(webhook));
+            } catch (err) {
+                const status = err instanceof RangeError ? 400 : 500;
+                sendError(res, { status, title: status === 400 ? 'Invalid Webhook' : 'Webhook Error', detail: err.message, correlation_id });
+            }
+        }).catch(err => sendError(res, { status: 413, title: 'Payload Error', detail: err.message, correlation_id }));
+        return;
+    }
+
+    if (pathname === '/api/simulate' && req.method === 'POST') {
+        readBody().then(async (body) => {
+            try {
+                const result = runSimulation(JSON.parse(body));
+                if (result.status !== 200) return sendError(res, { ...result, correlation_id });
+                setBaseHeaders(200); res.end(JSON.stringify(result.body));
+            } catch (err) { sendError(res, { status: 500, title: 'Simulation Error', detail: err.message, correlation_id }); }
+        }).catch(err => sendError(res, { status: 413, title: 'Payload Error', detail: err.message, correlation_id }));
+        return;
+    }
+
+    const exportMatch = pathname.match(/^\/api\/export\/([a-f0-9-]{36})$/);
+    if (exportMatch && req.method === 'GET') {
+        exportSynthesis(exportMatch[1], searchParams, identity.id).then(result => {
+            if (result.status !== 200) return sendError(res, { ...result, correlation_id });
+            res.setHeader('Content-Disposition', `attachment; filename="${result.file.filename}"`);
+            setBaseHeaders(200, result.file.contentType);
+            res.end(result.file.body);
+        }).catch(err => sendError(res, { status: 500, title: 'Export Error', detail: err.message, correlation_id }));
+        return;
+    }
+
+    if (pathname.startsWith('/api/logs') && req.method === 'GET') {
+        // /api/logs/export is written page by page as the store is read
+        const store = getAuditStore();
+        const query = Object.fromEntries(searchParams);
+        const idMatch = pathname.match(/\/api\/logs\/([a-z0-9-]+)$/);
+        (async () => {
+            if (pathname === '/api/logs/export') {
+                const auditExport = createAuditExport(query, store);
+                res.setHeader('Content-Disposition', `attachment; filename="${auditExport.filename}"`);
+                setBaseHeaders(200, auditExport.contentType);
+                for await (const chunk of auditExport.chunks()) res.write(chunk);
+                return res.end();
+            }
+            if (idMatch) {
+                const entry = await store.get(idMatch[1]);
+                if (!entry) return sendError(res, { status: 404, title: 'Log Not Found', correlation_id });
+                setBaseHeaders(200); return res.end(JSON.stringify(entry));
+            }
+            const page = await queryAuditPage(query, store);
+            setBaseHeaders(200); res.end(JSON.stringify(page));
+        })().catch(err => {
+            if (err instanceof RangeError) return sendError(res, { status: 400, title: 'Invalid Log Query', detail: err.message, correlation_id });
+            if (res.headersSent) return res.destroy(err); // Mid-export: the client sees a truncated body
+            sendError(res, { status: 500, title: 'Audit Store Error', detail: err.message, correlation_id });
+        });
+        return;
     }
 
     let filePath = (pathname === '/' || pathname === '/index.html') ? 'nlp-analyze.html' : pathname.slice(1);
-    const BLOCKED = /^(secret\.php|secret|.*\.log|.*\.json|.*\.db|.*\.mjs|.*\.php|node_modules|package.*)/i;
+    const BLOCKED = /^(secret\.php|secret|.*\.log|.*\.json|.*\.ndjson|.*\.db|.*\.mjs|.*\.php|node_modules|package.*|audit-archive|audit-logs)/i;
     if (BLOCKED.test(filePath) || filePath.includes('..')) return sendError(res, { status: 403, title: 'Forbidden', correlation_id });
 
     const fullPath = path.join(__dirname, filePath);
+    // Audit files are only readable through /api/logs, wherever they are configured to live
+    if (AUDIT_FILE_DIRS.some(dir => fullPath.startsWith(dir + path.sep))) return sendError(res, { status: 403, title: 'Forbidden', correlation_id });
     fs.readFile(fullPath, (err, data) => {
         if (err) {
             if (!filePath.includes('.')) {
@@ -667,13 +1420,44 @@ const server = http.createServer((req, res) => {
         const mime = { '.html': 'text/html', '.js': 'application/javascript', '.css': 'text/css' }[ext] || 'text/plain';
         setBaseHeaders(200, mime); res.end(data);
     });
+}
+
+// Static assets, preflights, metric scrapes and job polls are not traced; they would flood the exporter
+const UNTRACED_ROUTES = new Set(['static', '/metrics', '/api/metrics', '/api/jobs/:id']);
+
+const server = http.createServer((req, res) => {
+    const route = routeLabel(new URL(req.url, 'http://localhost').pathname);
+    if (UNTRACED_ROUTES.has(route) || req.method === 'OPTIONS') return handleRequest(req, res);
+
+    const client = req.socket.remoteAddress || '127.0.0.1'; // Until authentication tags the ledger with the caller
+    const ledger = createLedger();
+    const span = startSpan(`${req.method} ${route}`, {
+        kind: SPAN_KIND.SERVER,
+        traceparent: req.headers.traceparent,
+        attributes: { 'http.request.method': req.method, 'http.route': route }
+    });
+    res.setHeader('traceparent', formatTraceparent(span));
+    let finished = false;
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        flushLedger(ledger, ledger.tags.client || client);
+        span.setAttributes({ 'http.response.status_code': res.statusCode });
+        if (res.statusCode >= 500) span.setStatus(SPAN_STATUS.ERROR);
+        span.end();
+    };
+    res.on('finish', finish);
+    res.on('close', finish); // Aborted requests never emit 'finish'
+    runWithLedger(ledger, () => runWithRedaction(createRedactionContext(), () => runInSpan(span, () => handleRequest(req, res))));
 });
 
 server.listen(PORT, () => {
     structuredLog('INFO', `Re-Prompt v${VERSION.ENGINE} Bootstrapped`, {
         port: PORT,
+        llm_provider: getProvider().name,
         mode: process.env.NODE_ENV || 'production',
-        persistence: 'SQLite WAL',
+        persistence: isPersistent() ? 'SQLite WAL' : 'in-memory',
+        audit_store: getAuditStore().name,
         metrics: 'O(1) In-Memory'
     });
 });
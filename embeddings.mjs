@@ -0,0 +1,251 @@
+// ── Re-Prompt v3.3 Embedding Providers ───────────────────────────────────────
+// Dense sentence embeddings for the semantic similarity backend: any OpenAI-compatible
+// /embeddings endpoint, an in-process transformers.js model, or 'fixture', an
+// offline deterministic stand-in for tests and CI.
+
+import crypto from 'crypto';
+import { SIMILARITY } from './config.mjs';
+import { currentRedaction } from './redaction.mjs';
+
+const FIXTURE_DIMENSIONS = 256;
+
+/**
+ * Provider for any OpenAI-compatible /embeddings endpoint (OpenAI, vLLM, Ollama,
+ * llama.cpp, TEI). Inputs are sent in one batch per call, redacted under the request's
+ * redaction context like model prompts; only the vectors come back, so nothing is restored.
+ */
+function createOpenAiEmbedder({ baseUrl, model, apiKey }) {
+    if (!baseUrl) throw new Error("Embedding provider 'openai' requires a base URL (EMBEDDING_BASE_URL).");
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+    return {
+        name: 'openai',
+        model,
+        async embed(texts, { signal } = {}) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                signal,
+                headers,
+                body: JSON.stringify({ model, input: texts.map(text => currentRedaction()?.redact(text) ?? text) })
+            });
+            const data = await response.text();
+            let json;
+            try {
+                json = JSON.parse(data);
+            } catch (_) {
+                throw new Error(`embeddings parse error: ${data.slice(0, 300)}`);
+            }
+            if (json.error) throw new Error(`embeddings: ${json.error.message || json.error}`);
+            if (!Array.isArray(json.data) || json.data.length !== texts.length) {
+                throw new Error(`embeddings: expected ${texts.length} vectors, got ${json.data?.length ?? 0}`);
+            }
+            // Responses may arrive out of order; |index| is authoritative
+            return [...json.data].sort((a, b) => a.index - b.index).map(d => d.embedding);
+        }
+    };
+}
+
+/**
+ * In-process model via transformers.js (optional dependency, like better-sqlite3).
+ * The model is downloaded and loaded on first use.
+ */
+function createTransformersEmbedder({ model }) {
+    let extractor = null;
+
+    async function load() {
+        let mod;
+        try {
+            mod = await import('@xenova/transformers');
+        } catch (_) {
+            throw new Error("Embedding provider 'transformers' requires the optional package @xenova/transformers.");
+        }
+        return mod.pipeline('feature-extraction', model);
+    }
+
+    return {
+        name: 'transformers',
+        model,
+        async embed(texts) {
+            extractor ||= load();
+            const output = await (await extractor)(texts, { pooling: 'mean', normalize: true });
+            return output.tolist();
+        }
+    };
+}
+
+// ── Fixture Embedder ──────────────────────────────────────────────────────────
+// Hashes canonical concepts into a fixed-size vector. A small synonym table makes
+// common paraphrases land on the same concept, and a negation cue flips the sign
+// of the next few concepts, so "works offline" and "does not work offline" point
+// in opposite directions. Deterministic and dependency-free; not a language model.
+
+const SYNONYMS = {
+    track: ['track', 'monitor', 'follow', 'log', 'keep tab'],
+    deadline: ['deadline', 'due date', 'due', 'cutoff'],
+    remind: ['remind', 'reminder', 'notify', 'notification', 'alert', 'nudge'],
+    student: ['student', 'learner', 'pupil'],
+    user: ['user', 'customer', 'client', 'member'],
+    create: ['create', 'add', 'make', 'build', 'compose'],
+    remove: ['remove', 'delete', 'erase', 'discard'],
+    share: ['share', 'send', 'invite', 'collaborate'],
+    schedule: ['schedule', 'calendar', 'plan', 'agenda'],
+    search: ['search', 'find', 'lookup', 'look up', 'query'],
+    pay: ['pay', 'payment', 'checkout', 'billing', 'purchase'],
+    login: ['login', 'log in', 'sign in', 'signin', 'authenticate', 'authentication', 'auth'],
+    offline: ['offline', 'without internet', 'no connection', 'disconnected'],
+    export: ['export', 'download'],
+    sync: ['sync', 'synchronize', 'synchronise'],
+    report: ['report', 'analytics', 'insight', 'dashboard', 'statistic', 'stats'],
+    message: ['message', 'chat', 'dm'],
+    assignment: ['assignment', 'homework', 'coursework', 'task'],
+    course: ['course', 'class', 'module', 'subject']
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'without', 'cannot', 'cant', 'dont', 'doesnt', 'wont', 'isnt', 'arent', 'nor']);
+const NEGATION_SCOPE = 3; // content words affected by one cue
+const FILLER = new Set([
+    'the', 'a', 'an', 'is', 'are', 'be', 'to', 'of', 'and', 'or', 'for', 'in', 'on', 'at', 'with', 'by',
+    'it', 'its', 'this', 'that', 'their', 'they', 'them', 'so', 'can', 'will', 'should', 'must', 'app',
+    'let', 'lets', 'allow', 'allows', 'via', 'into', 'from', 'all', 'any', 'each', 'every', 'also', 'has', 'have'
+]);
+
+const PHRASES = Object.entries(SYNONYMS)
+    .flatMap(([concept, words]) => words.filter(w => w.includes(' ')).map(w => [w, concept.replace(/ /g, '_')]));
+const WORDS = new Map(Object.entries(SYNONYMS)
+    .flatMap(([concept, words]) => words.filter(w => !w.includes(' ')).map(w => [w, concept])));
+
+function stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 4 && word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -1);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function concepts(text) {
+    let normalized = ` ${String(text).toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ')} `;
+    for (const [phrase, concept] of PHRASES) normalized = normalized.replaceAll(` ${phrase} `, ` ${concept} `);
+
+    const out = [];
+    let negated = 0;
+    for (const word of normalized.trim().split(' ')) {
+        if (!word) continue;
+        if (NEGATIONS.has(word)) { negated = NEGATION_SCOPE; continue; }
+        if (FILLER.has(word) || word.length < 3) continue;
+        const concept = WORDS.get(word) || WORDS.get(stem(word)) || stem(word);
+        out.push({ concept, sign: negated > 0 ? -1 : 1 });
+        if (negated > 0) negated--;
+    }
+    return out;
+}
+
+function fixtureVector(text) {
+    const vec = new Array(FIXTURE_DIMENSIONS).fill(0);
+    for (const { concept, sign } of concepts(text)) {
+        const h = crypto.createHash('sha1').update(concept).digest();
+        vec[h.readUInt16BE(0) % FIXTURE_DIMENSIONS] += sign;
+    }
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0)) || 1;
+    return vec.map(v => v / norm);
+}
+
+function createFixtureEmbedder() {
+    return {
+        name: 'fixture',
+        model: 'fixture-concepts-v1',
+        async embed(texts) {
+            return texts.map(fixtureVector);
+        }
+    };
+}
+
+/**
+ * Creates an embedder by name. Unknown names throw so misconfiguration is caught early.
+ */
+export function createEmbedder(name = SIMILARITY.EMBEDDING_PROVIDER, {
+    baseUrl = SIMILARITY.EMBEDDING_BASE_URL,
+    model = SIMILARITY.EMBEDDING_MODEL,
+    apiKey = process.env.EMBEDDING_API_KEY || process.env.LLM_API_KEY
+} = {}) {
+    switch (name) {
+        case 'openai':
+            return createOpenAiEmbedder({ baseUrl, model, apiKey });
+        case 'transformers':
+            return createTransformersEmbedder({ model });
+        case 'fixture':
+            return createFixtureEmbedder();
+        default:
+            throw new Error(`Unknown embedding provider '${name}'. Expected openai, transformers or fixture.`);
+    }
+}
+
+/**
+ * Wraps |embedder| with a bounded text → vector cache, so the vision's sentences
+ * are embedded once per request rather than once per feature.
+ */
+export function withEmbeddingCache(embedder, max = SIMILARITY.EMBEDDING_CACHE_MAX) {
+    const cache = new Map();
+    return {
+        ...embedder,
+        cacheSize: () => cache.size,
+        async embed(texts, options) {
+            const missing = [...new Set(texts.filter(t => !cache.has(t)))];
+            if (missing.length > 0) {
+                const vectors = await embedder.embed(missing, options);
+                missing.forEach((t, i) => {
+                    cache.set(t, vectors[i]);
+                    if (cache.size > max) cache.delete(cache.keys().next().value);
+                });
+            }
+            return texts.map(t => cache.get(t));
+        }
+    };
+}
+
+let activeEmbedder = null;
+
+/**
+ * Returns the deployment-wide embedder (created on first use, cached).
+ */
+export function getEmbedder() {
+    if (!activeEmbedder) activeEmbedder = withEmbeddingCache(createEmbedder());
+    return activeEmbedder;
+}
+
+export function cosine(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Sentences of |text|; a feature usually paraphrases one sentence of the vision,
+ * and whole-document embeddings dilute that match.
+ */
+export function splitSentences(text) {
+    return String(text)
+        .split(/(?<=[.!?;])\s+|\n+/)
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+}
+
+/**
+ * Semantic similarity in [0, 1] between |featureText| and the closest sentence of
+ * |sourceText| (or the whole text). Negative cosines clamp to 0.
+ */
+export async function semanticSimilarity(featureText, sourceText, embedder = getEmbedder()) {
+    const segments = [...new Set([...splitSentences(sourceText), String(sourceText).trim()])].filter(Boolean);
+    if (!String(featureText).trim() || segments.length === 0) return 0;
+
+    const [feature, ...sources] = await embedder.embed([String(featureText), ...segments]);
+    const best = Math.max(...sources.map(v => cosine(feature, v)));
+    return Number(Math.max(0, Math.min(1, best)).toFixed(4));
+}
@@ -2,11 +2,13 @@
  * App.jsx — Root component using 100% client-side engine.
  * No backend, no API keys, no network calls.
  */
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import Home from './pages/Home';
 import Clarify from './pages/Clarify';
 import Results from './pages/Results';
-import { engineAnalyze, engineClarify, engineGenerate } from './services/engine';
+import {
+  engineAnalyze, engineClarify, engineGenerate, engineRegenerate, engineVersionDiff, engineResume, engineReset
+} from './services/engine';
 
 const STEP = { HOME: 'home', CLARIFYING: 'clarifying', RESULTS: 'results' };
 
@@ -18,19 +20,56 @@ export default function App() {
   const [questions, setQuestions] = useState([]);
   const [progress, setProgress] = useState(0);
   const [round, setRound] = useState(1);
+  const [maxRounds, setMaxRounds] = useState(3);
   const [isCompleted, setIsCompleted] = useState(false);
   const [result, setResult] = useState(null);
+  const [stage, setStage] = useState(null); // live synthesis progress { label, progress }
+  const [answers, setAnswers] = useState({}); // every answered question, for revising
+  const [diff, setDiff] = useState(null); // latest spec version vs the previous one
+
+  // ── Spec versions → diff ──────────────────────────────────────────────────
+  const showResult = useCallback(async (data) => {
+    setResult(data);
+    setStep(STEP.RESULTS);
+    setDiff(data?.spec_version > 1 ? await engineVersionDiff() : null);
+  }, []);
+
+  // ── Server session → clarify state ────────────────────────────────────────
+  const applyClarify = useCallback((clarify) => {
+    setQuestions(clarify.questions || []);
+    setRound(clarify.round);
+    setMaxRounds(clarify.maxRounds);
+    setProgress(clarify.progress);
+    setIsCompleted(clarify.isCompleted);
+    setAnswers(clarify.answers || {});
+    if (clarify.result) {
+      showResult(clarify.result);
+    } else {
+      setStep(STEP.CLARIFYING);
+    }
+  }, [showResult]);
+
+  // ── Resume a session after reload ─────────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false;
+    engineResume()
+      .then((clarify) => { if (clarify && !cancelled) applyClarify(clarify); })
+      .catch(() => { /* nothing to resume */ });
+    return () => { cancelled = true; };
+  }, [applyClarify]);
 
   // ── Step 1: Analyze input ─────────────────────────────────────────────────
   const handleSubmit = useCallback(async (userInput) => {
     setIsLoading(true);
     setError(null);
     try {
-      const data = await engineAnalyze(userInput);
+      const { data, clarify } = await engineAnalyze(userInput);
       setSessionData(data);
 
-      // Handle fallback/clarification if required
-      if (data.clarification_required || data.clarification_questions) {
+      if (clarify) {
+        applyClarify(clarify);
+      } else if (data.clarification_required || data.clarification_questions) {
+        // Handle fallback/clarification if required
         setQuestions(data.clarification_questions || data.questions || []);
         setStep(STEP.CLARIFYING);
       } else {
@@ -43,47 +82,74 @@ export default function App() {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [applyClarify]);
 
   // ── Step 2: Submit clarification answers ──────────────────────────────────
   const handleSubmitAnswers = useCallback(async (answers) => {
     setIsLoading(true);
     setError(null);
+    setStage(null);
     try {
-      const data = await engineClarify(answers);
-      setResult(data);
-      setStep(STEP.RESULTS);
+      const { clarify, result: data } = await engineClarify(answers, setStage);
+      if (clarify) {
+        applyClarify(clarify); // next round, or "Information Complete"
+      } else {
+        setAnswers(prev => ({ ...prev, ...answers }));
+        await showResult(data);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [applyClarify, showResult]);
 
   // ── Step 3: Generate prompts ───────────────────────────────────────────────
   const handleGenerate = useCallback(async () => {
     setIsLoading(true);
     setError(null);
+    setStage(null);
     setStep(STEP.RESULTS);
     try {
-      const data = await engineGenerate();
-      setResult(data);
+      const data = await engineGenerate(setStage);
+      await showResult(data);
     } catch (err) {
       setError(err.message);
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [showResult]);
+
+  // ── Step 4: Revise answers and regenerate ─────────────────────────────────
+  const handleRegenerate = useCallback(async (revised) => {
+    setIsLoading(true);
+    setError(null);
+    setStage(null);
+    try {
+      const data = await engineRegenerate(revised, setStage);
+      setAnswers(prev => ({ ...prev, ...revised }));
+      await showResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showResult]);
 
   // ── Reset ─────────────────────────────────────────────────────────────────
   const handleStartOver = useCallback(() => {
+    engineReset();
     setStep(STEP.HOME);
     setSessionData(null);
     setQuestions([]);
     setProgress(0);
     setRound(1);
+    setMaxRounds(3);
     setIsCompleted(false);
     setResult(null);
+    setStage(null);
+    setAnswers({});
+    setDiff(null);
     setError(null);
     setIsLoading(false);
   }, []);
@@ -99,15 +165,26 @@ export default function App() {
           questions={questions}
           progress={progress}
           round={round}
+          maxRounds={maxRounds}
           onSubmitAnswers={handleSubmitAnswers}
           onGenerate={handleGenerate}
           isLoading={isLoading}
           isCompleted={isCompleted}
+          stage={stage}
           error={error}
         />
       )}
       {step === STEP.RESULTS && (
-        <Results result={result} onStartOver={handleStartOver} isLoading={isLoading} error={error} />
+        <Results
+          result={result}
+          answers={answers}
+          diff={diff}
+          onRegenerate={handleRegenerate}
+          onStartOver={handleStartOver}
+          isLoading={isLoading}
+          stage={stage}
+          error={error}
+        />
       )}
     </div>
   );
@@ -39,7 +39,7 @@ function MagneticBtn({ children, className, onClick, disabled, type = 'button' }
 
 const TICKER = ['Clarifying Intent', 'Gathering Context', 'Building Prompt', 'Almost Ready'];
 
-export default function Clarify({ sessionData, questions, progress, round, onSubmitAnswers, onGenerate, isLoading, isCompleted, error }) {
+export default function Clarify({ sessionData, questions, progress, round, maxRounds = 3, onSubmitAnswers, onGenerate, isLoading, isCompleted, stage, error }) {
     const [answers, setAnswers] = useState({});
     const domain = sessionData?.domain || 'text_llm_task';
     const cfg = DOMAIN_CFG[domain] || DOMAIN_CFG.text_llm_task;
@@ -72,7 +72,7 @@ export default function Clarify({ sessionData, questions, progress, round, onSub
                         {cfg.label}
                     </span>
                     <span className="mono text-[10px] text-[rgba(237,232,222,0.3)] uppercase tracking-widest">
-                        Round {round} / 3
+                        Round {round} / {maxRounds}
                     </span>
                 </div>
             </motion.header>
@@ -82,7 +82,7 @@ export default function Clarify({ sessionData, questions, progress, round, onSub
                 <motion.div
                     className="h-full"
                     style={{ background: cfg.color }}
-                    animate={{ width: `${pct}%` }}
+                    animate={{ width: `${isLoading && stage ? Math.round(stage.progress * 100) : pct}%` }}
                     transition={{ duration: 0.7, ease: 'easeOut' }}
                 />
             </div>
@@ -125,7 +125,7 @@ export default function Clarify({ sessionData, questions, progress, round, onSub
                                     className="nb-btn w-full py-4 flex items-center justify-center gap-2"
                                 >
                                     {isLoading
-                                        ? <><Loader2 size={15} className="animate-spin" /> Generating...</>
+                                        ? <><Loader2 size={15} className="animate-spin" /> {stage?.label || 'Generating...'}</>
                                         : <><ArrowRight size={15} /> Generate Prompts</>
                                     }
                                 </MagneticBtn>
@@ -177,7 +177,7 @@ export default function Clarify({ sessionData, questions, progress, round, onSub
                                         className="nb-btn w-full py-3.5 flex items-center justify-center gap-2"
                                     >
                                         {isLoading
-                                            ? <><Loader2 size={15} className="animate-spin" /> Submitting...</>
+                                            ? <><Loader2 size={15} className="animate-spin" /> {stage?.label || 'Submitting...'}</>
                                             : <><ArrowRight size={15} /> Submit Answers</>
                                         }
                                     </MagneticBtn>
@@ -2,9 +2,11 @@
  * Results.jsx — Re-Prompt v2 Structured Reasoning View.
  * Displays machine-validated specifications with traceability and confidence metrics.
  */
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { RotateCcw, Target, Shield, Cpu, Activity, AlertTriangle } from 'lucide-react';
+import { RotateCcw, Target, Shield, Cpu, Activity, AlertTriangle, GitCompare, RefreshCw, Loader2, Download } from 'lucide-react';
 import NbTicker from '../components/NbTicker';
+import { engineExportUrl } from '../services/engine';
 
 const TICKER = ['Specification Ready', 'Fidelity Confirmed', 'Traceability Log Active', 'Zero Context Loss'];
 
@@ -28,10 +30,149 @@ function GridBox({ title, content, colSpan = "col-span-1" }) {
     );
 }
 
-export default function Results({ result, onStartOver, isLoading, error }) {
-    if (!result && !error) return null;
+/**
+ * The vision span a feature traces to, with the shared terms highlighted.
+ * Falls back to the model's own trace_to_input when the engine found no span.
+ */
+function SourceTrace({ evidence, fallback }) {
+    if (!evidence?.text) {
+        return <>"{fallback?.join(', ') || 'Implicit Domain Logic'}"</>;
+    }
+    const parts = [];
+    let cursor = evidence.start;
+    for (const term of evidence.terms || []) {
+        if (term.start < cursor) continue;
+        if (term.start > cursor) parts.push(evidence.text.slice(cursor - evidence.start, term.start - evidence.start));
+        parts.push(
+            <mark key={term.start} className="bg-[rgba(57,255,20,0.18)] text-[#39FF14] not-italic px-0.5">
+                {evidence.text.slice(term.start - evidence.start, term.end - evidence.start)}
+            </mark>
+        );
+        cursor = term.end;
+    }
+    parts.push(evidence.text.slice(cursor - evidence.start));
+    return <>"{parts}"</>;
+}
+
+const EXPORT_FORMATS = [['md', 'MD'], ['html', 'HTML'], ['docx', 'DOCX'], ['pdf', 'PDF']];
+
+const DIFF_SECTIONS = [
+    ['features', 'Features'],
+    ['non_functional_requirements', 'NFRs'],
+    ['risks', 'Risks'],
+    ['assumptions', 'Assumptions'],
+];
+
+const formatValue = (v) => (Array.isArray(v) ? v.join(', ') : String(v ?? '—'));
+
+function DiffPanel({ diff }) {
+    const confidence = Object.entries(diff.confidence || {});
+    return (
+        <div className="glass border border-[rgba(91,140,255,0.2)] p-5 space-y-5">
+            <p className="mono text-[10px] uppercase tracking-widest text-[rgba(237,232,222,0.4)]">
+                v{diff.from} → v{diff.to}{diff.unchanged ? ' · no structural changes' : ''}
+            </p>
+            {DIFF_SECTIONS.map(([key, label]) => {
+                const section = diff[key];
+                if (!section || section.added.length + section.removed.length + section.changed.length === 0) return null;
+                return (
+                    <div key={key}>
+                        <p className="mono text-[9px] uppercase tracking-widest text-[rgba(237,232,222,0.3)] mb-2">{label}</p>
+                        <ul className="space-y-1 text-xs">
+                            {section.added.map((item, i) => <li key={`a${i}`} className="text-[#39FF14]">+ {item}</li>)}
+                            {section.removed.map((item, i) => <li key={`r${i}`} className="text-[#FF4040] line-through">− {item}</li>)}
+                            {section.changed.map((item, i) => (
+                                <li key={`c${i}`} className="text-[#FFE135]">
+                                    ~ {item.key}
+                                    {Object.entries(item.changes).map(([field, c]) => (
+                                        <span key={field} className="block mono text-[10px] text-[rgba(237,232,222,0.5)] pl-4">
+                                            {field}: {formatValue(c.from)} → {formatValue(c.to)}
+                                        </span>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                );
+            })}
+            {confidence.length > 0 && (
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                    {confidence.map(([part, c]) => (
+                        <div key={part} className="border border-[rgba(255,255,255,0.06)] p-2">
+                            <p className="mono text-[8px] uppercase tracking-widest text-[rgba(237,232,222,0.3)]">{part.replace(/_/g, ' ')}</p>
+                            <p className="text-sm font-black" style={{ color: c.delta > 0 ? '#39FF14' : c.delta < 0 ? '#FF4040' : 'rgba(237,232,222,0.6)' }}>
+                                {c.delta > 0 ? '+' : ''}{c.delta}
+                            </p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function RevisePanel({ answers, onRegenerate, isLoading, stage }) {
+    const [draft, setDraft] = useState(answers);
+    const changed = Object.fromEntries(Object.entries(draft).filter(([q, a]) => a !== answers[q]));
+    return (
+        <div className="space-y-3">
+            {Object.keys(answers).map((q) => (
+                <div key={q} className="glass border border-[rgba(255,255,255,0.06)] p-4">
+                    <p className="text-xs font-medium mb-2">{q}</p>
+                    <textarea
+                        value={draft[q] ?? ''}
+                        onChange={e => setDraft(p => ({ ...p, [q]: e.target.value }))}
+                        rows={2}
+                        className="nb-input w-full px-3 py-2 text-xs resize-none"
+                    />
+                </div>
+            ))}
+            <button
+                onClick={() => onRegenerate(changed)}
+                disabled={isLoading}
+                className="nb-btn w-full py-3 flex items-center justify-center gap-2 text-xs"
+            >
+                {isLoading
+                    ? <><Loader2 size={13} className="animate-spin" /> {stage?.label || 'Regenerating...'}</>
+                    : <><RefreshCw size={13} /> {Object.keys(changed).length ? `Regenerate with ${Object.keys(changed).length} revised answer(s)` : 'Regenerate'}</>
+                }
+            </button>
+        </div>
+    );
+}
+
+export default function Results({ result, answers = {}, diff, onRegenerate, onStartOver, isLoading, stage, error }) {
+    // Ctrl/Cmd + P downloads the server-rendered PDF instead of printing the page
+    useEffect(() => {
+        const pdfUrl = engineExportUrl(result, 'pdf');
+        if (!pdfUrl) return undefined;
+        const onKey = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'p') {
+                e.preventDefault();
+                window.location.assign(pdfUrl);
+            }
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [result]);
+
+    if (!result && !error && !isLoading) return null;
+
+    if (isLoading && !result) {
+        return (
+            <div className="nb-scanline min-h-screen flex flex-col items-center justify-center gap-4 px-6">
+                <p className="mono text-xs uppercase tracking-widest text-[rgba(237,232,222,0.5)]">{stage?.label || 'Synthesizing…'}</p>
+                <div className="h-[2px] w-full max-w-md bg-[rgba(255,255,255,0.05)]">
+                    <motion.div className="h-full bg-[#39FF14]" animate={{ width: `${Math.round((stage?.progress || 0) * 100)}%` }} transition={{ duration: 0.4 }} />
+                </div>
+            </div>
+        );
+    }
 
     const conf = result?.confidence_score || 0;
+    // Trace fields live on the engine-normalised components rather than the raw core_features
+    const traced = result?.core_functional_components || [];
+    const traceOf = (f, i) => traced.find(t => t.name === f.name) || traced[i];
     const consistency = result?.domain_validation?.domain_consistency_score || 0;
 
     return (
@@ -43,9 +184,21 @@ export default function Results({ result, onStartOver, isLoading, error }) {
                 className="glass border-b border-[rgba(255,255,255,0.07)] px-6 py-4 flex items-center justify-between"
             >
                 <span className="text-xl font-black uppercase tracking-tight">System Specification <span className="text-[10px] mono text-[rgba(237,232,222,0.3)] ml-2">v2.0</span></span>
-                <button onClick={onStartOver} className="nb-btn-ghost flex items-center gap-2 px-4 py-2 text-xs">
-                    <RotateCcw size={12} /> New Synthesis
-                </button>
+                <div className="flex items-center gap-2">
+                    {engineExportUrl(result, 'md') && EXPORT_FORMATS.map(([format, label]) => (
+                        <a
+                            key={format}
+                            href={engineExportUrl(result, format)}
+                            title={format === 'pdf' ? 'Export PDF (Ctrl + P)' : `Export ${label}`}
+                            className="nb-btn-ghost flex items-center gap-1.5 px-3 py-2 text-xs"
+                        >
+                            <Download size={12} /> {label}
+                        </a>
+                    ))}
+                    <button onClick={onStartOver} className="nb-btn-ghost flex items-center gap-2 px-4 py-2 text-xs">
+                        <RotateCcw size={12} /> New Synthesis
+                    </button>
+                </div>
             </motion.header>
 
             <main className="flex-1 max-w-5xl mx-auto w-full px-6 py-10 space-y-10">
@@ -104,7 +257,7 @@ export default function Results({ result, onStartOver, isLoading, error }) {
                                 <div className="bg-[rgba(57,255,20,0.03)] border-t border-[rgba(57,255,20,0.1)] pt-3 mt-3">
                                     <p className="mono text-[9px] uppercase tracking-widest text-[rgba(237,232,222,0.3)] mb-1">Source Trace:</p>
                                     <p className="mono text-[10px] italic text-[rgba(57,255,20,0.6)]">
-                                        "{f.trace_to_input?.join(', ') || 'Implicit Domain Logic'}"
+                                        <SourceTrace evidence={traceOf(f, i)?.trace_evidence} fallback={f.trace_to_input} />
                                     </p>
                                     <p className="mono text-[9px] uppercase tracking-widest text-[rgba(237,232,222,0.3)] mt-3 mb-1">Architect Rationale:</p>
                                     <p className="text-[11px] text-[rgba(57,255,20,0.8)]">{f.justification}</p>
@@ -140,6 +293,20 @@ export default function Results({ result, onStartOver, isLoading, error }) {
                     </section>
                 </div>
 
+                {/* ── Revisions & Version Diff ────────────────────────────────── */}
+                {onRegenerate && Object.keys(answers).length > 0 && (
+                    <section>
+                        <SectionTitle icon={RefreshCw} title={`Revise Answers${result?.spec_version ? ` · v${result.spec_version}` : ''}`} accent="#FFE135" />
+                        <RevisePanel key={result?.spec_version || 0} answers={answers} onRegenerate={onRegenerate} isLoading={isLoading} stage={stage} />
+                    </section>
+                )}
+                {diff && (
+                    <section>
+                        <SectionTitle icon={GitCompare} title="What Changed" accent="#5B8CFF" />
+                        <DiffPanel diff={diff} />
+                    </section>
+                )}
+
             </main>
         </div>
     );
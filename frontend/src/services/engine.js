@@ -4,23 +4,75 @@
  */
 
 const API_ENDPOINT = '/analyze.php';
+const STREAM_ENDPOINT = '/api/validate/stream'; // Node server only; PHP hosts fall back to API_ENDPOINT
+const SESSION_ENDPOINT = '/api/sessions'; // Node server only; PHP hosts get a single local round
+const SESSION_STORAGE_KEY = 'reprompt.session';
+const EXPORT_ENDPOINT = '/api/export'; // Node server only; needs the result's audit_log_id
+const JOBS_ENDPOINT = '/api/jobs'; // Node server only; queued generation that outlives proxy timeouts
+const JOB_POLL_MS = 1500;
+const PIPELINE_EVENTS = ['llm.progress', 'schema.normalized', 'trace.feature', 'confidence'];
+const EXPECTED_SPEC_CHARS = 12000; // Rough size of a full spec, used to scale token progress
 
 let _session = {
+  id: null,
   text: '',
   answers: {},
   mode: 'clarify'
 };
 
 /**
- * Initiates the analysis of a user vision.
+ * Normalises a server session into the clarify state the UI renders.
+ */
+function clarifyState(session) {
+  return {
+    sessionId: session.id,
+    questions: session.questions,
+    round: Math.max(1, session.round),
+    maxRounds: session.max_rounds,
+    progress: session.progress,
+    isCompleted: session.status !== 'clarifying',
+    answers: Object.assign({}, ...session.rounds.map(r => r.answers || {})),
+    result: session.result
+  };
+}
+
+function rememberSession(session) {
+  _session = { id: session.id, text: session.text, answers: {}, mode: session.status === 'clarifying' ? 'clarify' : 'generate' };
+  try { localStorage.setItem(SESSION_STORAGE_KEY, session.id); } catch { /* storage disabled */ }
+}
+
+async function responseError(response, fallback) {
+  const error = await response.json().catch(() => ({}));
+  return new Error(error.detail || error.error || fallback);
+}
+
+/**
+ * Initiates the analysis of a user vision. Returns { data, clarify } where
+ * |clarify| is the clarify state when the server keeps a session, else null.
  */
 export async function engineAnalyze(userInput) {
   _session = {
+    id: null,
     text: userInput,
     answers: {},
     mode: 'clarify'
   };
 
+  const created = await fetch(SESSION_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: userInput })
+  }).catch(() => null);
+
+  if (created?.ok) {
+    const session = await created.json();
+    rememberSession(session);
+    return { data: session, clarify: clarifyState(session) };
+  }
+  if (created && created.status !== 404 && created.status !== 405) {
+    throw await responseError(created, 'Backend communication failed.');
+  }
+
   const response = await fetch(API_ENDPOINT, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -33,24 +85,226 @@ export async function engineAnalyze(userInput) {
   }
 
   const data = await response.json();
-  return data;
+  return { data, clarify: null };
+}
+
+/**
+ * Restores the session remembered in localStorage, if the server still has it.
+ * Resolves to the clarify state or null.
+ */
+export async function engineResume() {
+  let id = null;
+  try { id = localStorage.getItem(SESSION_STORAGE_KEY); } catch { /* storage disabled */ }
+  if (!id) return null;
+
+  const response = await fetch(`${SESSION_ENDPOINT}/${id}`).catch(() => null);
+  if (!response?.ok) {
+    if (response?.status === 404) engineReset();
+    return null;
+  }
+  const session = await response.json();
+  rememberSession(session);
+  return clarifyState(session);
 }
 
 /**
- * Submits clarification answers and requests the next step.
+ * Submits clarification answers. With a server session the engine decides whether
+ * another round is needed and resolves to { clarify }; otherwise (PHP hosts) it
+ * generates straight away and resolves to { result }.
+ * @param {(p: {label: string, progress: number}) => void} [onProgress]
  */
-export async function engineClarify(answers) {
+export async function engineClarify(answers, onProgress) {
   _session.answers = { ..._session.answers, ...answers };
 
-  // Check if we have enough info to generate or if we should continue clarifying
-  // For v2, we try to generate once answers are provided.
-  return await engineGenerate();
+  if (_session.id) {
+    const response = await fetch(`${SESSION_ENDPOINT}/${_session.id}/answers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers })
+    });
+    if (!response.ok) throw await responseError(response, 'Could not submit answers.');
+    const session = await response.json();
+    return { clarify: clarifyState(session) };
+  }
+
+  return { result: await engineGenerate(onProgress) };
+}
+
+/**
+ * Regenerates the spec with edited answers. The server stores each run as a new
+ * version of the session.
+ * @param {Record<string, string>} answers Only the answers that changed are required.
+ * @param {(p: {label: string, progress: number}) => void} [onProgress]
+ */
+export async function engineRegenerate(answers, onProgress) {
+  _session.answers = { ..._session.answers, ...answers };
+  return await engineGenerate(onProgress, answers);
+}
+
+/**
+ * Structural diff of the latest spec version against the previous one, or null
+ * when the backend keeps no versions (PHP hosts) or there is only one.
+ */
+export async function engineVersionDiff() {
+  if (!_session.id) return null;
+  const response = await fetch(`${SESSION_ENDPOINT}/${_session.id}/versions/diff`).catch(() => null);
+  if (!response?.ok) return null;
+  return await response.json();
+}
+
+/**
+ * Download URL for a stored synthesis, or null when the backend did not store it
+ * (PHP hosts return no audit_log_id).
+ * @param {'md' | 'html' | 'docx' | 'pdf'} format
+ */
+export function engineExportUrl(result, format) {
+  return result?.audit_log_id ? `${EXPORT_ENDPOINT}/${result.audit_log_id}?format=${format}` : null;
+}
+
+/**
+ * Maps a pipeline SSE event to a loader label and a 0–1 progress value.
+ */
+export function describeProgress(event, data) {
+  switch (event) {
+    case 'llm.progress':
+      return data.done
+        ? { label: 'Specification received', progress: 0.6 }
+        : { label: `Receiving specification · ${(data.chars / 1000).toFixed(1)}k chars`, progress: Math.min(0.58, (data.chars / EXPECTED_SPEC_CHARS) * 0.6) };
+    case 'schema.normalized':
+      return { label: `Normalising schema · ${data.feature_count} features`, progress: 0.65 };
+    case 'trace.feature':
+      return { label: `Tracing ${data.index + 1}/${data.total} · ${data.name} → ${data.trace_status}`, progress: 0.65 + 0.25 * ((data.index + 1) / data.total) };
+    case 'confidence':
+      return { label: `Confidence ${data.final_score}`, progress: 0.95 };
+    case 'result':
+      return { label: 'Synthesis complete', progress: 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads a text/event-stream body, calling onEvent(name, data) per event.
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (event && data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+/**
+ * Follows a job until it finishes: SSE events when available, otherwise polling.
+ * Resolves with the final job.
+ */
+function followJob(id, onEvent) {
+  if (typeof EventSource === 'undefined') return pollJob(id, onEvent);
+  return new Promise((resolve) => {
+    const source = new EventSource(`${JOBS_ENDPOINT}/${id}/events`);
+    for (const name of PIPELINE_EVENTS) source.addEventListener(name, (e) => onEvent(name, JSON.parse(e.data)));
+    source.addEventListener('done', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.onerror = () => {
+      source.close();
+      resolve(pollJob(id, onEvent));
+    };
+  });
+}
+
+async function pollJob(id, onEvent) {
+  for (;;) {
+    const response = await fetch(`${JOBS_ENDPOINT}/${id}`);
+    if (!response.ok) throw await responseError(response, 'Lost track of the generation job.');
+    const job = await response.json();
+    if (job.progress) onEvent(job.progress.event, job.progress.data);
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+/**
+ * Queues the generation as a job so no request stays open for the whole pipeline.
+ * Returns null when the server has no job endpoint.
+ */
+async function engineGenerateJob(body, onProgress) {
+  const submitted = await fetch(JOBS_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  }).catch(() => null);
+  if (!submitted || submitted.status === 404 || submitted.status === 405) return null;
+  if (!submitted.ok) throw await responseError(submitted, 'Generation failed.');
+
+  const report = (event, data) => {
+    const progress = describeProgress(event, data);
+    if (progress && onProgress) onProgress(progress);
+  };
+  const job = await followJob((await submitted.json()).id, report);
+  if (job.status !== 'succeeded') throw new Error(job.error?.detail || job.error?.title || `Generation ${job.status}.`);
+  report('result', job.result);
+  return job.result;
+}
+
+/**
+ * Generates the full v2 Specification as a job, or by streaming phase progress
+ * when the server has no job queue.
+ * @param {(p: {label: string, progress: number}) => void} [onProgress]
+ * @param {Record<string, string> | null} [revisedAnswers] Edited answers for a session regenerate.
+ */
+export async function engineGenerate(onProgress, revisedAnswers = null) {
+  // With a session the server supplies the vision and every round's answers
+  const body = JSON.stringify(_session.id
+    ? { session_id: _session.id, answers: revisedAnswers || undefined }
+    : { mode: 'generate', text: _session.text, answers: _session.answers });
+
+  const queued = await engineGenerateJob(body, onProgress);
+  if (queued) return queued;
+
+  const stream = await fetch(STREAM_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  }).catch(() => null);
+
+  if (stream && !stream.ok && stream.status !== 404 && stream.status !== 405) {
+    const error = await stream.json().catch(() => ({}));
+    throw new Error(error.detail || error.error || 'Generation failed.');
+  }
+
+  if (stream?.ok && (stream.headers.get('content-type') || '').includes('text/event-stream')) {
+    let result = null;
+    let failure = null;
+    await readEventStream(stream, (event, data) => {
+      if (event === 'result') result = data;
+      if (event === 'error') failure = data;
+      const progress = describeProgress(event, data);
+      if (progress && onProgress) onProgress(progress);
+    });
+    if (failure) throw new Error(failure.detail || failure.title || 'Generation failed.');
+    if (!result) throw new Error('Generation stream ended without a result.');
+    return result;
+  }
+
+  return await engineGenerateBlocking();
 }
 
 /**
- * Generates the full v2 Specification.
+ * Single-request generation for backends without streaming (analyze.php).
  */
-export async function engineGenerate() {
+async function engineGenerateBlocking() {
   const response = await fetch(API_ENDPOINT, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -74,5 +328,6 @@ export async function engineGenerate() {
  * Resets the session state.
  */
 export function engineReset() {
-  _session = { text: '', answers: {}, mode: 'clarify' };
+  _session = { id: null, text: '', answers: {}, mode: 'clarify' };
+  try { localStorage.removeItem(SESSION_STORAGE_KEY); } catch { /* storage disabled */ }
 }
@@ -0,0 +1,220 @@
+// ── Re-Prompt v3.3 Job Queue ─────────────────────────────────────────────────
+// Long syntheses run as jobs: submit() stores a queued job and returns at once, a pool
+// of JOBS.CONCURRENCY workers runs the handler, and callers poll get() or subscribe()
+// to its progress. Jobs are saved through db.mjs, so recover() picks up queued work
+// and runs interrupted by a restart.
+
+import crypto from 'crypto';
+import { JOBS } from './config.mjs';
+import { saveJob, getJob, listJobsByStatus, pruneJobs } from './db.mjs';
+import { inc, observe } from './metrics.mjs';
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    TIMED_OUT: 'timed_out'
+};
+
+const FINISHED = new Set([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED, JOB_STATUS.TIMED_OUT]);
+
+export function isFinished(job) {
+    return FINISHED.has(job.status);
+}
+
+/**
+ * What clients see of a job: everything but the payload and the submitting client.
+ */
+export function jobView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        progress: job.progress,
+        result: job.result,
+        error: job.error,
+        attempts: job.attempts,
+        timeout_ms: job.timeout_ms,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at
+    };
+}
+
+const timestamp = () => new Date().toISOString();
+
+/**
+ * Creates a queue that runs |handler(job, { signal, progress })| for each job. The
+ * handler resolves with { status: 200, body } (the result) or a problem { status,
+ * title, detail }. |progress(event, data)| publishes a pipeline event and throws once
+ * the job is cancelled or timed out, so the run stops at its next event.
+ * |percentOf(event, data)| turns events into a 0–100 progress figure.
+ */
+export function createJobQueue(handler, {
+    concurrency = JOBS.CONCURRENCY,
+    timeoutMs = JOBS.TIMEOUT_MS,
+    maxTimeoutMs = JOBS.MAX_TIMEOUT_MS,
+    maxAttempts = JOBS.MAX_ATTEMPTS,
+    retentionHours = JOBS.RETENTION_HOURS,
+    progressSaveMs = JOBS.PROGRESS_SAVE_MS,
+    percentOf = () => null
+} = {}) {
+    const pending = [];          // Queued job ids, oldest first
+    const active = new Map();    // id → { job, controller }; a slot stays taken until the handler settles
+    const listeners = new Map(); // id → Set of fn(event, data)
+
+    function emit(id, event, data) {
+        for (const fn of listeners.get(id) || []) {
+            try { fn(event, data); } catch (err) { console.warn('[JOBS] Listener failed:', err.message); }
+        }
+    }
+
+    function save(job, patch = {}) {
+        Object.assign(job, patch, { updated_at: timestamp() });
+        saveJob(job);
+    }
+
+    function finish(job, status, { result = null, error = null } = {}) {
+        if (isFinished(job)) return false;
+        save(job, { status, result, error, finished_at: timestamp() });
+        inc('jobs', { status });
+        if (job.started_at) observe('job_duration_seconds', (Date.parse(job.finished_at) - Date.parse(job.started_at)) / 1000);
+        emit(job.id, 'done', jobView(job));
+        listeners.delete(job.id);
+        return true;
+    }
+
+    async function run(job) {
+        const controller = new AbortController();
+        active.set(job.id, { job, controller });
+        save(job, { status: JOB_STATUS.RUNNING, started_at: timestamp(), attempts: job.attempts + 1 });
+        emit(job.id, 'status', jobView(job));
+
+        const timer = setTimeout(() => {
+            controller.abort('timed out');
+            finish(job, JOB_STATUS.TIMED_OUT, { error: { status: 504, title: 'Job Timed Out', detail: `No result after ${job.timeout_ms / 1000}s.` } });
+        }, job.timeout_ms);
+
+        let savedAt = 0;
+        const progress = (event, data) => {
+            if (controller.signal.aborted) throw new Error(`Job ${controller.signal.reason}`);
+            job.progress = { event, data, percent: Math.max(job.progress?.percent || 0, percentOf(event, data) ?? 0) };
+            emit(job.id, event, data);
+            if (Date.now() - savedAt >= progressSaveMs) {
+                savedAt = Date.now();
+                save(job);
+            }
+        };
+
+        try {
+            const outcome = await handler(job, { signal: controller.signal, progress });
+            if (outcome.status === 200) finish(job, JOB_STATUS.SUCCEEDED, { result: outcome.body });
+            else finish(job, JOB_STATUS.FAILED, { error: { status: outcome.status, title: outcome.title, detail: outcome.detail || outcome.title } });
+        } catch (err) {
+            // No-op when the job was already cancelled or timed out
+            finish(job, JOB_STATUS.FAILED, { error: { status: 500, title: 'Job Failed', detail: err.message } });
+        } finally {
+            clearTimeout(timer);
+            active.delete(job.id);
+            pump();
+        }
+    }
+
+    function pump() {
+        while (active.size < concurrency && pending.length > 0) {
+            const job = getJob(pending.shift());
+            if (job?.status === JOB_STATUS.QUEUED) run(job);
+        }
+    }
+
+    function get(id) {
+        return active.get(id)?.job || getJob(id);
+    }
+
+    const sweep = setInterval(() => pruneJobs(new Date(Date.now() - retentionHours * 3600000).toISOString()), 3600000);
+    sweep.unref();
+
+    return {
+        /**
+         * Queues |payload| and returns the job. |timeout_ms| defaults to the queue's
+         * and is capped at |maxTimeoutMs|; an invalid one throws RangeError.
+         */
+        submit(payload, { client = null, correlation_id = null, timeout_ms } = {}) {
+            if (timeout_ms !== undefined && !(Number.isInteger(timeout_ms) && timeout_ms > 0)) {
+                throw new RangeError('"timeout_ms" must be a positive whole number of milliseconds.');
+            }
+            const now = timestamp();
+            const job = {
+                id: crypto.randomUUID(),
+                kind: 'synthesis',
+                status: JOB_STATUS.QUEUED,
+                payload,
+                client,
+                correlation_id,
+                attempts: 0,
+                timeout_ms: Math.min(timeout_ms ?? timeoutMs, maxTimeoutMs),
+                progress: null,
+                result: null,
+                error: null,
+                created_at: now,
+                updated_at: now,
+                started_at: null,
+                finished_at: null
+            };
+            saveJob(job);
+            pending.push(job.id);
+            pump();
+            return job;
+        },
+
+        get,
+
+        /**
+         * Cancels a queued or running job. Returns false when it is unknown or
+         * already finished.
+         */
+        cancel(id) {
+            const job = get(id);
+            if (!job || isFinished(job)) return false;
+            active.get(id)?.controller.abort('cancelled');
+            const queuedAt = pending.indexOf(id);
+            if (queuedAt !== -1) pending.splice(queuedAt, 1);
+            return finish(job, JOB_STATUS.CANCELLED, { error: { status: 409, title: 'Job Cancelled', detail: 'Cancelled before it finished.' } });
+        },
+
+        /**
+         * Calls |fn(event, data)| for the job's pipeline events, 'status' when it starts
+         * and 'done' (the final job view) when it finishes. Returns an unsubscribe function.
+         */
+        subscribe(id, fn) {
+            if (!listeners.has(id)) listeners.set(id, new Set());
+            listeners.get(id).add(fn);
+            return () => listeners.get(id)?.delete(fn);
+        },
+
+        /**
+         * Requeues stored jobs that were queued or running when the process stopped.
+         * A job interrupted |maxAttempts| times fails instead. Returns the number requeued.
+         */
+        recover() {
+            let requeued = 0;
+            for (const job of listJobsByStatus([JOB_STATUS.QUEUED, JOB_STATUS.RUNNING])) {
+                if (active.has(job.id) || pending.includes(job.id)) continue;
+                if (job.status === JOB_STATUS.RUNNING && job.attempts >= maxAttempts) {
+                    finish(job, JOB_STATUS.FAILED, { error: { status: 500, title: 'Job Interrupted', detail: `Interrupted by a server restart ${job.attempts} times.` } });
+                    continue;
+                }
+                if (job.status === JOB_STATUS.RUNNING) save(job, { status: JOB_STATUS.QUEUED });
+                pending.push(job.id);
+                requeued++;
+            }
+            pump();
+            return requeued;
+        },
+
+        stats: () => ({ queued: pending.length, running: active.size }),
+
+        close: () => clearInterval(sweep)
+    };
+}
@@ -0,0 +1,145 @@
+// ── Re-Prompt v3.3 Judge Cache ───────────────────────────────────────────────
+// LLM judge scores are deterministic for a given judge model and prompt, so they are
+// cached: a bounded LRU with per-entry TTL in memory and, with JUDGE_CACHE.STORE=sqlite,
+// a write-through SQLite tier that survives restarts. Lookups count as hits or misses.
+
+import crypto from 'crypto';
+import { JUDGE_CACHE } from './config.mjs';
+import { isPersistent, getJudgeScore, saveJudgeScore, pruneJudgeScores, countJudgeScores } from './db.mjs';
+import { inc } from './metrics.mjs';
+
+/**
+ * The cache key for a judge call. The judge's |provider|, |model| and |promptVersion| are
+ * part of it, so changing any of them leaves earlier scores unused rather than wrong.
+ */
+export function judgeCacheKey({ provider, model, promptVersion, featureText, userInput }) {
+    return crypto.createHash('sha256').update(JSON.stringify([provider, model, promptVersion, featureText, userInput])).digest('hex');
+}
+
+/**
+ * A Map-backed LRU: get() refreshes an entry's recency, set() evicts the least recently
+ * used entry past |maxEntries|. Entries expire |ttlMs| after they were set, or at an
+ * explicit |expiresAt|.
+ */
+export function createLruCache({ maxEntries = JUDGE_CACHE.MAX_ENTRIES, ttlMs = JUDGE_CACHE.TTL_MS, now = () => Date.now() } = {}) {
+    const entries = new Map(); // key → { value, expires_at }, least recently used first
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expires_at <= now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    return {
+        get(key) {
+            const entry = live(key);
+            if (!entry) return undefined;
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        /** Like get() without refreshing recency. */
+        peek: (key) => live(key)?.value,
+
+        set(key, value, expiresAt = now() + ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expires_at: expiresAt });
+            while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+
+        /** Drops expired entries. Returns the number removed. */
+        sweep() {
+            const t = now();
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (entry.expires_at <= t) { entries.delete(key); removed++; }
+            }
+            return removed;
+        },
+
+        size: () => entries.size
+    };
+}
+
+/**
+ * Creates the judge score cache on |store| ('memory' or 'sqlite'). A score found only in
+ * SQLite is promoted into memory with its original expiry. SQLite errors degrade to the
+ * memory tier rather than failing the judge call.
+ */
+export function createJudgeCache({
+    maxEntries = JUDGE_CACHE.MAX_ENTRIES,
+    ttlMs = JUDGE_CACHE.TTL_MS,
+    store = JUDGE_CACHE.STORE,
+    persistMax = JUDGE_CACHE.PERSIST_MAX,
+    sweepIntervalMs = JUDGE_CACHE.SWEEP_INTERVAL_MS,
+    now = () => Date.now()
+} = {}) {
+    const memory = createLruCache({ maxEntries, ttlMs, now });
+    const persistent = store === 'sqlite' && isPersistent();
+    if (store === 'sqlite' && !persistent) console.warn('\x1b[33m[JUDGE CACHE]\x1b[0m JUDGE_CACHE_STORE=sqlite needs better-sqlite3; scores are kept in memory only.');
+    const counts = { hits: 0, misses: 0 };
+
+    const guarded = (fn, fallback) => {
+        if (!persistent) return fallback;
+        try {
+            return fn();
+        } catch (err) {
+            console.warn('[JUDGE CACHE] SQLite tier failed, continuing in memory:', err.message);
+            return fallback;
+        }
+    };
+
+    function stored(key) {
+        const row = guarded(() => getJudgeScore(key, now()), null);
+        if (row) memory.set(key, row.score, row.expires_at);
+        return row?.score;
+    }
+
+    const cache = {
+        store: persistent ? 'sqlite' : 'memory',
+
+        /** The cached score for |key|, or undefined. Counted as a hit or a miss. */
+        get(key) {
+            const score = memory.get(key) ?? stored(key);
+            const hit = score !== undefined;
+            counts[hit ? 'hits' : 'misses']++;
+            inc('judge_cache_lookups', { result: hit ? 'hit' : 'miss' });
+            return score;
+        },
+
+        /** Like get() without counting; for replaying stored results (threshold simulation). */
+        peek: (key) => memory.peek(key) ?? stored(key),
+
+        set(key, score) {
+            const t = now();
+            memory.set(key, score, t + ttlMs);
+            guarded(() => saveJudgeScore(key, score, t, t + ttlMs), null);
+        },
+
+        sweep: () => memory.sweep() + guarded(() => pruneJudgeScores(now(), persistMax), 0),
+
+        /** In-memory entries; the gauge reports this. */
+        size: () => memory.size(),
+
+        stats() {
+            const lookups = counts.hits + counts.misses;
+            return {
+                store: cache.store,
+                entries: memory.size(),
+                persisted: guarded(() => countJudgeScores(), null),
+                hits: counts.hits,
+                misses: counts.misses,
+                hit_rate: lookups ? Number((counts.hits / lookups).toFixed(3)) : 0
+            };
+        },
+
+        close: () => clearInterval(timer)
+    };
+    const timer = sweepIntervalMs > 0 ? setInterval(() => cache.sweep(), sweepIntervalMs) : null;
+    timer?.unref(); // Never keeps the process alive
+    return cache;
+}
@@ -0,0 +1,139 @@
+// ── Re-Prompt v3.3 LLM Call Policy ───────────────────────────────────────────
+// Wraps outbound completions in a timeout per attempt, retries transient failures with
+// jittered exponential backoff (honouring retry-after), and moves down an ordered chain
+// of models when one keeps failing. The answer says which model actually served it.
+// Messages are redacted for the current request first, and the answer restored.
+
+import { LLM, LLM_POLICY } from './config.mjs';
+import { getProvider as defaultGetProvider } from './llm-provider.mjs';
+import { inc } from './metrics.mjs';
+import { currentRedaction } from './redaction.mjs';
+import { structuredLog } from './utils.mjs';
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+/**
+ * Why |err| is worth retrying on the same model: 'rate_limited', 'server_error',
+ * 'timeout' or 'network'. Null for anything a retry would not fix.
+ */
+export function retryReason(err) {
+    if (err?.status === 429) return 'rate_limited';
+    if (err?.status >= 500) return 'server_error';
+    if (err?.name === 'TimeoutError') return 'timeout';
+    if (NETWORK_CODES.has(err?.code) || NETWORK_CODES.has(err?.cause?.code) || ['fetch failed', 'terminated'].includes(err?.message)) return 'network';
+    return null;
+}
+
+/**
+ * Milliseconds to wait before retry number |retry| (1-based): the server's retry-after
+ * when it sent one, otherwise a random delay up to |baseMs| * 2^(retry-1) ("full
+ * jitter"). Null when the server asks for longer than |maxMs|.
+ */
+export function retryDelay(retry, err, { baseMs = LLM_POLICY.BASE_DELAY_MS, maxMs = LLM_POLICY.MAX_DELAY_MS, random = Math.random } = {}) {
+    if (err?.retryAfterMs !== null && err?.retryAfterMs !== undefined) return err.retryAfterMs <= maxMs ? err.retryAfterMs : null;
+    return Math.round(random() * Math.min(maxMs, baseMs * 2 ** (retry - 1)));
+}
+
+/**
+ * The models to try for a call to |model|: the model itself on |provider|, then
+ * |fallbacks| ({ model, provider } with provider null meaning |provider|), without repeats.
+ */
+export function buildChain(model, fallbacks = LLM_POLICY.FALLBACK_CHAIN, provider = LLM.PROVIDER) {
+    const chain = [];
+    for (const link of [{ model, provider }, ...fallbacks]) {
+        const entry = { model: link.model, provider: link.provider || provider };
+        if (!chain.some(e => e.model === entry.model && e.provider === entry.provider)) chain.push(entry);
+    }
+    return chain;
+}
+
+/**
+ * Waits |ms|, rejecting with |signal|'s reason as soon as it aborts.
+ */
+function sleepFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+        const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * The signal for one attempt: aborts after |timeoutMs|, or when the caller's |signal|
+ * does. Combined by hand, as AbortSignal.any() needs Node 20.3. Call |release()| once the
+ * attempt settles so the caller's signal does not collect listeners.
+ */
+function attemptSignal(signal, timeoutMs) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    if (!signal) return { signal: timeout, release() { } };
+    const controller = new AbortController();
+    const fromCaller = () => controller.abort(signal.reason);
+    const fromTimeout = () => controller.abort(timeout.reason);
+    if (signal.aborted) fromCaller();
+    signal.addEventListener('abort', fromCaller, { once: true });
+    timeout.addEventListener('abort', fromTimeout, { once: true });
+    return {
+        signal: controller.signal,
+        release() {
+            signal.removeEventListener('abort', fromCaller);
+            timeout.removeEventListener('abort', fromTimeout);
+        }
+    };
+}
+
+/**
+ * Sends |request| (as for provider.chat(), minus the model) down |chain|. Each model gets
+ * up to |maxRetries| retries for retryable failures; other failures move on at once. A
+ * caller's own |request.signal| aborting stops everything, a backoff wait included. Resolves with the completion
+ * plus |served_by| { provider, model, fallback, attempts }; rejects with the last error
+ * once the chain is exhausted.
+ */
+export async function callWithPolicy(request, {
+    chain = buildChain(request.model),
+    timeoutMs = LLM_POLICY.TIMEOUT_MS,
+    maxRetries = LLM_POLICY.MAX_RETRIES,
+    baseDelayMs = LLM_POLICY.BASE_DELAY_MS,
+    maxDelayMs = LLM_POLICY.MAX_DELAY_MS,
+    getProvider = defaultGetProvider,
+    sleep = sleepFor,
+    random = Math.random
+} = {}) {
+    let attempts = 0;
+    let lastError = null;
+    const redaction = currentRedaction();
+    const messages = redaction ? request.messages.map(m => ({ ...m, content: redaction.redact(m.content) })) : request.messages;
+
+    for (const [index, link] of chain.entries()) {
+        for (let retry = 0; ; retry++) {
+            attempts++;
+            const attempt = attemptSignal(request.signal, timeoutMs);
+            try {
+                const completion = await getProvider(link.provider).chat({
+                    ...request,
+                    messages,
+                    model: link.model,
+                    signal: attempt.signal
+                });
+                if (index > 0) inc('llm_fallbacks', { model: link.model });
+                const content = redaction ? redaction.restore(completion.content, { json: !!request.jsonMode }) : completion.content;
+                return { ...completion, content, served_by: { provider: link.provider, model: completion.model || link.model, fallback: index > 0, attempts } };
+            } catch (err) {
+                if (request.signal?.aborted) throw err;
+                lastError = err;
+                const reason = retryReason(err);
+                const delay = reason && retry < maxRetries ? retryDelay(retry + 1, err, { baseMs: baseDelayMs, maxMs: maxDelayMs, random }) : null;
+                if (delay === null) {
+                    structuredLog('WARN', 'LLM model failed', { provider: link.provider, model: link.model, error: err.message, next: chain[index + 1]?.model || null });
+                    break;
+                }
+                inc('llm_retries', { model: link.model, reason });
+                structuredLog('WARN', 'Retrying LLM call', { provider: link.provider, model: link.model, reason, retry: retry + 1, delay_ms: delay });
+                await sleep(delay, request.signal);
+            } finally {
+                attempt.release();
+            }
+        }
+    }
+    throw lastError;
+}
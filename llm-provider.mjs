@@ -0,0 +1,407 @@
+// ── Re-Prompt v3.3 LLM Provider Layer ────────────────────────────────────────
+// Every outbound chat completion goes through the provider selected in config.mjs.
+// All HTTP providers speak the OpenAI /chat/completions dialect; 'fixture' is an
+// offline, deterministic stand-in for tests and CI.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { LLM } from './config.mjs';
+import { withSpan, SPAN_KIND } from './tracing.mjs';
+import { recordUsage } from './usage.mjs';
+
+const BASE_URLS = {
+    groq: 'https://api.groq.com/openai/v1',
+    local: 'http://localhost:11434/v1', // Ollama; llama.cpp server uses :8080/v1
+};
+
+/**
+ * Replays already-complete content through |onToken| in small deltas, so offline
+ * providers exercise the same progress path as a live stream.
+ */
+function emitChunks(content, onToken, size = 64) {
+    if (!onToken) return;
+    for (let i = 0; i < content.length; i += size) onToken(content.slice(i, i + size));
+}
+
+/**
+ * Reads an OpenAI-style SSE completion stream, forwarding each content delta.
+ */
+async function readCompletionStream(response, name, model, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finalModel = model;
+    let usage = null;
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') continue;
+            const json = JSON.parse(data);
+            if (json.error) throw new Error(`${name}: ${json.error.message || json.error}`);
+            const delta = json.choices?.[0]?.delta?.content;
+            if (json.model) finalModel = json.model;
+            usage = json.usage || json.x_groq?.usage || usage;
+            if (delta) {
+                content += delta;
+                onToken(delta);
+            }
+        }
+    }
+
+    return { content, model: finalModel, raw: { model: finalModel, choices: [{ message: { role: 'assistant', content } }], usage } };
+}
+
+/**
+ * Milliseconds asked for by a Retry-After header (delay in seconds or an HTTP date),
+ * or null when absent or unparsable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Error for a non-2xx answer, carrying |status| and |retryAfterMs| for the call policy.
+ */
+async function httpError(name, response) {
+    const data = await response.text().catch(() => '');
+    let message = data.slice(0, 300) || response.statusText;
+    try {
+        const json = JSON.parse(data);
+        if (json.error) message = json.error.message || json.error;
+    } catch (_) { }
+    return Object.assign(new Error(`${name}: ${message} (HTTP ${response.status})`), {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+    });
+}
+
+/**
+ * Provider for any OpenAI-compatible endpoint (Groq, OpenAI, vLLM, Ollama, llama.cpp).
+ * Passing |onToken| switches the request to server-sent streaming.
+ */
+function createOpenAiProvider(name, { baseUrl, apiKey }) {
+    if (!baseUrl) throw new Error(`LLM provider '${name}' requires a base URL (LLM_BASE_URL).`);
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name,
+        async chat({ model, messages, temperature = 0, max_tokens, jsonMode, signal, onToken }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                signal,
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    temperature,
+                    max_tokens,
+                    response_format: jsonMode ? { type: 'json_object' } : undefined,
+                    stream: onToken ? true : undefined
+                })
+            });
+
+            if (!response.ok) throw await httpError(name, response);
+            if (onToken && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+                return readCompletionStream(response, name, model, onToken);
+            }
+
+            const data = await response.text();
+            let json;
+            try {
+                json = JSON.parse(data);
+            } catch (_) {
+                throw new Error(`${name} parse error: ${data.slice(0, 300)}`);
+            }
+            if (json.error) throw new Error(`${name}: ${json.error.message || json.error}`);
+            if (!json.choices?.[0]?.message) throw new Error(`${name}: empty completion`);
+
+            emitChunks(json.choices[0].message.content, onToken);
+            return { content: json.choices[0].message.content, model: json.model || model, raw: json };
+        }
+    };
+}
+
+// ── Fixture Provider ──────────────────────────────────────────────────────────
+// Builds plausible, schema-shaped answers from the prompt itself. Same input → same output.
+
+function visionFrom(messages) {
+    const user = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    const match = user.match(/VISION:\s*([\s\S]*?)(?:\n\n|$)/);
+    return (match ? match[1] : user).trim();
+}
+
+function overlapScore(a, b) {
+    const words = t => new Set(String(t).toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+    const A = words(a), B = words(b);
+    if (!A.size || !B.size) return 0;
+    let shared = 0;
+    for (const w of A) if (B.has(w)) shared++;
+    return Number((shared / Math.min(A.size, B.size)).toFixed(2));
+}
+
+const FIXTURE_RESPONSES = {
+    clarify(messages) {
+        const vision = visionFrom(messages);
+        const focus = messages.find(m => m.role === 'user')?.content.match(/^FOCUS: (.+)$/m)?.[1];
+        return {
+            clarification_required: true,
+            summary: `Vision: ${vision.slice(0, 120)}`,
+            questions: focus
+                ? focus.split(/,\s*/).map(facet => `Can you say more about ${facet.replace(/_/g, ' ')}?`)
+                : [
+                    'Who are the primary users?',
+                    'Which platform should ship first?',
+                    'What constraints (budget, timeline, compliance) apply?'
+                ]
+        };
+    },
+    synthesis(messages) {
+        const vision = visionFrom(messages);
+        const clauses = vision.split(/[.,;!?]+|\band\b|\bwith\b/i).map(c => c.trim()).filter(c => c.length > 8);
+        const features = clauses.slice(0, 4).map((clause, i) => ({
+            name: `Capability ${i + 1}`,
+            description: clause,
+            trace_to_input: [clause],
+            justification: 'Stated directly in the vision.'
+        }));
+        // Substantive answers become features too, so revised answers change the spec
+        const user = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+        for (const [, answer] of user.matchAll(/^A: (.{12,})$/gm)) {
+            if (features.length >= 6) break;
+            features.push({
+                name: `Requirement: ${answer.split(/\s+/).slice(0, 3).join(' ')}`,
+                description: answer.trim(),
+                trace_to_input: [answer.trim()],
+                justification: 'Stated in a clarification answer.'
+            });
+        }
+        features.push({
+            name: 'Usage Analytics',
+            description: 'Telemetry dashboard reporting engagement funnels',
+            trace_to_input: [],
+            justification: 'Speculative growth instrumentation.'
+        });
+        return {
+            refined_idea: vision.split(/[.!?]/)[0] || vision,
+            refined_problem_statement: `Users need: ${vision}`,
+            value_proposition: `A focused product that delivers: ${vision}`,
+            target_users: ['Primary users described in the vision'],
+            problem_solution_fit: 'Directly addresses the stated need.',
+            competitive_positioning: 'Narrower and simpler than general-purpose tools.',
+            thought_experiments: ['What if usage grows 100x overnight?'],
+            critical_questions: ['Which single workflow must be flawless at launch?'],
+            core_features: features,
+            technical_architecture: { frontend: 'React 19, Vite', backend: 'Node.js 20', ai_components: 'None', data_storage: 'PostgreSQL 16' },
+            confidence_scores: { input_clarity: 80, logical_coherence: 85 },
+            non_functional_requirements: [
+                { category: 'Performance', requirement: 'p95 page load under 2s', priority: 'HIGH' },
+                { category: 'Security', requirement: 'OWASP ASVS L1', priority: 'HIGH' },
+                { category: 'Reliability', requirement: '99.5% monthly uptime', priority: 'MED' }
+            ],
+            risk_analysis: [{ risk: 'Low adoption', likelihood: 'MED', mitigation: 'Pilot with a small cohort' }],
+            prd_document: {
+                executive_summary: `This product addresses the following vision: ${vision}`,
+                problem_statement: { description: vision, quantifiable_impact: 'Unknown', root_cause_analysis: [], why_current_fail: 'Unknown' },
+                user_personas: [{ name: 'Primary User', role: 'End user', needs: ['Reliability'], pain_points: ['Manual work'] }],
+                functional_requirements: features.map((f, i) => ({
+                    id: `REQ-${String(i + 1).padStart(3, '0')}`, title: f.name, priority: 'P1', description: f.description, acceptance_criteria: [], edge_cases: []
+                })),
+                non_functional_requirements: [{ category: 'Performance', requirement: 'p95 page load under 2s', target: '2s' }],
+                risks: [{ risk: 'Low adoption', probability: 'MED', impact: 'HIGH', mitigation: 'Pilot with a small cohort' }],
+                assumptions: ['ASSUMPTION: Users have a modern browser.'],
+                out_of_scope: ['Native mobile apps'],
+                roadmap: ['Phase 1: MVP', 'Phase 2: Scale'],
+                open_questions: []
+            },
+            generated_prompts: {
+                universal_master: `Build the following product: ${vision}`,
+                chatgpt_specialized: `Act as an architect. ${vision}`,
+                claude_specialized: `Design the system for: ${vision}`,
+                copilot_coding: `Scaffold the codebase for: ${vision}`
+            }
+        };
+    },
+    judge(messages) {
+        const user = messages.find(m => m.role === 'user')?.content || '';
+        const match = user.match(/A: "([\s\S]*?)"\nB: "([\s\S]*?)"/);
+        return { score: match ? overlapScore(match[1], match[2]) : 0.5 };
+    },
+    classify(messages) {
+        const text = messages.find(m => m.role === 'user')?.content || '';
+        const suspicious = /\b(ignore|disregard)\b[\s\S]*\binstructions\b|system prompt|jailbreak/i.test(text);
+        return { score: suspicious ? 0.9 : 0.05, reason: suspicious ? 'Asks to override instructions' : 'Ordinary product text' };
+    },
+    tool(messages) {
+        const system = messages.find(m => m.role === 'system')?.content || '';
+        const prompt = messages.find(m => m.role === 'user')?.content || '';
+        if (system.includes('implementation plan')) {
+            return { tasks: [{ id: 'T-1', title: 'Scaffold project', hours: 4, depends_on: [], ci_check: 'lint' }], total_hours: 4, phases: ['MVP'] };
+        }
+        return `[fixture] Response to ${prompt.length} chars of prompt:\n- Component A\n- Component B\n- Component C`;
+    }
+};
+
+function createFixtureProvider() {
+    return {
+        name: 'fixture',
+        async chat({ model, messages, task = 'tool', onToken }) {
+            const build = FIXTURE_RESPONSES[task] || FIXTURE_RESPONSES.tool;
+            const result = build(messages);
+            const content = typeof result === 'string' ? result : JSON.stringify(result);
+            emitChunks(content, onToken);
+            return { content, model, raw: { model, choices: [{ message: { role: 'assistant', content } }] } };
+        }
+    };
+}
+
+// ── Record / Replay ───────────────────────────────────────────────────────────
+// Wraps a provider so every exchange is stored as {dir}/{hash}.json (record) or
+// answered from those files without touching the network (replay).
+
+/**
+ * Stable hash of everything that determines a completion. Provider name, abort
+ * signal and streaming callback are excluded so fixtures replay under any provider.
+ */
+export function fixtureKey({ model, messages, temperature = 0, max_tokens, jsonMode }) {
+    const canonical = JSON.stringify({ model, messages, temperature, max_tokens: max_tokens ?? null, jsonMode: !!jsonMode });
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+export function withFixtures(provider, { mode = LLM.FIXTURE_MODE, dir = LLM.FIXTURE_DIR } = {}) {
+    if (mode === 'off') return provider;
+    if (mode !== 'record' && mode !== 'replay') {
+        throw new Error(`Unknown LLM fixture mode '${mode}'. Expected off, record or replay.`);
+    }
+
+    return {
+        name: provider.name,
+        async chat(request) {
+            const key = fixtureKey(request);
+            const file = path.join(dir, `${key}.json`);
+
+            if (mode === 'replay') {
+                if (!fs.existsSync(file)) {
+                    throw new Error(`No recorded LLM fixture ${key} (task=${request.task || 'n/a'}, model=${request.model}). Re-record with LLM_FIXTURE_MODE=record.`);
+                }
+                const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+                emitChunks(response.content, request.onToken);
+                return response;
+            }
+
+            const response = await provider.chat(request);
+            const { model, messages, temperature, max_tokens, jsonMode, task } = request;
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({
+                key,
+                task: task || null,
+                request: { model, messages, temperature, max_tokens, jsonMode: !!jsonMode },
+                response
+            }, null, 2) + '\n');
+            return response;
+        }
+    };
+}
+
+/**
+ * Wraps a provider so every completion is a CLIENT span carrying the requested and
+ * served model and, when the provider reports usage, token counts.
+ */
+export function withTracing(provider) {
+    return {
+        name: provider.name,
+        chat(request) {
+            return withSpan('llm.chat', {
+                kind: SPAN_KIND.CLIENT,
+                attributes: {
+                    'gen_ai.operation.name': 'chat',
+                    'gen_ai.system': provider.name,
+                    'gen_ai.request.model': request.model,
+                    'gen_ai.request.max_tokens': request.max_tokens,
+                    'llm.task': request.task,
+                    'llm.stream': Boolean(request.onToken)
+                }
+            }, async (span) => {
+                const completion = await provider.chat(request);
+                const usage = completion.raw?.usage;
+                span.setAttributes({
+                    'gen_ai.response.model': completion.model,
+                    'gen_ai.usage.input_tokens': usage?.prompt_tokens,
+                    'gen_ai.usage.output_tokens': usage?.completion_tokens,
+                    'llm.response.chars': completion.content?.length,
+                    'llm.cost_usd': completion.usage?.cost_usd,
+                    'llm.tokens_estimated': completion.usage?.estimated
+                });
+                return completion;
+            });
+        }
+    };
+}
+
+/**
+ * Wraps a provider so every completion is priced and added to the active request's
+ * usage ledger (usage.mjs). The priced call is returned as |usage|.
+ */
+export function withUsage(provider) {
+    return {
+        name: provider.name,
+        async chat(request) {
+            const completion = await provider.chat(request);
+            const usage = recordUsage({
+                task: request.task,
+                model: completion.model,
+                requestModel: request.model,
+                usage: completion.raw?.usage,
+                messages: request.messages,
+                content: completion.content
+            });
+            return { ...completion, usage };
+        }
+    };
+}
+
+/**
+ * Creates a provider by name. Unknown names throw so misconfiguration fails at boot.
+ */
+export function createProvider(name = LLM.PROVIDER, { baseUrl = LLM.BASE_URL } = {}) {
+    switch (name) {
+        case 'groq':
+            return createOpenAiProvider('groq', { baseUrl: baseUrl || BASE_URLS.groq, apiKey: process.env.GROQ_API_KEY });
+        case 'openai':
+            return createOpenAiProvider('openai', { baseUrl, apiKey: process.env.LLM_API_KEY });
+        case 'local':
+            return createOpenAiProvider('local', { baseUrl: baseUrl || BASE_URLS.local, apiKey: process.env.LLM_API_KEY });
+        case 'fixture':
+            return createFixtureProvider();
+        default:
+            throw new Error(`Unknown LLM provider '${name}'. Expected groq, openai, local or fixture.`);
+    }
+}
+
+const activeProviders = new Map(); // name → wrapped provider
+
+/**
+ * Returns the deployment-wide provider |name| (LLM_PROVIDER by default; others serve
+ * fallback models), created on first use, wrapped for record/replay when
+ * LLM_FIXTURE_MODE is set, metered and traced.
+ */
+export function getProvider(name = LLM.PROVIDER) {
+    if (!activeProviders.has(name)) {
+        // LLM_BASE_URL belongs to the configured provider; fallback providers use their defaults
+        const provider = createProvider(name, { baseUrl: name === LLM.PROVIDER ? LLM.BASE_URL : '' });
+        activeProviders.set(name, withTracing(withUsage(withFixtures(provider))));
+    }
+    return activeProviders.get(name);
+}
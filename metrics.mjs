@@ -1,4 +1,10 @@
-// ── Re-Prompt v3.2 In-Memory Metrics ─────────────────────────────────────────
+// ── Re-Prompt v3.3 Metrics ───────────────────────────────────────────────────
+// In-process counters, histograms and gauges. getMetricsReport() is the JSON snapshot
+// behind /api/metrics; renderOpenMetrics() is the text exposition behind /metrics.
+
+import { METRICS } from './config.mjs';
+
+const PREFIX = 'reprompt_';
 
 const metrics = {
     counters: {},
@@ -7,6 +13,107 @@ const metrics = {
     startTime: Date.now()
 };
 
+const families = new Map(); // name → { type, help, series: Map(labelKey → series) }
+
+function family(name, type, help, extra = {}) {
+    if (families.has(name)) throw new Error(`Metric '${name}' is already registered`);
+    const fam = { name, type, help, series: new Map(), ...extra };
+    families.set(name, fam);
+    return fam;
+}
+
+function lookup(name, type) {
+    const fam = families.get(name);
+    if (!fam || fam.type !== type) throw new Error(`Unknown ${type} '${name}'`);
+    return fam;
+}
+
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',');
+}
+
+function series(fam, labels, init) {
+    const normalized = Object.fromEntries(Object.entries(labels).map(([k, v]) => [k, String(v ?? '')]));
+    const key = labelKey(normalized);
+    let s = fam.series.get(key);
+    if (!s) {
+        s = { labels: normalized, ...init() };
+        fam.series.set(key, s);
+    }
+    return s;
+}
+
+/**
+ * Declare a counter. |name| is unprefixed and without the _total suffix.
+ */
+export function defineCounter(name, help) {
+    family(name, 'counter', help);
+}
+
+/**
+ * Declare a histogram with ascending bucket upper bounds; +Inf is implicit.
+ */
+export function defineHistogram(name, help, buckets) {
+    family(name, 'histogram', help, { buckets: [...buckets] });
+}
+
+/**
+ * Register a gauge read at scrape time. |collect| returns a number, or an
+ * array of { labels, value } for labelled gauges.
+ */
+export function registerGauge(name, help, collect) {
+    family(name, 'gauge', help, { collect });
+}
+
+/**
+ * Increment a labelled counter.
+ * e.g. inc('http_requests', { route: '/api/validate', method: 'POST', status: 200 })
+ */
+export function inc(name, labels = {}, value = 1) {
+    series(lookup(name, 'counter'), labels, () => ({ value: 0 })).value += value;
+}
+
+/**
+ * Record one observation in a labelled histogram.
+ */
+export function observe(name, value, labels = {}) {
+    const fam = lookup(name, 'histogram');
+    const s = series(fam, labels, () => ({ counts: new Array(fam.buckets.length).fill(0), sum: 0, count: 0 }));
+    const i = fam.buckets.findIndex(le => value <= le);
+    if (i !== -1) s.counts[i]++;
+    s.sum += value;
+    s.count++;
+}
+
+defineCounter('events', 'Pipeline events by group and name, as in the /api/metrics counters.');
+defineCounter('http_requests', 'HTTP responses by route template, method and status.');
+defineHistogram('http_request_duration_seconds', 'HTTP response time by route template.', METRICS.LATENCY_BUCKETS);
+defineCounter('syntheses', 'Completed syntheses by intent mode and outcome (accepted or rejected).');
+defineHistogram('synthesis_duration_seconds', 'End-to-end synthesis pipeline time by intent mode.', METRICS.LATENCY_BUCKETS);
+defineHistogram('confidence_score', 'Recomputed confidence scores (0-100).', METRICS.CONFIDENCE_BUCKETS);
+defineCounter('trace_features', 'Traced features by similarity source and trace status.');
+defineCounter('tool_executions', 'Tool executions by tool and status.');
+defineCounter('llm_tokens', 'LLM tokens by model and kind (prompt or completion).');
+defineCounter('llm_cost_usd', 'LLM spend in USD by model, from USAGE.RATES.');
+defineCounter('jobs', 'Finished jobs by final status.');
+defineHistogram('job_duration_seconds', 'Time from job start to its final status.', METRICS.LATENCY_BUCKETS);
+defineCounter('llm_retries', 'Retried LLM calls by model and reason (rate_limited, server_error, timeout, network).');
+defineCounter('llm_fallbacks', 'LLM calls answered by a fallback model, by the model that served them.');
+defineCounter('prompt_guard_verdicts', 'Screened user inputs by prompt-guard verdict (allow, warn or block).');
+defineCounter('audit_entries_retired', 'Audit log entries removed by retention, by mode (prune or archive).');
+defineCounter('pii_redactions', 'Distinct values replaced by a placeholder before an LLM call, by type.');
+defineCounter('judge_cache_lookups', 'LLM judge cache lookups by result (hit or miss).');
+defineCounter('circuit_breaker_transitions', 'Circuit breaker state changes by breaker and new state.');
+defineCounter('circuit_breaker_rejections', 'Calls refused by an open or probing circuit breaker.');
+defineCounter('webhook_deliveries', 'Webhook delivery attempts by event and outcome (succeeded, retrying or failed).');
+registerGauge('uptime_seconds', 'Seconds since the metrics registry was created.', () => (Date.now() - metrics.startTime) / 1000);
+
+function pushSample(arr, value) {
+    arr.push(value);
+    // Keep rolling window of the last SAMPLE_WINDOW
+    if (arr.length > METRICS.SAMPLE_WINDOW) arr.shift();
+}
+
 /**
  * Increment a named counter in a group.
  * e.g. incCounter('requests', 'total')
@@ -14,27 +121,49 @@ const metrics = {
 export function incCounter(group, name) {
     const key = `${group}.${name}`;
     metrics.counters[key] = (metrics.counters[key] || 0) + 1;
+    inc('events', { group, name });
 }
 
 /**
- * Record a request latency in milliseconds.
+ * Record a synthesis latency in milliseconds. |labels| are passed to the
+ * synthesis_duration_seconds histogram (e.g. { intent_mode }).
  */
-export function recordLatency(ms) {
-    metrics.latencies.push(ms);
-    // Keep rolling window of last 1000
-    if (metrics.latencies.length > 1000) metrics.latencies.shift();
+export function recordLatency(ms, labels = {}) {
+    pushSample(metrics.latencies, ms);
+    observe('synthesis_duration_seconds', ms / 1000, labels);
 }
 
 /**
  * Record a confidence score for distribution tracking.
  */
 export function recordConfidence(score) {
-    metrics.confidences.push(score);
-    if (metrics.confidences.length > 1000) metrics.confidences.shift();
+    pushSample(metrics.confidences, score);
+    observe('confidence_score', score);
+}
+
+function collectGauge(fam) {
+    try {
+        const value = fam.collect();
+        return Array.isArray(value) ? value.map(v => ({ labels: v.labels || {}, value: v.value })) : [{ labels: {}, value }];
+    } catch (_) {
+        return []; // A failing collector must not break the scrape
+    }
+}
+
+function snapshot(fam) {
+    if (fam.type === 'gauge') return collectGauge(fam);
+    return [...fam.series.values()].map(s => {
+        if (fam.type === 'counter') return { labels: s.labels, value: s.value };
+        let cumulative = 0;
+        const buckets = fam.buckets.map((le, i) => ({ le, count: cumulative += s.counts[i] })); // Cumulative, as in "le"
+        return { labels: s.labels, count: s.count, sum: Number(s.sum.toFixed(6)), buckets };
+    });
 }
 
 /**
  * Returns a snapshot of all metrics — safe for public /api/metrics endpoint.
+ * |counters|, |latency| and |confidence| keep their v3.2 shape; |labelled|,
+ * |histograms| and |gauges| mirror the OpenMetrics families.
  */
 export function getMetricsReport() {
     const lats = metrics.latencies;
@@ -47,6 +176,10 @@ export function getMetricsReport() {
         return sorted[Math.floor(sorted.length * 0.95)];
     };
 
+    const byType = (type) => Object.fromEntries([...families.values()]
+        .filter(f => f.type === type && f.name !== 'events')
+        .map(f => [f.name, snapshot(f)]));
+
     return {
         uptime_ms: Date.now() - metrics.startTime,
         counters: metrics.counters,
@@ -59,6 +192,59 @@ export function getMetricsReport() {
             samples: confs.length,
             avg: avg(confs),
             p95: p95(confs),
-        }
+        },
+        labelled: byType('counter'),
+        histograms: byType('histogram'),
+        gauges: byType('gauge')
     };
 }
+
+// ── OpenMetrics Exposition ────────────────────────────────────────────────────
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const escapeHelp = s => s.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = s => s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatValue(n) {
+    if (n === Infinity) return '+Inf';
+    if (n === -Infinity) return '-Inf';
+    return Number.isNaN(n) ? 'NaN' : String(n);
+}
+
+// Bucket bounds use the canonical float form ("1.0", not "1") so series match across exporters
+const formatBound = le => Number.isInteger(le) ? le.toFixed(1) : String(le);
+
+function sample(name, labels, value) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(String(v))}"`);
+    return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${formatValue(Number(value))}`;
+}
+
+/**
+ * All families in OpenMetrics 1.0 text format, terminated by "# EOF".
+ */
+export function renderOpenMetrics() {
+    const lines = [];
+    for (const fam of families.values()) {
+        const name = PREFIX + fam.name;
+        lines.push(`# TYPE ${name} ${fam.type}`, `# HELP ${name} ${escapeHelp(fam.help)}`);
+        if (fam.type === 'gauge') {
+            for (const s of collectGauge(fam)) lines.push(sample(name, s.labels, s.value));
+        } else if (fam.type === 'counter') {
+            for (const s of fam.series.values()) lines.push(sample(`${name}_total`, s.labels, s.value));
+        } else {
+            for (const s of fam.series.values()) {
+                let cumulative = 0;
+                fam.buckets.forEach((le, i) => {
+                    cumulative += s.counts[i];
+                    lines.push(sample(`${name}_bucket`, { ...s.labels, le: formatBound(le) }, cumulative));
+                });
+                lines.push(sample(`${name}_bucket`, { ...s.labels, le: '+Inf' }, s.count));
+                lines.push(sample(`${name}_count`, s.labels, s.count));
+                lines.push(sample(`${name}_sum`, s.labels, s.sum));
+            }
+        }
+    }
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+}
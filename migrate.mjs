@@ -0,0 +1,67 @@
+// ── Re-Prompt v3.3 Migration CLI ─────────────────────────────────────────────
+// npm run migrate -- status
+// npm run migrate -- up [--to <version>]
+
+import { parseArgs } from 'util';
+import { openDatabase, migrationStatus, applyMigrations } from './db.mjs';
+import { DATABASE } from './config.mjs';
+
+const USAGE = `Usage:
+  npm run migrate -- status              Show the schema version and pending migrations
+  npm run migrate -- up [--to <version>] Apply pending migrations (all, or up to <version>)
+
+Database: ${DATABASE.SQLITE_PATH} (SQLITE_PATH)`;
+
+function fail(message) {
+    console.error(`\x1b[31m[MIGRATE]\x1b[0m ${message}`);
+    process.exit(1);
+}
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        to: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    }
+});
+const [command] = positionals;
+
+if (values.help || !command) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+}
+
+const to = values.to === undefined ? Infinity : Number(values.to);
+if (!Number.isInteger(to) && to !== Infinity) fail(`Invalid --to '${values.to}'. Expected a migration version.`);
+
+let conn;
+try {
+    conn = openDatabase();
+} catch (err) {
+    fail(`Cannot open ${DATABASE.SQLITE_PATH}: ${err.message}`);
+}
+if (!conn) fail('Migrations need SQLite (npm install better-sqlite3). The in-memory store is always built at the latest schema.');
+
+try {
+    switch (command) {
+        case 'status': {
+            const status = migrationStatus(conn);
+            console.log(`Schema version ${status.current} of ${status.latest} (${DATABASE.SQLITE_PATH})`);
+            for (const m of status.applied) console.log(`  applied  ${m.version}  ${m.name}  ${m.applied_at}`);
+            for (const m of status.pending) console.log(`  pending  ${m.version}  ${m.name}`);
+            if (status.current > status.latest) console.log('\nThe database is newer than this build; upgrade before starting the server.');
+            break;
+        }
+        case 'up': {
+            const applied = applyMigrations(conn, { to });
+            console.log(applied.length ? `Applied ${applied.join(', ')}; schema version ${migrationStatus(conn).current}.` : 'Nothing to apply.');
+            break;
+        }
+        default:
+            fail(`Unknown command '${command}'.\n\n${USAGE}`);
+    }
+} catch (err) {
+    fail(err.message);
+} finally {
+    conn.close();
+}
@@ -0,0 +1,138 @@
+// ── Re-Prompt v3.3 Schema Migrations ─────────────────────────────────────────
+// Numbered up-migrations for the SQLite store, applied in order by db.mjs; the version
+// reached is kept in schema_version. Never edit a released migration: add the next one.
+// |memory| builds the same tables in the in-memory fallback store; indexes need no memory
+// step.
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline schema',
+        // IF NOT EXISTS, so databases created before schema_version existed are adopted as they are
+        sql: `
+        CREATE TABLE IF NOT EXISTS audit_logs (
+            id TEXT PRIMARY KEY,
+            correlation_id TEXT,
+            tool TEXT,
+            prompt_hash TEXT,
+            duration_ms INTEGER,
+            status INTEGER,
+            engine_version TEXT,
+            engine_build_hash TEXT,
+            trace_data TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_logs(created_at DESC);
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            status TEXT,
+            round INTEGER,
+            data TEXT,
+            created_at TEXT,
+            updated_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_updated ON sessions(updated_at);
+        CREATE TABLE IF NOT EXISTS syntheses (
+            log_id TEXT PRIMARY KEY,
+            spec TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+        CREATE TABLE IF NOT EXISTS spec_versions (
+            session_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            log_id TEXT,
+            final_score REAL,
+            feature_count INTEGER,
+            spec TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (session_id, version)
+        );
+        CREATE TABLE IF NOT EXISTS usage_records (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            log_id TEXT,
+            day TEXT NOT NULL,
+            client TEXT NOT NULL,
+            intent_mode TEXT NOT NULL,
+            tool TEXT NOT NULL,
+            calls INTEGER,
+            prompt_tokens INTEGER,
+            completion_tokens INTEGER,
+            cost_usd REAL,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_usage_client_day ON usage_records(client, day);
+        CREATE INDEX IF NOT EXISTS idx_usage_day ON usage_records(day);
+        CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            status TEXT NOT NULL,
+            client TEXT,
+            data TEXT,
+            created_at TEXT,
+            updated_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+        CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+            key TEXT PRIMARY KEY,
+            tokens REAL NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_rate_limit_updated ON rate_limit_buckets(updated_at);
+        CREATE TABLE IF NOT EXISTS judge_cache (
+            key TEXT PRIMARY KEY,
+            score REAL NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_judge_cache_created ON judge_cache(created_at);
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL,
+            scopes TEXT,
+            quotas TEXT,
+            budget_usd REAL,
+            created_at TEXT,
+            last_used_at TEXT,
+            revoked_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id TEXT PRIMARY KEY,
+            url TEXT NOT NULL,
+            events TEXT,
+            secret TEXT NOT NULL,
+            description TEXT,
+            created_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id TEXT PRIMARY KEY,
+            webhook_id TEXT NOT NULL,
+            status TEXT NOT NULL,
+            data TEXT,
+            created_at TEXT,
+            updated_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_deliveries_status ON webhook_deliveries(status);
+        `,
+        memory(store) {
+            store.audit_logs = []; // rolling window of LIMITS.AUDIT_LOG_MAX entries
+            store.sessions = new Map(); // id → session, insertion-ordered for eviction
+            store.spec_versions = new Map(); // session id → [version rows]
+            store.syntheses = new Map(); // audit log id → spec, insertion-ordered for eviction
+            store.usage_records = new Map(); // 'day|client|intent_mode|tool' → summed usage row
+            store.jobs = new Map(); // id → job, insertion-ordered for eviction
+            store.api_keys = new Map(); // key id → api key row
+            store.webhooks = new Map(); // id → webhook row
+            store.webhook_deliveries = new Map(); // id → delivery, insertion-ordered for eviction
+            // rate_limit_buckets and judge_cache have no fallback here: rate-limit.mjs and
+            // judge-cache.mjs keep their own in-memory tier
+        }
+    },
+    {
+        version: 2,
+        name: 'index audit_logs by correlation_id',
+        sql: 'CREATE INDEX IF NOT EXISTS idx_audit_correlation ON audit_logs(correlation_id);'
+    }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
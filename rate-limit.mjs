@@ -0,0 +1,103 @@
+// ── Re-Prompt v3.3 Rate Limiting ─────────────────────────────────────────────
+// Token buckets keyed by (client, route class). A bucket holds up to |limit| tokens and
+// refills at |limit| per minute, so short bursts pass while the sustained rate is capped.
+// With RATE_LIMITS.STORE=sqlite the buckets live in the database, shared across processes.
+
+import { RATE_LIMITS } from './config.mjs';
+import { isPersistent, updateRateLimitBucket, pruneRateLimitBuckets, countRateLimitBuckets } from './db.mjs';
+
+const WINDOW_MS = 60000; // An empty bucket is full again after one window
+
+/**
+ * Takes one token from |bucket| ({ tokens, updated_at } or null for a full one).
+ * Returns the updated bucket and { allowed, limit, remaining, reset_s, retry_after_s },
+ * where reset_s is the time until the bucket is full again.
+ */
+export function takeToken(bucket, limit, now) {
+    if (!(limit > 0)) {
+        return { bucket: { tokens: 0, updated_at: now }, result: { allowed: false, limit: 0, remaining: 0, reset_s: WINDOW_MS / 1000, retry_after_s: WINDOW_MS / 1000 } };
+    }
+    const perMs = limit / WINDOW_MS;
+    const elapsed = bucket ? Math.max(0, now - bucket.updated_at) : 0;
+    let tokens = bucket ? Math.min(limit, bucket.tokens + elapsed * perMs) : limit;
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+    const secondsUntil = (target) => Math.max(0, Math.ceil((target - tokens) / perMs / 1000));
+    return {
+        bucket: { tokens, updated_at: now },
+        result: {
+            allowed,
+            limit,
+            remaining: Math.floor(tokens),
+            reset_s: secondsUntil(limit),
+            retry_after_s: allowed ? 0 : Math.max(1, secondsUntil(1))
+        }
+    };
+}
+
+export function createMemoryStore() {
+    const buckets = new Map(); // key → { tokens, updated_at }
+    return {
+        name: 'memory',
+        take(key, limit, now) {
+            const { bucket, result } = takeToken(buckets.get(key), limit, now);
+            buckets.set(key, bucket);
+            return result;
+        },
+        sweep(now) {
+            let removed = 0;
+            for (const [key, bucket] of buckets) {
+                if (now - bucket.updated_at >= WINDOW_MS) { buckets.delete(key); removed++; }
+            }
+            return removed;
+        },
+        size: () => buckets.size
+    };
+}
+
+export function createSqliteStore() {
+    return {
+        name: 'sqlite',
+        take: (key, limit, now) => updateRateLimitBucket(key, (bucket) => takeToken(bucket, limit, now)),
+        sweep: (now) => pruneRateLimitBuckets(now - WINDOW_MS),
+        size: () => countRateLimitBuckets()
+    };
+}
+
+/**
+ * Creates a limiter on |store| ('memory' or 'sqlite'). Buckets idle for a full
+ * window would be full anyway, so the periodic sweep evicts them without changing
+ * any decision. SQLite errors fall back to per-process buckets rather than failing
+ * the request.
+ */
+export function createRateLimiter({ store = RATE_LIMITS.STORE, sweepIntervalMs = RATE_LIMITS.SWEEP_INTERVAL_MS } = {}) {
+    const memory = createMemoryStore();
+    let primary = memory;
+    if (store === 'sqlite') {
+        if (isPersistent()) primary = createSqliteStore();
+        else console.warn('\x1b[33m[RATE LIMIT]\x1b[0m RATE_LIMIT_STORE=sqlite needs better-sqlite3; limits are per process.');
+    }
+
+    const guarded = (fn, fallback) => {
+        if (primary === memory) return fallback();
+        try {
+            return fn();
+        } catch (err) {
+            console.warn('[RATE LIMIT] SQLite store failed, using in-memory buckets:', err.message);
+            return fallback();
+        }
+    };
+
+    const limiter = {
+        store: primary.name,
+        /** Takes a token for |key|; see takeToken() for the result. */
+        take: (key, limit, now = Date.now()) => guarded(() => primary.take(key, limit, now), () => memory.take(key, limit, now)),
+        sweep: (now = Date.now()) => memory.sweep(now) + guarded(() => primary.sweep(now), () => 0),
+        size: () => memory.size() + guarded(() => primary.size(), () => 0),
+        close: () => clearInterval(timer)
+    };
+    const timer = sweepIntervalMs > 0 ? setInterval(() => limiter.sweep(), sweepIntervalMs) : null;
+    timer?.unref(); // Never keeps the process alive
+    return limiter;
+}
@@ -0,0 +1,145 @@
+// ── Re-Prompt v3.3 PII Redaction ─────────────────────────────────────────────
+// Emails, phone numbers, card numbers, secrets, IP addresses, internal hostnames and
+// configured terms are replaced with placeholders like [EMAIL_1] before text goes to a
+// model, and put back in the answer. A context lives for one request (carried by
+// AsyncLocalStorage, like the usage ledger), so a value keeps its placeholder across
+// every call the request makes.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { REDACTION } from './config.mjs';
+import { inc } from './metrics.mjs';
+
+const storage = new AsyncLocalStorage();
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const digitsOf = (s) => s.replace(/\D/g, '');
+
+/**
+ * Luhn checksum, so order numbers and timestamps are not taken for card numbers.
+ */
+export function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+        sum += d;
+    }
+    return digits.length >= 13 && sum % 10 === 0;
+}
+
+/**
+ * Detectors in the order they run; an earlier one claims text before a later one sees it.
+ * |group| names the capture holding the sensitive part (the whole match by default);
+ * |accept| rejects lookalikes.
+ */
+export const DETECTORS = [
+    {
+        type: 'secret', label: 'SECRET',
+        pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gsk_[A-Za-z0-9]{20,}|rp_[a-f0-9]{12}_[A-Za-z0-9_-]{32}|whsec_[A-Za-z0-9_-]{24,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+    },
+    {
+        type: 'secret', label: 'SECRET', group: 1,
+        pattern: /\b(?:api[_-]?key|secret|token|password|passwd)\b["']?\s*[:=]\s*["']?([^\s"',;]{8,})/gi
+    },
+    { type: 'email', label: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    {
+        type: 'card', label: 'CARD',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        accept: (match) => luhnValid(digitsOf(match))
+    },
+    {
+        type: 'phone', label: 'PHONE',
+        pattern: /(?<![\w+])(?<!\d\.)(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]\d{3,4}(?:[ .-]\d{2,4})?(?!\w|\.\d)/g,
+        accept: (match) => digitsOf(match).length >= 9 && digitsOf(match).length <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(match)
+    },
+    {
+        type: 'ip', label: 'IP',
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi
+    },
+    { type: 'hostname', label: 'HOST', pattern: /\b(?:[a-z0-9-]+\.)+(?:internal|local|corp|lan|intranet|private)\b/gi }
+];
+
+const PLACEHOLDER = /\[(SECRET|EMAIL|CARD|PHONE|IP|HOST|TERM)_(\d+)\]/g;
+
+/**
+ * Creates the redaction state for one request. |terms| are matched whole-word and
+ * case-insensitively as type 'custom'.
+ */
+export function createRedactionContext({ detectors = REDACTION.DETECTORS, terms = REDACTION.TERMS } = {}) {
+    const active = DETECTORS.filter(d => detectors.includes(d.type));
+    const sorted = [...terms].sort((a, b) => b.length - a.length); // Longest first, so "Acme Corp EU" beats "Acme"
+    if (detectors.includes('custom') && sorted.length > 0) {
+        active.unshift({ type: 'custom', label: 'TERM', pattern: new RegExp(`(?<![\\w])(?:${sorted.map(escapeRegExp).join('|')})(?![\\w])`, 'gi') });
+    }
+
+    const byValue = new Map(); // original value → placeholder
+    const byPlaceholder = new Map(); // placeholder → { type, value }
+    const counters = {};
+
+    function placeholderFor(type, label, value) {
+        const key = type === 'custom' ? value.toLowerCase() : value;
+        let placeholder = byValue.get(key);
+        if (!placeholder) {
+            counters[label] = (counters[label] || 0) + 1;
+            placeholder = `[${label}_${counters[label]}]`;
+            byValue.set(key, placeholder);
+            byPlaceholder.set(placeholder, { type, value });
+            inc('pii_redactions', { type });
+        }
+        return placeholder;
+    }
+
+    return {
+        /** |text| with every detected value replaced by its placeholder. */
+        redact(text) {
+            if (typeof text !== 'string' || !text) return text;
+            let out = text;
+            for (const detector of active) {
+                out = out.replace(detector.pattern, (match, ...groups) => {
+                    if (detector.accept && !detector.accept(match)) return match;
+                    const value = detector.group ? groups[detector.group - 1] : match;
+                    if (!value) return match;
+                    return match.replace(value, placeholderFor(detector.type, detector.label, value));
+                });
+            }
+            return out;
+        },
+
+        /**
+         * Puts the original values back into |text|. With |json|, values are escaped for use
+         * inside a JSON string, so a model's JSON answer still parses.
+         */
+        restore(text, { json = false } = {}) {
+            if (typeof text !== 'string' || byPlaceholder.size === 0) return text;
+            return text.replace(PLACEHOLDER, (placeholder) => {
+                const entry = byPlaceholder.get(placeholder);
+                if (!entry) return placeholder;
+                return json ? JSON.stringify(entry.value).slice(1, -1) : entry.value;
+            });
+        },
+
+        /**
+         * What was redacted, without the values: { total, by_type, items: [{ placeholder, type }] }.
+         */
+        report() {
+            const items = [...byPlaceholder].map(([placeholder, { type }]) => ({ placeholder, type }));
+            const by_type = {};
+            for (const item of items) by_type[item.type] = (by_type[item.type] || 0) + 1;
+            return { total: items.length, by_type, items };
+        }
+    };
+}
+
+/**
+ * Runs |fn| with |context| as the current request's redaction context.
+ */
+export function runWithRedaction(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * The current request's context, or null outside a request or with REDACTION=off.
+ */
+export function currentRedaction() {
+    return REDACTION.ENABLED ? storage.getStore() || null : null;
+}
@@ -0,0 +1,192 @@
+// ── Re-Prompt v3.3 Output Schemas ────────────────────────────────────────────
+// JSON Schema (2020-12 subset) for model output per mode and intent, plus a small
+// validator that reports JSON-Pointer paths so repair prompts can be targeted.
+
+const DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const stringList = (minItems = 1) => ({ type: 'array', minItems, items: nonEmptyString });
+const objectWith = (required, extra = {}) => ({
+    type: 'object',
+    required,
+    properties: Object.fromEntries(required.map(k => [k, nonEmptyString])),
+    ...extra
+});
+
+const FEATURES = { type: 'array', minItems: 1, items: objectWith(['name', 'description']) };
+const NFRS = { type: 'array', minItems: 1, items: objectWith(['category', 'requirement']) };
+const GENERATED_PROMPTS = objectWith(['universal_master']);
+
+export const SCHEMAS = {
+    clarify: {
+        $schema: DIALECT,
+        $id: 'https://re-prompt.dev/schemas/clarify.json',
+        type: 'object',
+        anyOf: [
+            { required: ['questions'], properties: { questions: stringList() } },
+            { required: ['clarification_questions'], properties: { clarification_questions: stringList() } }
+        ]
+    },
+    PRODUCT_PLANNING: {
+        $schema: DIALECT,
+        $id: 'https://re-prompt.dev/schemas/generate/product-planning.json',
+        type: 'object',
+        required: ['refined_problem_statement', 'core_features', 'technical_architecture', 'non_functional_requirements', 'risk_analysis', 'generated_prompts'],
+        properties: {
+            refined_problem_statement: nonEmptyString,
+            core_features: FEATURES,
+            technical_architecture: objectWith(['frontend', 'backend', 'data_storage']),
+            non_functional_requirements: NFRS,
+            risk_analysis: { type: 'array', minItems: 1, items: objectWith(['risk', 'mitigation']) },
+            generated_prompts: GENERATED_PROMPTS
+        }
+    },
+    IDEA_REFINEMENT: {
+        $schema: DIALECT,
+        $id: 'https://re-prompt.dev/schemas/generate/idea-refinement.json',
+        type: 'object',
+        required: ['refined_idea', 'value_proposition', 'target_users', 'problem_solution_fit', 'thought_experiments', 'critical_questions', 'core_features', 'generated_prompts'],
+        properties: {
+            refined_idea: nonEmptyString,
+            value_proposition: nonEmptyString,
+            target_users: stringList(),
+            problem_solution_fit: nonEmptyString,
+            thought_experiments: stringList(),
+            critical_questions: stringList(),
+            core_features: FEATURES,
+            generated_prompts: GENERATED_PROMPTS
+        }
+    },
+    PRD_GENERATION: {
+        $schema: DIALECT,
+        $id: 'https://re-prompt.dev/schemas/generate/prd-generation.json',
+        type: 'object',
+        required: ['refined_idea', 'prd_document', 'generated_prompts'],
+        properties: {
+            refined_idea: nonEmptyString,
+            generated_prompts: GENERATED_PROMPTS,
+            prd_document: {
+                type: 'object',
+                required: ['executive_summary', 'problem_statement', 'user_personas', 'functional_requirements', 'non_functional_requirements', 'assumptions', 'risks'],
+                properties: {
+                    executive_summary: nonEmptyString,
+                    problem_statement: objectWith(['description']),
+                    user_personas: { type: 'array', minItems: 1, items: objectWith(['name', 'role']) },
+                    functional_requirements: { type: 'array', minItems: 1, items: objectWith(['id', 'title', 'description']) },
+                    non_functional_requirements: NFRS,
+                    assumptions: { type: 'array', items: { type: 'string', pattern: '^ASSUMPTION:' } },
+                    risks: { type: 'array', items: objectWith(['risk', 'mitigation']) }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * prd_document sections in the order the synthesis prompt lays them out. The
+ * schema above only requires a subset; exports render every section in this order.
+ */
+export const PRD_SECTIONS = [
+    'executive_summary', 'problem_statement', 'goals', 'target_audience', 'user_personas',
+    'user_stories', 'functional_requirements', 'non_functional_requirements',
+    'technical_considerations', 'success_metrics', 'assumptions', 'out_of_scope',
+    'risks', 'roadmap', 'open_questions'
+];
+
+/**
+ * Schema for a pipeline mode ('clarify' | 'generate') and intent mode.
+ * 'auto' and unknown intents resolve to PRODUCT_PLANNING, as in callGroq.
+ */
+export function getSchema(mode, intentMode = 'auto') {
+    if (mode === 'clarify') return SCHEMAS.clarify;
+    return SCHEMAS[intentMode] && intentMode !== 'clarify' ? SCHEMAS[intentMode] : SCHEMAS.PRODUCT_PLANNING;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function typeMatches(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates |data| against |schema|. Returns [] when valid, otherwise
+ * [{ path, message }] with JSON-Pointer paths ('' is the document root).
+ * Supports: type, required, properties, items, minItems, minLength, pattern, enum, anyOf.
+ */
+export function validateSchema(data, schema, path = '') {
+    const errors = [];
+
+    if (schema.type && !typeMatches(data, schema.type)) {
+        errors.push({ path, message: `must be ${schema.type}, got ${typeOf(data)}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(data)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (typeof data === 'string') {
+        if (schema.minLength !== undefined && data.trim().length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+    if (Array.isArray(data)) {
+        if (schema.minItems !== undefined && data.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            data.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}/${i}`)));
+        }
+    }
+    if (typeOf(data) === 'object') {
+        for (const key of schema.required || []) {
+            if (data[key] === undefined || data[key] === null) errors.push({ path: `${path}/${key}`, message: 'is required' });
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (data[key] !== undefined && data[key] !== null) errors.push(...validateSchema(data[key], sub, `${path}/${key}`));
+        }
+    }
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => validateSchema(data, branch, path));
+        if (!branches.some(b => b.length === 0)) {
+            // Report the branch that came closest
+            errors.push(...branches.reduce((best, b) => (b.length < best.length ? b : best)));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Parses model output and validates it. Unparseable output, or JSON whose root is not an
+ * object (a string, number, array or null), yields a single root violation and no data.
+ */
+export function parseAndValidate(content, schema) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (e) {
+        return { data: null, violations: [{ path: '', message: `is not valid JSON (${e.message})` }] };
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return { data: null, violations: [{ path: '', message: `must be a JSON object, got ${data === null ? 'null' : Array.isArray(data) ? 'an array' : typeof data}` }] };
+    }
+    return { data, violations: validateSchema(data, schema) };
+}
+
+/**
+ * Follow-up user message asking the model to fix exactly the failing paths.
+ */
+export function buildRepairPrompt(violations, max = 25) {
+    const listed = violations.slice(0, max).map(v => `- ${v.path || '(root)'}: ${v.message}`).join('\n');
+    const more = violations.length > max ? `\n- …and ${violations.length - max} more` : '';
+    return 'Your previous JSON failed schema validation at these JSON-Pointer paths:\n'
+        + listed + more
+        + '\n\nReturn the COMPLETE corrected JSON object. Fix only the listed paths; keep every other field unchanged.';
+}
@@ -0,0 +1,211 @@
+// ── Re-Prompt v3.3 Clarification Sessions ────────────────────────────────────
+// Multi-round clarification state: what has been asked and answered, how much
+// ambiguity remains, and whether another round is worth asking. Persistence
+// lives in db.mjs; LLM calls stay in dev-server.mjs.
+
+import crypto from 'crypto';
+import { SESSIONS } from './config.mjs';
+
+/**
+ * Facets a buildable spec needs. A facet counts as covered once the vision or
+ * any answer mentions it; |question| is asked when the model offers nothing better.
+ */
+export const DIMENSIONS = [
+    {
+        key: 'users',
+        pattern: /\b(users?|customers?|students?|teams?|admins?|clients?|patients?|developers?|audience|personas?|people|staff|employees|buyers?|sellers?|members?)\b/i,
+        question: 'Who are the primary users, and what are they trying to get done?'
+    },
+    {
+        key: 'platform',
+        pattern: /\b(web|mobile|ios|android|desktop|browser|app|api|cli|slack|extension|website)\b/i,
+        question: 'Which platform should ship first (web, mobile, desktop, API)?'
+    },
+    {
+        key: 'core_workflow',
+        pattern: /\b(track|create|manage|share|book|search|upload|schedule|sync|notify|pay|chat|generate|analy[sz]e|recommend|import|export|remind)\w*/i,
+        question: 'What is the single most important workflow the product must support?'
+    },
+    {
+        key: 'data',
+        pattern: /\b(data|database|store|storage|sync|integrat\w*|import|export|calendar|csv|crm|stripe|api|records?)\b/i,
+        question: 'What data does it keep, and which external systems must it integrate with?'
+    },
+    {
+        key: 'constraints',
+        pattern: /\b(budget|timeline|deadlines?|weeks?|months?|compliance|gdpr|hipaa|free|cost|offline|privacy|security|licen[cs]e|auth\w*)\b/i,
+        question: 'What constraints apply (budget, timeline, compliance, privacy)?'
+    },
+    {
+        key: 'success',
+        pattern: /\b(metrics?|kpis?|goals?|success|measure\w*|retention|conversion|revenue|adoption|percent)\b|%/i,
+        question: 'How will you measure success in the first three months?'
+    }
+];
+
+const NON_ANSWER = /^(n\/?a|none|no|idk|not sure|don'?t know|unsure|tbd|\?+|-+)$/i;
+
+function isAnswered(value) {
+    const text = String(value ?? '').trim();
+    return text.length >= 3 && !NON_ANSWER.test(text);
+}
+
+/**
+ * All answers across rounds, later rounds winning on repeated questions.
+ */
+export function collectAnswers(session) {
+    return Object.assign({}, ...session.rounds.map(r => r.answers || {}));
+}
+
+/**
+ * Remaining ambiguity in [0, 1]: 70% from uncovered DIMENSIONS across the vision
+ * and every substantive answer, 30% from questions left unanswered last round.
+ */
+export function assessAmbiguity(text, rounds = []) {
+    const answers = Object.assign({}, ...rounds.map(r => r.answers || {}));
+    const corpus = [text, ...Object.values(answers).filter(isAnswered)].join('\n');
+    const missing = DIMENSIONS.filter(d => !d.pattern.test(corpus)).map(d => d.key);
+
+    const last = rounds.at(-1);
+    const asked = last?.answers ? last.questions.length : 0;
+    const skipped = asked ? last.questions.filter(q => !isAnswered(last.answers[q])).length : 0;
+
+    const score = 0.7 * (missing.length / DIMENSIONS.length) + 0.3 * (asked ? skipped / asked : 0);
+    return { score: Math.round(score * 100) / 100, missing };
+}
+
+/**
+ * True when another clarification round should be asked.
+ */
+export function needsAnotherRound(session, ambiguity) {
+    if (session.round < SESSIONS.MIN_ROUNDS) return true;
+    if (session.round >= SESSIONS.MAX_ROUNDS) return false;
+    return ambiguity.score > SESSIONS.AMBIGUITY_TARGET;
+}
+
+/**
+ * Progress toward a generatable spec, in [0, 1]. Never moves backwards.
+ */
+function progressOf(session, ambiguity) {
+    const clarity = 1 - ambiguity.score;
+    const value = session.status === 'clarifying' ? Math.min(clarity, 0.95) : 1;
+    return Math.max(session.progress || 0, Math.round(value * 100) / 100);
+}
+
+export function createSession(text, intentMode = 'auto', client = null) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        text,
+        intent_mode: intentMode,
+        client, // identity id of the creator; only it can read or continue the session
+        status: 'clarifying', // clarifying → ready → completed
+        round: 0,
+        max_rounds: SESSIONS.MAX_ROUNDS,
+        progress: 0,
+        ambiguity: assessAmbiguity(text),
+        rounds: [],
+        result_log_id: null,
+        result: null,
+        created_at: now,
+        updated_at: now
+    };
+}
+
+/**
+ * Questions for the next round: the model's, minus anything already asked,
+ * topped up from DIMENSIONS for facets that are still missing.
+ */
+export function pickQuestions(session, proposed = []) {
+    const asked = new Set(session.rounds.flatMap(r => r.questions));
+    const fresh = proposed.map(q => String(q).trim()).filter(q => q && !asked.has(q));
+    const fallback = DIMENSIONS
+        .filter(d => session.ambiguity.missing.includes(d.key) && !asked.has(d.question))
+        .map(d => d.question);
+    return [...new Set([...fresh, ...fallback])].slice(0, SESSIONS.QUESTIONS_PER_ROUND);
+}
+
+/**
+ * Opens the next round with |questions|.
+ */
+export function openRound(session, questions) {
+    session.round += 1;
+    session.rounds.push({ round: session.round, questions, answers: null, asked_at: new Date().toISOString() });
+    session.progress = progressOf(session, session.ambiguity);
+    session.updated_at = new Date().toISOString();
+    return session;
+}
+
+/**
+ * Records answers for the open round and re-assesses ambiguity. Sets status to
+ * 'ready' when no further round is needed; the caller opens the next round otherwise.
+ */
+export function recordAnswers(session, answers) {
+    const current = session.rounds.at(-1);
+    const own = Object.fromEntries(current.questions.map(q => [q, String(answers[q] ?? '').trim()]));
+    // Answers keyed by questions we did not ask are kept too (older clients send free-form keys)
+    for (const [q, a] of Object.entries(answers)) if (!(q in own)) own[q] = String(a ?? '').trim();
+
+    current.answers = own;
+    current.answered_at = new Date().toISOString();
+    session.ambiguity = assessAmbiguity(session.text, session.rounds);
+    if (!needsAnotherRound(session, session.ambiguity)) session.status = 'ready';
+    session.progress = progressOf(session, session.ambiguity);
+    session.updated_at = new Date().toISOString();
+    return session;
+}
+
+/**
+ * Overwrites answers from a regenerate with edited answers. Each answer goes to the
+ * round that asked it; unknown questions join the latest round.
+ */
+export function reviseAnswers(session, answers) {
+    const latest = session.rounds.at(-1);
+    for (const [q, a] of Object.entries(answers)) {
+        const round = session.rounds.find(r => r.questions.includes(q)) || latest;
+        if (!round) continue;
+        round.answers = { ...(round.answers || {}), [q]: String(a ?? '').trim() };
+    }
+    session.ambiguity = assessAmbiguity(session.text, session.rounds);
+    session.updated_at = new Date().toISOString();
+    return session;
+}
+
+export function markReady(session) {
+    session.status = 'ready';
+    session.progress = 1;
+    session.updated_at = new Date().toISOString();
+    return session;
+}
+
+export function completeSession(session, result, logId) {
+    session.status = 'completed';
+    session.result = result;
+    session.result_log_id = logId;
+    session.progress = 1;
+    session.updated_at = new Date().toISOString();
+    return session;
+}
+
+/**
+ * Client-facing shape. |questions| are the open round's, or [] once answered.
+ */
+export function sessionView(session) {
+    const open = session.rounds.at(-1);
+    return {
+        id: session.id,
+        status: session.status,
+        text: session.text,
+        intent_mode: session.intent_mode,
+        round: session.round,
+        max_rounds: session.max_rounds,
+        progress: session.progress,
+        ambiguity: session.ambiguity,
+        questions: open && !open.answers ? open.questions : [],
+        rounds: session.rounds,
+        result_log_id: session.result_log_id,
+        result: session.result,
+        created_at: session.created_at,
+        updated_at: session.updated_at
+    };
+}
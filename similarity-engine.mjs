@@ -1,7 +1,9 @@
 // ── Re-Prompt v3.2 Similarity Engine ─────────────────────────────────────────
-// TF-IDF cosine similarity with explainability.
+// TF-IDF cosine similarity with explainability, optionally blended with dense
+// embedding similarity (SIMILARITY.BACKEND).
 
-import { THRESHOLDS } from './config.mjs';
+import { THRESHOLDS, SIMILARITY } from './config.mjs';
+import { semanticSimilarity, getEmbedder } from './embeddings.mjs';
 
 const STOP_WORDS = new Set([
     'the', 'a', 'an', 'is', 'in', 'on', 'at', 'to', 'for', 'of', 'and', 'or',
@@ -70,11 +72,78 @@ export function getVector(text) {
     return buildVector(text, []);
 }
 
+// ── Source Segmentation ──────────────────────────────────────────────────────
+// Sentences, plus their clauses, as character spans of the original text so
+// evidence can point at the exact words a feature traces to.
+
+const SENTENCE_BREAK = /[.!?;]+(?=\s|$)|\n+/g;
+const CLAUSE_BREAK = /,|\s(?:and|but|or|so that|so|which|while|where|because|then)\s/gi;
+
+function splitSpans(text, start, end, pattern) {
+    const spans = [];
+    const part = text.slice(start, end);
+    let from = 0;
+    for (const m of part.matchAll(pattern)) {
+        spans.push([from, m.index]);
+        from = m.index + m[0].length;
+    }
+    spans.push([from, part.length]);
+    // Trim whitespace off each span; drop spans with nothing to match
+    return spans
+        .map(([a, b]) => {
+            const raw = part.slice(a, b);
+            const lead = raw.length - raw.trimStart().length;
+            return { start: start + a + lead, end: start + a + raw.trimEnd().length };
+        })
+        .filter(span => tokenize(text.slice(span.start, span.end)).length > 0);
+}
+
+/**
+ * Sentence and clause spans of |text|: [{ text, start, end, kind }], sentences first.
+ */
+export function segmentText(text) {
+    const source = String(text ?? '');
+    const segments = [];
+    for (const sentence of splitSpans(source, 0, source.length, SENTENCE_BREAK)) {
+        segments.push({ ...sentence, kind: 'sentence' });
+        const clauses = splitSpans(source, sentence.start, sentence.end, CLAUSE_BREAK);
+        if (clauses.length > 1) for (const clause of clauses) segments.push({ ...clause, kind: 'clause' });
+    }
+    return segments.map(seg => ({ ...seg, text: source.slice(seg.start, seg.end) }));
+}
+
+/**
+ * Corpus entry for |text| that keeps the raw text and its segments, so
+ * analyzeSimilarity can return span-level evidence. Accepted anywhere a
+ * { vector } entry is.
+ */
+export function buildCorpus(text) {
+    const source = String(text ?? '');
+    return [{
+        text: source,
+        vector: getVector(source),
+        segments: segmentText(source).map(seg => ({ ...seg, vector: getVector(seg.text) }))
+    }];
+}
+
+/**
+ * Maps a TF-IDF score (and optional LLM judge score for the gray zone) to a
+ * trace status. |thresholds| defaults to config so simulations can override it.
+ */
+export function classifyTrace(tfidfScore, judgeScore = null, thresholds = THRESHOLDS) {
+    if (tfidfScore >= thresholds.TFIDF_TRACEABLE) return 'traceable';
+    if (tfidfScore <= thresholds.TFIDF_SPECULATIVE) return 'speculative';
+    if (judgeScore === null || judgeScore === undefined) return 'assumption'; // gray zone → LLM judge
+    if (judgeScore >= thresholds.LLM_TRACEABLE) return 'traceable';
+    return judgeScore >= thresholds.LLM_ASSUMPTION ? 'assumption' : 'speculative';
+}
+
 /**
  * Analyze semantic similarity between a feature description and corpus vectors.
- * corpus: Array of {vector: Map} objects (pre-built via getVector).
+ * corpus: Array of {vector: Map} objects (pre-built via getVector), or entries from
+ * buildCorpus, which also yield |evidence|: the best-matching source span.
  *
- * Returns { score, status, snippet }
+ * Returns { score, status, snippet, evidence }
  */
 export function analyzeSimilarity(featureText, corpus) {
     const featVec = buildVector(featureText, corpus.map((_, i) => `context_${i}`));
@@ -87,19 +156,120 @@ export function analyzeSimilarity(featureText, corpus) {
 
     const score = Number(maxScore.toFixed(4));
 
-    let status;
-    if (score >= THRESHOLDS.TFIDF_TRACEABLE) {
-        status = 'traceable';
-    } else if (score <= THRESHOLDS.TFIDF_SPECULATIVE) {
-        status = 'speculative';
-    } else {
-        status = 'assumption'; // gray zone → LLM judge
+    const status = classifyTrace(score);
+
+    // Explainability: the best-matching sentence or clause, when the corpus kept its text
+    const evidence = findEvidence(featureText, featVec, corpus);
+    const snippet = evidence ? evidence.text : extractSnippet(featureText, corpus);
+
+    return { score, status, snippet, evidence };
+}
+
+/**
+ * Blends a lexical and a semantic score for |backend|. Without a semantic score
+ * (TF-IDF backend, or embeddings unavailable) the lexical score stands alone.
+ */
+export function blendScores(lexical, semantic, backend = SIMILARITY.BACKEND, weights = {
+    LEXICAL: SIMILARITY.LEXICAL_WEIGHT,
+    SEMANTIC: SIMILARITY.SEMANTIC_WEIGHT
+}) {
+    if (semantic === null || semantic === undefined || backend === 'tfidf') return lexical;
+    if (backend === 'embedding') return semantic;
+    const total = weights.LEXICAL + weights.SEMANTIC;
+    if (!(total > 0)) return lexical;
+    return Number(((weights.LEXICAL * lexical + weights.SEMANTIC * semantic) / total).toFixed(4));
+}
+
+/**
+ * analyzeSimilarity plus the configured semantic backend. |sourceText| is the raw
+ * vision the corpus was built from. If the embedder fails the TF-IDF score is used
+ * and |fallback| carries the reason.
+ *
+ * Returns { score, status, snippet, lexical, semantic, backend, fallback }
+ */
+export async function scoreSimilarity(featureText, sourceText, corpus, {
+    backend = SIMILARITY.BACKEND,
+    embedder = null,
+    weights
+} = {}) {
+    const lexical = analyzeSimilarity(featureText, corpus);
+    if (backend === 'tfidf') {
+        return { ...lexical, lexical: lexical.score, semantic: null, backend: 'tfidf', fallback: null };
     }
 
-    // Explainability: find the most overlapping window in corpus[0] text
-    const snippet = extractSnippet(featureText, corpus);
+    let semantic;
+    try {
+        semantic = await semanticSimilarity(featureText, sourceText, embedder || getEmbedder());
+    } catch (e) {
+        return { ...lexical, lexical: lexical.score, semantic: null, backend: 'tfidf', fallback: e.message };
+    }
+    const score = blendScores(lexical.score, semantic, backend, weights);
+    return {
+        score,
+        status: classifyTrace(score),
+        snippet: lexical.snippet,
+        evidence: lexical.evidence,
+        lexical: lexical.score,
+        semantic,
+        backend,
+        fallback: null
+    };
+}
+
+// Light stemming so "reminders" in a feature matches "reminder" in the vision
+function termKey(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 4 && token.endsWith('es') && !token.endsWith('ses')) return token.slice(0, -1);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
 
-    return { score, status, snippet };
+/**
+ * Words of |source| within [start, end) whose term also appears in the feature,
+ * with absolute character offsets.
+ */
+function overlappingTerms(source, start, end, featureKeys) {
+    const terms = [];
+    for (const m of source.slice(start, end).matchAll(/[\p{L}\p{N}_]+/gu)) {
+        const token = normalizeText(m[0]);
+        if (token.length <= 2 || STOP_WORDS.has(token) || !featureKeys.has(termKey(token))) continue;
+        terms.push({ term: token, start: start + m.index, end: start + m.index + m[0].length });
+    }
+    return terms;
+}
+
+/**
+ * Best source span for |featureText|: highest TF-IDF cosine, then most shared
+ * terms, then the shorter span (a clause beats the sentence that contains it).
+ *
+ * Returns { text, start, end, kind, score, terms: [{ term, start, end }] } or null.
+ */
+function findEvidence(featureText, featVec, corpus) {
+    const entry = corpus.find(c => Array.isArray(c.segments) && c.segments.length > 0);
+    if (!entry) return null;
+    const featureKeys = new Set(tokenize(featureText).map(termKey));
+
+    let best = null;
+    for (const seg of entry.segments) {
+        const terms = overlappingTerms(entry.text, seg.start, seg.end, featureKeys);
+        const candidate = { seg, terms, score: cosineSim(featVec, seg.vector) };
+        if (!best
+            || candidate.score > best.score + 1e-9
+            || (Math.abs(candidate.score - best.score) <= 1e-9 && (terms.length > best.terms.length
+                || (terms.length === best.terms.length && seg.end - seg.start < best.seg.end - best.seg.start)))) {
+            best = candidate;
+        }
+    }
+    if (!best || (best.score === 0 && best.terms.length === 0)) return null;
+    return {
+        text: best.seg.text,
+        start: best.seg.start,
+        end: best.seg.end,
+        kind: best.seg.kind,
+        score: Number(best.score.toFixed(4)),
+        terms: best.terms
+    };
 }
 
 function extractSnippet(featureText, corpus) {
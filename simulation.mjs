@@ -0,0 +1,123 @@
+// ── Re-Prompt v3.3 Threshold Simulation ──────────────────────────────────────
+// Re-runs trace classification and confidence for a finished synthesis under
+// alternative threshold sets. TF-IDF is recomputed locally; embedding and LLM judge
+// scores are reused from the request's own result or the judge cache, never re-requested.
+
+import { THRESHOLDS, VERSION } from './config.mjs';
+import { analyzeSimilarity, blendScores, classifyTrace, getVector } from './similarity-engine.mjs';
+import { recomputeConfidence } from './confidence.mjs';
+
+const THRESHOLD_KEYS = ['TFIDF_TRACEABLE', 'TFIDF_SPECULATIVE', 'LLM_TRACEABLE', 'LLM_ASSUMPTION'];
+
+export const DEFAULT_THRESHOLD_SETS = [
+    { TFIDF_TRACEABLE: 0.70 },
+    { TFIDF_TRACEABLE: 0.55 },
+    { TFIDF_TRACEABLE: 0.45 }
+];
+
+/**
+ * Merges a partial set over config THRESHOLDS and checks it is usable.
+ * Throws RangeError (mapped to 400 by the server) on bad input.
+ */
+export function resolveThresholds(partial = {}) {
+    if (!partial || typeof partial !== 'object' || Array.isArray(partial)) {
+        throw new RangeError('Each threshold set must be an object.');
+    }
+    const merged = { ...THRESHOLDS };
+    for (const key of THRESHOLD_KEYS) {
+        if (partial[key] === undefined) continue;
+        const value = Number(partial[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+            throw new RangeError(`${key} must be a number between 0 and 1.`);
+        }
+        merged[key] = value;
+    }
+    if (merged.TFIDF_SPECULATIVE > merged.TFIDF_TRACEABLE) {
+        throw new RangeError('TFIDF_SPECULATIVE must not exceed TFIDF_TRACEABLE.');
+    }
+    if (merged.LLM_ASSUMPTION > merged.LLM_TRACEABLE) {
+        throw new RangeError('LLM_ASSUMPTION must not exceed LLM_TRACEABLE.');
+    }
+    return merged;
+}
+
+/**
+ * Per-feature raw scores. With |userInputText| TF-IDF is recomputed and blended with
+ * the stored semantic score; otherwise the scores stored by detectDomainDrift are
+ * used (tfidf_score or trace_score for older results).
+ */
+function scoreFeatures(features, userInputText, judgeLookup) {
+    const corpus = userInputText ? [{ vector: getVector(userInputText) }] : null;
+    return features.map(feat => {
+        const description = feat.description || feat.name || '';
+        const semantic = feat.semantic_score ?? null;
+        const tfidf = corpus
+            ? analyzeSimilarity(description, corpus).score
+            : Number(feat.tfidf_score ?? feat.trace_score ?? 0);
+        const score = corpus
+            ? blendScores(tfidf, semantic)
+            : Number(feat.similarity_score ?? tfidf);
+        const cached = userInputText ? judgeLookup(description, userInputText) : undefined;
+        const judge = cached ?? feat.judge_score ?? null;
+        return { name: feat.name, tfidf, semantic, score, judge, baseline: feat.trace_status || null };
+    });
+}
+
+/**
+ * Simulates |data| (a synthesis result) under each threshold set.
+ * Returns one row per set with domain consistency, confidence and the features
+ * whose status changed relative to the original run.
+ */
+export function simulateThresholds(data, userInputText = '', sets = DEFAULT_THRESHOLD_SETS, { judgeLookup = () => undefined } = {}) {
+    if (sets === undefined || sets === null) sets = DEFAULT_THRESHOLD_SETS;
+    if (!Array.isArray(sets) || sets.length === 0) throw new RangeError('thresholds must be a non-empty array.');
+    if (sets.length > 10) throw new RangeError('At most 10 threshold sets per simulation.');
+    const resolved = sets.map(resolveThresholds);
+
+    const features = Array.isArray(data.core_functional_components) ? data.core_functional_components : [];
+    const scored = scoreFeatures(features, userInputText, judgeLookup);
+    const baselineScore = data.confidence_breakdown?.final_score ?? 0;
+
+    // Re-apply coupling penalties to the model's own coherence, not the already-penalised score
+    const cb = data.confidence_breakdown || {};
+    const base = {
+        ...data,
+        confidence_breakdown: {
+            input_clarity: cb.input_clarity,
+            logical_coherence: { score: cb.logical_coherence?.base_score ?? cb.logical_coherence?.score }
+        }
+    };
+
+    return resolved.map(thresholds => {
+        const rows = scored.map(f => ({ ...f, status: classifyTrace(f.score, f.judge, thresholds) }));
+        const traceable = rows.filter(r => r.status === 'traceable').length;
+        const speculative = rows.filter(r => r.status === 'speculative');
+        const dc = rows.length > 0 ? Math.round((traceable / rows.length) * 100 * 100) / 100 : 100;
+
+        const breakdown = recomputeConfidence(base, {
+            domain_consistency_computed: dc,
+            internal_consistency_check: speculative.length === 0 ? 'PASS' : 'PARTIAL',
+            llm_judge_calls: 0
+        }, { record: false });
+
+        return {
+            thresholds,
+            threshold: thresholds.TFIDF_TRACEABLE,
+            domain_consistency: dc,
+            final_score: breakdown.final_score,
+            confidence_delta: Math.round((breakdown.final_score - baselineScore) * 100) / 100,
+            confidence: breakdown,
+            features: rows.map(r => ({
+                name: r.name,
+                tfidf_score: r.tfidf,
+                semantic_score: r.semantic,
+                similarity_score: r.score,
+                judge_score: r.judge,
+                trace_status: r.status
+            })),
+            flips: rows.filter(r => r.baseline && r.baseline !== r.status).map(r => ({ name: r.name, from: r.baseline, to: r.status })),
+            judge_unavailable: rows.filter(r => r.judge === null && r.status === 'assumption').length,
+            similarity_engine: VERSION.SIMILARITY
+        };
+    });
+}
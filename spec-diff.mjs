@@ -0,0 +1,106 @@
+// ── Re-Prompt v3.3 Spec Diff ─────────────────────────────────────────────────
+// Structural diff between two synthesized specs of the same session: features,
+// NFRs, risks and assumptions matched by identity, plus confidence deltas.
+
+const CONFIDENCE_PARTS = ['input_clarity', 'domain_consistency', 'requirement_completeness', 'logical_coherence'];
+
+const norm = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Keys |items| by identity. Repeated identities get a #n suffix so lists with
+ * duplicates (e.g. two Security NFRs) still pair up positionally.
+ */
+function keyed(items, identity) {
+    const out = new Map();
+    const seen = new Map();
+    for (const item of items) {
+        const base = identity(item);
+        if (!base) continue;
+        const n = (seen.get(base) || 0) + 1;
+        seen.set(base, n);
+        out.set(n === 1 ? base : `${base}#${n}`, item);
+    }
+    return out;
+}
+
+function fieldChanges(before, after, fields) {
+    const changes = {};
+    for (const field of fields) {
+        const a = before?.[field], b = after?.[field];
+        if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) changes[field] = { from: a ?? null, to: b ?? null };
+    }
+    return changes;
+}
+
+/**
+ * Diffs two lists. Returns { added, removed, changed: [{ key, item, changes }] }.
+ * Items may be strings; those only ever appear as added or removed.
+ */
+export function diffList(before = [], after = [], { identity, fields = [], label = identity }) {
+    const A = keyed(Array.isArray(before) ? before : [], identity);
+    const B = keyed(Array.isArray(after) ? after : [], identity);
+    const added = [], removed = [], changed = [];
+
+    for (const [key, item] of B) if (!A.has(key)) added.push(label(item));
+    for (const [key, item] of A) {
+        if (!B.has(key)) { removed.push(label(item)); continue; }
+        if (typeof item !== 'object') continue;
+        const changes = fieldChanges(item, B.get(key), fields);
+        if (Object.keys(changes).length > 0) changed.push({ key: label(item), changes });
+    }
+    return { added, removed, changed };
+}
+
+const asText = (item) => (typeof item === 'string' ? item : item?.assumption || item?.risk || item?.requirement || item?.name || '');
+
+function features(spec) {
+    return spec.core_functional_components || spec.core_features || [];
+}
+
+function confidenceDeltas(before = {}, after = {}) {
+    const deltas = {};
+    for (const part of [...CONFIDENCE_PARTS, 'final_score']) {
+        const from = part === 'final_score' ? before.final_score : before[part]?.score;
+        const to = part === 'final_score' ? after.final_score : after[part]?.score;
+        if (from === undefined && to === undefined) continue;
+        deltas[part] = { from: from ?? null, to: to ?? null, delta: Math.round(((to ?? 0) - (from ?? 0)) * 100) / 100 };
+    }
+    return deltas;
+}
+
+/**
+ * Structural diff of spec |before| → |after|.
+ */
+export function diffSpecs(before, after) {
+    const diff = {
+        features: diffList(features(before), features(after), {
+            identity: f => norm(f.name),
+            label: f => f.name,
+            fields: ['description', 'trace_status', 'trace_to_input']
+        }),
+        non_functional_requirements: diffList(before.non_functional_requirements, after.non_functional_requirements, {
+            identity: n => (typeof n === 'string' ? norm(n) : norm(n.category)),
+            label: n => (typeof n === 'string' ? n : n.category),
+            fields: ['requirement', 'priority', 'target']
+        }),
+        risks: diffList(before.risk_analysis, after.risk_analysis, {
+            identity: r => norm(asText(r)),
+            label: asText,
+            fields: ['likelihood', 'mitigation']
+        }),
+        assumptions: diffList(before.assumptions_made, after.assumptions_made, {
+            identity: a => norm(asText(a)),
+            label: asText
+        }),
+        confidence: confidenceDeltas(before.confidence_breakdown, after.confidence_breakdown)
+    };
+
+    const sections = ['features', 'non_functional_requirements', 'risks', 'assumptions'];
+    diff.summary = Object.fromEntries(sections.map(s => [s, {
+        added: diff[s].added.length,
+        removed: diff[s].removed.length,
+        changed: diff[s].changed.length
+    }]));
+    diff.unchanged = sections.every(s => diff[s].added.length + diff[s].removed.length + diff[s].changed.length === 0);
+    return diff;
+}
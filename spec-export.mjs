@@ -0,0 +1,618 @@
+// ── Re-Prompt v3.3 Spec Export ───────────────────────────────────────────────
+// Renders a stored synthesis to Markdown, standalone HTML, DOCX and PDF. Every
+// format is built from one block model in PRD section order; DOCX and PDF are
+// written by hand (zip + OOXML, PDF 1.4 with base-14 fonts), no services needed.
+
+import zlib from 'zlib';
+import { PRD_SECTIONS } from './schemas.mjs';
+
+export const EXPORT_FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// ── Document Model ────────────────────────────────────────────────────────────
+// Blocks: { type: 'heading', level, text } | { type: 'paragraph', text }
+//       | { type: 'field', label, text } | { type: 'list', items, ordered }
+//       | { type: 'table', header, rows } | { type: 'code', text }
+
+const str = (v) => (v === null || v === undefined ? '' : String(v).trim());
+const arr = (v) => (Array.isArray(v) ? v : (v === null || v === undefined || v === '' ? [] : [v]));
+const humanize = (key) => key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+/** Best display text for a string or loosely-shaped object. */
+function textOf(v) {
+    if (typeof v !== 'object' || v === null) return str(v);
+    return str(v.text || v.description || v.requirement || v.assumption || v.risk || v.name || v.title
+        || Object.values(v).filter(x => typeof x === 'string').join(' — '));
+}
+
+const heading = (level, text) => ({ type: 'heading', level, text });
+const paragraphs = (text) => str(text).split(/\n{2,}/).filter(Boolean).map(t => ({ type: 'paragraph', text: t.trim() }));
+const field = (label, text) => (str(text) ? [{ type: 'field', label, text: str(text) }] : []);
+const list = (items, ordered = false) => {
+    const texts = arr(items).map(textOf).filter(Boolean);
+    return texts.length ? [{ type: 'list', items: texts, ordered }] : [];
+};
+
+/**
+ * Table from objects; |columns| is [[key | key[], header]]. Rows that are plain
+ * strings fill the first column. Columns empty in every row are dropped.
+ */
+function table(items, columns) {
+    const rows = arr(items).map(item => columns.map(([keys], i) => {
+        if (typeof item !== 'object' || item === null) return i === 0 ? str(item) : '';
+        return str(arr(keys).map(k => item[k]).find(v => str(v)) ?? '');
+    })).filter(row => row.some(Boolean));
+    if (rows.length === 0) return [];
+    const keep = columns.map((_, i) => i === 0 || rows.some(r => r[i]));
+    return [{
+        type: 'table',
+        header: columns.map(([, h]) => h).filter((_, i) => keep[i]),
+        rows: rows.map(r => r.filter((_, i) => keep[i]))
+    }];
+}
+
+function features(spec) {
+    return spec.core_functional_components || spec.core_features || [];
+}
+
+const SECTION_TITLES = {
+    executive_summary: 'Executive Summary',
+    problem_statement: 'Problem Statement',
+    goals: 'Goals',
+    target_audience: 'Target Audience',
+    user_personas: 'User Personas',
+    user_stories: 'User Stories',
+    functional_requirements: 'Functional Requirements',
+    non_functional_requirements: 'Non-Functional Requirements',
+    technical_considerations: 'Technical Considerations',
+    success_metrics: 'Success Metrics',
+    assumptions: 'Assumptions',
+    out_of_scope: 'Out of Scope',
+    risks: 'Risks',
+    roadmap: 'Roadmap',
+    open_questions: 'Open Questions'
+};
+
+/**
+ * Body of each PRD section. prd_document wins; top-level fields from the other
+ * intents fill the same slot so every spec exports in one order.
+ */
+const SECTION_BUILDERS = {
+    executive_summary: (prd, spec) => paragraphs(prd.executive_summary || spec.value_proposition),
+    problem_statement: (prd, spec) => {
+        const ps = prd.problem_statement;
+        if (ps && typeof ps === 'object') {
+            return [
+                ...paragraphs(ps.description),
+                ...field('Quantifiable impact', ps.quantifiable_impact),
+                ...(arr(ps.root_cause_analysis).length ? [{ type: 'field', label: 'Root causes', text: '' }, ...list(ps.root_cause_analysis)] : []),
+                ...field('Why current solutions fail', ps.why_current_fail)
+            ];
+        }
+        return [
+            ...paragraphs(ps || spec.refined_problem_statement),
+            ...field('Problem/solution fit', spec.problem_solution_fit),
+            ...field('Competitive positioning', spec.competitive_positioning)
+        ];
+    },
+    goals: (prd) => table(prd.goals, [['goal', 'Goal'], ['target_metric', 'Target metric'], ['timeframe', 'Timeframe']]),
+    target_audience: (prd, spec) => [...paragraphs(textOf(prd.target_audience)), ...list(spec.target_users)],
+    user_personas: (prd) => arr(prd.user_personas).flatMap(p => (typeof p === 'object' && p ? [
+        heading(3, [str(p.name), str(p.role)].filter(Boolean).join(' — ')),
+        ...(arr(p.needs).length ? [{ type: 'field', label: 'Needs', text: arr(p.needs).map(textOf).join('; ') }] : []),
+        ...(arr(p.pain_points).length ? [{ type: 'field', label: 'Pain points', text: arr(p.pain_points).map(textOf).join('; ') }] : [])
+    ] : paragraphs(p))),
+    user_stories: (prd) => list(arr(prd.user_stories).map(s => (typeof s === 'object' && s
+        ? `As a ${str(s.as_a)}, I want ${str(s.i_want)}${s.so_that ? ` so that ${str(s.so_that)}` : ''}.`
+        : s))),
+    functional_requirements: (prd, spec) => {
+        const reqs = arr(prd.functional_requirements);
+        if (reqs.length) {
+            return reqs.flatMap(r => (typeof r === 'object' && r ? [
+                heading(3, [str(r.id), str(r.title)].filter(Boolean).join(' · ') + (r.priority ? ` (${str(r.priority)})` : '')),
+                ...paragraphs(r.description),
+                ...field('User impact', r.user_impact),
+                ...(arr(r.acceptance_criteria).length ? [{ type: 'field', label: 'Acceptance criteria', text: '' }, ...list(r.acceptance_criteria)] : []),
+                ...(arr(r.edge_cases).length ? [{ type: 'field', label: 'Edge cases', text: '' }, ...list(r.edge_cases)] : [])
+            ] : paragraphs(r)));
+        }
+        return features(spec).flatMap(f => [heading(3, str(f.name)), ...paragraphs(f.description)]);
+    },
+    non_functional_requirements: (prd, spec) => table(
+        arr(prd.non_functional_requirements).length ? prd.non_functional_requirements : spec.non_functional_requirements,
+        [['category', 'Category'], ['requirement', 'Requirement'], [['target', 'priority'], 'Target / Priority']]
+    ),
+    technical_considerations: (prd, spec) => {
+        const fields = (obj) => Object.entries(obj && typeof obj === 'object' ? obj : {})
+            .flatMap(([k, v]) => field(humanize(k), textOf(v)));
+        const considerations = fields(prd.technical_considerations);
+        const architecture = fields(spec.technical_architecture);
+        return [
+            ...considerations,
+            ...(considerations.length && architecture.length ? [heading(3, 'Architecture')] : []),
+            ...architecture
+        ];
+    },
+    success_metrics: (prd) => {
+        const sm = prd.success_metrics;
+        if (!sm || typeof sm !== 'object' || Array.isArray(sm)) return list(sm);
+        const columns = [['metric', 'Metric'], ['target', 'Target'], ['measurement', 'Measurement']];
+        return Object.entries(sm).flatMap(([group, items]) => {
+            const t = table(items, columns);
+            return t.length ? [heading(3, humanize(group)), ...t] : [];
+        });
+    },
+    assumptions: (prd, spec) => list(arr(prd.assumptions).length ? prd.assumptions : spec.assumptions_made),
+    out_of_scope: (prd) => list(prd.out_of_scope),
+    risks: (prd, spec) => table(arr(prd.risks).length ? prd.risks : spec.risk_analysis, [
+        ['risk', 'Risk'], [['probability', 'likelihood'], 'Likelihood'], ['impact', 'Impact'], ['mitigation', 'Mitigation']
+    ]),
+    roadmap: (prd) => list(prd.roadmap, true),
+    open_questions: (prd, spec) => list(arr(prd.open_questions).length ? prd.open_questions : spec.critical_questions)
+};
+
+const CONFIDENCE_ROWS = [
+    ['input_clarity', 'Input clarity'],
+    ['domain_consistency', 'Domain consistency'],
+    ['requirement_completeness', 'Requirement completeness'],
+    ['logical_coherence', 'Logical coherence']
+];
+
+/**
+ * Block model for |spec|: title, PRD sections in PRD_SECTIONS order, then the
+ * engine's own appendices (traceability, confidence, generated prompts).
+ * |meta| may carry { id, created_at, engine_version }.
+ */
+export function buildDocument(spec, meta = {}) {
+    const prd = spec.prd_document && typeof spec.prd_document === 'object' ? spec.prd_document : {};
+    const title = str(spec.refined_idea || spec.refined_domain_specification || spec.refined_problem_statement) || 'Product Specification';
+    const blocks = [heading(1, title)];
+
+    const byline = [
+        spec.intent_mode === 'PRD_GENERATION' || spec.prd_document ? 'Product Requirements Document' : 'Engineering Specification',
+        meta.created_at && `generated ${str(meta.created_at)}`,
+        meta.engine_version && `engine ${str(meta.engine_version)}`,
+        meta.id && `log ${str(meta.id)}`
+    ].filter(Boolean).join(' · ');
+    blocks.push({ type: 'paragraph', text: byline });
+
+    for (const key of PRD_SECTIONS) {
+        const body = SECTION_BUILDERS[key](prd, spec).filter(b => b.type !== 'paragraph' || b.text);
+        if (body.length) blocks.push(heading(2, SECTION_TITLES[key]), ...body);
+    }
+
+    const thought = list(spec.thought_experiments);
+    if (thought.length) blocks.push(heading(2, 'Thought Experiments'), ...thought);
+
+    const traced = features(spec).filter(f => f.trace_status);
+    if (traced.length) {
+        blocks.push(heading(2, 'Traceability'), {
+            type: 'table',
+            header: ['Feature', 'Status', 'Score', 'Source'],
+            rows: traced.map(f => [
+                str(f.name),
+                str(f.trace_status),
+                typeof f.trace_score === 'number' ? f.trace_score.toFixed(2) : '',
+                str(f.trace_evidence?.text) || arr(f.trace_to_input).map(str).join('; ')
+            ])
+        });
+    }
+
+    const cb = spec.confidence_breakdown;
+    if (cb && typeof cb === 'object') {
+        const rows = CONFIDENCE_ROWS
+            .filter(([k]) => cb[k]?.score !== undefined)
+            .map(([k, label]) => [label, String(cb[k].score), cb[k].weight !== undefined ? String(cb[k].weight) : '']);
+        if (cb.final_score !== undefined) rows.push(['Final score', String(cb.final_score), '']);
+        if (rows.length) blocks.push(heading(2, 'Confidence'), ...table(rows.map(([a, b, c]) => ({ a, b, c })), [['a', 'Dimension'], ['b', 'Score'], ['c', 'Weight']]));
+    }
+
+    const prompts = Object.entries(spec.generated_prompts || {}).filter(([, v]) => str(v));
+    if (prompts.length) {
+        blocks.push(heading(2, 'Generated Prompts'));
+        for (const [key, text] of prompts) blocks.push(heading(3, humanize(key)), { type: 'code', text: str(text) });
+    }
+    return blocks.filter(b => b.type !== 'field' || b.label);
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+const mdCell = (t) => str(t).replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
+
+export function renderMarkdown(blocks) {
+    return blocks.map(b => {
+        switch (b.type) {
+            case 'heading': return `${'#'.repeat(b.level)} ${b.text}`;
+            case 'paragraph': return b.text;
+            case 'field': return b.text ? `**${b.label}:** ${b.text}` : `**${b.label}:**`;
+            case 'list': return b.items.map((item, i) => `${b.ordered ? `${i + 1}.` : '-'} ${item.replace(/\n+/g, ' ')}`).join('\n');
+            case 'table': return [
+                `| ${b.header.map(mdCell).join(' | ')} |`,
+                `| ${b.header.map(() => '---').join(' | ')} |`,
+                ...b.rows.map(r => `| ${r.map(mdCell).join(' | ')} |`)
+            ].join('\n');
+            case 'code': {
+                const fence = b.text.includes('```') ? '~~~~' : '```';
+                return `${fence}\n${b.text}\n${fence}`;
+            }
+            default: return '';
+        }
+    }).join('\n\n') + '\n';
+}
+
+// ── HTML ──────────────────────────────────────────────────────────────────────
+
+const esc = (t) => str(t).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const HTML_STYLE = `
+body { font: 15px/1.6 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111; max-width: 860px; margin: 40px auto; padding: 0 24px; }
+h1 { font-size: 2rem; margin-bottom: 0; } h1 + p { color: #666; font-size: 0.85rem; margin-top: 4px; }
+h2 { border-bottom: 2px solid #111; padding-bottom: 4px; margin-top: 2.2em; text-transform: uppercase; letter-spacing: 0.04em; font-size: 1.05rem; }
+h3 { font-size: 1rem; margin-bottom: 0.3em; }
+table { border-collapse: collapse; width: 100%; margin: 0.8em 0; font-size: 0.9rem; }
+th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; } th { background: #f2f2f2; }
+pre { background: #f6f6f6; border: 1px solid #ddd; padding: 12px; white-space: pre-wrap; font-size: 0.82rem; }
+@media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } pre, tr { break-inside: avoid; } }`;
+
+export function renderHtml(blocks) {
+    const title = blocks.find(b => b.type === 'heading')?.text || 'Specification';
+    const body = blocks.map(b => {
+        switch (b.type) {
+            case 'heading': return `<h${b.level}>${esc(b.text)}</h${b.level}>`;
+            case 'paragraph': return `<p>${esc(b.text)}</p>`;
+            case 'field': return `<p><strong>${esc(b.label)}:</strong> ${esc(b.text)}</p>`;
+            case 'list': {
+                const tag = b.ordered ? 'ol' : 'ul';
+                return `<${tag}>${b.items.map(i => `<li>${esc(i)}</li>`).join('')}</${tag}>`;
+            }
+            case 'table': return `<table><thead><tr>${b.header.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>`
+                + b.rows.map(r => `<tr>${r.map(c => `<td>${esc(c)}</td>`).join('')}</tr>`).join('') + '</tbody></table>';
+            case 'code': return `<pre><code>${esc(b.text)}</code></pre>`;
+            default: return '';
+        }
+    }).join('\n');
+    return `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<meta name="viewport" content="width=device-width, initial-scale=1">\n`
+        + `<title>${esc(title)}</title>\n<style>${HTML_STYLE}\n</style>\n</head>\n<body>\n${body}\n</body>\n</html>\n`;
+}
+
+// ── DOCX ──────────────────────────────────────────────────────────────────────
+// Minimal WordprocessingML package: document, styles, core properties.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xFFFFFFFF;
+    for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip archive (deflate) of { name, data } entries.
+ */
+export function zip(entries) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, data } of entries) {
+        const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const packed = zlib.deflateRawSync(raw);
+        const nameBuf = Buffer.from(name, 'utf8');
+        const crc = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt32LE(0x00210000, 10);   // 1980-01-01 00:00 (fixed, reproducible output)
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(packed.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+        locals.push(local, nameBuf, packed);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(0x00210000, 12);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(packed.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(nameBuf.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, nameBuf);
+
+        offset += local.length + nameBuf.length + packed.length;
+    }
+    const centralSize = central.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...central, end]);
+}
+
+// XML 1.0 forbids most control characters; drop them rather than emit a corrupt part
+const xml = (t) => esc(t).replace(/'/g, '&apos;').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+function run(text, { bold = false, mono = false } = {}) {
+    const props = (bold ? '<w:b/>' : '') + (mono ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/><w:sz w:val="18"/>' : '');
+    // Line breaks inside a run become <w:br/>
+    const parts = str(text).split('\n').map(line => `<w:t xml:space="preserve">${xml(line)}</w:t>`).join('<w:br/>');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${parts}</w:r>`;
+}
+
+const para = (runs, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${runs}</w:p>`;
+
+function docxBlock(b) {
+    switch (b.type) {
+        case 'heading': return para(run(b.text), b.level === 1 ? 'Title' : `Heading${b.level - 1}`);
+        case 'paragraph': return para(run(b.text));
+        case 'field': return para(run(`${b.label}: `, { bold: true }) + run(b.text));
+        case 'list': return b.items.map((item, i) => para(run(`${b.ordered ? `${i + 1}.` : '•'}\t${item}`), 'ListParagraph')).join('');
+        case 'code': return para(run(b.text, { mono: true }), 'Code');
+        case 'table': {
+            const cell = (text, bold) => `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${para(run(text, { bold }))}</w:tc>`;
+            const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/>`;
+            return `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>`
+                + `<w:tblGrid>${b.header.map(() => '<w:gridCol/>').join('')}</w:tblGrid>`
+                + `<w:tr><w:trPr><w:tblHeader/></w:trPr>${b.header.map(h => cell(h, true)).join('')}</w:tr>`
+                + b.rows.map(r => `<w:tr>${r.map(c => cell(c, false)).join('')}</w:tr>`).join('')
+                + '</w:tbl>' + para('');
+        }
+        default: return '';
+    }
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="21"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:sz w:val="44"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:pBdr><w:bottom w:val="single" w:sz="8" w:space="2" w:color="111111"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:caps/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/><w:ind w:left="360" w:hanging="360"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F4F4F4"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/><w:sz w:val="18"/></w:rPr></w:style>
+</w:styles>`;
+
+export function renderDocx(blocks) {
+    const title = blocks.find(b => b.type === 'heading')?.text || 'Specification';
+    const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+        + blocks.map(docxBlock).join('')
+        + '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>'
+        + '</w:body></w:document>';
+
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+                + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+                + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'docProps/core.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+                + `<dc:title>${xml(title)}</dc:title><dc:creator>Re-Prompt</dc:creator></cp:coreProperties>`
+        },
+        {
+            name: 'word/_rels/document.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>'
+        },
+        { name: 'word/styles.xml', data: DOCX_STYLES },
+        { name: 'word/document.xml', data: document }
+    ]);
+}
+
+// ── PDF ───────────────────────────────────────────────────────────────────────
+// PDF 1.4, A4, base-14 fonts with WinAnsiEncoding. Text is wrapped using the
+// Helvetica AFM widths; characters outside Windows-1252 degrade to '?'.
+
+const PAGE = { width: 595, height: 842, margin: 56 };
+const FONTS = { regular: 'F1', bold: 'F2', mono: 'F3' };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126
+const HELVETICA = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const CP1252 = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+    0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+    0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+/** |text| as Windows-1252 code units (one char per byte). */
+function toWinAnsi(text) {
+    let out = '';
+    for (const ch of str(text).replace(/\t/g, '    ')) {
+        const cp = ch.codePointAt(0);
+        if ((cp >= 0x20 && cp <= 0x7E) || (cp >= 0xA0 && cp <= 0xFF)) out += ch;
+        else if (CP1252[cp]) out += String.fromCharCode(CP1252[cp]);
+        else {
+            // Try the unaccented form (e.g. ő → o) before giving up
+            const base = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            out += base && base.codePointAt(0) < 0x7F ? base : '?';
+        }
+    }
+    return out;
+}
+
+function charWidth(ch, font) {
+    if (font === 'mono') return 600;
+    const code = ch.charCodeAt(0);
+    const w = code >= 32 && code <= 126 ? HELVETICA[code - 32] : 556;
+    return font === 'bold' ? w * 1.07 : w; // Helvetica-Bold runs ~7% wider
+}
+
+const textWidth = (text, font, size) => [...text].reduce((n, ch) => n + charWidth(ch, font), 0) * size / 1000;
+
+/** Greedy word wrap of an already-encoded string to |width| points. */
+function wrap(text, font, size, width) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/ +/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= width) { line = candidate; continue; }
+            if (line) lines.push(line);
+            line = word;
+            // Hard-break words longer than the line (URLs, hashes)
+            while (textWidth(line, font, size) > width && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && textWidth(line.slice(0, cut), font, size) > width) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+const pdfString = (t) => `(${t.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+
+/**
+ * Lays blocks out into pages of positioned text runs.
+ */
+function layoutPdf(blocks) {
+    const pages = [[]];
+    const bottom = PAGE.margin + 20; // room for the footer
+    const width = PAGE.width - 2 * PAGE.margin;
+    let y = PAGE.height - PAGE.margin;
+
+    const newPage = () => { pages.push([]); y = PAGE.height - PAGE.margin; };
+    const line = (text, { font = 'regular', size = 10, indent = 0, leading = size * 1.4 } = {}) => {
+        if (y - leading < bottom) newPage();
+        y -= leading;
+        pages.at(-1).push({ x: PAGE.margin + indent, y, font, size, text });
+    };
+    const wrapped = (text, opts = {}) => {
+        const { font = 'regular', size = 10, indent = 0, hang = 0 } = opts;
+        wrap(toWinAnsi(text), font, size, width - indent - hang).forEach((l, i) => line(l, { ...opts, indent: indent + (i ? hang : 0) }));
+    };
+    const gap = (points) => { y -= points; };
+
+    for (const b of blocks) {
+        switch (b.type) {
+            case 'heading': {
+                const size = { 1: 20, 2: 14, 3: 11 }[b.level];
+                gap(b.level === 1 ? 0 : b.level === 2 ? 14 : 6);
+                if (y - size * 4 < bottom) newPage(); // keep headings with their first lines
+                wrapped(b.level === 2 ? b.text.toUpperCase() : b.text, { font: 'bold', size, leading: size * 1.3 });
+                gap(4);
+                break;
+            }
+            case 'paragraph': wrapped(b.text); gap(4); break;
+            case 'field': wrapped(b.text ? `${b.label}: ${b.text}` : `${b.label}:`, { font: b.text ? 'regular' : 'bold' }); break;
+            case 'list':
+                b.items.forEach((item, i) => wrapped(`${b.ordered ? `${i + 1}.` : '•'} ${item}`, { indent: 10, hang: 10 }));
+                gap(4);
+                break;
+            case 'code': wrapped(b.text, { font: 'mono', size: 8, indent: 6 }); gap(6); break;
+            case 'table':
+                // One entry per row: first cell bold, remaining cells as "Header: value"
+                for (const row of b.rows) {
+                    wrapped(row[0] || '—', { font: 'bold' });
+                    row.slice(1).forEach((cell, i) => { if (cell) wrapped(`${b.header[i + 1]}: ${cell}`, { indent: 12, hang: 8, size: 9 }); });
+                    gap(3);
+                }
+                gap(3);
+                break;
+        }
+    }
+    return pages;
+}
+
+export function renderPdf(blocks) {
+    const title = toWinAnsi(blocks.find(b => b.type === 'heading')?.text || 'Specification');
+    const pages = layoutPdf(blocks);
+    const objects = []; // index i holds object i + 1
+    const add = (body) => { objects.push(body); return objects.length; };
+
+    const catalog = add(null); // filled once the page tree exists
+    const pagesRoot = add(null);
+    const fontIds = {
+        F1: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+        F2: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+        F3: add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>')
+    };
+    const fontRes = `<< ${Object.entries(fontIds).map(([k, id]) => `/${k} ${id} 0 R`).join(' ')} >>`;
+
+    const pageIds = pages.map((runs, i) => {
+        const footer = `Page ${i + 1} of ${pages.length}`;
+        const ops = runs.map(r => `BT /${FONTS[r.font]} ${r.size} Tf ${r.x.toFixed(2)} ${r.y.toFixed(2)} Td ${pdfString(r.text)} Tj ET`);
+        ops.push(`BT /F1 8 Tf ${(PAGE.width - PAGE.margin - textWidth(footer, 'regular', 8)).toFixed(2)} ${PAGE.margin - 20} Td ${pdfString(footer)} Tj ET`);
+        const stream = ops.join('\n');
+        const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /Font ${fontRes} >> /Contents ${content} 0 R >>`);
+    });
+    objects[pagesRoot - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`;
+    const info = add(`<< /Title ${pdfString(title)} /Producer (Re-Prompt) >>`);
+
+    let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(out, 'latin1');
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+        + offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+        + `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+}
+
+// ── Entry Point ───────────────────────────────────────────────────────────────
+
+const RENDERERS = { md: renderMarkdown, html: renderHtml, docx: renderDocx, pdf: renderPdf };
+
+/**
+ * Renders |spec| as |format|. Returns { body, contentType, filename }.
+ * Throws RangeError for unknown formats.
+ */
+export function exportSpec(spec, format, meta = {}) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new RangeError(`Unknown export format '${format}'. Expected ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+    const body = RENDERERS[format](buildDocument(spec, meta));
+    const slug = str(spec.refined_idea || 'spec').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 48) || 'spec';
+    return {
+        body,
+        contentType: EXPORT_FORMATS[format].contentType,
+        filename: `${slug}${meta.id ? `-${String(meta.id).slice(0, 8)}` : ''}.${EXPORT_FORMATS[format].extension}`
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * Re-Prompt v3.3 — Audit Log Query & Retention Tests
+ * Run: node --test tests/audit-log.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { parseAuditQuery, queryAuditPage, createAuditExport, applyAuditRetention, decodeCursor } from '../audit-log.mjs';
+import { insertAuditLog, getAuditLog } from '../db.mjs';
+
+let seq = 0;
+
+/** Inserts audit entries under a fresh engine_version, so each test sees only its own. */
+function seed(entries) {
+    const engine_version = `test-${++seq}`;
+    for (const [i, e] of entries.entries()) {
+        insertAuditLog({
+            id: `${engine_version}-${String(i).padStart(3, '0')}`,
+            correlation_id: `corr-${i}`,
+            tool: 'synthesis',
+            status: 200,
+            duration_ms: 10,
+            engine_version,
+            created_at: '2026-03-15 12:00:00',
+            ...e,
+            trace_data: { final_score: e.score ?? 80 }
+        });
+    }
+    return engine_version;
+}
+
+async function collect(chunks) {
+    const out = [];
+    for await (const chunk of chunks) out.push(chunk);
+    return out;
+}
+
+describe('parseAuditQuery()', () => {
+    it('reads filters, and a bare "to" date covers the whole day', () => {
+        const { filters, fields, limit, cursor } = parseAuditQuery({ tool: 'plan', status: '400', from: '2026-03-01', to: '2026-03-15', min_score: '60' });
+        assert.deepEqual(filters, { tool: 'plan', status: 400, from: '2026-03-01 00:00:00', to: '2026-03-15 23:59:59', min_score: 60 });
+        assert.ok(fields.includes('created_at') && !fields.includes('trace_data'));
+        assert.equal(limit, 20);
+        assert.equal(cursor, null);
+    });
+
+    it('rejects bad values with a RangeError', () => {
+        for (const params of [{ status: 'ok' }, { from: 'yesterday' }, { from: '2026-03-02', to: '2026-03-01' }, { min_score: 'high' },
+            { fields: 'id,secret' }, { limit: '0' }, { limit: '1000' }, { cursor: 'not-a-cursor' }]) {
+            assert.throws(() => parseAuditQuery(params), RangeError, JSON.stringify(params));
+        }
+    });
+});
+
+describe('queryAuditPage()', () => {
+    it('filters by tool, status, score and time range', async () => {
+        const engine_version = seed([
+            { tool: 'plan', status: 200, score: 90, created_at: '2026-03-10 08:00:00' },
+            { tool: 'plan', status: 400, score: 40, created_at: '2026-03-11 08:00:00' },
+            { tool: 'synthesis', status: 200, score: 70, created_at: '2026-03-12 08:00:00' }
+        ]);
+        const ids = async (params) => (await queryAuditPage({ engine_version, ...params })).recent.map(e => e.id.slice(-1));
+        assert.deepEqual(await ids({}), ['2', '1', '0'], 'newest first');
+        assert.deepEqual(await ids({ tool: 'plan' }), ['1', '0']);
+        assert.deepEqual(await ids({ status: '400' }), ['1']);
+        assert.deepEqual(await ids({ min_score: '50', max_score: '80' }), ['2']);
+        assert.deepEqual(await ids({ from: '2026-03-11', to: '2026-03-11' }), ['1']);
+        assert.deepEqual(await ids({ to: '2026-03-10T09:00:00Z' }), ['0']);
+    });
+
+    it('pages with a cursor without skipping or repeating entries that share a timestamp', async () => {
+        const engine_version = seed(Array.from({ length: 7 }, () => ({})));
+        const seen = [];
+        let cursor;
+        do {
+            const page = await queryAuditPage({ engine_version, limit: '3', ...(cursor && { cursor }) });
+            assert.equal(page.count, 7);
+            seen.push(...page.recent.map(e => e.id));
+            cursor = page.next_cursor;
+        } while (cursor);
+        assert.equal(seen.length, 7);
+        assert.equal(new Set(seen).size, 7);
+        assert.deepEqual(seen, [...seen].sort().reverse());
+    });
+
+    it('returns only the requested fields', async () => {
+        const engine_version = seed([{}]);
+        const { recent, next_cursor } = await queryAuditPage({ engine_version, fields: 'id,trace_data' });
+        assert.deepEqual(recent, [{ id: `${engine_version}-000`, trace_data: { final_score: 80 } }]);
+        assert.equal(next_cursor, null);
+        assert.throws(() => decodeCursor(Buffer.from('["x"]').toString('base64url')), RangeError);
+    });
+});
+
+describe('createAuditExport()', () => {
+    it('writes CSV with quoting and neutralised formulas', async () => {
+        const engine_version = seed([{ correlation_id: '=HYPERLINK("x")' }, { correlation_id: 'a,b' }]);
+        const audit = createAuditExport({ engine_version, format: 'csv', fields: 'id,correlation_id,trace_data' });
+        assert.equal(audit.contentType, 'text/csv; charset=utf-8');
+        assert.equal((await collect(audit.chunks())).join(''), [
+            'id,correlation_id,trace_data',
+            `${engine_version}-001,"a,b","{""final_score"":80}"`,
+            `${engine_version}-000,"'=HYPERLINK(""x"")","{""final_score"":80}"`,
+            ''
+        ].join('\r\n'));
+    });
+
+    it('writes one JSON object per line, and validates before streaming', async () => {
+        const engine_version = seed([{}, {}]);
+        const lines = (await collect(createAuditExport({ engine_version, fields: 'id,status' }).chunks())).join('').trim().split('\n');
+        assert.deepEqual(lines.map(JSON.parse), [{ id: `${engine_version}-001`, status: 200 }, { id: `${engine_version}-000`, status: 200 }]);
+        assert.throws(() => createAuditExport({ format: 'xlsx' }), RangeError);
+    });
+});
+
+describe('applyAuditRetention()', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    it('prunes entries past the retention window and keeps the rest', async () => {
+        const engine_version = seed([{ created_at: '2026-01-01 00:00:00' }, { created_at: '2026-05-30 00:00:00' }]);
+        assert.ok(await applyAuditRetention({ days: 30, mode: 'prune', now }) >= 1);
+        assert.equal(getAuditLog(`${engine_version}-000`), null);
+        assert.ok(getAuditLog(`${engine_version}-001`));
+        assert.equal(await applyAuditRetention({ days: 0, mode: 'prune', now }), 0, '0 days keeps everything');
+    });
+
+    it('archives entries to NDJSON before deleting them', async () => {
+        const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-archive-'));
+        try {
+            const engine_version = seed([{ created_at: '2026-01-01 00:00:00' }]);
+            await applyAuditRetention({ days: 30, mode: 'archive', archiveDir, now });
+            assert.equal(getAuditLog(`${engine_version}-000`), null);
+            const archived = fs.readFileSync(path.join(archiveDir, 'audit-2026-06-01.ndjson'), 'utf8').trim().split('\n').map(JSON.parse);
+            assert.ok(archived.some(e => e.id === `${engine_version}-000` && e.trace_data.final_score === 80));
+        } finally {
+            fs.rmSync(archiveDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Re-Prompt v3.3 — Audit Storage Backend Tests
+ * Run: node --test tests/audit-store.test.mjs
+ * Postgres: AUDIT_TEST_PG_URL=postgres://postgres:pg@localhost:5432/postgres (skipped when unset)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createDbAuditStore, createJsonlAuditStore, createPostgresAuditStore, openAuditStore, getAuditStore } from '../audit-store.mjs';
+import { isPersistent } from '../db.mjs';
+
+const tmpDir = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+let seq = 0;
+
+/** Inserts entries under a fresh engine_version, so each test sees only its own. */
+async function seed(store, entries) {
+    const engine_version = `store-${process.pid}-${++seq}`;
+    for (const [i, e] of entries.entries()) {
+        await store.insert({
+            id: `${engine_version}-${String(i).padStart(3, '0')}`,
+            correlation_id: `corr-${i}`,
+            tool: 'synthesis',
+            status: 200,
+            duration_ms: 10,
+            engine_version,
+            created_at: '2026-03-15 12:00:00',
+            ...e,
+            trace_data: { final_score: e.score ?? 80 }
+        });
+    }
+    return engine_version;
+}
+
+/**
+ * The behaviour every backend shares: filters, cursor order, counts, trace merges and
+ * retention. |open()| returns a fresh store; |close()| tidies up after the suite.
+ */
+function conformance(name, { open, close = async () => { }, skip = false }) {
+    describe(`${name} audit store`, { skip }, () => {
+        let store;
+        before(async () => { store = await open(); });
+        after(async () => { await store?.close(); await close(); });
+
+        it('stores entries and reads them back by id', async () => {
+            const engine_version = await seed(store, [{ tool: 'plan' }]);
+            const entry = await store.get(`${engine_version}-000`);
+            assert.equal(entry.tool, 'plan');
+            assert.equal(entry.created_at, '2026-03-15 12:00:00');
+            assert.deepEqual(entry.trace_data, { final_score: 80 });
+            assert.equal(await store.get('missing'), null);
+        });
+
+        it('filters and orders like db.mjs', async () => {
+            const engine_version = await seed(store, [
+                { tool: 'plan', status: 200, score: 90, created_at: '2026-03-10 08:00:00' },
+                { tool: 'plan', status: 400, score: 40, created_at: '2026-03-11 08:00:00' },
+                { tool: 'synthesis', status: 200, score: 70, created_at: '2026-03-12 08:00:00' }
+            ]);
+            const ids = async (filters) => (await store.query({ engine_version, ...filters }, 10)).map(e => e.id.slice(-1));
+            assert.deepEqual(await ids({}), ['2', '1', '0']);
+            assert.deepEqual(await ids({ tool: 'plan' }), ['1', '0']);
+            assert.deepEqual(await ids({ status: 400 }), ['1']);
+            assert.deepEqual(await ids({ min_score: 50, max_score: 80 }), ['2']);
+            assert.deepEqual(await ids({ from: '2026-03-11 00:00:00', to: '2026-03-11 23:59:59' }), ['1']);
+            assert.equal(await store.count({ engine_version, tool: 'plan' }), 2);
+        });
+
+        it('continues after a cursor, breaking timestamp ties by id', async () => {
+            const engine_version = await seed(store, Array.from({ length: 5 }, () => ({})));
+            const first = await store.query({ engine_version }, 2);
+            const last = first[first.length - 1];
+            const rest = await store.query({ engine_version, after: { created_at: last.created_at, id: last.id } }, 10);
+            assert.deepEqual([...first, ...rest].map(e => e.id.slice(-1)), ['4', '3', '2', '1', '0']);
+            assert.equal(await store.count({ engine_version, after: { created_at: last.created_at, id: last.id } }), 5, 'count ignores the cursor');
+        });
+
+        it('merges trace data into an existing entry', async () => {
+            const engine_version = await seed(store, [{}]);
+            assert.equal(await store.mergeTrace(`${engine_version}-000`, { trace_id: 'abc' }), true);
+            assert.deepEqual((await store.get(`${engine_version}-000`)).trace_data, { final_score: 80, trace_id: 'abc' });
+            assert.equal(await store.mergeTrace('missing', { trace_id: 'abc' }), false);
+        });
+
+        it('keeps the spec of a synthesis entry for export', async () => {
+            const engine_version = await seed(store, [{}]);
+            await store.insertSynthesis(`${engine_version}-000`, { project_title: 'Deadline tracker' });
+            assert.deepEqual(await store.getSynthesis(`${engine_version}-000`), { project_title: 'Deadline tracker' });
+            assert.equal(await store.getSynthesis('missing'), null);
+        });
+
+        it('retires entries from before the cutoff day, archiving them on request', async () => {
+            const archiveDir = tmpDir('audit-store-archive-');
+            try {
+                const engine_version = await seed(store, [{ created_at: '2020-01-01 00:00:00' }, { created_at: '2020-01-02 00:00:00' }]);
+                const now = new Date('2026-06-01T00:00:00Z');
+                assert.ok(await store.retire('2020-01-02 00:00:00', { mode: 'archive', archiveDir, now }) >= 1);
+                assert.equal(await store.get(`${engine_version}-000`), null);
+                assert.ok(await store.get(`${engine_version}-001`));
+                const archived = fs.readdirSync(archiveDir)
+                    .flatMap(file => fs.readFileSync(path.join(archiveDir, file), 'utf8').trim().split('\n'))
+                    .map(line => JSON.parse(line));
+                assert.ok(archived.some(e => e.id === `${engine_version}-000`));
+                assert.ok(await store.retire('2020-01-03 00:00:00', { mode: 'prune', archiveDir, now }) >= 1);
+                assert.equal(await store.get(`${engine_version}-001`), null);
+            } finally {
+                fs.rmSync(archiveDir, { recursive: true, force: true });
+            }
+        });
+    });
+}
+
+conformance('db.mjs', { open: () => createDbAuditStore() });
+
+const jsonlDir = tmpDir('audit-jsonl-');
+conformance('JSONL', {
+    open: () => createJsonlAuditStore({ dir: jsonlDir }),
+    close: async () => fs.rmSync(jsonlDir, { recursive: true, force: true })
+});
+
+conformance('Postgres', {
+    open: () => createPostgresAuditStore({ url: process.env.AUDIT_TEST_PG_URL }),
+    skip: !process.env.AUDIT_TEST_PG_URL && 'set AUDIT_TEST_PG_URL to run against a Postgres server'
+});
+
+describe('createJsonlAuditStore()', () => {
+    it('rotates a day file past |maxBytes| and reloads every segment with merges applied', async () => {
+        const dir = tmpDir('audit-jsonl-rotate-');
+        try {
+            const store = createJsonlAuditStore({ dir, maxBytes: 400 });
+            const engine_version = await seed(store, Array.from({ length: 6 }, () => ({})));
+            await store.mergeTrace(`${engine_version}-002`, { spans: 3 });
+            const files = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort();
+            assert.ok(files.length > 1, files.join());
+            assert.ok(files.every(f => /^audit-2026-03-15(\.\d+)?\.jsonl$/.test(f)));
+            assert.ok(files.every(f => fs.statSync(path.join(dir, f)).size <= 400));
+
+            fs.appendFileSync(path.join(dir, files[0]), '{"id": "cut-short\n');
+            const reopened = createJsonlAuditStore({ dir, maxBytes: 400 });
+            assert.equal(await reopened.count({ engine_version }), 6);
+            assert.deepEqual((await reopened.get(`${engine_version}-002`)).trace_data, { final_score: 80, spans: 3 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('finds older entries and their specs after a restart', async () => {
+        const dir = tmpDir('audit-jsonl-restart-');
+        try {
+            const store = createJsonlAuditStore({ dir });
+            const engine_version = await seed(store, [{ created_at: '2026-03-01 09:00:00' }, {}]);
+            await store.insertSynthesis(`${engine_version}-000`, { project_title: 'Old spec' });
+
+            const reopened = createJsonlAuditStore({ dir });
+            assert.deepEqual(await reopened.getSynthesis(`${engine_version}-000`), { project_title: 'Old spec' });
+            assert.equal(await reopened.mergeTrace(`${engine_version}-000`, { spans: 1 }), true);
+            assert.deepEqual((await reopened.get(`${engine_version}-000`)).trace_data, { final_score: 80, spans: 1 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('looks ids up through the index, without reading other days', async () => {
+        const dir = tmpDir('audit-jsonl-index-');
+        try {
+            const store = createJsonlAuditStore({ dir });
+            const engine_version = await seed(store, [{ created_at: '2026-03-01 09:00:00' }]);
+            await store.insertSynthesis(`${engine_version}-000`, { project_title: 'Indexed' });
+            await store.insert({ id: 'newer', engine_version, created_at: '2026-03-20 09:00:00' });
+            // An unreadable segment on a newer day: a lookup that scanned days would hit it
+            fs.mkdirSync(path.join(dir, 'audit-2026-03-20.2.jsonl'));
+
+            const reopened = createJsonlAuditStore({ dir });
+            assert.equal((await reopened.get(`${engine_version}-000`)).id, `${engine_version}-000`);
+            assert.deepEqual(await reopened.getSynthesis(`${engine_version}-000`), { project_title: 'Indexed' });
+            assert.equal(await reopened.get('unknown'), null);
+            assert.equal(await reopened.getSynthesis('unknown'), null);
+            assert.equal(await reopened.mergeTrace('unknown', { spans: 1 }), false);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('builds the index for a store written without one', async () => {
+        const dir = tmpDir('audit-jsonl-reindex-');
+        try {
+            const store = createJsonlAuditStore({ dir });
+            const engine_version = await seed(store, [{ created_at: '2026-03-01 09:00:00' }, {}]);
+            await store.mergeTrace(`${engine_version}-000`, { spans: 2 });
+            fs.rmSync(path.join(dir, 'ids'), { recursive: true });
+
+            const reopened = createJsonlAuditStore({ dir });
+            assert.ok(fs.readdirSync(path.join(dir, 'ids')).length > 0);
+            assert.deepEqual((await reopened.get(`${engine_version}-000`)).trace_data, { final_score: 80, spans: 2 });
+            assert.equal((await reopened.get(`${engine_version}-001`)).id, `${engine_version}-001`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('reads only the days a page needs, and recounts a day once it changes', async () => {
+        const dir = tmpDir('audit-jsonl-pages-');
+        try {
+            const store = createJsonlAuditStore({ dir });
+            const engine_version = await seed(store, ['13', '14', '15'].map(d => ({ created_at: `2026-03-${d} 12:00:00` })));
+            assert.equal(await store.count({ engine_version }), 3);
+            // An unreadable segment on the oldest day: a page that stops before it never opens it
+            fs.mkdirSync(path.join(dir, 'audit-2026-03-13.1.jsonl'));
+            assert.deepEqual((await store.query({ engine_version }, 2)).map(e => e.id.slice(-1)), ['2', '1']);
+            await assert.rejects(store.query({ engine_version }, 3), { code: 'EISDIR' });
+            fs.rmdirSync(path.join(dir, 'audit-2026-03-13.1.jsonl'));
+
+            await store.insert({ id: `${engine_version}-003`, engine_version, created_at: '2026-03-15 13:00:00' });
+            assert.equal(await store.count({ engine_version }), 4);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('refuses a directory it cannot create', () => {
+        const file = path.join(tmpDir('audit-jsonl-file-'), 'not-a-dir');
+        fs.writeFileSync(file, '');
+        assert.throws(() => createJsonlAuditStore({ dir: path.join(file, 'logs') }));
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+});
+
+describe('createPostgresAuditStore()', () => {
+    it('needs a connection string', async () => {
+        await assert.rejects(createPostgresAuditStore({ url: '' }), /AUDIT_POSTGRES_URL/);
+    });
+
+    it('reports a server it cannot reach and releases the pool', async () => {
+        let ended = false;
+        class Pool {
+            query() { return Promise.reject(new Error('connect ECONNREFUSED 127.0.0.1:5432')); }
+            end() { ended = true; return Promise.resolve(); }
+        }
+        await assert.rejects(createPostgresAuditStore({ url: 'postgres://localhost/none', Pool }), /Cannot open the Postgres audit store: connect ECONNREFUSED/);
+        assert.ok(ended);
+    });
+});
+
+describe('openAuditStore()', () => {
+    it('fails loudly when persistence is required and the backend cannot persist', async (t) => {
+        if (isPersistent()) return t.skip('better-sqlite3 is installed');
+        await assert.rejects(openAuditStore({ backend: 'sqlite', persist: true }), /better-sqlite3/);
+        await assert.rejects(openAuditStore({ backend: 'postgres', persist: true }), /AUDIT_POSTGRES_URL|pg package/);
+    });
+
+    it('falls back to the db.mjs store when persistence is off', async () => {
+        const store = await openAuditStore({ backend: 'postgres', persist: false });
+        assert.equal(store.name, isPersistent() ? 'sqlite' : 'memory');
+        assert.equal(getAuditStore(), store);
+    });
+
+    it('surfaces SQLite write errors instead of keeping the entry in memory when persistence is required', async (t) => {
+        if (!isPersistent()) return t.skip('needs better-sqlite3');
+        const unwritable = { id: `strict-${process.pid}`, trace_data: { size: 1n } }; // BigInt cannot be serialised
+        await assert.rejects(createDbAuditStore({ strict: true }).insert(unwritable), TypeError);
+        assert.equal(await createDbAuditStore({ strict: true }).get(unwritable.id), null);
+        await createDbAuditStore({ strict: false }).insert(unwritable);
+        assert.ok(await createDbAuditStore({ strict: false }).get(unwritable.id), 'kept in the in-memory window');
+    });
+
+    it('always rejects an unknown backend', async () => {
+        await assert.rejects(openAuditStore({ backend: 'mongo', persist: false }), /Unknown AUDIT_STORE 'mongo'/);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Re-Prompt v3.3 — API Key Tests
+ * Run: node --test tests/auth.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AUTH, API_SCOPES, RATE_LIMITS } from '../config.mjs';
+import {
+    createApiKey, listApiKeys, revokeApiKey, authenticate, authorize, hasScope, quotaFor, hashKey
+} from '../auth.mjs';
+import { getApiKey } from '../db.mjs';
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+const bearer = (key) => ({ authorization: `Bearer ${key}` });
+
+describe('createApiKey()', () => {
+    it('returns the key once and stores only its hash', () => {
+        const created = createApiKey({ name: 'ci', scopes: ['validate', 'execute-tool'], quotas: { execute: 20 } }, NOW);
+        assert.match(created.key, /^rp_[a-f0-9]{12}_[A-Za-z0-9_-]{32}$/);
+        assert.ok(created.key.startsWith(`rp_${created.id}_`));
+
+        const stored = getApiKey(created.id);
+        assert.equal(stored.key_hash, hashKey(created.key));
+        assert.ok(!JSON.stringify(stored).includes(created.key));
+        assert.deepEqual(stored.scopes, ['validate', 'execute-tool']);
+
+        const listed = listApiKeys().find(k => k.id === created.id);
+        assert.equal(listed.name, 'ci');
+        assert.equal(listed.created_at, NOW.toISOString());
+        assert.ok(!('key_hash' in listed));
+    });
+
+    it('rejects unknown scopes, unknown quota classes and missing names with RangeError', () => {
+        assert.throws(() => createApiKey({ name: 'x', scopes: ['root'] }), /Unknown scope 'root'/);
+        assert.throws(() => createApiKey({ name: 'x', scopes: [] }), RangeError);
+        assert.throws(() => createApiKey({ name: 'x', quotas: { export: 5 } }), /Unknown quota 'export'/);
+        assert.throws(() => createApiKey({ name: 'x', quotas: { execute: 1.5 } }), RangeError);
+        assert.throws(() => createApiKey({ name: ' ' }), RangeError);
+        assert.throws(() => createApiKey({ name: 'x', budget_usd: -1 }), RangeError);
+    });
+});
+
+describe('authenticate()', () => {
+    it('treats requests without a key as anonymous, identified by IP', () => {
+        const { identity } = authenticate({}, '203.0.113.7');
+        assert.equal(identity.id, '203.0.113.7');
+        assert.equal(identity.anonymous, true);
+        assert.deepEqual(identity.scopes, AUTH.ANONYMOUS_SCOPES);
+    });
+
+    it('resolves Bearer and X-API-Key keys to the key identity and records last use', () => {
+        const { id, key } = createApiKey({ name: 'reader', scopes: ['logs'], budget_usd: 2 }, NOW);
+        const { identity } = authenticate(bearer(key), '203.0.113.7', NOW);
+        assert.equal(identity.id, `key:${id}`);
+        assert.equal(identity.anonymous, false);
+        assert.equal(identity.budget_usd, 2);
+        assert.equal(getApiKey(id).last_used_at, NOW.toISOString());
+
+        assert.equal(authenticate({ 'x-api-key': key }, '::1').identity.id, `key:${id}`);
+    });
+
+    it('answers 401 for unknown, tampered and revoked keys', () => {
+        const { id, key } = createApiKey({ name: 'temp' }, NOW);
+        for (const bad of ['nope', `rp_${id}_${'A'.repeat(32)}`, `${key}x`]) {
+            const result = authenticate(bearer(bad), '::1');
+            assert.equal(result.status, 401, bad);
+            assert.equal(result.identity, undefined);
+        }
+
+        assert.equal(revokeApiKey(id, NOW), true);
+        assert.equal(revokeApiKey(id, NOW), false, 'already revoked');
+        assert.match(authenticate(bearer(key), '::1').detail, /revoked/);
+        assert.equal(listApiKeys().find(k => k.id === id).revoked_at, NOW.toISOString());
+    });
+});
+
+describe('authorize()', () => {
+    it('answers 401 to anonymous callers and 403 to keys without the scope', () => {
+        const anonymous = authenticate({}, '::1').identity;
+        const reader = authenticate(bearer(createApiKey({ name: 'logs-only', scopes: ['logs'] }).key), '::1').identity;
+
+        assert.equal(authorize(anonymous, 'validate'), null);
+        assert.equal(authorize(anonymous, 'logs').status, 401);
+        assert.equal(authorize(reader, 'logs'), null);
+        assert.equal(authorize(reader, 'execute-tool').status, 403);
+        assert.equal(authorize(reader, null), null, 'static routes need no scope');
+    });
+
+    it('lets admin keys use every scope', () => {
+        const admin = authenticate(bearer(createApiKey({ name: 'ops', scopes: ['admin'] }).key), '::1').identity;
+        for (const scope of ['validate', 'execute-tool', 'logs', 'metrics']) assert.ok(hasScope(admin, scope), scope);
+    });
+
+    it('keeps admin-only routes from keys that hold every other scope', () => {
+        const others = API_SCOPES.filter(scope => scope !== 'admin');
+        const operator = authenticate(bearer(createApiKey({ name: 'operator', scopes: others }).key), '::1').identity;
+        assert.equal(authorize(operator, 'admin').status, 403);
+    });
+});
+
+describe('quotaFor()', () => {
+    it('uses the key quota for its route class and RATE_LIMITS otherwise', () => {
+        const { identity } = authenticate(bearer(createApiKey({ name: 'fast', quotas: { validate: 120 } }).key), '::1');
+        assert.equal(quotaFor(identity, 'validate'), 120);
+        assert.equal(quotaFor(identity, 'execute'), RATE_LIMITS.EXECUTE_MIN);
+        assert.equal(quotaFor(authenticate({}, '::1').identity, 'analyze'), RATE_LIMITS.ANALYZE_MIN);
+        assert.equal(quotaFor(identity, 'read'), RATE_LIMITS.READ_MIN);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Re-Prompt v3.3 — Circuit Breaker Tests
+ * Run: node --test tests/circuit-breaker.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCircuitBreaker, isCircuitOpen, BREAKER_STATE } from '../circuit-breaker.mjs';
+
+/** A breaker on a hand-driven clock: |clock.t| is the current time in ms. */
+function breaker(options = {}) {
+    const clock = { t: Date.parse('2026-03-15T12:00:00Z') };
+    const b = createCircuitBreaker('test', { windowMs: 10000, minRequests: 4, failureRate: 0.5, openMs: 5000, halfOpenProbes: 2, now: () => clock.t, ...options });
+    return { b, clock };
+}
+
+const ok = () => Promise.resolve('ok');
+const fail = () => Promise.reject(new Error('upstream 503'));
+
+async function calls(b, ...fns) {
+    for (const fn of fns) await b.run(fn).catch(err => err);
+}
+
+describe('createCircuitBreaker()', () => {
+    it('stays closed below the minimum number of calls, however many fail', async () => {
+        const { b } = breaker();
+        await calls(b, fail, fail, fail);
+        assert.equal(b.state(), BREAKER_STATE.CLOSED);
+    });
+
+    it('opens on the failure rate over the window, so successes offset failures', async () => {
+        const { b } = breaker();
+        await calls(b, ok, ok, fail, ok, ok, fail);
+        assert.equal(b.state(), BREAKER_STATE.CLOSED, '2 of 6 failed');
+        await calls(b, fail, fail);
+        assert.equal(b.state(), BREAKER_STATE.OPEN, '4 of 8 failed');
+    });
+
+    it('forgets outcomes older than the window', async () => {
+        const { b, clock } = breaker();
+        await calls(b, fail, fail, fail);
+        clock.t += 10001;
+        await calls(b, ok, ok, ok, fail);
+        assert.equal(b.state(), BREAKER_STATE.CLOSED, 'only 1 of the last 4 calls failed');
+    });
+
+    it('refuses calls while open without running them, with a retry hint', async () => {
+        const { b, clock } = breaker();
+        await calls(b, fail, fail, fail, fail);
+        clock.t += 2000;
+        let ran = false;
+        const err = await b.run(async () => { ran = true; }).catch(e => e);
+        assert.equal(ran, false);
+        assert.ok(isCircuitOpen(err));
+        assert.equal(err.breaker, 'test');
+        assert.equal(err.retry_after_s, 3);
+        assert.deepEqual(b.check(), { breaker: 'test', retry_after_s: 3 });
+    });
+
+    it('half-opens after the open period and admits a limited number of probes', async () => {
+        const { b, clock } = breaker();
+        await calls(b, fail, fail, fail, fail);
+        clock.t += 5000;
+        assert.equal(b.state(), BREAKER_STATE.HALF_OPEN);
+        assert.equal(b.check(), null);
+
+        const gates = [];
+        const held = () => new Promise(resolve => gates.push(resolve));
+        const probes = [b.run(held), b.run(held)];
+        assert.equal(b.check().retry_after_s, 1, 'both probe slots are taken');
+        assert.ok(isCircuitOpen(await b.run(ok).catch(e => e)));
+
+        gates.forEach(resolve => resolve('fine'));
+        await Promise.all(probes);
+        assert.equal(b.state(), BREAKER_STATE.CLOSED, 'every probe succeeded');
+        assert.equal(b.stats().calls, 0, 'closing starts a fresh window');
+    });
+
+    it('reopens when a probe fails', async () => {
+        const { b, clock } = breaker();
+        await calls(b, fail, fail, fail, fail);
+        clock.t += 5000;
+        await calls(b, ok, fail);
+        assert.equal(b.state(), BREAKER_STATE.OPEN);
+        assert.equal(b.check().retry_after_s, 5, 'a full open period again');
+    });
+
+    it('ignores outcomes of calls started before the last transition', async () => {
+        const { b } = breaker({ minRequests: 2 });
+        let release;
+        const slow = b.run(() => new Promise((_, reject) => { release = reject; }));
+        await calls(b, fail, fail);
+        assert.equal(b.state(), BREAKER_STATE.OPEN);
+        release(new Error('late'));
+        await slow.catch(() => { });
+        assert.equal(b.state(), BREAKER_STATE.OPEN);
+        assert.equal(b.stats().calls, 0);
+    });
+
+    it('does not count calls their caller aborted, and frees their probe slot', async () => {
+        const { b, clock } = breaker();
+        const controller = new AbortController();
+        controller.abort('cancelled');
+        const aborted = () => Promise.reject(new Error('This operation was aborted'));
+        for (let i = 0; i < 4; i++) await b.run(aborted, { signal: controller.signal }).catch(() => { });
+        assert.equal(b.state(), BREAKER_STATE.CLOSED);
+        assert.equal(b.stats().calls, 0);
+
+        await calls(b, fail, fail, fail, fail);
+        clock.t += 5000;
+        await b.run(aborted, { signal: controller.signal }).catch(() => { });
+        await b.run(aborted, { signal: controller.signal }).catch(() => { });
+        assert.equal(b.check(), null, 'aborted probes gave their slots back');
+        assert.equal(b.state(), BREAKER_STATE.HALF_OPEN);
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Re-Prompt v3.3 — Job Queue Tests
+ * Run: node --test tests/jobs.test.mjs
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJobQueue, jobView, JOB_STATUS } from '../jobs.mjs';
+import { callWithPolicy } from '../llm-policy.mjs';
+import { saveJob, getJob } from '../db.mjs';
+
+const queues = [];
+after(() => queues.forEach(q => q.close()));
+
+/** A queue whose handler is |handler|; closed after the suite. */
+function queue(handler, options = {}) {
+    const q = createJobQueue(handler, options);
+    queues.push(q);
+    return q;
+}
+
+/** Resolves with the final job view once |id| is done. */
+function done(q, id) {
+    return new Promise(resolve => {
+        const job = q.get(id);
+        if (job.finished_at) return resolve(jobView(job));
+        q.subscribe(id, (event, data) => { if (event === 'done') resolve(data); });
+    });
+}
+
+/** A promise with its resolve function, for handlers the test releases by hand. */
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('createJobQueue()', () => {
+    it('returns a queued job at once and stores the handler result', async () => {
+        const q = queue(async (job) => ({ status: 200, body: { echo: job.payload.text } }));
+        const job = q.submit({ text: 'hello' }, { client: 'key:abc' });
+        assert.equal(job.status, JOB_STATUS.RUNNING, 'a free worker picks the job up synchronously');
+
+        const final = await done(q, job.id);
+        assert.equal(final.status, JOB_STATUS.SUCCEEDED);
+        assert.deepEqual(final.result, { echo: 'hello' });
+        assert.equal(final.attempts, 1);
+        assert.ok(final.started_at && final.finished_at);
+        assert.equal(getJob(job.id).status, JOB_STATUS.SUCCEEDED, 'persisted');
+        assert.ok(!('payload' in final) && !('client' in final), 'the view hides payload and client');
+    });
+
+    it('runs at most |concurrency| jobs at a time, oldest first', async () => {
+        const gates = [deferred(), deferred(), deferred()];
+        const started = [];
+        const q = queue(async (job) => {
+            started.push(job.payload.n);
+            await gates[job.payload.n].promise;
+            return { status: 200, body: job.payload.n };
+        }, { concurrency: 2 });
+
+        const jobs = [0, 1, 2].map(n => q.submit({ n }));
+        assert.deepEqual(started, [0, 1]);
+        assert.deepEqual(q.stats(), { queued: 1, running: 2 });
+        assert.equal(q.get(jobs[2].id).status, JOB_STATUS.QUEUED);
+
+        gates[1].resolve();
+        await done(q, jobs[1].id);
+        assert.deepEqual(started, [0, 1, 2]);
+        gates[0].resolve();
+        gates[2].resolve();
+        await Promise.all([done(q, jobs[0].id), done(q, jobs[2].id)]);
+        assert.deepEqual(q.stats(), { queued: 0, running: 0 });
+    });
+
+    it('publishes pipeline events and tracks a monotonic percent', async () => {
+        const gate = deferred();
+        const q = queue(async (job, { progress }) => {
+            progress('llm.progress', { chars: 6000 });
+            progress('unknown', {});
+            await gate.promise;
+            progress('confidence', { final_score: 80 });
+            return { status: 200, body: {} };
+        }, { percentOf: (event) => ({ 'llm.progress': 30, confidence: 95 })[event] ?? null });
+
+        const job = q.submit({});
+        assert.deepEqual(q.get(job.id).progress, { event: 'unknown', data: {}, percent: 30 });
+        const events = [];
+        q.subscribe(job.id, (event) => events.push(event));
+        gate.resolve();
+        const final = await done(q, job.id);
+        assert.deepEqual(events, ['confidence', 'done']);
+        assert.equal(final.progress.percent, 95);
+    });
+
+    it('fails jobs whose handler returns a problem or throws', async () => {
+        const q = queue(async (job) => {
+            if (job.payload.throw) throw new Error('boom');
+            return { status: 422, title: 'Confidence Floor Violation', detail: 'Rejected score 4' };
+        });
+        const rejected = await done(q, q.submit({}).id);
+        assert.equal(rejected.status, JOB_STATUS.FAILED);
+        assert.deepEqual(rejected.error, { status: 422, title: 'Confidence Floor Violation', detail: 'Rejected score 4' });
+
+        const crashed = await done(q, q.submit({ throw: true }).id);
+        assert.equal(crashed.error.status, 500);
+        assert.equal(crashed.error.detail, 'boom');
+    });
+
+    it('times a job out, aborts its signal and frees the worker once the handler settles', async () => {
+        let signal;
+        const q = queue(async (job, ctx) => {
+            signal = ctx.signal;
+            await new Promise(r => setTimeout(r, 60));
+            ctx.progress('confidence', {}); // throws: the job is over
+            return { status: 200, body: 'too late' };
+        }, { concurrency: 1 });
+
+        const slow = q.submit({}, { timeout_ms: 20 });
+        const final = await done(q, slow.id);
+        assert.equal(final.status, JOB_STATUS.TIMED_OUT);
+        assert.equal(final.error.status, 504);
+        assert.equal(signal.aborted, true);
+
+        await new Promise(r => setTimeout(r, 60));
+        assert.equal(q.get(slow.id).status, JOB_STATUS.TIMED_OUT, 'the late result is discarded');
+        assert.deepEqual(q.stats(), { queued: 0, running: 0 });
+    });
+
+    it('caps and validates per-job timeouts', () => {
+        const q = queue(async () => ({ status: 200, body: null }), { timeoutMs: 1000, maxTimeoutMs: 5000 });
+        assert.equal(q.submit({}).timeout_ms, 1000);
+        assert.equal(q.submit({}, { timeout_ms: 60000 }).timeout_ms, 5000);
+        assert.throws(() => q.submit({}, { timeout_ms: -1 }), RangeError);
+        assert.throws(() => q.submit({}, { timeout_ms: 1.5 }), RangeError);
+    });
+
+    it('cancels queued and running jobs, but not finished ones', async () => {
+        const gate = deferred();
+        const q = queue(async (job, { progress }) => {
+            await gate.promise;
+            progress('confidence', {});
+            return { status: 200, body: null };
+        }, { concurrency: 1 });
+
+        const running = q.submit({});
+        const queued = q.submit({});
+        assert.equal(q.cancel(queued.id), true);
+        assert.equal(q.get(queued.id).status, JOB_STATUS.CANCELLED);
+        assert.equal(q.stats().queued, 0);
+
+        assert.equal(q.cancel(running.id), true);
+        gate.resolve();
+        const final = await done(q, running.id);
+        assert.equal(final.status, JOB_STATUS.CANCELLED);
+        assert.equal(final.error.title, 'Job Cancelled');
+        assert.equal(q.cancel(running.id), false);
+        assert.equal(q.cancel('00000000-0000-0000-0000-000000000000'), false);
+    });
+
+    it('aborts the model call in flight on cancel, so the next job starts at once', async () => {
+        // A provider that answers after 10s unless the request's signal aborts first
+        const provider = {
+            chat: ({ signal }) => new Promise((resolve, reject) => {
+                const timer = setTimeout(() => resolve({ content: 'late' }), 10000);
+                signal.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+            })
+        };
+        const started = [];
+        const q = queue(async (job, { signal }) => {
+            started.push(Date.now());
+            const completion = await callWithPolicy({ messages: [{ role: 'user', content: 'x' }], signal },
+                { chain: [{ provider: 'test', model: 'slow' }], maxRetries: 0, timeoutMs: 60000, getProvider: () => provider });
+            return { status: 200, body: completion.content };
+        }, { concurrency: 1 });
+
+        const first = q.submit({});
+        const second = q.submit({});
+        const cancelledAt = Date.now();
+        assert.equal(q.cancel(first.id), true);
+        await new Promise(r => setTimeout(r, 50));
+        assert.equal(started.length, 2, 'the worker was released without waiting for the model');
+        assert.ok(started[1] - cancelledAt < 50);
+        assert.equal(q.get(first.id).status, JOB_STATUS.CANCELLED);
+        q.cancel(second.id);
+    });
+});
+
+describe('recover()', () => {
+    const stored = (id, status, attempts) => {
+        const now = new Date().toISOString();
+        saveJob({ id, kind: 'synthesis', status, payload: { id }, client: null, attempts, timeout_ms: 1000, progress: null, result: null, error: null, created_at: now, updated_at: now, started_at: null, finished_at: null });
+    };
+
+    it('requeues jobs left queued or running by a previous process and fails repeat offenders', async () => {
+        stored('recover-queued', JOB_STATUS.QUEUED, 0);
+        stored('recover-interrupted', JOB_STATUS.RUNNING, 1);
+        stored('recover-exhausted', JOB_STATUS.RUNNING, 2);
+
+        const ran = [];
+        const q = queue(async (job) => { ran.push(job.payload.id); return { status: 200, body: null }; }, { maxAttempts: 2 });
+        assert.equal(q.recover(), 2);
+        assert.deepEqual(ran, ['recover-queued', 'recover-interrupted']);
+
+        assert.equal((await done(q, 'recover-interrupted')).attempts, 2);
+        const exhausted = getJob('recover-exhausted');
+        assert.equal(exhausted.status, JOB_STATUS.FAILED);
+        assert.equal(exhausted.error.title, 'Job Interrupted');
+    });
+});
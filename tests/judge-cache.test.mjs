@@ -0,0 +1,82 @@
+/**
+ * Re-Prompt v3.3 — Judge Cache Tests
+ * Run: node --test tests/judge-cache.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLruCache, createJudgeCache, judgeCacheKey } from '../judge-cache.mjs';
+import { renderOpenMetrics } from '../metrics.mjs';
+
+/** A clock the tests move by hand: |clock.t| is the current time in ms. */
+function clocked() {
+    const clock = { t: Date.parse('2026-03-15T12:00:00Z') };
+    return { clock, now: () => clock.t };
+}
+
+describe('judgeCacheKey()', () => {
+    it('changes with the judge model and prompt version, not only the texts', () => {
+        const base = { provider: 'groq', model: 'llama-3.1-8b-instant', promptVersion: 'v1', featureText: 'reminders', userInput: 'deadline reminders' };
+        const key = judgeCacheKey(base);
+        assert.equal(judgeCacheKey({ ...base }), key);
+        assert.notEqual(judgeCacheKey({ ...base, model: 'llama-3.3-70b-versatile' }), key);
+        assert.notEqual(judgeCacheKey({ ...base, promptVersion: 'v2' }), key);
+        assert.notEqual(judgeCacheKey({ ...base, featureText: 'reminders|', userInput: 'deadline reminders' }),
+            judgeCacheKey({ ...base, featureText: 'reminders', userInput: '|deadline reminders' }), 'no separator collisions');
+    });
+});
+
+describe('createLruCache()', () => {
+    it('evicts the least recently used entry past the cap', () => {
+        const cache = createLruCache({ maxEntries: 2, ttlMs: 60000 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.equal(cache.get('a'), 1, 'touching a makes b the oldest');
+        cache.set('c', 3);
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.size(), 2);
+    });
+
+    it('peek() leaves recency alone', () => {
+        const cache = createLruCache({ maxEntries: 2, ttlMs: 60000 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.equal(cache.peek('a'), 1);
+        cache.set('c', 3);
+        assert.equal(cache.peek('a'), undefined);
+    });
+
+    it('expires entries after their TTL and sweeps them', () => {
+        const { clock, now } = clocked();
+        const cache = createLruCache({ maxEntries: 10, ttlMs: 1000, now });
+        cache.set('a', 1);
+        cache.set('b', 2, clock.t + 5000);
+        clock.t += 1000;
+        assert.equal(cache.get('a'), undefined);
+        assert.equal(cache.get('b'), 2, 'an explicit expiry wins over the TTL');
+        clock.t += 4000;
+        assert.equal(cache.sweep(), 1);
+        assert.equal(cache.size(), 0);
+    });
+});
+
+describe('createJudgeCache()', () => {
+    it('counts hits and misses in its stats and in metrics', () => {
+        const cache = createJudgeCache({ maxEntries: 10, ttlMs: 60000, store: 'memory', sweepIntervalMs: 0 });
+        assert.equal(cache.get('k'), undefined);
+        cache.set('k', 0.8);
+        assert.equal(cache.get('k'), 0.8);
+        assert.equal(cache.peek('k'), 0.8);
+        assert.deepEqual(cache.stats(), { store: 'memory', entries: 1, persisted: null, hits: 1, misses: 1, hit_rate: 0.5 });
+        assert.match(renderOpenMetrics(), /^reprompt_judge_cache_lookups_total\{result="hit"\} [1-9]\d*$/m);
+    });
+
+    it('keeps scores in memory when SQLite is unavailable', () => {
+        const cache = createJudgeCache({ store: 'sqlite', sweepIntervalMs: 0 });
+        cache.set('k', 0.3);
+        assert.equal(cache.store, 'memory');
+        assert.equal(cache.get('k'), 0.3);
+    });
+});
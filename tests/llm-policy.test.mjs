@@ -0,0 +1,147 @@
+/**
+ * Re-Prompt v3.3 — LLM Call Policy Tests
+ * Run: node --test tests/llm-policy.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { callWithPolicy, buildChain, retryDelay, retryReason } from '../llm-policy.mjs';
+
+const httpError = (status, retryAfterMs = null) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfterMs });
+const timeoutError = () => Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+
+/**
+ * Providers by name whose chat() answers from |script[model]|, a list of errors or
+ * 'ok' consumed one call at a time. |calls| records "model@provider" per call.
+ */
+function scripted(script) {
+    const calls = [];
+    const getProvider = (name) => ({
+        name,
+        async chat({ model }) {
+            calls.push(`${model}@${name}`);
+            const next = script[model]?.shift() ?? 'ok';
+            if (next instanceof Error) throw next;
+            return { content: `answer from ${model}`, model };
+        }
+    });
+    return { calls, getProvider };
+}
+
+const policy = (getProvider, options = {}) => ({ getProvider, sleep: async () => { }, random: () => 0.5, maxRetries: 2, ...options });
+
+describe('retryReason()', () => {
+    it('retries rate limits, server errors, timeouts and network failures only', () => {
+        assert.equal(retryReason(httpError(429)), 'rate_limited');
+        assert.equal(retryReason(httpError(503)), 'server_error');
+        assert.equal(retryReason(timeoutError()), 'timeout');
+        assert.equal(retryReason(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } })), 'network');
+        assert.equal(retryReason(httpError(400)), null);
+        assert.equal(retryReason(new Error('groq parse error: <html>')), null);
+    });
+});
+
+describe('retryDelay()', () => {
+    it('backs off exponentially with full jitter, capped', () => {
+        const opts = { baseMs: 100, maxMs: 1000, random: () => 1 };
+        assert.deepEqual([1, 2, 3, 4, 5].map(n => retryDelay(n, httpError(500), opts)), [100, 200, 400, 800, 1000]);
+        assert.equal(retryDelay(3, httpError(500), { ...opts, random: () => 0.25 }), 100);
+    });
+
+    it("uses the server's retry-after, or gives up on the model when it is too long", () => {
+        assert.equal(retryDelay(1, httpError(429, 2000), { maxMs: 5000 }), 2000);
+        assert.equal(retryDelay(1, httpError(429, 60000), { maxMs: 5000 }), null);
+    });
+});
+
+describe('buildChain()', () => {
+    it('starts with the requested model and drops repeats', () => {
+        const chain = buildChain('llama-3.3-70b-versatile', [
+            { model: 'llama-3.1-8b-instant', provider: null },
+            { model: 'llama3.1:8b', provider: 'local' },
+            { model: 'llama-3.3-70b-versatile', provider: null }
+        ], 'groq');
+        assert.deepEqual(chain, [
+            { model: 'llama-3.3-70b-versatile', provider: 'groq' },
+            { model: 'llama-3.1-8b-instant', provider: 'groq' },
+            { model: 'llama3.1:8b', provider: 'local' }
+        ]);
+    });
+});
+
+describe('callWithPolicy()', () => {
+    const chain = buildChain('big', [{ model: 'small', provider: null }, { model: 'tiny', provider: 'local' }], 'groq');
+
+    it('reports the primary model when it answers', async () => {
+        const { calls, getProvider } = scripted({});
+        const completion = await callWithPolicy({ messages: [] }, policy(getProvider, { chain }));
+        assert.equal(completion.content, 'answer from big');
+        assert.deepEqual(completion.served_by, { provider: 'groq', model: 'big', fallback: false, attempts: 1 });
+        assert.deepEqual(calls, ['big@groq']);
+    });
+
+    it('retries transient failures on the same model with the computed delays', async () => {
+        const { calls, getProvider } = scripted({ big: [httpError(503), httpError(429, 1500)] });
+        const waits = [];
+        const completion = await callWithPolicy({ messages: [] }, policy(getProvider, { chain, baseDelayMs: 100, sleep: async (ms) => { waits.push(ms); } }));
+        assert.deepEqual(calls, ['big@groq', 'big@groq', 'big@groq']);
+        assert.deepEqual(waits, [50, 1500], 'jittered backoff, then the retry-after');
+        assert.equal(completion.served_by.attempts, 3);
+        assert.equal(completion.served_by.fallback, false);
+    });
+
+    it('falls back down the chain once retries are spent', async () => {
+        const { calls, getProvider } = scripted({ big: [timeoutError(), timeoutError(), timeoutError()], small: [httpError(500), httpError(500), httpError(500)] });
+        const completion = await callWithPolicy({ messages: [] }, policy(getProvider, { chain }));
+        assert.deepEqual(calls, ['big@groq', 'big@groq', 'big@groq', 'small@groq', 'small@groq', 'small@groq', 'tiny@local']);
+        assert.deepEqual(completion.served_by, { provider: 'local', model: 'tiny', fallback: true, attempts: 7 });
+    });
+
+    it('moves on without retrying errors a retry would not fix', async () => {
+        const { calls, getProvider } = scripted({ big: [httpError(400)] });
+        const completion = await callWithPolicy({ messages: [] }, policy(getProvider, { chain }));
+        assert.deepEqual(calls, ['big@groq', 'small@groq']);
+        assert.equal(completion.served_by.model, 'small');
+    });
+
+    it('rejects with the last error when every model fails', async () => {
+        const { getProvider } = scripted({ big: [httpError(401)], small: [httpError(401)], tiny: [httpError(404)] });
+        await assert.rejects(callWithPolicy({ messages: [] }, policy(getProvider, { chain })), /HTTP 404/);
+    });
+
+    it('aborts an attempt after the timeout and stops when the caller aborts', async () => {
+        const hanging = () => ({
+            chat: ({ signal }) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+        });
+        const keepAlive = setTimeout(() => { }, 1000); // AbortSignal.timeout() alone does not hold the event loop open
+        const timedOut = callWithPolicy({ messages: [] }, policy(hanging, { chain: buildChain('big', [], 'groq'), maxRetries: 0, timeoutMs: 20 }));
+        await assert.rejects(timedOut, { name: 'TimeoutError' });
+        clearTimeout(keepAlive);
+
+        const caller = new AbortController();
+        const pending = callWithPolicy({ messages: [], signal: caller.signal }, policy(hanging, { chain, timeoutMs: 60000 }));
+        caller.abort(new Error('client went away'));
+        await assert.rejects(pending, /client went away/);
+    });
+
+    it('combines the caller signal with the timeout without AbortSignal.any (Node < 20.3)', async (t) => {
+        t.mock.method(AbortSignal, 'any', () => { throw new TypeError('AbortSignal.any is not a function'); });
+        const { calls, getProvider } = scripted({});
+        const caller = new AbortController();
+        const completion = await callWithPolicy({ messages: [], signal: caller.signal }, policy(getProvider, { chain: buildChain('big', [], 'groq') }));
+        assert.equal(completion.served_by.attempts, 1);
+        assert.deepEqual(calls, ['big@groq']);
+    });
+
+    it('stops waiting out a backoff when the caller aborts', async () => {
+        const { getProvider } = scripted({ big: [httpError(503)] });
+        const caller = new AbortController();
+        const started = Date.now();
+        const pending = callWithPolicy({ messages: [], signal: caller.signal },
+            policy(getProvider, { chain: buildChain('big', [], 'groq'), sleep: undefined, baseDelayMs: 60000, maxDelayMs: 60000 }));
+        setTimeout(() => caller.abort(new Error('job cancelled')), 20);
+        await assert.rejects(pending, /job cancelled/);
+        assert.ok(Date.now() - started < 1000, 'rejected during the 30s backoff');
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Re-Prompt v3.3 — LLM Provider Layer Tests
+ * Run: node --test tests/llm-provider.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createProvider, withFixtures, fixtureKey, parseRetryAfter } from '../llm-provider.mjs';
+
+const VISION_MESSAGES = [
+    { role: 'system', content: 'You are Re-Prompt.' },
+    { role: 'user', content: 'VISION: A web app for students to track academic deadlines with reminders.\n\nANSWERS:\n' }
+];
+
+describe('fixture provider', () => {
+    const provider = createProvider('fixture');
+
+    it('is deterministic for identical requests', async () => {
+        const a = await provider.chat({ model: 'm', messages: VISION_MESSAGES, task: 'synthesis' });
+        const b = await provider.chat({ model: 'm', messages: VISION_MESSAGES, task: 'synthesis' });
+        assert.equal(a.content, b.content);
+    });
+
+    it('clarify task returns a question list', async () => {
+        const { content } = await provider.chat({ model: 'm', messages: VISION_MESSAGES, task: 'clarify' });
+        const parsed = JSON.parse(content);
+        assert.ok(Array.isArray(parsed.questions) && parsed.questions.length > 0);
+    });
+
+    it('synthesis task traces features back to the vision', async () => {
+        const { content } = await provider.chat({ model: 'm', messages: VISION_MESSAGES, task: 'synthesis' });
+        const parsed = JSON.parse(content);
+        assert.ok(parsed.generated_prompts.universal_master.includes('academic deadlines'));
+        assert.ok(parsed.core_features.some(f => f.description.includes('track academic deadlines')));
+    });
+
+    it('judge task scores overlapping text above unrelated text', async () => {
+        const judge = (a, b) => provider.chat({
+            model: 'm',
+            task: 'judge',
+            messages: [{ role: 'user', content: `A: "${a}"\nB: "${b}"\nScore similarity.` }]
+        }).then(r => JSON.parse(r.content).score);
+        const related = await judge('deadline reminders for students', 'students track deadlines with reminders');
+        const unrelated = await judge('blockchain ledger consensus', 'students track deadlines with reminders');
+        assert.ok(related > unrelated, `expected ${related} > ${unrelated}`);
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+
+    async function withStub(handler, fn) {
+        const server = http.createServer(handler);
+        await new Promise(r => server.listen(0, '127.0.0.1', r));
+        try {
+            return await fn(`http://127.0.0.1:${server.address().port}/v1`);
+        } finally {
+            server.close();
+        }
+    }
+
+    it('posts to /chat/completions and returns message content', async () => {
+        let seen = null;
+        await withStub((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                seen = { url: req.url, auth: req.headers.authorization, body: JSON.parse(body) };
+                res.end(JSON.stringify({ model: 'stub-model', choices: [{ message: { content: '{"ok":true}' } }] }));
+            });
+        }, async (baseUrl) => {
+            const provider = createProvider('local', { baseUrl });
+            const r = await provider.chat({ model: 'llama3', messages: VISION_MESSAGES, jsonMode: true });
+            assert.equal(r.content, '{"ok":true}');
+            assert.equal(r.model, 'stub-model');
+        });
+        assert.equal(seen.url, '/v1/chat/completions');
+        assert.equal(seen.body.model, 'llama3');
+        assert.deepEqual(seen.body.response_format, { type: 'json_object' });
+    });
+
+    it('streams deltas through onToken when the server answers with SSE', async () => {
+        await withStub((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const piece of ['{"sc', 'ore":', '0.8}']) {
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+            }
+            res.end('data: [DONE]\n\n');
+        }, async (baseUrl) => {
+            const deltas = [];
+            const provider = createProvider('local', { baseUrl });
+            const r = await provider.chat({ model: 'm', messages: VISION_MESSAGES, onToken: d => deltas.push(d) });
+            assert.equal(r.content, '{"score":0.8}');
+            assert.deepEqual(deltas, ['{"sc', 'ore":', '0.8}']);
+        });
+    });
+
+    it('surfaces upstream error messages', async () => {
+        await withStub((req, res) => {
+            res.end(JSON.stringify({ error: { message: 'model not found' } }));
+        }, async (baseUrl) => {
+            const provider = createProvider('openai', { baseUrl });
+            await assert.rejects(provider.chat({ model: 'x', messages: VISION_MESSAGES }), /model not found/);
+        });
+    });
+
+    it('tags HTTP errors with their status and retry-after for the call policy', async () => {
+        await withStub((req, res) => {
+            res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '7' });
+            res.end(JSON.stringify({ error: { message: 'Rate limit reached' } }));
+        }, async (baseUrl) => {
+            const provider = createProvider('openai', { baseUrl });
+            await assert.rejects(provider.chat({ model: 'x', messages: VISION_MESSAGES }), (err) => {
+                assert.match(err.message, /Rate limit reached \(HTTP 429\)/);
+                assert.equal(err.status, 429);
+                assert.equal(err.retryAfterMs, 7000);
+                return true;
+            });
+        });
+    });
+
+    it('parses Retry-After as seconds or an HTTP date', () => {
+        const now = Date.parse('2026-03-15T12:00:00Z');
+        assert.equal(parseRetryAfter('2.5', now), 2500);
+        assert.equal(parseRetryAfter('Sun, 15 Mar 2026 12:00:30 GMT', now), 30000);
+        assert.equal(parseRetryAfter(null, now), null);
+        assert.equal(parseRetryAfter('soon', now), null);
+    });
+
+    it('openai provider without a base URL is rejected', () => {
+        assert.throws(() => createProvider('openai', { baseUrl: '' }), /base URL/);
+    });
+
+    it('unknown provider name is rejected', () => {
+        assert.throws(() => createProvider('bard'), /Unknown LLM provider/);
+    });
+});
+
+describe('record / replay', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reprompt-fixtures-'));
+    const request = { model: 'm', messages: VISION_MESSAGES, jsonMode: true, task: 'clarify' };
+
+    it('record writes one file per request hash', async () => {
+        const recorder = withFixtures(createProvider('fixture'), { mode: 'record', dir });
+        await recorder.chat(request);
+        assert.ok(fs.existsSync(path.join(dir, `${fixtureKey(request)}.json`)));
+    });
+
+    it('replay answers from disk without calling the inner provider', async () => {
+        const offline = { name: 'groq', chat: () => { throw new Error('network used in replay'); } };
+        const replayer = withFixtures(offline, { mode: 'replay', dir });
+        const { content } = await replayer.chat(request);
+        assert.ok(JSON.parse(content).questions.length > 0);
+    });
+
+    it('replay of an unrecorded request fails loudly', async () => {
+        const replayer = withFixtures(createProvider('fixture'), { mode: 'replay', dir });
+        await assert.rejects(replayer.chat({ ...request, model: 'other' }), /No recorded LLM fixture/);
+    });
+
+    it('key ignores the abort signal and task hint', () => {
+        const ac = new AbortController();
+        assert.equal(fixtureKey(request), fixtureKey({ ...request, task: 'judge', signal: ac.signal }));
+    });
+});
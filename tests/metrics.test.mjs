@@ -0,0 +1,108 @@
+/**
+ * Re-Prompt v3.3 — Metrics Tests
+ * Run: node --test tests/metrics.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { METRICS } from '../config.mjs';
+import {
+    defineCounter, defineHistogram, registerGauge, inc, observe,
+    incCounter, recordLatency, recordConfidence, getMetricsReport, renderOpenMetrics
+} from '../metrics.mjs';
+
+// The registry is process-wide, so each test declares its own families
+const lines = (prefix) => renderOpenMetrics().split('\n').filter(l => l.startsWith(prefix));
+
+describe('counters', () => {
+    it('keep one series per label set, rendered with the _total suffix', () => {
+        defineCounter('test_jobs', 'Test jobs.');
+        inc('test_jobs', { tool: 'plan', status: 'ok' });
+        inc('test_jobs', { tool: 'plan', status: 'ok' });
+        inc('test_jobs', { tool: 'plan', status: 'error' }, 3);
+        assert.deepEqual(lines('reprompt_test_jobs'), [
+            'reprompt_test_jobs_total{tool="plan",status="ok"} 2',
+            'reprompt_test_jobs_total{tool="plan",status="error"} 3'
+        ]);
+    });
+
+    it('escape label values', () => {
+        defineCounter('test_escape', 'Escaping.');
+        inc('test_escape', { route: 'a"b\\c\nd' });
+        assert.deepEqual(lines('reprompt_test_escape_total'), ['reprompt_test_escape_total{route="a\\"b\\\\c\\nd"} 1']);
+    });
+
+    it('reject unknown and duplicate names', () => {
+        assert.throws(() => inc('test_missing'), /Unknown counter/);
+        assert.throws(() => defineCounter('test_jobs', 'Again.'), /already registered/);
+        assert.throws(() => inc('confidence_score'), /Unknown counter/);
+    });
+
+    it('incCounter keeps the flat JSON counters and feeds reprompt_events', () => {
+        incCounter('test_group', 'hit');
+        assert.equal(getMetricsReport().counters['test_group.hit'], 1);
+        assert.deepEqual(lines('reprompt_events_total{group="test_group"'), ['reprompt_events_total{group="test_group",name="hit"} 1']);
+    });
+});
+
+describe('histograms', () => {
+    it('render cumulative buckets, +Inf, count and sum', () => {
+        defineHistogram('test_duration_seconds', 'Test durations.', [0.1, 1, 2.5]);
+        for (const v of [0.05, 0.5, 0.7, 2, 9]) observe('test_duration_seconds', v, { route: '/x' });
+        assert.deepEqual(lines('reprompt_test_duration_seconds'), [
+            'reprompt_test_duration_seconds_bucket{route="/x",le="0.1"} 1',
+            'reprompt_test_duration_seconds_bucket{route="/x",le="1.0"} 3',
+            'reprompt_test_duration_seconds_bucket{route="/x",le="2.5"} 4',
+            'reprompt_test_duration_seconds_bucket{route="/x",le="+Inf"} 5',
+            'reprompt_test_duration_seconds_count{route="/x"} 5',
+            'reprompt_test_duration_seconds_sum{route="/x"} 12.25'
+        ]);
+    });
+
+    it('recordLatency and recordConfidence feed the configured buckets and the JSON summary', () => {
+        recordLatency(1500, { intent_mode: 'PRD_GENERATION' });
+        recordConfidence(72);
+        const report = getMetricsReport();
+        const synthesis = report.histograms.synthesis_duration_seconds.find(s => s.labels.intent_mode === 'PRD_GENERATION');
+        assert.equal(synthesis.count, 1);
+        assert.deepEqual(synthesis.buckets.map(b => b.le), METRICS.LATENCY_BUCKETS);
+        assert.equal(synthesis.buckets.find(b => b.le === 1).count, 0);
+        assert.equal(synthesis.buckets.find(b => b.le === 2.5).count, 1);
+        assert.equal(report.histograms.confidence_score[0].buckets.find(b => b.le === 80).count, 1);
+        assert.ok(report.latency.samples >= 1 && report.latency.p95_ms >= 1500);
+        assert.ok(report.confidence.samples >= 1);
+    });
+});
+
+describe('gauges', () => {
+    it('are read at scrape time, with optional labels', () => {
+        let size = 3;
+        registerGauge('test_cache_entries', 'Test cache.', () => size);
+        registerGauge('test_breaker_state', 'Test breaker.', () => [{ labels: { breaker: 'judge' }, value: 1 }]);
+        size = 7;
+        assert.deepEqual(lines('reprompt_test_cache_entries'), ['reprompt_test_cache_entries 7']);
+        assert.deepEqual(lines('reprompt_test_breaker_state'), ['reprompt_test_breaker_state{breaker="judge"} 1']);
+        assert.deepEqual(getMetricsReport().gauges.test_cache_entries, [{ labels: {}, value: 7 }]);
+    });
+
+    it('skip a failing collector without breaking the scrape', () => {
+        registerGauge('test_broken', 'Broken.', () => { throw new Error('boom'); });
+        assert.deepEqual(lines('reprompt_test_broken '), []);
+        assert.ok(renderOpenMetrics().endsWith('# EOF\n'));
+    });
+});
+
+describe('renderOpenMetrics()', () => {
+    it('declares TYPE and HELP before each family and ends with # EOF', () => {
+        const text = renderOpenMetrics();
+        const out = text.trimEnd().split('\n');
+        assert.equal(out.at(-1), '# EOF');
+        assert.equal(out.filter(l => l === '# EOF').length, 1);
+        const typeAt = out.indexOf('# TYPE reprompt_http_requests counter');
+        assert.ok(typeAt !== -1);
+        assert.equal(out[typeAt + 1], '# HELP reprompt_http_requests HTTP responses by route template, method and status.');
+        assert.ok(out.includes('# TYPE reprompt_confidence_score histogram'));
+        assert.ok(out.includes('# TYPE reprompt_uptime_seconds gauge'));
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Re-Prompt v3.3 — Schema Migration Tests
+ * Run: node --test tests/migrations.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from '../migrations.mjs';
+import { migrationStatus, applyMigrations, createMemoryStore, schemaVersion } from '../db.mjs';
+
+/**
+ * A stand-in for a SQLite connection (better-sqlite3 is optional): records executed
+ * SQL, keeps schema_version rows and honours BEGIN / COMMIT / ROLLBACK.
+ */
+function fakeConnection(rows = []) {
+    const conn = { executed: [], rows: [...rows], snapshot: null };
+    conn.exec = (sql) => {
+        const statement = sql.trim();
+        if (statement === 'BEGIN') conn.snapshot = [...conn.rows];
+        else if (statement === 'COMMIT') conn.snapshot = null;
+        else if (statement === 'ROLLBACK') { conn.rows = conn.snapshot; conn.snapshot = null; }
+        else if (statement.includes('BROKEN')) throw new Error('near "BROKEN": syntax error');
+        else if (!statement.includes('schema_version')) conn.executed.push(statement);
+    };
+    conn.prepare = () => ({
+        all: () => [...conn.rows],
+        run: (version, name, applied_at) => conn.rows.push({ version, name, applied_at })
+    });
+    return conn;
+}
+
+const now = () => new Date('2026-03-15T12:00:00Z');
+
+describe('MIGRATIONS', () => {
+    it('are numbered 1, 2, 3… with a name and SQL each', () => {
+        MIGRATIONS.forEach((m, i) => {
+            assert.equal(m.version, i + 1);
+            assert.ok(m.name && m.sql.trim());
+        });
+        assert.equal(LATEST_SCHEMA_VERSION, MIGRATIONS.length);
+    });
+});
+
+describe('applyMigrations()', () => {
+    it('brings a new database to the latest version once', () => {
+        const conn = fakeConnection();
+        assert.deepEqual(migrationStatus(conn).pending.map(m => m.version), MIGRATIONS.map(m => m.version));
+        assert.deepEqual(applyMigrations(conn, { now }), MIGRATIONS.map(m => m.version));
+        assert.deepEqual(conn.executed, MIGRATIONS.map(m => m.sql.trim()));
+        assert.deepEqual(conn.rows[0], { version: 1, name: 'baseline schema', applied_at: '2026-03-15T12:00:00.000Z' });
+
+        const status = migrationStatus(conn);
+        assert.equal(status.current, LATEST_SCHEMA_VERSION);
+        assert.deepEqual(status.pending, []);
+        assert.deepEqual(applyMigrations(conn), [], 'nothing left to apply');
+    });
+
+    it('stops at |to| and resumes from the recorded version', () => {
+        const conn = fakeConnection();
+        assert.deepEqual(applyMigrations(conn, { to: 1 }), [1]);
+        assert.equal(migrationStatus(conn).current, 1);
+        assert.deepEqual(applyMigrations(conn), MIGRATIONS.slice(1).map(m => m.version));
+    });
+
+    it('rolls back a failing migration and leaves the version where it was', () => {
+        const migrations = [
+            { version: 1, name: 'ok', sql: 'CREATE TABLE a (id TEXT)' },
+            { version: 2, name: 'broken', sql: 'BROKEN' },
+            { version: 3, name: 'later', sql: 'CREATE TABLE c (id TEXT)' }
+        ];
+        const conn = fakeConnection();
+        assert.throws(() => applyMigrations(conn, { migrations }), /Migration 2 \(broken\) failed: near "BROKEN"/);
+        assert.equal(migrationStatus(conn, migrations).current, 1);
+        assert.deepEqual(conn.executed, ['CREATE TABLE a (id TEXT)'], 'migration 3 never ran');
+    });
+
+    it('reports a database newer than this build', () => {
+        const status = migrationStatus(fakeConnection([{ version: 99, name: 'future', applied_at: '2030-01-01T00:00:00Z' }]));
+        assert.equal(status.current, 99);
+        assert.ok(status.current > status.latest);
+        assert.deepEqual(status.pending, []);
+    });
+});
+
+describe('createMemoryStore()', () => {
+    it('builds every SQLite table that has an in-memory fallback, at the latest version', () => {
+        const store = createMemoryStore(MIGRATIONS, now);
+        const tables = MIGRATIONS.flatMap(m => [...m.sql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)/g)].map(match => match[1]));
+        const ownTier = ['rate_limit_buckets', 'judge_cache'];
+        assert.deepEqual(tables.filter(t => !ownTier.includes(t)).filter(t => !(t in store)), []);
+        assert.deepEqual(store.schema_version.map(r => r.version), MIGRATIONS.map(m => m.version));
+        assert.equal(schemaVersion(), LATEST_SCHEMA_VERSION, 'the fallback store in use reports the same version');
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Re-Prompt v3.3 — Rate Limiting Tests
+ * Run: node --test tests/rate-limit.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { takeToken, createMemoryStore, createRateLimiter } from '../rate-limit.mjs';
+
+const T0 = Date.parse('2026-03-15T12:00:00Z');
+
+describe('takeToken()', () => {
+    it('starts full, allows a burst of |limit| and then refuses', () => {
+        let bucket = null;
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            const step = takeToken(bucket, 3, T0);
+            bucket = step.bucket;
+            results.push(step.result);
+        }
+        assert.deepEqual(results.map(r => r.allowed), [true, true, true, false]);
+        assert.deepEqual(results.map(r => r.remaining), [2, 1, 0, 0]);
+        assert.equal(results[3].retry_after_s, 20, 'one token refills every 60s / 3');
+        assert.equal(results[3].reset_s, 60, 'a drained bucket is full again after one minute');
+    });
+
+    it('refills continuously at limit per minute, capped at the limit', () => {
+        const empty = { tokens: 0, updated_at: T0 };
+        assert.equal(takeToken(empty, 6, T0 + 9999).result.allowed, false);
+        const later = takeToken(empty, 6, T0 + 10000).result;
+        assert.equal(later.allowed, true);
+        assert.equal(later.remaining, 0);
+
+        const idle = takeToken({ tokens: 1, updated_at: T0 }, 6, T0 + 3600000).result;
+        assert.equal(idle.remaining, 5, 'never more than |limit| tokens');
+    });
+
+    it('refuses everything when the quota is zero', () => {
+        const { result } = takeToken(null, 0, T0);
+        assert.equal(result.allowed, false);
+        assert.equal(result.retry_after_s, 60);
+    });
+});
+
+describe('memory store', () => {
+    it('keeps one bucket per key, so route classes do not share a budget', () => {
+        const store = createMemoryStore();
+        assert.equal(store.take('1.2.3.4|execute', 1, T0).allowed, true);
+        assert.equal(store.take('1.2.3.4|execute', 1, T0).allowed, false);
+        assert.equal(store.take('1.2.3.4|validate', 1, T0).allowed, true);
+        assert.equal(store.take('key:abc|execute', 1, T0).allowed, true);
+        assert.equal(store.size(), 3);
+    });
+
+    it('sweeps buckets idle for a full window', () => {
+        const store = createMemoryStore();
+        store.take('old', 5, T0);
+        store.take('recent', 5, T0 + 30000);
+        assert.equal(store.sweep(T0 + 60000), 1);
+        assert.equal(store.size(), 1);
+    });
+});
+
+describe('createRateLimiter()', () => {
+    it('falls back to memory when SQLite is unavailable and does not keep the process alive', () => {
+        const limiter = createRateLimiter({ store: 'sqlite', sweepIntervalMs: 10 });
+        try {
+            assert.equal(limiter.store, 'memory');
+            assert.equal(limiter.take('k', 2, T0).remaining, 1);
+            assert.equal(limiter.size(), 1);
+            assert.equal(limiter.sweep(T0 + 60000), 1);
+        } finally {
+            limiter.close();
+        }
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Re-Prompt v3.3 — PII Redaction Tests
+ * Run: node --test tests/redaction.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRedactionContext, runWithRedaction, currentRedaction, luhnValid } from '../redaction.mjs';
+import { callWithPolicy } from '../llm-policy.mjs';
+import { createEmbedder } from '../embeddings.mjs';
+
+const ALL = ['email', 'phone', 'card', 'secret', 'ip', 'hostname', 'custom'];
+
+describe('createRedactionContext().redact()', () => {
+    it('replaces each kind of value with a typed placeholder', () => {
+        const ctx = createRedactionContext({ detectors: ALL, terms: [] });
+        const out = ctx.redact('Mail jane.doe@example.com or call +44 20 7946 0958. Card 4111 1111 1111 1111, '
+            + 'key sk-proj-abcdefghijklmnopqrstuvwx, host db01.prod.internal at 10.0.12.7.');
+        assert.equal(out, 'Mail [EMAIL_1] or call [PHONE_1]. Card [CARD_1], key [SECRET_1], host [HOST_1] at [IP_1].');
+    });
+
+    it('redacts only the value of a key=value secret', () => {
+        const ctx = createRedactionContext({ detectors: ALL, terms: [] });
+        assert.equal(ctx.redact('Use password: hunter2hunter2 for staging'), 'Use password: [SECRET_1] for staging');
+    });
+
+    it('leaves dates, versions, percentages and order numbers alone', () => {
+        const ctx = createRedactionContext({ detectors: ALL, terms: [] });
+        const text = 'Launch on 2026-03-15 with Node 20.11.1, 99.9% uptime, order 1234567890123 and 30 day trials.';
+        assert.equal(ctx.redact(text), text);
+        assert.equal(luhnValid('1234567890123'), false);
+        assert.equal(luhnValid('4111111111111111'), true);
+    });
+
+    it('keeps a value on one placeholder across calls, and matches terms case-insensitively', () => {
+        const ctx = createRedactionContext({ detectors: ALL, terms: ['Acme', 'Acme Corp EU'] });
+        assert.equal(ctx.redact('Acme Corp EU billing for a@b.io'), '[TERM_1] billing for [EMAIL_1]');
+        assert.equal(ctx.redact('acme corp eu and a@b.io again; Acme alone'), '[TERM_1] and [EMAIL_1] again; [TERM_2] alone');
+    });
+
+    it('runs only the configured detectors', () => {
+        const ctx = createRedactionContext({ detectors: ['email'], terms: ['Acme'] });
+        assert.equal(ctx.redact('Acme at 10.0.0.1, ops@acme.io'), 'Acme at 10.0.0.1, [EMAIL_1]');
+    });
+});
+
+describe('restore() and report()', () => {
+    it('restores values, escaping them inside JSON answers', () => {
+        const ctx = createRedactionContext({ detectors: ALL, terms: ['Quote "Co"'] });
+        const redacted = ctx.redact('Quote "Co" at ops@acme.io');
+        assert.equal(ctx.restore(redacted), 'Quote "Co" at ops@acme.io');
+        const json = ctx.restore(JSON.stringify({ note: redacted, unknown: '[EMAIL_9]' }), { json: true });
+        assert.deepEqual(JSON.parse(json), { note: 'Quote "Co" at ops@acme.io', unknown: '[EMAIL_9]' });
+    });
+
+    it('reports placeholders and types but never the values', () => {
+        const ctx = createRedactionContext({ detectors: ALL, terms: [] });
+        ctx.redact('ops@acme.io, dev@acme.io, 10.0.0.1');
+        const report = ctx.report();
+        assert.deepEqual(report, {
+            total: 3,
+            by_type: { email: 2, ip: 1 },
+            items: [{ placeholder: '[EMAIL_1]', type: 'email' }, { placeholder: '[EMAIL_2]', type: 'email' }, { placeholder: '[IP_1]', type: 'ip' }]
+        });
+        assert.doesNotMatch(JSON.stringify(report), /acme|10\.0/);
+    });
+});
+
+describe('callWithPolicy() under a redaction context', () => {
+    it('sends placeholders to the provider and restores them in the answer', async () => {
+        const sent = [];
+        const getProvider = () => ({
+            chat: async ({ messages }) => {
+                sent.push(messages.map(m => m.content));
+                return { content: JSON.stringify({ contact: messages[1].content.match(/\[EMAIL_\d+\]/)[0] }), model: 'test' };
+            }
+        });
+        const ctx = createRedactionContext({ detectors: ALL, terms: [] });
+        const completion = await runWithRedaction(ctx, () => {
+            assert.equal(currentRedaction(), ctx);
+            return callWithPolicy({ messages: [{ role: 'system', content: 'Return JSON.' }, { role: 'user', content: 'Notify ops@acme.io' }], jsonMode: true },
+                { chain: [{ provider: 'test', model: 'test' }], getProvider });
+        });
+        assert.deepEqual(sent, [['Return JSON.', 'Notify [EMAIL_1]']]);
+        assert.deepEqual(JSON.parse(completion.content), { contact: 'ops@acme.io' });
+        assert.equal(currentRedaction(), null, 'no context outside a request');
+    });
+});
+
+describe('the openai embedder under a redaction context', () => {
+    it('sends placeholders to the /embeddings endpoint', async (t) => {
+        const sent = [];
+        t.mock.method(globalThis, 'fetch', async (url, init) => {
+            const { input } = JSON.parse(init.body);
+            sent.push(input);
+            return new Response(JSON.stringify({ data: input.map((_, index) => ({ index, embedding: [1, 0] })) }));
+        });
+        const embedder = createEmbedder('openai', { baseUrl: 'https://embeddings.example.com/v1', model: 'test', apiKey: '' });
+        const ctx = createRedactionContext({ detectors: ALL, terms: [] });
+        const vectors = await runWithRedaction(ctx, () => embedder.embed(['Alerts go to ops@acme.io', 'Runs on db01.prod.internal', 'Offline mode']));
+        assert.deepEqual(sent, [['Alerts go to [EMAIL_1]', 'Runs on [HOST_1]', 'Offline mode']]);
+        assert.equal(vectors.length, 3);
+    });
+});
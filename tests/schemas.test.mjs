@@ -0,0 +1,82 @@
+/**
+ * Re-Prompt v3.3 — Output Schema Tests
+ * Run: node --test tests/schemas.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getSchema, validateSchema, parseAndValidate, buildRepairPrompt } from '../schemas.mjs';
+import { createProvider } from '../llm-provider.mjs';
+
+describe('validateSchema()', () => {
+
+    it('reports exact JSON-Pointer paths for missing and empty fields', () => {
+        const spec = {
+            refined_problem_statement: 'x',
+            core_features: [{ name: 'A', description: '' }, { description: 'no name' }],
+            technical_architecture: { frontend: 'React', backend: 'Node' },
+            non_functional_requirements: [],
+            risk_analysis: [{ risk: 'r', mitigation: 'm' }],
+            generated_prompts: { universal_master: 'p' }
+        };
+        const paths = validateSchema(spec, getSchema('generate', 'PRODUCT_PLANNING')).map(v => v.path);
+        assert.deepEqual(paths.sort(), [
+            '/core_features/0/description',
+            '/core_features/1/name',
+            '/non_functional_requirements',
+            '/technical_architecture/data_storage'
+        ]);
+    });
+
+    it('enforces the ASSUMPTION: prefix in PRD mode', () => {
+        const violations = validateSchema({ assumptions: ['Users like dark mode'] }, getSchema('generate', 'PRD_GENERATION').properties.prd_document);
+        assert.ok(violations.some(v => v.path === '/assumptions/0' && /ASSUMPTION/.test(v.message)));
+    });
+
+    it('clarify accepts either questions or clarification_questions', () => {
+        const schema = getSchema('clarify');
+        assert.deepEqual(validateSchema({ questions: ['Who?'] }, schema), []);
+        assert.deepEqual(validateSchema({ clarification_questions: ['Who?'] }, schema), []);
+        assert.ok(validateSchema({ summary: 'none' }, schema).length > 0);
+    });
+
+    it('auto intent resolves to the product planning schema', () => {
+        assert.equal(getSchema('generate', 'auto'), getSchema('generate', 'PRODUCT_PLANNING'));
+    });
+
+    it('fixture provider output satisfies every generate schema', async () => {
+        const { content } = await createProvider('fixture').chat({
+            model: 'm', task: 'synthesis',
+            messages: [{ role: 'user', content: 'VISION: A web app for students to track academic deadlines with reminders.\n\n' }]
+        });
+        for (const intent of ['PRODUCT_PLANNING', 'IDEA_REFINEMENT', 'PRD_GENERATION']) {
+            assert.deepEqual(parseAndValidate(content, getSchema('generate', intent)).violations, [], intent);
+        }
+    });
+
+});
+
+describe('repair prompt', () => {
+
+    it('unparseable output becomes a root violation', () => {
+        const { data, violations } = parseAndValidate('{"broken": ', getSchema('clarify'));
+        assert.equal(data, null);
+        assert.equal(violations[0].path, '');
+    });
+
+    it('JSON whose root is not an object becomes a root violation with no data', () => {
+        for (const content of ['"a spec"', '42', '[{"project_title": "x"}]', 'null']) {
+            const { data, violations } = parseAndValidate(content, getSchema('generate'));
+            assert.equal(data, null, content);
+            assert.deepEqual(violations.map(v => v.path), [''], content);
+            assert.match(buildRepairPrompt(violations), /\(root\): must be a JSON object/);
+        }
+    });
+
+    it('lists each failing path', () => {
+        const prompt = buildRepairPrompt([{ path: '/core_features/1/name', message: 'is required' }]);
+        assert.match(prompt, /- \/core_features\/1\/name: is required/);
+    });
+
+});
@@ -0,0 +1,109 @@
+/**
+ * Re-Prompt v3.3 — Clarification Session Tests
+ * Run: node --test tests/sessions.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DIMENSIONS, assessAmbiguity, createSession, openRound, recordAnswers,
+    pickQuestions, needsAnotherRound, collectAnswers, completeSession, sessionView
+} from '../sessions.mjs';
+import { saveSession, getSession } from '../db.mjs';
+import { SESSIONS } from '../config.mjs';
+
+const VAGUE = 'Something for my side project.';
+const RICH = 'A web app for students to track deadlines, synced with Google Calendar data, free tier, success measured by weekly retention.';
+
+describe('assessAmbiguity()', () => {
+    it('scores a vague vision as more ambiguous than a detailed one', () => {
+        const vague = assessAmbiguity(VAGUE);
+        const rich = assessAmbiguity(RICH);
+        assert.ok(vague.score > rich.score, `${vague.score} vs ${rich.score}`);
+        assert.equal(rich.missing.length, 0);
+        assert.equal(vague.missing.length, DIMENSIONS.length);
+    });
+
+    it('counts substantive answers toward coverage and skipped ones against it', () => {
+        const questions = ['Who uses it?', 'Which platform?'];
+        const answered = assessAmbiguity(VAGUE, [{ questions, answers: { 'Who uses it?': 'Nurses on shift', 'Which platform?': 'iOS app' } }]);
+        const skipped = assessAmbiguity(VAGUE, [{ questions, answers: { 'Who uses it?': 'idk', 'Which platform?': '' } }]);
+        assert.ok(!answered.missing.includes('platform'));
+        assert.ok(skipped.score > answered.score);
+    });
+});
+
+describe('session lifecycle', () => {
+    it('always asks a first round, then stops once ambiguity is low', () => {
+        const session = createSession(RICH);
+        assert.equal(needsAnotherRound(session, session.ambiguity), true);
+        openRound(session, ['Anything else?']);
+        recordAnswers(session, { 'Anything else?': 'Push notifications on mobile too' });
+        assert.equal(session.status, 'ready');
+        assert.equal(session.progress, 1);
+    });
+
+    it('keeps clarifying a vague session until MAX_ROUNDS', () => {
+        const session = createSession(VAGUE);
+        for (let i = 0; i < SESSIONS.MAX_ROUNDS; i++) {
+            assert.equal(session.status, 'clarifying');
+            openRound(session, pickQuestions(session));
+            recordAnswers(session, {});
+        }
+        assert.equal(session.round, SESSIONS.MAX_ROUNDS);
+        assert.equal(session.status, 'ready');
+    });
+
+    it('progress never moves backwards', () => {
+        const session = createSession(VAGUE);
+        openRound(session, ['Who uses it?']);
+        recordAnswers(session, { 'Who uses it?': 'Field technicians on Android, tracking repair data' });
+        const before = session.progress;
+        openRound(session, ['Budget?']);
+        recordAnswers(session, { 'Budget?': 'idk' });
+        assert.ok(session.progress >= before);
+    });
+
+    it('does not repeat questions across rounds', () => {
+        const session = createSession(VAGUE);
+        openRound(session, pickQuestions(session, ['Who uses it?']));
+        recordAnswers(session, {});
+        const next = pickQuestions(session, ['Who uses it?', 'What does it replace?']);
+        assert.ok(!next.includes('Who uses it?'));
+        assert.ok(next.includes('What does it replace?'));
+        assert.ok(next.length <= SESSIONS.QUESTIONS_PER_ROUND);
+    });
+
+    it('accumulates answers across rounds and exposes only the open round', () => {
+        const session = createSession(VAGUE);
+        openRound(session, ['A?']);
+        recordAnswers(session, { 'A?': 'first answer' });
+        openRound(session, ['B?']);
+        assert.deepEqual(sessionView(session).questions, ['B?']);
+        recordAnswers(session, { 'B?': 'second answer' });
+        assert.deepEqual(collectAnswers(session), { 'A?': 'first answer', 'B?': 'second answer' });
+        assert.deepEqual(sessionView(session).questions, []);
+    });
+
+    it('completed sessions keep the result for resume', () => {
+        const session = completeSession(createSession(RICH), { refined_idea: 'x' }, 'log-1');
+        assert.equal(sessionView(session).result.refined_idea, 'x');
+        assert.equal(session.result_log_id, 'log-1');
+    });
+});
+
+describe('session store', () => {
+    it('round-trips by id', () => {
+        const session = openRound(createSession(RICH), ['Q?']);
+        saveSession(session);
+        assert.equal(getSession(session.id).rounds[0].questions[0], 'Q?');
+    });
+
+    it('treats sessions past TTL as gone', () => {
+        const session = createSession(RICH);
+        session.updated_at = new Date(Date.now() - (SESSIONS.TTL_HOURS + 1) * 3600 * 1000).toISOString();
+        saveSession(session);
+        assert.equal(getSession(session.id), null);
+    });
+});
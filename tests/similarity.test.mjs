@@ -0,0 +1,217 @@
+/**
+ * Re-Prompt v3.3 — Similarity Backend Tests
+ * Run: node --test tests/similarity.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { THRESHOLDS } from '../config.mjs';
+import { analyzeSimilarity, blendScores, buildCorpus, getVector, scoreSimilarity, segmentText } from '../similarity-engine.mjs';
+import { createEmbedder, withEmbeddingCache, semanticSimilarity, splitSentences, cosine } from '../embeddings.mjs';
+
+const VISION = 'A web app for students to track assignment deadlines and get reminders before they are due. It must work offline.';
+const PARAPHRASE = 'Monitor coursework due dates';
+const NEGATION = 'The app does not work offline';
+const UNRELATED = 'Blockchain ledger consensus';
+
+const corpus = () => [{ vector: getVector(VISION) }];
+const lexical = (text) => analyzeSimilarity(text, corpus()).score;
+
+describe('TF-IDF backend', () => {
+    it('scores a paraphrase as speculative (no shared terms)', () => {
+        assert.ok(lexical(PARAPHRASE) <= THRESHOLDS.TFIDF_SPECULATIVE, `got ${lexical(PARAPHRASE)}`);
+    });
+
+    it('does not see negation: the contradiction lands in the judge grey zone', () => {
+        const score = lexical(NEGATION);
+        assert.ok(score > THRESHOLDS.TFIDF_SPECULATIVE && score < THRESHOLDS.TFIDF_TRACEABLE, `got ${score}`);
+    });
+
+    it('scoreSimilarity with backend tfidf reports no semantic score', async () => {
+        const r = await scoreSimilarity(PARAPHRASE, VISION, corpus(), { backend: 'tfidf' });
+        assert.equal(r.backend, 'tfidf');
+        assert.equal(r.semantic, null);
+        assert.equal(r.score, r.lexical);
+    });
+});
+
+describe('embedding backend (fixture embedder)', () => {
+    const embedder = createEmbedder('fixture');
+
+    it('scores a paraphrase well above its TF-IDF score', async () => {
+        const semantic = await semanticSimilarity(PARAPHRASE, VISION, embedder);
+        assert.ok(semantic > 0.5, `got ${semantic}`);
+        assert.ok(semantic > lexical(PARAPHRASE));
+    });
+
+    it('scores a negated restatement near zero', async () => {
+        const semantic = await semanticSimilarity(NEGATION, VISION, embedder);
+        assert.ok(semantic < 0.2, `got ${semantic}`);
+    });
+
+    it('scores unrelated text at zero and stays deterministic', async () => {
+        assert.equal(await semanticSimilarity(UNRELATED, VISION, embedder), 0);
+        const [a] = await embedder.embed([PARAPHRASE]);
+        const [b] = await embedder.embed([PARAPHRASE]);
+        assert.deepEqual(a, b);
+    });
+
+    it('embedding backend classifies the paraphrase as traceable', async () => {
+        const r = await scoreSimilarity('Notify learners before homework is due', VISION, corpus(), { backend: 'embedding', embedder });
+        assert.equal(r.backend, 'embedding');
+        assert.equal(r.status, 'traceable');
+    });
+
+    it('hybrid lifts a paraphrase out of speculative and drops a negation into it', async () => {
+        const para = await scoreSimilarity(PARAPHRASE, VISION, corpus(), { backend: 'hybrid', embedder });
+        assert.equal(para.status, 'assumption');
+        assert.ok(para.score > para.lexical);
+
+        const neg = await scoreSimilarity(NEGATION, VISION, corpus(), { backend: 'hybrid', embedder });
+        assert.equal(neg.status, 'speculative');
+        assert.ok(neg.score < neg.lexical);
+    });
+});
+
+describe('trace evidence', () => {
+    const SOURCE = 'A web app for students to track assignment deadlines, and get reminders before they are due. It must work offline; exports go to CSV.';
+
+    it('segments sentences and their clauses with exact offsets', () => {
+        const segments = segmentText(SOURCE);
+        for (const seg of segments) assert.equal(SOURCE.slice(seg.start, seg.end), seg.text);
+        assert.deepEqual(segments.filter(s => s.kind === 'sentence').map(s => s.text), [
+            'A web app for students to track assignment deadlines, and get reminders before they are due',
+            'It must work offline',
+            'exports go to CSV'
+        ]);
+        assert.ok(segments.some(s => s.kind === 'clause' && s.text === 'get reminders before they are due'));
+    });
+
+    it('returns the best-matching span with the overlapping terms', () => {
+        const { evidence, snippet } = analyzeSimilarity('Export reports as CSV', buildCorpus(SOURCE));
+        assert.equal(evidence.text, 'exports go to CSV');
+        assert.equal(snippet, evidence.text);
+        assert.deepEqual(evidence.terms.map(t => SOURCE.slice(t.start, t.end)), ['exports', 'CSV']);
+    });
+
+    it('prefers the clause over the sentence containing it', () => {
+        const { evidence } = analyzeSimilarity('Reminders before work is due', buildCorpus(SOURCE));
+        assert.equal(evidence.kind, 'clause');
+        assert.equal(evidence.text, 'get reminders before they are due');
+    });
+
+    it('has no evidence for unrelated features or vector-only corpora', () => {
+        assert.equal(analyzeSimilarity(UNRELATED, buildCorpus(SOURCE)).evidence, null);
+        assert.equal(analyzeSimilarity('Export reports as CSV', [{ vector: getVector(SOURCE) }]).evidence, null);
+    });
+
+    it('keeps the document-level score of the vector-only path', () => {
+        const feature = 'Track assignment deadlines';
+        assert.equal(analyzeSimilarity(feature, buildCorpus(SOURCE)).score, analyzeSimilarity(feature, [{ vector: getVector(SOURCE) }]).score);
+    });
+});
+
+describe('blendScores()', () => {
+    it('normalises weights', () => {
+        assert.equal(blendScores(0.2, 0.8, 'hybrid', { LEXICAL: 1, SEMANTIC: 1 }), 0.5);
+        assert.equal(blendScores(0.2, 0.8, 'hybrid', { LEXICAL: 2, SEMANTIC: 6 }), 0.65);
+    });
+
+    it('falls back to the lexical score without a semantic one', () => {
+        assert.equal(blendScores(0.3, null, 'hybrid'), 0.3);
+        assert.equal(blendScores(0.3, 0.9, 'tfidf'), 0.3);
+        assert.equal(blendScores(0.3, 0.9, 'embedding'), 0.9);
+    });
+});
+
+describe('splitSentences() / cosine()', () => {
+    it('splits on terminators and newlines', () => {
+        assert.deepEqual(splitSentences('One. Two!\nThree'), ['One.', 'Two!', 'Three']);
+    });
+
+    it('is zero for zero vectors', () => {
+        assert.equal(cosine([0, 0], [1, 0]), 0);
+    });
+});
+
+describe('OpenAI-compatible embedding backend', () => {
+    // Serves fixture vectors over HTTP so the paraphrase/negation cases also run through the real client
+    const fixture = createEmbedder('fixture');
+
+    async function withStub(handler, fn) {
+        const server = http.createServer(handler);
+        await new Promise(r => server.listen(0, '127.0.0.1', r));
+        try {
+            return await fn(`http://127.0.0.1:${server.address().port}/v1`);
+        } finally {
+            server.close();
+        }
+    }
+
+    function embeddingsStub(seen) {
+        return (req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', async () => {
+                const json = JSON.parse(body);
+                seen.push({ url: req.url, auth: req.headers.authorization, body: json });
+                const vectors = await fixture.embed(json.input);
+                // Reversed on purpose: clients must order by |index|
+                const data = vectors.map((embedding, index) => ({ object: 'embedding', index, embedding })).reverse();
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ object: 'list', model: json.model, data }));
+            });
+        };
+    }
+
+    it('posts a batch to /embeddings and orders vectors by index', async () => {
+        const seen = [];
+        await withStub(embeddingsStub(seen), async (baseUrl) => {
+            const embedder = createEmbedder('openai', { baseUrl, model: 'stub-embed', apiKey: 'k' });
+            const [a, b] = await embedder.embed([PARAPHRASE, UNRELATED]);
+            assert.deepEqual(a, (await fixture.embed([PARAPHRASE]))[0]);
+            assert.deepEqual(b, (await fixture.embed([UNRELATED]))[0]);
+        });
+        assert.equal(seen[0].url, '/v1/embeddings');
+        assert.equal(seen[0].auth, 'Bearer k');
+        assert.equal(seen[0].body.model, 'stub-embed');
+    });
+
+    it('scores paraphrase and negation like the vectors it is served', async () => {
+        await withStub(embeddingsStub([]), async (baseUrl) => {
+            const embedder = createEmbedder('openai', { baseUrl, model: 'stub-embed' });
+            assert.ok(await semanticSimilarity(PARAPHRASE, VISION, embedder) > 0.5);
+            assert.ok(await semanticSimilarity(NEGATION, VISION, embedder) < 0.2);
+        });
+    });
+
+    it('caches vectors so the vision is embedded once across features', async () => {
+        const seen = [];
+        await withStub(embeddingsStub(seen), async (baseUrl) => {
+            const embedder = withEmbeddingCache(createEmbedder('openai', { baseUrl, model: 'stub-embed' }));
+            await semanticSimilarity(PARAPHRASE, VISION, embedder);
+            await semanticSimilarity(NEGATION, VISION, embedder);
+        });
+        assert.equal(seen.length, 2);
+        assert.deepEqual(seen[1].body.input, [NEGATION]);
+    });
+
+    it('falls back to TF-IDF when the endpoint errors', async () => {
+        await withStub((req, res) => {
+            res.statusCode = 500;
+            res.end(JSON.stringify({ error: { message: 'model not loaded' } }));
+        }, async (baseUrl) => {
+            const embedder = createEmbedder('openai', { baseUrl, model: 'stub-embed' });
+            const r = await scoreSimilarity(PARAPHRASE, VISION, corpus(), { backend: 'hybrid', embedder });
+            assert.equal(r.backend, 'tfidf');
+            assert.equal(r.score, r.lexical);
+            assert.match(r.fallback, /model not loaded/);
+        });
+    });
+
+    it('requires a base URL', () => {
+        assert.throws(() => createEmbedder('openai', { baseUrl: '' }), /EMBEDDING_BASE_URL/);
+    });
+});
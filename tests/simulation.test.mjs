@@ -0,0 +1,119 @@
+/**
+ * Re-Prompt v3.3 — Threshold Simulation Tests
+ * Run: node --test tests/simulation.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyTrace } from '../similarity-engine.mjs';
+import { recomputeConfidence } from '../confidence.mjs';
+import { simulateThresholds, resolveThresholds, DEFAULT_THRESHOLD_SETS } from '../simulation.mjs';
+import { THRESHOLDS } from '../config.mjs';
+
+const VISION = 'A web app for students to track academic deadlines with reminders and calendar sync.';
+
+function result() {
+    return {
+        core_functional_components: [
+            { name: 'Deadline Tracker', description: 'students track academic deadlines', trace_status: 'traceable' },
+            { name: 'Reminders', description: 'deadline reminders by email', tfidf_score: 0.5, judge_score: 0.75, trace_status: 'traceable' },
+            { name: 'Marketplace', description: 'sell used textbooks to other people', trace_status: 'speculative' }
+        ],
+        non_functional_requirements: [{ category: 'Security', requirement: 'OWASP' }],
+        assumptions_made: [],
+        confidence_breakdown: {
+            input_clarity: { score: 80 },
+            logical_coherence: { score: 65, base_score: 90 },
+            final_score: 50
+        }
+    };
+}
+
+describe('classifyTrace()', () => {
+    it('uses TF-IDF bands outside the gray zone', () => {
+        assert.equal(classifyTrace(0.8, 0.1), 'traceable');
+        assert.equal(classifyTrace(0.1, 0.9), 'speculative');
+    });
+
+    it('defers to the judge score inside the gray zone', () => {
+        assert.equal(classifyTrace(0.5, null), 'assumption');
+        assert.equal(classifyTrace(0.5, THRESHOLDS.LLM_TRACEABLE), 'traceable');
+        assert.equal(classifyTrace(0.5, THRESHOLDS.LLM_ASSUMPTION), 'assumption');
+        assert.equal(classifyTrace(0.5, 0.1), 'speculative');
+    });
+
+    it('keeps the live judge cut-off at 0.7', () => {
+        assert.equal(classifyTrace(0.5, 0.65), 'assumption');
+        assert.equal(classifyTrace(0.5, 0.7), 'traceable');
+    });
+
+    it('honours explicit thresholds', () => {
+        assert.equal(classifyTrace(0.5, null, { ...THRESHOLDS, TFIDF_TRACEABLE: 0.45 }), 'traceable');
+    });
+});
+
+describe('recomputeConfidence()', () => {
+    it('exposes the pre-penalty coherence score', () => {
+        const c = recomputeConfidence({ confidence_breakdown: { logical_coherence: { score: 90 } } },
+            { domain_consistency_computed: 50, internal_consistency_check: 'PARTIAL', llm_judge_calls: 0 }, { record: false });
+        assert.equal(c.logical_coherence.base_score, 90);
+        assert.equal(c.logical_coherence.score, 65);
+    });
+});
+
+describe('simulateThresholds()', () => {
+    it('returns one row per default threshold set', () => {
+        const rows = simulateThresholds(result(), VISION);
+        assert.equal(rows.length, DEFAULT_THRESHOLD_SETS.length);
+        assert.deepEqual(rows.map(r => r.threshold), [0.70, 0.55, 0.45]);
+    });
+
+    it('re-classifies features instead of scaling the original score', () => {
+        const rows = simulateThresholds(result(), VISION, [{ TFIDF_TRACEABLE: 0.99 }, { TFIDF_TRACEABLE: 0.3, TFIDF_SPECULATIVE: 0.05 }]);
+        const strict = rows[0].features.map(f => f.trace_status);
+        const loose = rows[1].features.map(f => f.trace_status);
+        assert.ok(loose.filter(s => s === 'traceable').length > strict.filter(s => s === 'traceable').length);
+        assert.ok(rows[1].domain_consistency > rows[0].domain_consistency);
+        assert.ok(rows[1].final_score > rows[0].final_score);
+    });
+
+    it('reports features whose status flips', () => {
+        const [row] = simulateThresholds(result(), VISION, [{ TFIDF_TRACEABLE: 0.99, LLM_TRACEABLE: 0.99 }]);
+        assert.ok(row.flips.some(f => f.name === 'Deadline Tracker' && f.from === 'traceable'));
+    });
+
+    it('reuses stored or cached judge scores without new calls', () => {
+        const lookups = [];
+        const data = result();
+        const [row] = simulateThresholds(data, '', [{}], {
+            judgeLookup: (...args) => { lookups.push(args); return 0.99; }
+        });
+        // No input text: stored scores are used and the cache is not consulted
+        assert.equal(lookups.length, 0);
+        assert.equal(row.features[1].trace_status, 'traceable');
+
+        const [cached] = simulateThresholds(data, VISION, [{ TFIDF_TRACEABLE: 0.99, TFIDF_SPECULATIVE: 0 }], { judgeLookup: () => 0.1 });
+        assert.ok(cached.features.every(f => f.trace_status === 'speculative'));
+    });
+
+    it('counts gray-zone features with no judge score', () => {
+        const data = result();
+        data.core_functional_components[1].judge_score = null;
+        const [row] = simulateThresholds(data, '', [{}]);
+        assert.equal(row.judge_unavailable, 1);
+    });
+
+    it('re-applies coherence penalties from the base score', () => {
+        const [row] = simulateThresholds(result(), VISION, [{ TFIDF_TRACEABLE: 0, TFIDF_SPECULATIVE: 0 }]);
+        assert.equal(row.domain_consistency, 100);
+        assert.equal(row.confidence.logical_coherence.score, 90);
+    });
+
+    it('rejects out-of-range or inverted thresholds', () => {
+        assert.throws(() => resolveThresholds({ TFIDF_TRACEABLE: 1.5 }), RangeError);
+        assert.throws(() => resolveThresholds({ TFIDF_TRACEABLE: 'x' }), RangeError);
+        assert.throws(() => resolveThresholds({ TFIDF_TRACEABLE: 0.2, TFIDF_SPECULATIVE: 0.3 }), RangeError);
+        assert.throws(() => simulateThresholds(result(), VISION, []), RangeError);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Re-Prompt v3.3 — Spec Diff Tests
+ * Run: node --test tests/spec-diff.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffSpecs, diffList } from '../spec-diff.mjs';
+import { insertSpecVersion, listSpecVersions, getSpecVersion } from '../db.mjs';
+
+function spec(overrides = {}) {
+    return {
+        core_functional_components: [
+            { name: 'Deadline Tracker', description: 'Track deadlines', trace_status: 'traceable' },
+            { name: 'Reminders', description: 'Email reminders', trace_status: 'assumption' }
+        ],
+        non_functional_requirements: [{ category: 'Security', requirement: 'OWASP ASVS L1', priority: 'HIGH' }],
+        risk_analysis: [{ risk: 'Low adoption', likelihood: 'MED', mitigation: 'Pilot' }],
+        assumptions_made: [{ assumption: 'ASSUMPTION: Users have a browser.' }],
+        confidence_breakdown: {
+            input_clarity: { score: 80 },
+            domain_consistency: { score: 50 },
+            requirement_completeness: { score: 20 },
+            logical_coherence: { score: 75 },
+            final_score: 55.5
+        },
+        ...overrides
+    };
+}
+
+describe('diffSpecs()', () => {
+    it('identical specs are unchanged', () => {
+        const diff = diffSpecs(spec(), spec());
+        assert.equal(diff.unchanged, true);
+        assert.equal(diff.confidence.final_score.delta, 0);
+    });
+
+    it('reports added, removed and changed features by name', () => {
+        const after = spec({
+            core_functional_components: [
+                { name: 'deadline tracker', description: 'Track deadlines and exams', trace_status: 'traceable' },
+                { name: 'Calendar Sync', description: 'Google Calendar', trace_status: 'traceable' }
+            ]
+        });
+        const { features } = diffSpecs(spec(), after);
+        assert.deepEqual(features.added, ['Calendar Sync']);
+        assert.deepEqual(features.removed, ['Reminders']);
+        assert.equal(features.changed.length, 1);
+        assert.deepEqual(features.changed[0].changes.description, { from: 'Track deadlines', to: 'Track deadlines and exams' });
+    });
+
+    it('covers NFRs, risks and assumptions', () => {
+        const after = spec({
+            non_functional_requirements: [{ category: 'Security', requirement: 'OWASP ASVS L2', priority: 'HIGH' }, { category: 'Performance', requirement: 'p95 < 2s' }],
+            risk_analysis: [{ risk: 'Low adoption', likelihood: 'HIGH', mitigation: 'Pilot' }],
+            assumptions_made: [{ assumption: 'ASSUMPTION: Offline support is out of scope.' }]
+        });
+        const diff = diffSpecs(spec(), after);
+        assert.deepEqual(diff.non_functional_requirements.added, ['Performance']);
+        assert.equal(diff.non_functional_requirements.changed[0].changes.requirement.to, 'OWASP ASVS L2');
+        assert.deepEqual(diff.risks.changed[0].changes.likelihood, { from: 'MED', to: 'HIGH' });
+        assert.equal(diff.assumptions.added.length, 1);
+        assert.equal(diff.assumptions.removed.length, 1);
+        assert.deepEqual(diff.summary.assumptions, { added: 1, removed: 1, changed: 0 });
+    });
+
+    it('computes confidence sub-score deltas', () => {
+        const after = spec({
+            confidence_breakdown: { ...spec().confidence_breakdown, domain_consistency: { score: 100 }, final_score: 70.5 }
+        });
+        const { confidence } = diffSpecs(spec(), after);
+        assert.deepEqual(confidence.domain_consistency, { from: 50, to: 100, delta: 50 });
+        assert.equal(confidence.final_score.delta, 15);
+        assert.equal(confidence.input_clarity.delta, 0);
+    });
+
+    it('pairs duplicate identities positionally and handles string items', () => {
+        const diff = diffList(['a', 'b', 'a'], ['a', 'c'], { identity: x => x });
+        assert.deepEqual(diff.added, ['c']);
+        assert.deepEqual(diff.removed.sort(), ['a', 'b']);
+    });
+});
+
+describe('spec version store', () => {
+    it('numbers versions per session from 1', () => {
+        const id = 'test-session-versions';
+        assert.equal(insertSpecVersion(id, spec(), 'log-a'), 1);
+        assert.equal(insertSpecVersion(id, spec({ assumptions_made: [] }), 'log-b'), 2);
+        const listed = listSpecVersions(id);
+        assert.deepEqual(listed.map(v => v.version), [1, 2]);
+        assert.equal(listed[0].spec, undefined, 'summaries should not carry the spec body');
+        assert.equal(getSpecVersion(id, 2).spec.assumptions_made.length, 0);
+        assert.equal(getSpecVersion(id, 3), null);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Re-Prompt v3.3 — Spec Export Tests
+ * Run: node --test tests/spec-export.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+import { PRD_SECTIONS } from '../schemas.mjs';
+import { buildDocument, exportSpec, renderMarkdown, renderHtml, renderDocx, renderPdf, zip } from '../spec-export.mjs';
+
+const PRD_SPEC = {
+    refined_idea: 'Deadline tracker for students',
+    prd_document: {
+        executive_summary: 'Students miss deadlines.\n\nThis fixes that.',
+        problem_statement: { description: 'Deadlines are scattered', quantifiable_impact: '20% late submissions', root_cause_analysis: ['No single view'] },
+        goals: [{ goal: 'Fewer late submissions', target_metric: '-50%', timeframe: 'One semester' }],
+        target_audience: 'University students',
+        user_personas: [{ name: 'Maya', role: 'Undergraduate', needs: ['One list'], pain_points: ['Email overload'] }],
+        user_stories: [{ as_a: 'student', i_want: 'reminders', so_that: 'I submit on time' }],
+        functional_requirements: [{ id: 'REQ-001', title: 'Reminders', priority: 'P0', description: 'Push reminders', acceptance_criteria: ['24h before'], edge_cases: ['Time zones'] }],
+        non_functional_requirements: [{ category: 'Performance', requirement: 'p95 < 2s', target: '2s' }],
+        technical_considerations: { deployment_model: 'Serverless' },
+        success_metrics: { business: [{ metric: 'WAU', target: '1k', measurement: 'Analytics' }] },
+        assumptions: ['ASSUMPTION: Students use smartphones'],
+        out_of_scope: ['Grading'],
+        risks: [{ risk: 'Low adoption', probability: 'MED', impact: 'HIGH', mitigation: 'Campus pilot' }],
+        roadmap: ['Phase 1: MVP', 'Phase 2: Scale'],
+        open_questions: ['LMS integration?']
+    },
+    core_functional_components: [{
+        name: 'Reminders', description: 'Push reminders', trace_status: 'traceable', trace_score: 0.81,
+        trace_evidence: { text: 'track deadlines with reminders', start: 0, end: 30, terms: [] }
+    }],
+    confidence_breakdown: { input_clarity: { score: 80, weight: 0.2 }, final_score: 74.5 },
+    generated_prompts: { universal_master: 'Build a | deadline tracker' }
+};
+
+const headings = (md, level) => [...md.matchAll(new RegExp(`^${'#'.repeat(level)} (.+)$`, 'gm'))].map(m => m[1]);
+
+/** Entries of a stored or deflated zip, read via the central directory. */
+function unzip(buf) {
+    const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buf.readUInt16LE(end + 10);
+    let p = buf.readUInt32LE(end + 16);
+    const out = {};
+    for (let i = 0; i < count; i++) {
+        const size = buf.readUInt32LE(p + 20), nameLen = buf.readUInt16LE(p + 28), local = buf.readUInt32LE(p + 42);
+        const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+        const dataStart = local + 30 + buf.readUInt16LE(local + 26);
+        out[name] = zlib.inflateRawSync(buf.subarray(dataStart, dataStart + size)).toString('utf8');
+        p += 46 + nameLen;
+    }
+    return out;
+}
+
+describe('buildDocument()', () => {
+    it('renders PRD sections in PRD_SECTIONS order, then the appendices', () => {
+        const md = renderMarkdown(buildDocument(PRD_SPEC));
+        const sections = headings(md, 2);
+        const prd = sections.slice(0, PRD_SECTIONS.length);
+        assert.equal(prd.length, PRD_SECTIONS.length, `got ${sections.join(', ')}`);
+        assert.equal(prd[0], 'Executive Summary');
+        assert.equal(prd.at(-1), 'Open Questions');
+        assert.deepEqual(sections.slice(PRD_SECTIONS.length), ['Traceability', 'Confidence', 'Generated Prompts']);
+    });
+
+    it('skips empty sections and maps top-level fields for other intents', () => {
+        const md = renderMarkdown(buildDocument({
+            refined_problem_statement: 'Busy teams lose track of tasks',
+            core_features: [{ name: 'Boards', description: 'Kanban boards' }],
+            non_functional_requirements: ['Accessible (WCAG AA)'],
+            risk_analysis: ['Crowded market'],
+            critical_questions: ['Who pays?']
+        }));
+        assert.deepEqual(headings(md, 2), ['Problem Statement', 'Functional Requirements', 'Non-Functional Requirements', 'Risks', 'Open Questions']);
+        assert.match(md, /^### Boards$/m);
+        assert.match(md, /\| Accessible \(WCAG AA\) \|/);
+    });
+
+    it('includes personas, stories, NFRs and risks dropped by the old client export', () => {
+        const md = renderMarkdown(buildDocument(PRD_SPEC));
+        assert.match(md, /### Maya — Undergraduate/);
+        assert.match(md, /As a student, I want reminders so that I submit on time\./);
+        assert.match(md, /\| Performance \| p95 < 2s \| 2s \|/);
+        assert.match(md, /\| Low adoption \| MED \| HIGH \| Campus pilot \|/);
+        assert.match(md, /\| Reminders \| traceable \| 0\.81 \| track deadlines with reminders \|/);
+    });
+});
+
+describe('renderers', () => {
+    const blocks = buildDocument(PRD_SPEC, { id: 'abc' });
+
+    it('markdown escapes table pipes and fences prompts', () => {
+        const md = renderMarkdown(buildDocument({ ...PRD_SPEC, risk_analysis: undefined, prd_document: { risks: [{ risk: 'a | b', mitigation: 'm' }] } }));
+        assert.match(md, /\| a \\\| b \| m \|/);
+        assert.match(renderMarkdown(blocks), /```\nBuild a \| deadline tracker\n```/);
+    });
+
+    it('html is standalone and escaped', () => {
+        const html = renderHtml(buildDocument({ refined_idea: '<script>x</script>', generated_prompts: { universal_master: 'a & b' } }));
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<title>&lt;script&gt;x&lt;\/script&gt;<\/title>/);
+        assert.ok(!html.includes('<script>'));
+        assert.match(html, /a &amp; b/);
+    });
+
+    it('docx is a zip with the WordprocessingML parts', () => {
+        const parts = unzip(renderDocx(blocks));
+        assert.deepEqual(Object.keys(parts).sort(), [
+            '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/_rels/document.xml.rels', 'word/document.xml', 'word/styles.xml'
+        ]);
+        assert.match(parts['word/document.xml'], /<w:pStyle w:val="Heading1"\/><\/w:pPr><w:r><w:t xml:space="preserve">Executive Summary<\/w:t>/);
+        assert.match(parts['word/document.xml'], /<w:tbl>/);
+        assert.match(parts['docProps/core.xml'], /<dc:title>Deadline tracker for students<\/dc:title>/);
+    });
+
+    it('zip entries carry valid CRCs', () => {
+        const buf = zip([{ name: 'a.txt', data: 'hello' }]);
+        assert.equal(buf.readUInt32LE(14), 0x3610A686); // CRC-32 of "hello"
+    });
+
+    it('pdf has a consistent xref table and paginates long specs', () => {
+        const long = { ...PRD_SPEC, prd_document: { ...PRD_SPEC.prd_document, roadmap: Array.from({ length: 150 }, (_, i) => `Phase ${i + 1}: ship increment ${i + 1}`) } };
+        const pdf = renderPdf(buildDocument(long));
+        const text = pdf.toString('latin1');
+        assert.ok(text.startsWith('%PDF-1.4'));
+        assert.ok(text.trimEnd().endsWith('%%EOF'));
+
+        const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+        assert.equal(text.slice(xref, xref + 4), 'xref');
+        const entries = text.slice(xref).split('\n').slice(3).filter(l => / n $/.test(l));
+        entries.forEach((line, i) => assert.ok(text.startsWith(`${i + 1} 0 obj`, Number(line.slice(0, 10))), `object ${i + 1} offset`));
+
+        const pages = Number(text.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+        assert.ok(pages > 1, `expected several pages, got ${pages}`);
+        assert.match(text, new RegExp(`\\(Page ${pages} of ${pages}\\)`));
+    });
+
+    it('pdf encodes text as WinAnsi and escapes delimiters', () => {
+        const text = renderPdf(buildDocument({ refined_idea: 'Café (beta) — “v2” 日本' })).toString('latin1');
+        assert.ok(text.includes('(Caf\xe9 \\(beta\\) \x97 \x93v2\x94 ??)'));
+    });
+});
+
+describe('exportSpec()', () => {
+    it('returns body, content type and a filename from the idea and log id', () => {
+        const file = exportSpec(PRD_SPEC, 'pdf', { id: '1234abcd-0000-0000-0000-000000000000' });
+        assert.equal(file.contentType, 'application/pdf');
+        assert.equal(file.filename, 'deadline-tracker-for-students-1234abcd.pdf');
+        assert.ok(Buffer.isBuffer(file.body));
+    });
+
+    it('rejects unknown formats with RangeError', () => {
+        assert.throws(() => exportSpec(PRD_SPEC, 'rtf'), RangeError);
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Re-Prompt v3.3 — Tracing Tests
+ * Run: node --test tests/tracing.test.mjs
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+    parseTraceparent, formatTraceparent, startSpan, runInSpan, withSpan, currentSpan, onTraceEnd,
+    toOtlp, createExporter, setExporter, SPAN_KIND, SPAN_STATUS
+} from '../tracing.mjs';
+import { createProvider, withTracing } from '../llm-provider.mjs';
+
+const REMOTE = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+// Captures exported traces instead of writing to the configured sink
+let exported = [];
+beforeEach(() => {
+    exported = [];
+    setExporter({ name: 'capture', export: (spans) => { exported.push(spans); return Promise.resolve(); } });
+});
+
+/** Runs |fn| under a fresh root span and resolves with the finished trace summary. */
+async function traced(fn, options = {}) {
+    const root = startSpan('root', options);
+    let summary = null;
+    await runInSpan(root, async () => {
+        onTraceEnd(s => { summary = s; });
+        await fn(root);
+    });
+    root.end();
+    return summary;
+}
+
+describe('parseTraceparent()', () => {
+    it('reads trace id, parent span id and the sampled flag', () => {
+        assert.deepEqual(parseTraceparent(REMOTE), {
+            traceId: '4bf92f3577b34da6a3ce929d0e0e4736', parentSpanId: '00f067aa0ba902b7', sampled: true
+        });
+        assert.equal(parseTraceparent(REMOTE.replace(/01$/, '00')).sampled, false);
+    });
+
+    it('rejects malformed, all-zero and version ff headers', () => {
+        for (const header of [undefined, '', 'garbage', REMOTE.slice(0, -1), `${REMOTE}-extra`,
+            '00-00000000000000000000000000000000-00f067aa0ba902b7-01',
+            '00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01',
+            REMOTE.replace(/^00/, 'ff')]) {
+            assert.equal(parseTraceparent(header), null, String(header));
+        }
+    });
+
+    it('accepts future versions with extra fields', () => {
+        assert.equal(parseTraceparent(REMOTE.replace(/^00/, '01') + '-future').traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    });
+});
+
+describe('spans', () => {
+    it('nest through async calls and share the trace id', async () => {
+        const summary = await traced(async (root) => {
+            await withSpan('stage', async () => {
+                await new Promise(r => setTimeout(r, 5));
+                await withSpan('llm', { kind: SPAN_KIND.CLIENT, attributes: { model: 'm', skipped: undefined } }, async () => {
+                    assert.equal(currentSpan().name, 'llm');
+                });
+            });
+            assert.equal(currentSpan(), root);
+        });
+
+        const byName = Object.fromEntries(summary.spans.map(s => [s.name, s]));
+        assert.deepEqual(summary.spans.map(s => s.name), ['root', 'stage', 'llm']);
+        assert.equal(byName.stage.parent_span_id, byName.root.span_id);
+        assert.equal(byName.llm.parent_span_id, byName.stage.span_id);
+        assert.deepEqual(byName.llm.attributes, { model: 'm' });
+        assert.ok(byName.stage.duration_ms >= 4, `got ${byName.stage.duration_ms}`);
+        assert.ok(byName.llm.start_ms >= byName.stage.start_ms);
+    });
+
+    it('export once per trace, when the local root ends', async () => {
+        await traced(async () => {
+            await withSpan('a', async () => { });
+            await withSpan('b', async () => { });
+            assert.equal(exported.length, 0);
+        });
+        assert.equal(exported.length, 1);
+        assert.deepEqual(exported[0].map(s => s.name).sort(), ['a', 'b', 'root']);
+    });
+
+    it('record exceptions and rethrow', async () => {
+        const summary = await traced(async () => {
+            await assert.rejects(withSpan('failing', async () => { throw new TypeError('boom'); }), /boom/);
+        });
+        const failing = summary.spans.find(s => s.name === 'failing');
+        assert.equal(failing.status, 'error');
+        assert.equal(exported[0].find(s => s.name === 'failing').events[0].attributes['exception.type'], 'TypeError');
+    });
+
+    it('continue a remote trace from traceparent', async () => {
+        const summary = await traced(async (root) => {
+            assert.match(formatTraceparent(root), /^00-4bf92f3577b34da6a3ce929d0e0e4736-[0-9a-f]{16}-01$/);
+        }, { traceparent: REMOTE });
+        assert.equal(summary.trace_id, '4bf92f3577b34da6a3ce929d0e0e4736');
+        assert.equal(summary.spans[0].parent_span_id, '00f067aa0ba902b7');
+    });
+
+    it('keep unsampled traces for the audit log but do not export them', async () => {
+        const summary = await traced(async () => { }, { traceparent: REMOTE.replace(/01$/, '00') });
+        assert.equal(summary.sampled, false);
+        assert.equal(summary.spans.length, 1);
+        assert.equal(exported.length, 0);
+    });
+
+    it('start a new trace inside an active span when asked for a root', async () => {
+        await traced(async (request) => {
+            const job = startSpan('job', { root: true });
+            assert.notEqual(job.traceId, request.traceId);
+            assert.equal(job.parentSpanId, null);
+            job.end();
+        });
+        assert.equal(exported.length, 2, 'each trace is exported on its own');
+    });
+
+    it('start a new trace once the parent has ended', async () => {
+        const first = startSpan('first');
+        first.end();
+        await runInSpan(first, async () => {
+            const orphan = startSpan('late');
+            assert.notEqual(orphan.traceId, first.traceId);
+            assert.equal(orphan.parentSpanId, null);
+        });
+    });
+});
+
+describe('toOtlp()', () => {
+    it('encodes ids as hex, times as nanosecond strings and typed attributes', async () => {
+        await traced(async () => {
+            await withSpan('child', { attributes: { s: 'x', i: 3, d: 0.5, b: true } }, async (span) => span.setStatus(SPAN_STATUS.OK));
+        });
+        const otlp = toOtlp(exported[0], 'svc');
+        const { resource, scopeSpans } = otlp.resourceSpans[0];
+        assert.deepEqual(resource.attributes[0], { key: 'service.name', value: { stringValue: 'svc' } });
+
+        const [child, root] = scopeSpans[0].spans;
+        assert.match(child.traceId, /^[0-9a-f]{32}$/);
+        assert.equal(child.parentSpanId, root.spanId);
+        assert.ok(!('parentSpanId' in root));
+        assert.match(child.startTimeUnixNano, /^\d{19}$/);
+        assert.ok(BigInt(child.endTimeUnixNano) >= BigInt(child.startTimeUnixNano));
+        assert.deepEqual(child.attributes, [
+            { key: 's', value: { stringValue: 'x' } },
+            { key: 'i', value: { intValue: '3' } },
+            { key: 'd', value: { doubleValue: 0.5 } },
+            { key: 'b', value: { boolValue: true } }
+        ]);
+        assert.deepEqual(child.status, { code: SPAN_STATUS.OK });
+    });
+});
+
+describe('exporters', () => {
+    it('otlp posts JSON to the collector with configured headers', async () => {
+        const seen = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => { seen.push({ url: req.url, headers: req.headers, body: JSON.parse(body) }); res.end('{}'); });
+        });
+        await new Promise(r => server.listen(0, '127.0.0.1', r));
+        try {
+            const exporter = createExporter('otlp', {
+                endpoint: `http://127.0.0.1:${server.address().port}/v1/traces`,
+                headers: 'x-api-key=secret,x-tenant=a%3Db'
+            });
+            await traced(async () => { });
+            await exporter.export(exported[0]);
+        } finally {
+            server.close();
+        }
+        assert.equal(seen[0].url, '/v1/traces');
+        assert.equal(seen[0].headers['x-api-key'], 'secret');
+        assert.equal(seen[0].headers['x-tenant'], 'a=b');
+        assert.equal(seen[0].body.resourceSpans[0].scopeSpans[0].spans[0].name, 'root');
+    });
+
+    it('otlp swallows collector errors', async () => {
+        const exporter = createExporter('otlp', { endpoint: 'http://127.0.0.1:9/v1/traces' });
+        await traced(async () => { });
+        await exporter.export(exported[0]); // must not reject
+    });
+
+    it('file appends one request per line', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'traces-')), 'nested', 'traces.jsonl');
+        const exporter = createExporter('file', { file });
+        await traced(async () => { });
+        await exporter.export(exported[0]);
+        await exporter.export(exported[0]);
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        assert.equal(lines.length, 2);
+        assert.ok(JSON.parse(lines[0]).resourceSpans);
+    });
+
+    it('rejects unknown exporters and otlp without an endpoint', () => {
+        assert.throws(() => createExporter('zipkin'), /Unknown trace exporter/);
+        assert.throws(() => createExporter('otlp', { endpoint: '' }), /OTEL_EXPORTER_OTLP_ENDPOINT/);
+    });
+});
+
+describe('withTracing()', () => {
+    it('wraps each completion in an llm.chat client span', async () => {
+        const provider = withTracing(createProvider('fixture'));
+        const summary = await traced(async () => {
+            await provider.chat({ model: 'judge-model', task: 'judge', max_tokens: 10, messages: [{ role: 'user', content: 'A: "x"\nB: "x"' }] });
+        });
+        const chat = summary.spans.find(s => s.name === 'llm.chat');
+        assert.equal(chat.parent_span_id, summary.spans[0].span_id);
+        assert.equal(chat.attributes['gen_ai.system'], 'fixture');
+        assert.equal(chat.attributes['gen_ai.request.model'], 'judge-model');
+        assert.equal(chat.attributes['gen_ai.response.model'], 'judge-model');
+        assert.equal(chat.attributes['llm.task'], 'judge');
+        assert.equal(exported[0].find(s => s.name === 'llm.chat').kind, SPAN_KIND.CLIENT);
+    });
+});
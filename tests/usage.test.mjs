@@ -0,0 +1,152 @@
+/**
+ * Re-Prompt v3.3 — Usage Accounting Tests
+ * Run: node --test tests/usage.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { USAGE } from '../config.mjs';
+import {
+    priceTokens, estimateTokens, createLedger, runWithLedger, recordUsage, tagUsage,
+    summarizeLedger, flushLedger, usageReport, checkBudget
+} from '../usage.mjs';
+import { createProvider, withUsage } from '../llm-provider.mjs';
+
+const SYNTHESIS = 'llama-3.3-70b-versatile';
+const JUDGE = 'llama-3.1-8b-instant';
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+/** Records |calls| in a fresh ledger tagged with |tags| and returns it. */
+async function ledgerWith(calls, tags = {}) {
+    const ledger = createLedger(tags);
+    await runWithLedger(ledger, async () => {
+        for (const call of calls) recordUsage(call);
+    });
+    return ledger;
+}
+
+describe('priceTokens()', () => {
+    it('prices input and output per 1M tokens', () => {
+        assert.equal(priceTokens(SYNTHESIS, 1_000_000, 0), USAGE.RATES[SYNTHESIS].input);
+        assert.equal(priceTokens('m', 2000, 1000, { m: { input: 1, output: 2 } }), 0.004);
+    });
+
+    it('returns null for models without a rate', () => {
+        assert.equal(priceTokens('llama3:8b', 100, 100), null);
+    });
+});
+
+describe('ledgers', () => {
+    it('collect reported usage per call and total it by model', async () => {
+        const ledger = await ledgerWith([
+            { task: 'synthesis', model: SYNTHESIS, usage: { prompt_tokens: 1200, completion_tokens: 800 } },
+            { task: 'judge', model: JUDGE, usage: { prompt_tokens: 90, completion_tokens: 5 } },
+            { task: 'judge', model: JUDGE, usage: { prompt_tokens: 110, completion_tokens: 5 } }
+        ]);
+        const summary = summarizeLedger(ledger);
+        assert.equal(summary.calls, 3);
+        assert.equal(summary.prompt_tokens, 1400);
+        assert.equal(summary.total_tokens, 2210);
+        assert.equal(summary.by_model[JUDGE].calls, 2);
+        assert.equal(summary.by_model[JUDGE].prompt_tokens, 200);
+        assert.equal(summary.cost_usd, priceTokens(SYNTHESIS, 1200, 800) + priceTokens(JUDGE, 200, 10));
+        assert.equal(summary.estimated, false);
+        assert.deepEqual(summary.unpriced_models, []);
+    });
+
+    it('estimate tokens when the provider reports none, and flag unpriced models', async () => {
+        const ledger = await ledgerWith([{ task: 'tool', model: 'llama3:8b', messages: [{ role: 'user', content: 'x'.repeat(40) }], content: 'y'.repeat(8) }]);
+        const [call] = ledger.calls;
+        assert.equal(call.prompt_tokens, estimateTokens('x'.repeat(40)));
+        assert.equal(call.completion_tokens, 2);
+        assert.equal(call.estimated, true);
+        assert.deepEqual(summarizeLedger(ledger).unpriced_models, ['llama3:8b']);
+        assert.equal(summarizeLedger(ledger).cost_usd, 0);
+    });
+
+    it('price the requested model when the served alias has no rate', async () => {
+        const ledger = await ledgerWith([{ model: `${SYNTHESIS}-2026-01`, requestModel: SYNTHESIS, usage: { prompt_tokens: 10, completion_tokens: 10 } }]);
+        assert.equal(ledger.calls[0].model, SYNTHESIS);
+        assert.ok(ledger.calls[0].priced);
+    });
+
+    it('are not required: calls outside a ledger are priced but not collected', () => {
+        const call = recordUsage({ model: JUDGE, usage: { prompt_tokens: 1, completion_tokens: 1 } });
+        assert.equal(call.prompt_tokens, 1);
+        tagUsage({ tool: 'ignored' }); // no-op
+    });
+
+    it('withUsage() meters every completion of a provider', async () => {
+        const provider = withUsage(createProvider('fixture'));
+        const ledger = createLedger();
+        const completion = await runWithLedger(ledger, () => provider.chat({
+            model: JUDGE, task: 'judge', messages: [{ role: 'user', content: 'A: "x"\nB: "x"' }]
+        }));
+        assert.equal(ledger.calls.length, 1);
+        assert.equal(ledger.calls[0].task, 'judge');
+        assert.equal(completion.usage, ledger.calls[0]);
+    });
+});
+
+describe('usageReport()', () => {
+    it('aggregates flushed requests by day, client, intent mode and tool', async () => {
+        const synthesis = await ledgerWith([
+            { task: 'synthesis', model: SYNTHESIS, usage: { prompt_tokens: 1000, completion_tokens: 1000 } },
+            { task: 'judge', model: JUDGE, usage: { prompt_tokens: 100, completion_tokens: 10 } }
+        ], { intent_mode: 'PRD_GENERATION' });
+        const tool = await ledgerWith([{ task: 'tool', model: SYNTHESIS, usage: { prompt_tokens: 500, completion_tokens: 500 } }], { tool: 'plan' });
+
+        flushLedger(synthesis, 'report-a', NOW);
+        flushLedger(synthesis, 'report-a', new Date('2026-03-14T08:00:00Z'));
+        flushLedger(tool, 'report-b', NOW);
+        assert.equal(flushLedger(createLedger(), 'report-a', NOW), null, 'requests without LLM calls are not recorded');
+
+        const byTool = usageReport({ from: '2026-03-14', to: '2026-03-15', group_by: 'client,tool' }, NOW).rows
+            .filter(r => r.client.startsWith('report-'));
+        assert.deepEqual(byTool.map(r => [r.client, r.tool, r.requests, r.calls]), [
+            ['report-a', 'synthesis', 2, 4],
+            ['report-b', 'plan', 1, 1]
+        ]);
+        assert.equal(byTool[0].total_tokens, 2 * 2110);
+
+        const daily = usageReport({ from: '2026-03-14', to: '2026-03-15', group_by: 'day,intent_mode', client: 'report-a' }, NOW);
+        assert.deepEqual(daily.rows.map(r => [r.day, r.intent_mode]), [['2026-03-14', 'PRD_GENERATION'], ['2026-03-15', 'PRD_GENERATION']]);
+        assert.equal(daily.totals.cost_usd, 2 * summarizeLedger(synthesis).cost_usd);
+
+        const toolOnly = usageReport({ to: '2026-03-15', group_by: 'intent_mode', client: 'report-b' }, NOW);
+        assert.equal(toolOnly.from, '2026-02-14', 'defaults to the last 30 days');
+        assert.equal(toolOnly.rows[0].intent_mode, 'none');
+    });
+
+    it('rejects unknown dimensions and bad dates with RangeError', () => {
+        assert.throws(() => usageReport({ group_by: 'day,model' }), RangeError);
+        assert.throws(() => usageReport({ from: '2026-3-1' }), RangeError);
+        assert.throws(() => usageReport({ from: '2026-03-02', to: '2026-03-01' }), RangeError);
+    });
+});
+
+describe('checkBudget()', () => {
+    it('is unlimited without a budget', () => {
+        assert.deepEqual(checkBudget('budget-none', NOW, { budget: null }), { ok: true, budget: null });
+    });
+
+    it('rejects once period spend reaches the budget and counts down to the reset', async () => {
+        const ledger = await ledgerWith([{ model: 'm-budget', usage: { prompt_tokens: 1, completion_tokens: 1 } }]);
+        ledger.calls[0].cost_usd = 0.6; // as if priced
+        flushLedger(ledger, 'budget-a', new Date('2026-03-01T00:00:00Z'));
+        flushLedger(ledger, 'budget-a', NOW);
+
+        const monthly = checkBudget('budget-a', NOW, { budget: 1, period: 'month' });
+        assert.equal(monthly.ok, false);
+        assert.equal(monthly.spent, 1.2);
+        assert.equal(monthly.remaining, 0);
+        assert.equal(monthly.resets_at, '2026-04-01T00:00:00.000Z');
+        assert.equal(monthly.retry_after_s, (Date.parse('2026-04-01T00:00:00Z') - NOW) / 1000);
+
+        const daily = checkBudget('budget-a', NOW, { budget: 1, period: 'day' });
+        assert.equal(daily.ok, true);
+        assert.equal(daily.spent, 0.6);
+        assert.equal(daily.resets_at, '2026-03-16T00:00:00.000Z');
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Re-Prompt v3.3 — Webhook Tests
+ * Run: node --test tests/webhooks.test.mjs
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import {
+    signPayload, verifySignature, backoffDelay, createWebhook, listWebhooks, getWebhookView, deleteWebhook,
+    createWebhookDispatcher, checkDestination, SIGNATURE_HEADER
+} from '../webhooks.mjs';
+import { getWebhookDelivery, listWebhookDeliveries } from '../db.mjs';
+
+const T0 = Date.parse('2026-03-15T12:00:00Z');
+
+// The receiver runs on loopback, so these tests allow it; other names resolve through |lookup|
+const LOCAL = { allowedHosts: ['127.0.0.1'] };
+const PUBLIC_DNS = { lookup: async () => [{ address: '93.184.216.34', family: 4 }] };
+
+// A receiver that answers with the next queued status code (200 once the queue is empty)
+let receiver, receiverUrl;
+const received = [];
+const replies = [];
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(replies.shift() ?? 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => receiver.close());
+
+describe('signatures', () => {
+    it('signs the timestamp and body and verifies within the tolerance', () => {
+        const header = signPayload('whsec_test', T0 / 1000, '{"a":1}');
+        assert.match(header, /^t=\d+,v1=[a-f0-9]{64}$/);
+        assert.equal(verifySignature('whsec_test', header, '{"a":1}', { now: T0 + 1000 }), true);
+        assert.equal(verifySignature('whsec_test', header, '{"a":2}', { now: T0 + 1000 }), false, 'tampered body');
+        assert.equal(verifySignature('whsec_other', header, '{"a":1}', { now: T0 + 1000 }), false, 'wrong secret');
+        assert.equal(verifySignature('whsec_test', header, '{"a":1}', { now: T0 + 600000 }), false, 'stale timestamp');
+        assert.equal(verifySignature('whsec_test', 'garbage', '{"a":1}', { now: T0 }), false);
+    });
+
+    it('doubles the retry delay up to the cap', () => {
+        assert.deepEqual([1, 2, 3, 4].map(n => backoffDelay(n, 1000, 5000)), [1000, 2000, 4000, 5000]);
+    });
+});
+
+describe('createWebhook()', () => {
+    it('returns the secret once and lists webhooks without it', async () => {
+        const webhook = await createWebhook({ url: 'https://tracker.example.com/hooks', events: ['synthesis.completed'] }, PUBLIC_DNS);
+        assert.match(webhook.secret, /^whsec_/);
+        const listed = listWebhooks().find(w => w.id === webhook.id);
+        assert.equal(listed.url, 'https://tracker.example.com/hooks');
+        assert.ok(!('secret' in listed));
+        assert.ok(!('secret' in getWebhookView(webhook.id)));
+        assert.equal(deleteWebhook(webhook.id), true);
+        assert.equal(deleteWebhook(webhook.id), false);
+    });
+
+    it('rejects bad URLs and unknown events', async () => {
+        await assert.rejects(createWebhook({ url: 'ftp://example.com', events: ['tool.executed'] }, PUBLIC_DNS), RangeError);
+        await assert.rejects(createWebhook({ url: 'not a url', events: ['tool.executed'] }, PUBLIC_DNS), RangeError);
+        await assert.rejects(createWebhook({ url: 'https://example.com', events: [] }, PUBLIC_DNS), RangeError);
+        await assert.rejects(createWebhook({ url: 'https://example.com', events: ['synthesis.started'] }, PUBLIC_DNS), RangeError);
+    });
+
+    it('rejects loopback, private and link-local destinations unless allowed', async () => {
+        const events = ['tool.executed'];
+        for (const url of [
+            'http://127.0.0.1:8080/', 'http://localhost/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://2130706433/',
+            'http://169.254.169.254/latest/meta-data/', 'http://10.0.0.5/', 'http://172.16.4.2/', 'http://192.168.1.1/',
+            'http://0.0.0.0/', 'http://[fd00::1]/', 'http://[fe80::1]/'
+        ]) {
+            await assert.rejects(createWebhook({ url, events }), /loopback or private address/, url);
+        }
+        const internal = { lookup: async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.1.2.3', family: 4 }] };
+        await assert.rejects(createWebhook({ url: 'https://hooks.corp.example/', events }, internal), /resolves to 10\.1\.2\.3/);
+        const missing = { lookup: async () => { throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' }); } };
+        await assert.rejects(createWebhook({ url: 'https://nowhere.invalid/', events }, missing), /Cannot resolve webhook host 'nowhere\.invalid' \(ENOTFOUND\)/);
+
+        await checkDestination('https://hooks.corp.example/', { ...internal, allowedHosts: ['hooks.corp.example'] });
+        const allowed = await createWebhook({ url: 'http://10.0.0.5/hook', events }, { allowedHosts: ['10.0.0.5'] });
+        deleteWebhook(allowed.id);
+    });
+});
+
+describe('createWebhookDispatcher()', () => {
+    it('delivers a signed payload to subscribers of the event only', async () => {
+        const subscribed = await createWebhook({ url: receiverUrl, events: ['synthesis.completed', 'tool.executed'] }, LOCAL);
+        const other = await createWebhook({ url: receiverUrl, events: ['synthesis.rejected'] }, LOCAL);
+        const dispatcher = createWebhookDispatcher({ baseDelayMs: 10, ...LOCAL });
+        try {
+            received.length = 0;
+            const entry = { id: 'log-1', tool: 'synthesis', trace_data: { final_score: 82 } };
+            const [delivery] = dispatcher.dispatch('synthesis.completed', entry);
+            await dispatcher.idle();
+
+            assert.equal(received.length, 1);
+            const { headers, body } = received[0];
+            assert.equal(headers['x-reprompt-event'], 'synthesis.completed');
+            assert.equal(headers['x-reprompt-delivery'], delivery.id);
+            assert.equal(verifySignature(subscribed.secret, headers[SIGNATURE_HEADER.toLowerCase()], body), true);
+            assert.deepEqual(JSON.parse(body).data, entry, 'the payload carries the audit entry');
+
+            const stored = getWebhookDelivery(delivery.id);
+            assert.equal(stored.status, 'succeeded');
+            assert.equal(stored.attempts.length, 1);
+            assert.equal(stored.attempts[0].status_code, 200);
+            assert.deepEqual(listWebhookDeliveries(other.id), []);
+        } finally {
+            dispatcher.close();
+            deleteWebhook(subscribed.id);
+            deleteWebhook(other.id);
+        }
+    });
+
+    it('retries failures with backoff, records every attempt and gives up after maxAttempts', async () => {
+        const webhook = await createWebhook({ url: receiverUrl, events: ['tool.executed'] }, LOCAL);
+        const dispatcher = createWebhookDispatcher({ maxAttempts: 3, baseDelayMs: 10, ...LOCAL });
+        try {
+            replies.push(500, 503);
+            const [retried] = dispatcher.dispatch('tool.executed', { id: 'log-2' });
+            await waitFor(() => getWebhookDelivery(retried.id).status !== 'pending');
+            const succeeded = getWebhookDelivery(retried.id);
+            assert.equal(succeeded.status, 'succeeded');
+            assert.deepEqual(succeeded.attempts.map(a => a.status_code), [500, 503, 200]);
+            assert.equal(succeeded.attempts[0].error, 'HTTP 500');
+
+            replies.push(500, 500, 500);
+            const [failed] = dispatcher.dispatch('tool.executed', { id: 'log-3' });
+            await waitFor(() => getWebhookDelivery(failed.id).status !== 'pending');
+            assert.equal(getWebhookDelivery(failed.id).status, 'failed');
+            assert.equal(getWebhookDelivery(failed.id).attempts.length, 3);
+        } finally {
+            dispatcher.close();
+            deleteWebhook(webhook.id);
+        }
+    });
+
+    it('redelivers a failed delivery with a fresh set of attempts', async () => {
+        const webhook = await createWebhook({ url: receiverUrl, events: ['synthesis.rejected'] }, LOCAL);
+        const dispatcher = createWebhookDispatcher({ maxAttempts: 1, ...LOCAL });
+        try {
+            replies.push(410);
+            const [delivery] = dispatcher.dispatch('synthesis.rejected', { id: 'log-4' });
+            await dispatcher.idle();
+            assert.equal(getWebhookDelivery(delivery.id).status, 'failed');
+
+            received.length = 0;
+            assert.equal(dispatcher.redeliver(delivery.id).status, 'pending');
+            await waitFor(() => getWebhookDelivery(delivery.id).status !== 'pending');
+            const redelivered = getWebhookDelivery(delivery.id);
+            assert.equal(redelivered.status, 'succeeded');
+            assert.deepEqual(redelivered.attempts.map(a => a.status_code), [410, 200]);
+            assert.equal(JSON.parse(received[0].body).data.id, 'log-4');
+            assert.equal(dispatcher.redeliver('00000000-0000-0000-0000-000000000000'), null);
+        } finally {
+            dispatcher.close();
+            deleteWebhook(webhook.id);
+        }
+    });
+
+    it('sends a redelivery once however often it is requested, replacing a scheduled retry', async () => {
+        const webhook = await createWebhook({ url: receiverUrl, events: ['tool.executed'] }, LOCAL);
+        const dispatcher = createWebhookDispatcher({ maxAttempts: 2, baseDelayMs: 60000, ...LOCAL });
+        try {
+            replies.push(500);
+            const [delivery] = dispatcher.dispatch('tool.executed', { id: 'log-6' });
+            await dispatcher.idle();
+            assert.equal(getWebhookDelivery(delivery.id).attempts.length, 1, 'a retry is now scheduled a minute out');
+
+            received.length = 0;
+            dispatcher.redeliver(delivery.id);
+            dispatcher.redeliver(delivery.id);
+            await dispatcher.idle();
+            dispatcher.redeliver(delivery.id);
+            await dispatcher.idle();
+            assert.equal(received.length, 2, 'the first two calls share one attempt');
+            assert.deepEqual(getWebhookDelivery(delivery.id).attempts.map(a => a.status_code), [500, 200, 200]);
+        } finally {
+            dispatcher.close();
+            deleteWebhook(webhook.id);
+        }
+    });
+
+    it('re-checks the destination before each attempt', async () => {
+        const webhook = await createWebhook({ url: receiverUrl, events: ['tool.executed'] }, LOCAL);
+        const dispatcher = createWebhookDispatcher({ maxAttempts: 1 });
+        try {
+            received.length = 0;
+            const [delivery] = dispatcher.dispatch('tool.executed', { id: 'log-7' });
+            await dispatcher.idle();
+            const stored = getWebhookDelivery(delivery.id);
+            assert.equal(stored.status, 'failed');
+            assert.match(stored.attempts[0].error, /loopback or private address/);
+            assert.equal(received.length, 0);
+        } finally {
+            dispatcher.close();
+            deleteWebhook(webhook.id);
+        }
+    });
+
+    it('records unreachable receivers as failed attempts', async () => {
+        const webhook = await createWebhook({ url: 'http://127.0.0.1:9/unreachable', events: ['tool.executed'] }, LOCAL);
+        const dispatcher = createWebhookDispatcher({ maxAttempts: 1, ...LOCAL });
+        try {
+            const [delivery] = dispatcher.dispatch('tool.executed', { id: 'log-5' });
+            await dispatcher.idle();
+            const stored = getWebhookDelivery(delivery.id);
+            assert.equal(stored.status, 'failed');
+            assert.equal(stored.attempts[0].status_code, null);
+            assert.ok(stored.attempts[0].error);
+        } finally {
+            dispatcher.close();
+            deleteWebhook(webhook.id);
+        }
+    });
+});
+
+/** Polls |condition| every 5ms, failing after two seconds. */
+async function waitFor(condition) {
+    const deadline = Date.now() + 2000;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the delivery');
+        await new Promise(r => setTimeout(r, 5));
+    }
+}
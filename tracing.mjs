@@ -0,0 +1,300 @@
+// ── Re-Prompt v3.3 Tracing ───────────────────────────────────────────────────
+// OpenTelemetry-style spans for the request pipeline. The active span flows through
+// AsyncLocalStorage, incoming W3C traceparent headers are honoured, and finished
+// traces are exported as OTLP/JSON to a collector or appended to a local JSONL file.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { TRACING, VERSION } from './config.mjs';
+
+export const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+export const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const storage = new AsyncLocalStorage();
+
+// Wall-clock origin plus a monotonic offset: nanosecond timestamps that never go backwards
+const ORIGIN_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowNs = () => ORIGIN_NS + process.hrtime.bigint();
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Parses a W3C trace context header. Returns { traceId, parentSpanId, sampled },
+ * or null when absent or malformed (a new trace is started instead).
+ */
+export function parseTraceparent(header) {
+    const value = String(header || '').trim().toLowerCase();
+    const m = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/.exec(value);
+    if (!m || m[1] === 'ff' || (m[1] === '00' && m[5])) return null;
+    if (/^0+$/.test(m[2]) || /^0+$/.test(m[3])) return null;
+    return { traceId: m[2], parentSpanId: m[3], sampled: (parseInt(m[4], 16) & 1) === 1 };
+}
+
+export function formatTraceparent(span) {
+    return `00-${span.traceId}-${span.spanId}-${span.trace.sampled ? '01' : '00'}`;
+}
+
+function createSpan(trace, name, { kind = SPAN_KIND.INTERNAL, parentSpanId = null, attributes = {} } = {}) {
+    const span = {
+        trace,
+        traceId: trace.traceId,
+        spanId: randomHex(8),
+        parentSpanId,
+        name,
+        kind,
+        startNs: nowNs(),
+        endNs: null,
+        attributes: {},
+        status: { code: SPAN_STATUS.UNSET },
+        events: [],
+
+        /** Sets attributes; null and undefined values are skipped. */
+        setAttributes(attrs) {
+            for (const [k, v] of Object.entries(attrs || {})) if (v !== undefined && v !== null) span.attributes[k] = v;
+            return span;
+        },
+        setStatus(code, message) {
+            span.status = message ? { code, message } : { code };
+            return span;
+        },
+        recordException(err) {
+            span.events.push({
+                name: 'exception',
+                timeNs: nowNs(),
+                attributes: { 'exception.type': err?.name || 'Error', 'exception.message': String(err?.message || err) }
+            });
+            return span.setStatus(SPAN_STATUS.ERROR, String(err?.message || err));
+        },
+        /** Idempotent; ending the trace's local root finishes the trace. */
+        end() {
+            if (span.endNs !== null) return;
+            span.endNs = nowNs();
+            trace.spans.push(span);
+            if (span === trace.root) finishTrace(trace);
+        }
+    };
+    return span.setAttributes(attributes);
+}
+
+/**
+ * Starts a span as a child of the active span. Without one, a new trace is
+ * started; |traceparent| (an incoming header) makes it continue a remote trace.
+ * |root| starts a new trace regardless, for background work that outlives the
+ * request that queued it.
+ */
+export function startSpan(name, { kind, attributes, traceparent, root = false } = {}) {
+    const parent = storage.getStore();
+    if (parent && parent.endNs === null && !root) {
+        return createSpan(parent.trace, name, { kind, attributes, parentSpanId: parent.spanId });
+    }
+
+    const remote = parseTraceparent(traceparent);
+    const trace = {
+        traceId: remote?.traceId || randomHex(16),
+        sampled: remote ? remote.sampled : Math.random() < TRACING.SAMPLE_RATIO,
+        spans: [],
+        listeners: [],
+        root: null
+    };
+    trace.root = createSpan(trace, name, { kind, attributes, parentSpanId: remote?.parentSpanId || null });
+    return trace.root;
+}
+
+/**
+ * Runs |fn| with |span| active, so spans started inside become its children.
+ */
+export function runInSpan(span, fn) {
+    return storage.run(span, fn);
+}
+
+/**
+ * Runs async |fn(span)| inside a new child span, recording errors and ending the
+ * span when |fn| settles. e.g. withSpan('pipeline.confidence', () => ...)
+ */
+export async function withSpan(name, options, fn) {
+    if (typeof options === 'function') { fn = options; options = {}; }
+    const span = startSpan(name, options);
+    try {
+        return await storage.run(span, () => fn(span));
+    } catch (err) {
+        span.recordException(err);
+        throw err;
+    } finally {
+        span.end();
+    }
+}
+
+export function currentSpan() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Calls |fn(summary)| once the active trace finishes, with the compact span list
+ * stored in audit trace_data. Returns false when no trace is active.
+ */
+export function onTraceEnd(fn) {
+    const span = currentSpan();
+    if (!span) return false;
+    span.trace.listeners.push(fn);
+    return true;
+}
+
+/**
+ * Compact, JSON-friendly view of a trace: offsets and durations in ms from the
+ * local root's start.
+ */
+export function summarizeTrace(trace) {
+    const origin = trace.root.startNs;
+    const ms = ns => Math.round(Number(ns - origin) / 1e3) / 1e3;
+    return {
+        trace_id: trace.traceId,
+        sampled: trace.sampled,
+        spans: [...trace.spans].sort((a, b) => (a.startNs < b.startNs ? -1 : 1)).map(s => ({
+            span_id: s.spanId,
+            parent_span_id: s.parentSpanId,
+            name: s.name,
+            start_ms: ms(s.startNs),
+            duration_ms: Math.round(Number(s.endNs - s.startNs) / 1e3) / 1e3,
+            status: ['unset', 'ok', 'error'][s.status.code],
+            attributes: s.attributes
+        }))
+    };
+}
+
+function finishTrace(trace) {
+    const summary = summarizeTrace(trace);
+    for (const fn of trace.listeners) {
+        try { fn(summary); } catch (err) { console.warn('[TRACING] onTraceEnd listener failed:', err.message); }
+    }
+    if (trace.sampled) getExporter().export(trace.spans);
+}
+
+// ── OTLP Encoding ─────────────────────────────────────────────────────────────
+
+function anyValue(v) {
+    if (typeof v === 'boolean') return { boolValue: v };
+    if (typeof v === 'number') return Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v };
+    if (Array.isArray(v)) return { arrayValue: { values: v.map(anyValue) } };
+    return { stringValue: String(v) };
+}
+
+const keyValues = attrs => Object.entries(attrs).map(([key, value]) => ({ key, value: anyValue(value) }));
+
+/**
+ * OTLP/JSON ExportTraceServiceRequest for |spans| (ids as hex, times as
+ * nanosecond strings, per the OTLP JSON mapping).
+ */
+export function toOtlp(spans, serviceName = TRACING.SERVICE_NAME) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: keyValues({ 'service.name': serviceName, 'service.version': VERSION.ENGINE }) },
+            scopeSpans: [{
+                scope: { name: 're-prompt', version: VERSION.ENGINE },
+                spans: spans.map(s => ({
+                    traceId: s.traceId,
+                    spanId: s.spanId,
+                    ...(s.parentSpanId ? { parentSpanId: s.parentSpanId } : {}),
+                    name: s.name,
+                    kind: s.kind,
+                    startTimeUnixNano: String(s.startNs),
+                    endTimeUnixNano: String(s.endNs),
+                    attributes: keyValues(s.attributes),
+                    events: s.events.map(e => ({ name: e.name, timeUnixNano: String(e.timeNs), attributes: keyValues(e.attributes) })),
+                    status: s.status
+                }))
+            }]
+        }]
+    };
+}
+
+// ── Exporters ─────────────────────────────────────────────────────────────────
+// export() is fire-and-forget: tracing must never fail or slow down a request.
+
+function parseHeaders(list) {
+    return Object.fromEntries(String(list || '').split(',')
+        .map(pair => pair.split('='))
+        .filter(([k, ...v]) => k.trim() && v.length > 0)
+        .map(([k, ...v]) => [k.trim(), decodeURIComponent(v.join('=').trim())]));
+}
+
+function createOtlpExporter({ endpoint, headers }) {
+    if (!endpoint) throw new Error("Trace exporter 'otlp' requires an endpoint (OTEL_EXPORTER_OTLP_ENDPOINT).");
+    let warned = false;
+    return {
+        name: 'otlp',
+        export(spans) {
+            return fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...parseHeaders(headers) },
+                body: JSON.stringify(toOtlp(spans)),
+                signal: AbortSignal.timeout(TRACING.EXPORT_TIMEOUT_MS)
+            }).then(res => {
+                if (!res.ok) throw new Error(`collector responded ${res.status}`);
+                warned = false;
+            }).catch(err => {
+                // One warning per outage rather than one per trace
+                if (!warned) console.warn('[TRACING] OTLP export failed:', err.message);
+                warned = true;
+            });
+        }
+    };
+}
+
+function createFileExporter({ file }) {
+    return {
+        name: 'file',
+        export(spans) {
+            return fs.promises.mkdir(path.dirname(file), { recursive: true })
+                .then(() => fs.promises.appendFile(file, JSON.stringify(toOtlp(spans)) + '\n'))
+                .catch(err => console.warn('[TRACING] File export failed:', err.message));
+        }
+    };
+}
+
+/**
+ * Creates an exporter by name: 'otlp' (OTLP/HTTP JSON), 'file' (one
+ * ExportTraceServiceRequest per line) or 'none'.
+ */
+export function createExporter(name = TRACING.EXPORTER, {
+    endpoint = TRACING.OTLP_ENDPOINT,
+    headers = TRACING.OTLP_HEADERS,
+    file = TRACING.FILE
+} = {}) {
+    switch (name) {
+        case 'otlp':
+            return createOtlpExporter({ endpoint, headers });
+        case 'file':
+            return createFileExporter({ file });
+        case 'none':
+            return { name: 'none', export: () => Promise.resolve() };
+        default:
+            throw new Error(`Unknown trace exporter '${name}'. Expected otlp, file or none.`);
+    }
+}
+
+let activeExporter = null;
+
+/**
+ * Returns the deployment-wide exporter (created on first use). A misconfigured
+ * exporter degrades to 'none' so tracing never takes the server down.
+ */
+export function getExporter() {
+    if (!activeExporter) {
+        try {
+            activeExporter = createExporter();
+        } catch (err) {
+            console.warn('[TRACING]', err.message);
+            activeExporter = createExporter('none');
+        }
+    }
+    return activeExporter;
+}
+
+/**
+ * Replaces the active exporter (tests, or hosts with their own pipeline).
+ */
+export function setExporter(exporter) {
+    activeExporter = exporter;
+}
@@ -0,0 +1,182 @@
+// ── Re-Prompt v3.3 Usage Accounting ──────────────────────────────────────────
+// Token counts from every LLM response, priced with USAGE.RATES. Each request collects
+// its calls in a ledger (carried by AsyncLocalStorage, like the active trace span),
+// which is written to usage_records when the request ends and checked against budgets.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { USAGE } from './config.mjs';
+import { insertUsage, aggregateUsage, USAGE_DIMENSIONS } from './db.mjs';
+import { inc } from './metrics.mjs';
+
+const storage = new AsyncLocalStorage();
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const round = (usd) => Math.round(usd * 1e6) / 1e6; // Micro-dollar precision
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Rough token count for providers that report no usage (fixtures, some local servers).
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Cost in USD of |promptTokens| + |completionTokens| on |model|, or null when the
+ * model has no rate.
+ */
+export function priceTokens(model, promptTokens, completionTokens, rates = USAGE.RATES) {
+    const rate = rates[model];
+    if (!rate) return null;
+    return round((promptTokens * rate.input + completionTokens * rate.output) / 1e6);
+}
+
+export function createLedger(tags = {}) {
+    return { tags: { ...tags }, calls: [] };
+}
+
+/**
+ * Runs |fn| with |ledger| collecting the usage of every completion made inside it.
+ */
+export function runWithLedger(ledger, fn) {
+    return storage.run(ledger, fn);
+}
+
+export function currentLedger() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Labels the active request's usage, e.g. tagUsage({ tool: 'plan' }).
+ */
+export function tagUsage(tags) {
+    const ledger = currentLedger();
+    if (ledger) Object.assign(ledger.tags, tags);
+}
+
+/**
+ * Prices one completion and adds it to the active ledger. |usage| is the
+ * OpenAI-style usage block; without one, tokens are estimated from the text.
+ */
+export function recordUsage({ task, model, requestModel, usage, messages = [], content = '' }) {
+    const estimated = !Number.isFinite(usage?.prompt_tokens);
+    const prompt_tokens = estimated ? estimateTokens(messages.map(m => m.content).join('\n')) : usage.prompt_tokens;
+    const completion_tokens = estimated ? estimateTokens(content) : (usage.completion_tokens ?? 0);
+    // Providers may answer with a dated alias of the requested model; price whichever has a rate
+    const pricedModel = (model && USAGE.RATES[model]) ? model : (requestModel || model);
+    const cost = priceTokens(pricedModel, prompt_tokens, completion_tokens);
+
+    const call = { task: task || 'chat', model: pricedModel, prompt_tokens, completion_tokens, cost_usd: cost ?? 0, priced: cost !== null, estimated };
+    currentLedger()?.calls.push(call);
+
+    inc('llm_tokens', { model: pricedModel, kind: 'prompt' }, prompt_tokens);
+    inc('llm_tokens', { model: pricedModel, kind: 'completion' }, completion_tokens);
+    if (cost) inc('llm_cost_usd', { model: pricedModel }, cost);
+    return call;
+}
+
+/**
+ * Totals for a ledger, with a per-model breakdown. Stored in the audit log and
+ * returned to clients as |usage|.
+ */
+export function summarizeLedger(ledger) {
+    const summary = { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0, estimated: false, unpriced_models: [], by_model: {} };
+    for (const call of ledger?.calls || []) {
+        const model = summary.by_model[call.model] ||= { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+        model.calls++;
+        model.prompt_tokens += call.prompt_tokens;
+        model.completion_tokens += call.completion_tokens;
+        model.cost_usd = round(model.cost_usd + call.cost_usd);
+        summary.calls++;
+        summary.prompt_tokens += call.prompt_tokens;
+        summary.completion_tokens += call.completion_tokens;
+        summary.cost_usd = round(summary.cost_usd + call.cost_usd);
+        if (call.estimated) summary.estimated = true;
+        if (!call.priced && !summary.unpriced_models.includes(call.model)) summary.unpriced_models.push(call.model);
+    }
+    summary.total_tokens = summary.prompt_tokens + summary.completion_tokens;
+    return summary;
+}
+
+/**
+ * Writes the ledger's totals as one usage record. Requests without LLM calls write
+ * nothing. Untagged requests fall back to the task of their first call.
+ */
+export function flushLedger(ledger, client, now = new Date()) {
+    if (!ledger || ledger.calls.length === 0) return null;
+    const summary = summarizeLedger(ledger);
+    const row = {
+        log_id: ledger.tags.log_id || null,
+        day: dayOf(now),
+        client: String(client || 'anonymous'),
+        intent_mode: ledger.tags.intent_mode || 'none',
+        tool: ledger.tags.tool || ledger.calls[0].task,
+        calls: summary.calls,
+        prompt_tokens: summary.prompt_tokens,
+        completion_tokens: summary.completion_tokens,
+        cost_usd: summary.cost_usd
+    };
+    insertUsage(row);
+    return row;
+}
+
+/**
+ * Spend report for GET /api/usage. |group_by| is a comma list of day, client,
+ * intent_mode and tool; dates are inclusive UTC days (default: the last 30).
+ * Invalid parameters throw RangeError.
+ */
+export function usageReport({ from, to, group_by = 'day', client = null } = {}, now = new Date()) {
+    const groupBy = String(group_by || '').split(',').map(d => d.trim()).filter(Boolean);
+    const unknown = groupBy.filter(d => !USAGE_DIMENSIONS.includes(d));
+    if (unknown.length) throw new RangeError(`Unknown group_by '${unknown.join(', ')}'. Expected ${USAGE_DIMENSIONS.join(', ')}.`);
+
+    to = to || dayOf(now);
+    from = from || dayOf(new Date(Date.parse(`${to}T00:00:00Z`) - 29 * 86400000));
+    for (const day of [from, to]) {
+        if (!DAY_PATTERN.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) throw new RangeError(`Invalid date '${day}'. Use YYYY-MM-DD.`);
+    }
+    if (from > to) throw new RangeError('"from" must not be after "to".');
+
+    const rows = aggregateUsage({ from, to, groupBy, client }).map(r => ({
+        ...r,
+        total_tokens: r.prompt_tokens + r.completion_tokens,
+        cost_usd: round(r.cost_usd)
+    }));
+    const totals = { requests: 0, calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+    for (const r of rows) {
+        for (const field of Object.keys(totals)) totals[field] += r[field];
+    }
+    totals.cost_usd = round(totals.cost_usd);
+    return { from, to, group_by: groupBy, client, rows, totals };
+}
+
+function budgetWindow(period, now) {
+    const y = now.getUTCFullYear(), m = now.getUTCMonth(), d = now.getUTCDate();
+    return period === 'day'
+        ? { start: new Date(Date.UTC(y, m, d)), resets: new Date(Date.UTC(y, m, d + 1)) }
+        : { start: new Date(Date.UTC(y, m, 1)), resets: new Date(Date.UTC(y, m + 1, 1)) };
+}
+
+export function budgetFor(client) {
+    return USAGE.CLIENT_BUDGETS[client] ?? USAGE.DEFAULT_BUDGET_USD ?? null;
+}
+
+/**
+ * Budget state for |client| in the current period. |ok| is false once spend has
+ * reached the budget; |retry_after_s| counts down to the period reset.
+ */
+export function checkBudget(client, now = new Date(), { budget = budgetFor(client), period = USAGE.BUDGET_PERIOD } = {}) {
+    if (budget === null || budget === undefined) return { ok: true, budget: null };
+    const { start, resets } = budgetWindow(period, now);
+    const spent = usageReport({ from: dayOf(start), to: dayOf(now), group_by: '', client }, now).totals.cost_usd;
+    return {
+        ok: spent < budget,
+        budget,
+        spent,
+        remaining: round(Math.max(0, budget - spent)),
+        period,
+        resets_at: resets.toISOString(),
+        retry_after_s: Math.ceil((resets - now) / 1000)
+    };
+}
@@ -4,7 +4,7 @@
  * Sends a structured JSON error response (RFC 7807 problem+json style).
  * Never leaks internal stack traces.
  */
-export function sendError(res, { status = 500, title = 'Error', detail = '', correlation_id = '' } = {}) {
+export function sendError(res, { status = 500, title = 'Error', detail = '', correlation_id = '', ...extensions } = {}) {
     if (res.writableEnded) return;
     try {
         res.writeHead(status, { 'Content-Type': 'application/problem+json' });
@@ -13,6 +13,7 @@ export function sendError(res, { status = 500, title = 'Error', detail = '', cor
             title,
             status,
             detail: detail || title,
+            ...extensions, // Problem-specific members, e.g. retry_after_s or prompt_guard
             correlation_id
         }));
     } catch (_) { /* socket already destroyed */ }
@@ -0,0 +1,280 @@
+// ── Re-Prompt v3.3 Webhooks ──────────────────────────────────────────────────
+// Subscribers receive the audit entry built by logAudit as a signed POST when a
+// synthesis completes or is rejected, or a tool runs. Each delivery keeps a record of
+// every attempt; failures are retried with exponential backoff and can be redelivered.
+// Receivers must be public hosts: loopback, private and link-local addresses are refused
+// at registration and again before each attempt, unless WEBHOOK_ALLOWED_HOSTS lists them.
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { VERSION, WEBHOOKS, WEBHOOK_EVENTS } from './config.mjs';
+import {
+    insertWebhook, getWebhook, listWebhooks as listWebhookRows, deleteWebhook as deleteWebhookRow,
+    saveWebhookDelivery, getWebhookDelivery, listPendingWebhookDeliveries, pruneWebhookDeliveries
+} from './db.mjs';
+import { inc } from './metrics.mjs';
+
+export const SIGNATURE_HEADER = 'X-Reprompt-Signature';
+
+/**
+ * The signature header value for |body| sent at |timestamp| (unix seconds):
+ * `t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">`.
+ */
+export function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * What a receiver does with the header: recompute the HMAC and reject stale
+ * timestamps, so a captured request cannot be replayed later.
+ */
+export function verifySignature(secret, header, body, { toleranceS = WEBHOOKS.SIGNATURE_TOLERANCE_S, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceS) return false;
+    const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1]);
+    const given = Buffer.from(parts.v1);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Milliseconds to wait after failed attempt number |attempt| (1-based).
+ */
+export function backoffDelay(attempt, baseMs = WEBHOOKS.BASE_DELAY_MS, maxMs = WEBHOOKS.MAX_DELAY_MS) {
+    return Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+}
+
+// Addresses a webhook may not reach: this host, private networks and cloud metadata
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * Throws RangeError unless every address the host of |url| resolves to is public. Hosts
+ * in |allowedHosts| skip the check (a receiver on the internal network, or a test).
+ */
+export async function checkDestination(url, { allowedHosts = WEBHOOKS.ALLOWED_HOSTS, lookup = dns.lookup } = {}) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (allowedHosts.includes(host)) return;
+    let addresses = [{ address: host, family: net.isIP(host) }];
+    if (!net.isIP(host)) {
+        try {
+            addresses = await lookup(host, { all: true, verbatim: true });
+        } catch (err) {
+            throw new RangeError(`Cannot resolve webhook host '${host}' (${err.code || err.message}).`);
+        }
+    }
+    const blocked = addresses.find(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+        throw new RangeError(`Webhook host '${host}' resolves to ${blocked.address}, a loopback or private address. List the host in WEBHOOK_ALLOWED_HOSTS to allow it.`);
+    }
+}
+
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Subscribes |url| (http or https, on a public host; see checkDestination()) to |events|.
+ * Resolves with the webhook and its signing |secret|, which is only shown here. Invalid
+ * input rejects with RangeError.
+ */
+export async function createWebhook({ url, events, description = null } = {}, { now = new Date(), ...destination } = {}) {
+    let parsed;
+    try { parsed = new URL(url); } catch (_) { throw new RangeError('"url" must be an absolute http(s) URL.'); }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new RangeError('"url" must be an absolute http(s) URL.');
+    if (!Array.isArray(events) || events.length === 0) throw new RangeError(`"events" must list at least one of ${WEBHOOK_EVENTS.join(', ')}.`);
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw new RangeError(`Unknown event '${unknown.join(', ')}'. Expected ${WEBHOOK_EVENTS.join(', ')}.`);
+    if (description !== null && typeof description !== 'string') throw new RangeError('"description" must be a string.');
+    await checkDestination(parsed.href, destination);
+
+    const row = {
+        id: crypto.randomUUID(),
+        url: parsed.href,
+        events: [...new Set(events)],
+        secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        description,
+        created_at: now.toISOString()
+    };
+    insertWebhook(row);
+    return { ...row };
+}
+
+export function listWebhooks() {
+    return listWebhookRows().map(withoutSecret);
+}
+
+export function getWebhookView(id) {
+    const webhook = getWebhook(id);
+    return webhook ? withoutSecret(webhook) : null;
+}
+
+/**
+ * Returns false when |id| is unknown. Its deliveries are deleted with it.
+ */
+export function deleteWebhook(id) {
+    return deleteWebhookRow(id);
+}
+
+const timestamp = () => new Date().toISOString();
+
+/**
+ * Creates the dispatcher that delivers events. Attempts run off the request path;
+ * retries wait backoffDelay() between attempts and stop after |maxAttempts|. Each attempt
+ * first re-checks the destination (|allowedHosts|, |lookup|), as DNS may have changed.
+ */
+export function createWebhookDispatcher({
+    maxAttempts = WEBHOOKS.MAX_ATTEMPTS,
+    baseDelayMs = WEBHOOKS.BASE_DELAY_MS,
+    maxDelayMs = WEBHOOKS.MAX_DELAY_MS,
+    timeoutMs = WEBHOOKS.TIMEOUT_MS,
+    retentionDays = WEBHOOKS.RETENTION_DAYS,
+    allowedHosts = WEBHOOKS.ALLOWED_HOSTS,
+    lookup = dns.lookup
+} = {}) {
+    const timers = new Map(); // delivery id → retry timer
+    const inFlight = new Set(); // attempt promises, so idle() can wait for them
+    const sending = new Set(); // ids of deliveries with an attempt under way
+
+    function start(delivery) {
+        sending.add(delivery.id);
+        const attempt = deliver(delivery).finally(() => {
+            inFlight.delete(attempt);
+            sending.delete(delivery.id);
+        });
+        inFlight.add(attempt);
+    }
+
+    function schedule(delivery, delayMs) {
+        clearTimeout(timers.get(delivery.id));
+        timers.delete(delivery.id);
+        if (delayMs <= 0) return start(delivery);
+        const timer = setTimeout(() => {
+            timers.delete(delivery.id);
+            start(delivery);
+        }, delayMs);
+        timer.unref(); // Pending retries are stored; recover() reschedules them after a restart
+        timers.set(delivery.id, timer);
+    }
+
+    async function deliver(delivery) {
+        const webhook = getWebhook(delivery.webhook_id);
+        if (!webhook) return; // Deleted along with its deliveries
+
+        const body = JSON.stringify(delivery.payload);
+        const started = Date.now();
+        const attempt = { at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: 0 };
+        try {
+            await checkDestination(webhook.url, { allowedHosts, lookup });
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': `Re-Prompt-Webhooks/${VERSION.ENGINE}`,
+                    'X-Reprompt-Event': delivery.event,
+                    'X-Reprompt-Delivery': delivery.id,
+                    [SIGNATURE_HEADER]: signPayload(webhook.secret, Math.floor(started / 1000), body)
+                },
+                body,
+                redirect: 'manual', // A redirect is a misconfigured URL, not a delivery
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            attempt.status_code = response.status;
+            if (!response.ok) attempt.error = `HTTP ${response.status}`;
+            await response.body?.cancel();
+        } catch (err) {
+            attempt.error = err.name === 'TimeoutError' ? `No response after ${timeoutMs / 1000}s` : err.message;
+        }
+        attempt.duration_ms = Date.now() - started;
+
+        delivery.attempts.push(attempt);
+        delivery.updated_at = timestamp();
+        const made = delivery.attempts.length - delivery.attempt_offset; // Since the latest (re)delivery
+        if (!attempt.error) {
+            delivery.status = 'succeeded';
+            delivery.next_attempt_at = null;
+        } else if (made < maxAttempts) {
+            const delay = backoffDelay(made, baseDelayMs, maxDelayMs);
+            delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+            schedule(delivery, delay);
+        } else {
+            delivery.status = 'failed';
+            delivery.next_attempt_at = null;
+        }
+        inc('webhook_deliveries', { event: delivery.event, outcome: delivery.status === 'pending' ? 'retrying' : delivery.status });
+        saveWebhookDelivery(delivery);
+    }
+
+    function enqueue(webhook, event, payload) {
+        const now = timestamp();
+        const delivery = {
+            id: crypto.randomUUID(),
+            webhook_id: webhook.id,
+            event,
+            status: 'pending',
+            payload,
+            attempts: [],
+            attempt_offset: 0, // Attempts before the latest redelivery; each redelivery gets a fresh allowance
+            next_attempt_at: now,
+            created_at: now,
+            updated_at: now
+        };
+        saveWebhookDelivery(delivery);
+        schedule(delivery, 0);
+        return delivery;
+    }
+
+    const sweep = setInterval(() => pruneWebhookDeliveries(new Date(Date.now() - retentionDays * 86400000).toISOString()), 3600000);
+    sweep.unref();
+
+    return {
+        /**
+         * Queues a delivery of |data| (the audit entry) to every webhook subscribed to
+         * |event|. Returns the new deliveries.
+         */
+        dispatch(event, data) {
+            const subscribers = listWebhookRows().filter(webhook => webhook.events.includes(event));
+            if (subscribers.length === 0) return [];
+            const payload = { id: crypto.randomUUID(), event, created_at: timestamp(), data };
+            return subscribers.map(webhook => enqueue(webhook, event, payload));
+        },
+
+        /**
+         * Sends a stored delivery again with a fresh set of attempts, keeping its
+         * attempt history; a retry already scheduled is replaced, not sent as well. While an
+         * attempt is under way the call changes nothing, so repeating it cannot send twice.
+         * Returns the delivery, or null when it is unknown.
+         */
+        redeliver(id) {
+            const delivery = getWebhookDelivery(id);
+            if (!delivery) return null;
+            if (sending.has(id)) return delivery;
+            Object.assign(delivery, { status: 'pending', attempt_offset: delivery.attempts.length, next_attempt_at: timestamp(), updated_at: timestamp() });
+            saveWebhookDelivery(delivery);
+            schedule(delivery, 0);
+            return delivery;
+        },
+
+        /**
+         * Reschedules deliveries still pending when the process stopped. Returns their number.
+         */
+        recover() {
+            const pending = listPendingWebhookDeliveries().filter(delivery => !timers.has(delivery.id));
+            for (const delivery of pending) schedule(delivery, Date.parse(delivery.next_attempt_at) - Date.now());
+            return pending.length;
+        },
+
+        /** Resolves once no attempt is in flight; scheduled retries are not waited for. */
+        idle: async () => { while (inFlight.size > 0) await Promise.allSettled([...inFlight]); },
+
+        close() {
+            clearInterval(sweep);
+            for (const timer of timers.values()) clearTimeout(timer);
+            timers.clear();
+        }
+    };
+}